@@ -0,0 +1,125 @@
+/**
+ * Tests for Telegram callback routing and compact callback data
+ */
+
+import { jest } from '@jest/globals';
+import { CallbackRouter, CALLBACK_DATA_LIMIT, encodeCallback } from '../src/telegram/callbackRouter.js';
+import { callbackRouter } from '../src/telegram/callbacks.js';
+import { getQuickSwapKeyboard } from '../src/telegram/handlers/trade.js';
+import { getCancelRow } from '../src/telegram/handlers/session.js';
+
+function makeCtx(userId = 42) {
+  return {
+    from: { id: userId },
+    answerCbQuery: jest.fn(async () => {}),
+    editMessageText: jest.fn(async () => {}),
+  };
+}
+
+function makePlugin(overrides = {}) {
+  return {
+    name: 'demo',
+    namespace: 'demo',
+    routes: {
+      q: { params: ['from:token', 'to:token', 'amount:amount'], handler: jest.fn(async () => {}) },
+      p: { params: ['page:int'], handler: jest.fn(async () => {}) },
+      c: { params: ['prefix:hex'], handler: jest.fn(async () => {}) },
+    },
+    aliases: [
+      { pattern: /^demo_page_(\d+)$/, route: 'p', params: ([, page]) => ({ page: Number(page) }) },
+    ],
+    ...overrides,
+  };
+}
+
+describe('encodeCallback', () => {
+  const plugin = makePlugin();
+
+  test('encodes typed params compactly', () => {
+    expect(encodeCallback(plugin, 'q', { from: 'ETH', to: 'USDC', amount: '1.5' })).toBe('demo:q:eth:usdc:1.5');
+    expect(encodeCallback(plugin, 'p', { page: 35 })).toBe('demo:p:z');
+    expect(encodeCallback(plugin, 'c', { prefix: '0xAbCdEf0123456789' })).toBe('demo:c:abcdef0123456789');
+  });
+
+  test('rejects bad values, unknown routes and data over the Telegram limit', () => {
+    expect(() => encodeCallback(plugin, 'p', { page: -1 })).toThrow(expect.objectContaining({ code: 'invalid_param' }));
+    expect(() => encodeCallback(plugin, 'q', { from: 'ETH', to: 'USDC' })).toThrow(expect.objectContaining({ code: 'invalid_param' }));
+    expect(() => encodeCallback(plugin, 'x')).toThrow(expect.objectContaining({ code: 'unknown_route' }));
+    expect(() => encodeCallback(plugin, 'c', { prefix: 'ab'.repeat(CALLBACK_DATA_LIMIT) })).toThrow(expect.objectContaining({ code: 'callback_too_long' }));
+  });
+});
+
+describe('CallbackRouter', () => {
+  test('dispatches to the route with decoded params and the shared context', async () => {
+    const plugin = makePlugin();
+    const router = new CallbackRouter([plugin]);
+    const ctx = makeCtx();
+    const context = { userId: '42' };
+
+    await expect(router.dispatch(ctx, 'demo:q:eth:usdc:1', context)).resolves.toBe(true);
+    expect(plugin.routes.q.handler).toHaveBeenCalledWith(ctx, { from: 'ETH', to: 'USDC', amount: '1' }, context);
+
+    await router.dispatch(ctx, 'demo:c:abcdef01', context);
+    expect(plugin.routes.c.handler).toHaveBeenCalledWith(ctx, { prefix: '0xabcdef01' }, context);
+  });
+
+  test('maps legacy data through aliases, then tries fallbacks in order', async () => {
+    const plugin = makePlugin();
+    const first = { name: 'first', fallback: jest.fn(async (ctx, data) => data === 'nav_first') };
+    const second = { name: 'second', fallback: jest.fn(async (ctx, data) => data === 'nav_second') };
+    const router = new CallbackRouter([plugin, first, second]);
+    const ctx = makeCtx();
+
+    await router.dispatch(ctx, 'demo_page_12', {});
+    expect(plugin.routes.p.handler).toHaveBeenCalledWith(ctx, { page: 12 }, {});
+
+    await expect(router.dispatch(ctx, 'nav_second', {})).resolves.toBe(true);
+    expect(first.fallback).toHaveBeenCalledTimes(1);
+    expect(second.fallback).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports unhandled data with the reason and answers the button', async () => {
+    const onUnhandled = jest.fn();
+    const plugin = makePlugin();
+    const router = new CallbackRouter([plugin], { onUnhandled });
+    const ctx = makeCtx();
+
+    await expect(router.dispatch(ctx, 'demo:x:1', { userId: '42' })).resolves.toBe(false);
+    await router.dispatch(ctx, 'demo:p:1:2', { userId: '42' });
+    await router.dispatch(ctx, 'demo:q:eth:usdc:lots', { userId: '42' });
+    await router.dispatch(ctx, 'mystery_button', { userId: '42' });
+
+    expect(onUnhandled.mock.calls.map(([report]) => report.reason)).toEqual([
+      'unknown route "x" in demo (routes: q, p, c)',
+      'demo:p takes 1 parameter(s), got 2',
+      'invalid amount "lots" for amount in demo:q',
+      'no route, alias or fallback matched',
+    ]);
+    expect(onUnhandled).toHaveBeenCalledWith(expect.objectContaining({ data: 'mystery_button', userId: '42' }));
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith('Unsupported action');
+    expect(Object.values(plugin.routes).every(route => route.handler.mock.calls.length === 0)).toBe(true);
+  });
+
+  test('refuses duplicate namespaces, unknown param types and dangling aliases', () => {
+    expect(() => new CallbackRouter([makePlugin(), makePlugin({ name: 'other' })])).toThrow('already registered by demo');
+    expect(() => new CallbackRouter([makePlugin({ routes: { q: { params: ['n:float'], handler: () => {} } }, aliases: [] })]))
+      .toThrow('Unknown callback parameter type');
+    expect(() => new CallbackRouter([makePlugin({ aliases: [{ pattern: /^old$/, route: 'gone' }] })])).toThrow('unknown route "gone"');
+  });
+});
+
+describe('bot callback plugins', () => {
+  test('quick swap and cancel buttons resolve to their routes, old button data included', () => {
+    const [[oneEth], [customEth]] = getQuickSwapKeyboard();
+
+    expect(oneEth.callback_data).toBe('swap:q:eth:usdc:1');
+    expect(callbackRouter.resolve(oneEth.callback_data)).toMatchObject({ route: 'q', params: { from: 'ETH', to: 'USDC', amount: '1' } });
+    expect(callbackRouter.resolve('quick_swap_eth_usdc').params).toEqual({ from: 'ETH', to: 'USDC', amount: '1' });
+    expect(callbackRouter.resolve(customEth.callback_data).params).toEqual({ from: 'ETH', to: 'USDT' });
+    expect(callbackRouter.resolve('quick_swap_usdt_eth_custom').params).toEqual({ from: 'USDT', to: 'ETH' });
+    expect(callbackRouter.resolve('intent_cancel:0xABCDEF0123456789').params).toEqual({ prefix: '0xabcdef0123456789' });
+    expect(callbackRouter.resolve(getCancelRow()[0].callback_data).plugin.name).toBe('session');
+    expect(callbackRouter.resolve('flow_cancel').plugin.name).toBe('session');
+    expect(callbackRouter.resolve('nav_trade')).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for Fisher operator reports
+ * Builds reports from an in-memory reward ledger
+ */
+
+import { jest } from '@jest/globals';
+import FisherRewardTracker from '../src/evvm/fisherRewards.js';
+import {
+  resolveReportPeriod,
+  buildFisherReport,
+  generateFisherReport,
+  getMarginPercent,
+} from '../src/evvm/fisherReports.js';
+import { parseReportArgs, isTelegramAdmin, handleFisherReportCommand } from '../src/telegram/handlers/reports.js';
+
+const GWEI = 1000000000n;
+const NOW = Date.parse('2025-03-10T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+function makeTracker() {
+  const tracker = new FisherRewardTracker({ multiplier: 1 });
+  const receipt = (hash) => ({ hash, gasUsed: 100000n, gasPrice: 2n * GWEI });
+  tracker.recordRelayedTx(receipt('0xa'), { operation: 'swap' });
+  tracker.recordRelayedTx(receipt('0xb'), { operation: 'swap' });
+  tracker.recordRelayedTx(receipt('0xc'), { operation: 'borrow' });
+  tracker.recordRelayedTx(receipt('0xd'), { operation: 'cancel' });
+
+  // Spread entries over the last 10 days and mark one as claimed
+  const [a, b, c, d] = tracker.ledger;
+  a.recordedAt = NOW - 2 * 60 * 60 * 1000;
+  b.recordedAt = NOW - 3 * DAY;
+  b.status = 'claimed';
+  c.recordedAt = NOW - 5 * 60 * 60 * 1000;
+  d.recordedAt = NOW - 9 * DAY;
+  return tracker;
+}
+
+describe('resolveReportPeriod', () => {
+  test('resolves named periods ending now and custom date ranges', () => {
+    expect(resolveReportPeriod({ period: 'daily', now: NOW })).toEqual({ period: 'daily', from: NOW - DAY, to: NOW });
+    expect(resolveReportPeriod({ period: 'weekly', now: NOW }).from).toBe(NOW - 7 * DAY);
+
+    const custom = resolveReportPeriod({ period: 'custom', from: '2025-03-01', to: '2025-03-02' });
+    expect(new Date(custom.from).toISOString()).toBe('2025-03-01T00:00:00.000Z');
+    expect(new Date(custom.to).toISOString()).toBe('2025-03-02T23:59:59.999Z');
+  });
+
+  test('rejects unknown periods and invalid ranges', () => {
+    expect(() => resolveReportPeriod({ period: 'monthly' })).toThrow('Unknown report period');
+    expect(() => resolveReportPeriod({ period: 'custom', from: 'yesterday' })).toThrow('Invalid report from date');
+    expect(() => resolveReportPeriod({ period: 'custom', from: '2025-03-02', to: '2025-03-01' })).toThrow('starts after it ends');
+  });
+});
+
+describe('buildFisherReport', () => {
+  test('sums txs, gas, rewards and margin per operation within the period', () => {
+    const tracker = makeTracker();
+    const report = buildFisherReport(tracker.getLedger(), resolveReportPeriod({ period: 'weekly', now: NOW }));
+
+    expect(report.totals).toMatchObject({
+      txCount: 3,
+      gasUsed: 300000n,
+      gasSpent: 600000n * GWEI,
+      rewards: 860000n * GWEI, // swap 1.5 × 2, borrow 1.3
+      claimed: 300000n * GWEI,
+      pending: 560000n * GWEI,
+      netMargin: 260000n * GWEI,
+    });
+    expect(Object.keys(report.byOperation)).toEqual(['borrow', 'swap']);
+    expect(report.byOperation.swap.txCount).toBe(2);
+    expect(getMarginPercent(report.totals)).toBe(43.33);
+  });
+
+  test('exports CSV rows per operation with a total row, and JSON in ETH', () => {
+    const tracker = makeTracker();
+    const csv = generateFisherReport(tracker, { period: 'daily', now: NOW, format: 'csv' }).content;
+    const json = JSON.parse(generateFisherReport(tracker, { period: 'daily', now: NOW, format: 'json' }).content);
+
+    expect(csv.trim().split('\n')).toEqual([
+      'operation,txCount,gasUsed,gasSpentEth,rewardsEth,pendingEth,claimedEth,netMarginEth',
+      'borrow,1,100000,0.0002,0.00026,0.00026,0.0,0.00006',
+      'swap,1,100000,0.0002,0.0003,0.0003,0.0,0.0001',
+      'total,2,200000,0.0004,0.00056,0.00056,0.0,0.00016',
+    ]);
+    expect(json.totals).toMatchObject({ txCount: 2, rewardsEth: '0.00056', marginPercent: 40 });
+    expect(json.transactions.map(tx => tx.txHash)).toEqual(['0xa', '0xc']);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => generateFisherReport(new FisherRewardTracker(), { format: 'xml' })).toThrow('Unknown report format');
+  });
+});
+
+describe('/fisher_report command', () => {
+  const originalAdmins = process.env.TELEGRAM_ADMIN_IDS;
+
+  beforeEach(() => {
+    process.env.TELEGRAM_ADMIN_IDS = '42, 7';
+  });
+
+  afterAll(() => {
+    if (originalAdmins === undefined) {
+      delete process.env.TELEGRAM_ADMIN_IDS;
+    } else {
+      process.env.TELEGRAM_ADMIN_IDS = originalAdmins;
+    }
+  });
+
+  const makeCtx = (fromId, text) => ({
+    from: { id: fromId },
+    message: { text },
+    reply: jest.fn(async () => {}),
+    replyWithDocument: jest.fn(async () => {}),
+  });
+
+  test('parses periods, custom ranges and formats', () => {
+    expect(parseReportArgs([])).toEqual({ period: 'daily', format: 'text' });
+    expect(parseReportArgs(['weekly', 'CSV'])).toEqual({ period: 'weekly', format: 'csv' });
+    expect(parseReportArgs(['2025-03-01', '2025-03-07', 'json'])).toEqual({ period: 'custom', from: '2025-03-01', to: '2025-03-07', format: 'json' });
+    expect(() => parseReportArgs(['monthly'])).toThrow('Unknown argument "monthly"');
+  });
+
+  test('is limited to admin ids', async () => {
+    const ctx = makeCtx(99, '/fisher_report');
+    await handleFisherReportCommand(ctx, makeTracker());
+
+    expect(isTelegramAdmin(7)).toBe(true);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('only available to bot operators'));
+    expect(ctx.replyWithDocument).not.toHaveBeenCalled();
+  });
+
+  test('sends text reports as a message and CSV as a document', async () => {
+    const textCtx = makeCtx(42, '/fisher_report weekly');
+    const csvCtx = makeCtx(42, '/fisher_report 2025-03-01 2025-03-10 csv');
+    await handleFisherReportCommand(textCtx, makeTracker());
+    await handleFisherReportCommand(csvCtx, makeTracker());
+
+    expect(textCtx.reply.mock.calls[0][0]).toContain('Fisher Report (weekly)');
+    const [document] = csvCtx.replyWithDocument.mock.calls[0];
+    expect(document.filename).toBe('fisher-report-custom-2025-03-10.csv');
+    expect(document.source.toString()).toContain('total,4,400000,');
+  });
+});
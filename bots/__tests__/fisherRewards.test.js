@@ -0,0 +1,100 @@
+/**
+ * Tests for Fisher reward accounting and claims
+ * Uses an in-memory reward contract stand-in and temporary ledger files
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FisherRewardTracker, { calculateTransactionReward } from '../src/evvm/fisherRewards.js';
+
+const GWEI = 1000000000n;
+
+function makeRewardContract({ fail = false } = {}) {
+  const claims = [];
+  return {
+    claims,
+    claimRewards: async (claimId, amount) => {
+      if (fail) {
+        throw Object.assign(new Error('execution reverted'), { revert: { name: 'InsufficientRewardBalance' } });
+      }
+      if (claims.some(claim => claim.claimId === claimId)) {
+        throw Object.assign(new Error('execution reverted'), { revert: { name: 'AlreadyClaimed' } });
+      }
+      claims.push({ claimId, amount });
+      return { hash: `0xclaim${claims.length}`, wait: async () => ({ blockNumber: 99 }) };
+    },
+  };
+}
+
+const receipt = (hash, gasUsed = 100000n, gasPrice = 2n * GWEI) => ({ hash, gasUsed, gasPrice, blockNumber: 10 });
+
+describe('calculateTransactionReward', () => {
+  test('weights the receipt gas cost by operation complexity and multiplier', () => {
+    const swap = calculateTransactionReward({ gasUsed: 100000n, effectiveGasPrice: 2n * GWEI, operation: 'swap' }, { multiplier: 1.1 });
+    const unknown = calculateTransactionReward({ gasUsed: 100000n, gasPrice: 2n * GWEI, operation: 'bridge' }, { multiplier: 1 });
+
+    expect(swap.gasCost).toBe(200000n * GWEI);
+    expect(swap.rewardWei).toBe(330000n * GWEI);
+    expect(swap.reward).toBe('0.00033');
+    expect(unknown.complexity).toBe(1);
+    expect(unknown.rewardWei).toBe(200000n * GWEI);
+  });
+
+  test('rejects receipts without gas data and invalid multipliers', () => {
+    expect(() => calculateTransactionReward({ gasUsed: 1n })).toThrow('missing gasUsed or effective gas price');
+    expect(() => calculateTransactionReward({ gasUsed: 1n, gasPrice: 1n }, { multiplier: -1 })).toThrow('Invalid Fisher reward multiplier');
+  });
+});
+
+describe('FisherRewardTracker', () => {
+  const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-')), 'ledger.json');
+
+  test('records each relayed tx once and persists the ledger', () => {
+    const stateFile = tempFile();
+    const tracker = new FisherRewardTracker({ stateFile, multiplier: 1 });
+
+    tracker.recordRelayedTx(receipt('0xa'), { operation: 'borrow', user: '0xuser' });
+    tracker.recordRelayedTx(receipt('0xa'), { operation: 'borrow', user: '0xuser' });
+    tracker.recordRelayedTx({ gasUsed: 50000n, gasPrice: GWEI }, { operation: 'cancel', txHash: '0xb' });
+
+    const reloaded = new FisherRewardTracker({ stateFile });
+    expect(reloaded.getStats()).toMatchObject({ transactionCount: 2, totalRewards: '0.00031', pendingRewards: '0.00031' });
+    expect(reloaded.getRewardHistory(1)[0]).toMatchObject({ txHash: '0xb', operation: 'cancel', gasUsed: '50000', status: 'pending' });
+  });
+
+  test('never throws for receipts it cannot price', () => {
+    const tracker = new FisherRewardTracker();
+
+    expect(tracker.recordRelayedTx({ hash: '0xa' }, { operation: 'swap' })).toBeNull();
+    expect(tracker.getStats().transactionCount).toBe(0);
+  });
+
+  test('claims pending rewards once from the reward contract', async () => {
+    const contract = makeRewardContract();
+    const tracker = new FisherRewardTracker({ contract, multiplier: 1 });
+    tracker.recordRelayedTx(receipt('0xa'), { operation: 'cancel' });
+    tracker.recordRelayedTx(receipt('0xb'), { operation: 'cancel' });
+
+    const result = await tracker.claimRewards();
+    const again = await tracker.claimRewards();
+
+    expect(result).toMatchObject({ status: 'claimed', claimed: '0.0004', txHash: '0xclaim1', entries: 2 });
+    expect(contract.claims).toEqual([{ claimId: result.claimId, amount: 400000n * GWEI }]);
+    expect(again.status).toBe('nothing_to_claim');
+    expect(tracker.getStats()).toMatchObject({ claimedRewards: '0.0004', pendingRewards: '0.0', claimCount: 1 });
+  });
+
+  test('keeps rewards pending when a claim fails or no contract is configured', async () => {
+    const tracker = new FisherRewardTracker({ contract: makeRewardContract({ fail: true }) });
+    tracker.recordRelayedTx(receipt('0xa'), { operation: 'swap' });
+
+    await expect(tracker.claimRewards()).rejects.toThrow('execution reverted');
+    expect(tracker.getRewardHistory()[0].status).toBe('pending');
+
+    const unconfigured = new FisherRewardTracker();
+    unconfigured.contract = null;
+    unconfigured.recordRelayedTx(receipt('0xa'), { operation: 'swap' });
+    await expect(unconfigured.claimRewards()).rejects.toThrow('FisherRewards contract is not configured');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for EIP-191 version 0x00 Fisher signatures
+ * Known-answer vectors pin the canonical serialization, payload, digest and signature
+ * EIP-712 typed intents are checked for domain binding across chains and contracts
+ */
+
+import { ethers } from 'ethers';
+import {
+  canonicalizeIntent,
+  buildIntendedValidatorMessage,
+  hashIntendedValidatorMessage,
+  constructFisherSignature,
+  verifyFisherSignature,
+  signTypedIntent,
+  verifyTypedIntentSignature,
+} from '../src/evvm/fisherSignature.js';
+import { hashIntentTypedData, getIntentTypedData } from '../../shared/intentTypedData.js';
+
+const wallet = new ethers.Wallet('0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318');
+const VALIDATOR = '0x5B38Da6a701c568545dCfcB03FcB875f56beddC4';
+
+const intent = { to: 'USDC', from: 'ETH', amount: '1.5', slippageBps: 50, action: 'swap' };
+
+const KAT = {
+  signer: '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23',
+  message: '{"action":"swap","amount":"1.5","from":"ETH","slippageBps":50,"to":"USDC"}',
+  payload: '0x19005b38da6a701c568545dcfcb03fcb875f56beddc4' +
+    '7b22616374696f6e223a2273776170222c22616d6f756e74223a22312e35222c2266726f6d223a22455448222c22736c697070616765427073223a35302c22746f223a2255534443227d',
+  digest: '0x08d03cf23a67e6a8922bc54d87814fda3aedf7bd023bd9b16d50c69f7c448a8b',
+  signature: '0xd044b3236ea14625847abda2032092a1ac40f805b202d47ed3972e734314106526e2caacedcd232016371cce5d603555236ef84e1c744612f260a6d416a091a01c',
+};
+
+describe('Fisher Signature (EIP-191 v0x00)', () => {
+  test('canonical serialization sorts keys and normalizes values', () => {
+    expect(canonicalizeIntent(intent)).toBe(KAT.message);
+    expect(canonicalizeIntent({ b: { y: 1n, x: undefined }, a: [1, undefined], c: null }))
+      .toBe('{"a":[1,null],"b":{"y":"1"},"c":null}');
+    expect(() => canonicalizeIntent({ amount: NaN })).toThrow('non-finite');
+  });
+
+  test('matches the known-answer payload and digest', () => {
+    expect(buildIntendedValidatorMessage(VALIDATOR, KAT.message)).toBe(KAT.payload);
+    expect(hashIntendedValidatorMessage(VALIDATOR, KAT.message)).toBe(KAT.digest);
+    expect(KAT.digest).toBe(ethers.solidityPackedKeccak256(['bytes1', 'bytes1', 'address', 'string'], ['0x19', '0x00', VALIDATOR, KAT.message]));
+  });
+
+  test('signs with the user wallet to the known-answer signature', async () => {
+    const signed = await constructFisherSignature(intent, wallet, VALIDATOR.toLowerCase());
+
+    expect(signed.signer).toBe(KAT.signer);
+    expect(signed.message).toBe(KAT.message);
+    expect(signed.digest).toBe(KAT.digest);
+    expect(signed.signature).toBe(KAT.signature);
+    expect(signed.validator).toBe(VALIDATOR);
+    expect(signed.version).toBe('0x00');
+  });
+
+  test('verifies by recovering the signer', () => {
+    expect(verifyFisherSignature(KAT.signature, KAT.message, KAT.signer, VALIDATOR)).toBe(true);
+    expect(verifyFisherSignature(KAT.signature, { ...intent }, KAT.signer.toLowerCase(), VALIDATOR)).toBe(true);
+  });
+
+  test('rejects tampered intents, other validators and other signers', () => {
+    const otherValidator = '0x' + '11'.repeat(20);
+
+    expect(verifyFisherSignature(KAT.signature, { ...intent, amount: '15' }, KAT.signer, VALIDATOR)).toBe(false);
+    expect(verifyFisherSignature(KAT.signature, KAT.message, KAT.signer, otherValidator)).toBe(false);
+    expect(verifyFisherSignature(KAT.signature, KAT.message, VALIDATOR, VALIDATOR)).toBe(false);
+    expect(verifyFisherSignature('0x1234', KAT.message, KAT.signer, VALIDATOR)).toBe(false);
+  });
+
+  test('is not interchangeable with personal_sign (version 0x45)', () => {
+    expect(ethers.verifyMessage(KAT.message, KAT.signature)).not.toBe(KAT.signer);
+  });
+
+  test('requires a valid validator address', async () => {
+    await expect(constructFisherSignature(intent, wallet, 'fisher')).rejects.toThrow('Invalid EIP-191 validator address');
+  });
+});
+
+describe('Typed Intent Signature (EIP-712)', () => {
+  const ENCRYPTED_SWAP = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const arcology = { chainId: 118, verifyingContract: ENCRYPTED_SWAP };
+  const hardhat = { chainId: 31337, verifyingContract: ENCRYPTED_SWAP };
+
+  const swap = {
+    user: KAT.signer,
+    tokenIn: ethers.ZeroAddress,
+    tokenOut: '0x' + '22'.repeat(20),
+    amountIn: 10n ** 18n,
+    minAmountOut: 2487500000n,
+    deadline: 1700001200,
+    nonce: 1,
+  };
+
+  const SWAP_DIGEST = '0x0a8b3839c94e84fdccc9b18d4f6bc7c9eab275cdca53ca2e0c058e51ac14bd59';
+  const SWAP_SIGNATURE = '0xb6d3ff0d3f3eb8751050d5f226099ad010c52ce1625e514a46ede89f8db807b02ed54992944f4d6d66cd385c714d0db7da68302df3680ef8a688707fe6b118de1c';
+
+  test('matches the known-answer Swap digest and signature', async () => {
+    const signed = await signTypedIntent('Swap', swap, wallet, arcology);
+
+    expect(hashIntentTypedData('Swap', swap, arcology)).toBe(SWAP_DIGEST);
+    expect(signed.digest).toBe(SWAP_DIGEST);
+    expect(signed.signature).toBe(SWAP_SIGNATURE);
+    expect(verifyTypedIntentSignature(SWAP_SIGNATURE, 'Swap', swap, KAT.signer, arcology)).toBe(true);
+  });
+
+  test('a signature for one chain or contract does not verify on another', () => {
+    const otherContract = { chainId: 118, verifyingContract: '0x' + '44'.repeat(20) };
+
+    expect(verifyTypedIntentSignature(SWAP_SIGNATURE, 'Swap', swap, KAT.signer, hardhat)).toBe(false);
+    expect(verifyTypedIntentSignature(SWAP_SIGNATURE, 'Swap', swap, KAT.signer, otherContract)).toBe(false);
+    expect(verifyTypedIntentSignature(SWAP_SIGNATURE, 'Swap', { ...swap, minAmountOut: 0n }, KAT.signer, arcology)).toBe(false);
+  });
+
+  test('signs Lend and Cancel intents', async () => {
+    const lend = { user: KAT.signer, operation: 'deposit', token: ethers.ZeroAddress, amount: 5n, durationDays: 30, deadline: 1, nonce: 2 };
+    const cancel = { user: KAT.signer, intentId: '0x' + 'ab'.repeat(32), deadline: 1, nonce: 3 };
+
+    const signedLend = await signTypedIntent('Lend', lend, wallet, arcology);
+    const signedCancel = await signTypedIntent('Cancel', cancel, wallet, arcology);
+
+    expect(verifyTypedIntentSignature(signedLend.signature, 'Lend', lend, KAT.signer, arcology)).toBe(true);
+    expect(verifyTypedIntentSignature(signedCancel.signature, 'Cancel', cancel, KAT.signer, arcology)).toBe(true);
+    expect(verifyTypedIntentSignature(signedCancel.signature, 'Lend', lend, KAT.signer, arcology)).toBe(false);
+  });
+
+  test('rejects unknown types, missing fields and unbound domains', () => {
+    expect(() => getIntentTypedData('Borrow', {}, arcology)).toThrow('Unknown intent type "Borrow"');
+    expect(() => getIntentTypedData('Cancel', { user: KAT.signer }, arcology)).toThrow('missing intentId, deadline, nonce');
+    expect(() => getIntentTypedData('Swap', swap, { chainId: 118 })).toThrow('verifying contract');
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Tests for gasless relay through the Fisher forwarder
+ * Uses an in-memory forwarder stand-in and real ethers wallets for signing
+ */
+
+import { jest } from '@jest/globals';
+import { ethers } from 'ethers';
+import GaslessRelayer, { connectForUser, FORWARD_REQUEST_TYPES, RELAY_FEE_TYPES } from '../src/evvm/gaslessRelay.js';
+import { getGaslessDepositText } from '../src/telegram/handlers/dashboard.js';
+
+const GWEI = 1000000000n;
+const FORWARDER_ADDRESS = '0x00000000000000000000000000000000000000F0';
+const LENDING_ADDRESS = '0x00000000000000000000000000000000000000A1';
+const LENDING_ABI = [
+  'function deposit(uint256 amount)',
+  'function updatePriceOracle(address oracle)',
+  'function getAccount(address user) view returns (uint256 deposited)',
+];
+const DOMAIN = { name: 'FisherForwarder', version: '1', chainId: 118, verifyingContract: FORWARDER_ADDRESS };
+
+function makeForwarder({ feeBalance = ethers.parseEther('0.1'), gasPrice = GWEI } = {}) {
+  const relayed = [];
+  const nonces = new Map();
+  return {
+    relayed,
+    getAddress: async () => FORWARDER_ADDRESS,
+    nonces: async (user) => nonces.get(user) || 0n,
+    verify: async (request) => request.deadline > Math.floor(Date.now() / 1000),
+    feeBalance: async () => feeBalance,
+    RELAY_OVERHEAD_GAS: async () => 50000n,
+    runner: { provider: { getFeeData: async () => ({ gasPrice }) } },
+    relay: async (request, maxFeePerGas, feeSignature) => {
+      relayed.push({ ...request, maxFeePerGas, feeSignature });
+      nonces.set(request.from, (nonces.get(request.from) || 0n) + 1n);
+      return { hash: `0xrelay${relayed.length}`, wait: async () => ({ blockNumber: 7, logs: [] }) };
+    },
+  };
+}
+
+describe('GaslessRelayer', () => {
+  let user;
+  let fisher;
+  let forwarder;
+  let relayer;
+  let lending;
+
+  beforeEach(() => {
+    user = ethers.Wallet.createRandom();
+    fisher = ethers.Wallet.createRandom();
+    forwarder = makeForwarder();
+    relayer = new GaslessRelayer({ forwarder, fisherAddress: fisher.address, chainId: 118, deadlineSeconds: 300, gasMargin: 1.2 });
+    jest.spyOn(relayer, 'estimateGas').mockResolvedValue(120000n);
+    lending = new ethers.Contract(LENDING_ADDRESS, LENDING_ABI);
+  });
+
+  test('signs an EIP-712 forward request that recovers to the user', async () => {
+    const { request, authorization } = await relayer.signRequest(user, lending, 'deposit', [5n]);
+    const { signature, maxFeePerGas, feeSignature, ...fields } = request;
+
+    expect(fields).toMatchObject({ from: user.address, to: LENDING_ADDRESS, value: 0n, gas: 120000n, nonce: 0n });
+    expect(fields.data).toBe(lending.interface.encodeFunctionData('deposit', [5n]));
+    expect(ethers.verifyTypedData(DOMAIN, FORWARD_REQUEST_TYPES, fields, signature)).toBe(user.address);
+    expect(authorization.validator).toBe(fisher.address);
+
+    // Fee cap of twice the current gas price, for this request's nonce
+    expect(maxFeePerGas).toBe(2n * GWEI);
+    const fee = { from: user.address, nonce: 0n, maxFeePerGas };
+    expect(ethers.verifyTypedData(DOMAIN, RELAY_FEE_TYPES, fee, feeSignature)).toBe(user.address);
+  });
+
+  test('relays an authorized request from the Fisher wallet', async () => {
+    const tx = await relayer.send(user, lending, 'deposit', [5n]);
+
+    expect(tx.hash).toBe('0xrelay1');
+    expect(forwarder.relayed).toHaveLength(1);
+    expect(forwarder.relayed[0]).toMatchObject({ from: user.address, maxFeePerGas: 2n * GWEI });
+    expect(forwarder.relayed[0].feeSignature).toMatch(/^0x[0-9a-f]{130}$/);
+  });
+
+  test('refuses fee caps the user did not sign or that are below the gas price', async () => {
+    const { request } = await relayer.signRequest(user, lending, 'deposit', [5n]);
+
+    await expect(relayer.relayRequest({ ...request, maxFeePerGas: 10n * GWEI }, 'deposit'))
+      .rejects.toMatchObject({ code: 'invalid_request' });
+    await expect(relayer.relayRequest({ ...request, feeSignature: undefined }, 'deposit'))
+      .rejects.toMatchObject({ code: 'invalid_request' });
+
+    const cheap = await relayer.signRequest(user, lending, 'deposit', [5n], { maxFeePerGas: GWEI / 2n });
+    await expect(relayer.relay(cheap)).rejects.toMatchObject({ code: 'fee_cap_too_low' });
+    expect(forwarder.relayed).toHaveLength(0);
+  });
+
+  test('checks the fee balance at the capped gas price', async () => {
+    // (120000 + 50000) gas: 0.00034 ETH at 2 gwei, 0.00017 ETH at the 1 gwei cap
+    forwarder = makeForwarder({ feeBalance: 200000n * GWEI, gasPrice: 2n * GWEI });
+    relayer = new GaslessRelayer({ forwarder, fisherAddress: fisher.address, chainId: 118 });
+    jest.spyOn(relayer, 'estimateGas').mockResolvedValue(120000n);
+    const { request } = await relayer.signRequest(user, lending, 'deposit', [5n], { maxFeePerGas: GWEI });
+
+    await expect(relayer.getRequiredFee(request)).resolves.toBe(170000n * GWEI);
+  });
+
+  test('refuses requests signed for another Fisher or altered after signing', async () => {
+    const other = new GaslessRelayer({ forwarder, fisherAddress: ethers.Wallet.createRandom().address, chainId: 118 });
+    jest.spyOn(other, 'estimateGas').mockResolvedValue(120000n);
+    const signed = await other.signRequest(user, lending, 'deposit', [5n]);
+
+    await expect(relayer.relay(signed)).rejects.toMatchObject({ code: 'invalid_signature' });
+
+    const own = await relayer.signRequest(user, lending, 'deposit', [5n]);
+    const altered = { ...own, request: { ...own.request, gas: 900000n } };
+    await expect(relayer.relay(altered)).rejects.toMatchObject({ code: 'invalid_signature' });
+    expect(forwarder.relayed).toHaveLength(0);
+  });
+
+  test('rejects a request the fee balance cannot cover', async () => {
+    // (120000 + 50000) gas at 1 gwei needs 0.00017 ETH
+    forwarder = makeForwarder({ feeBalance: 100000n * GWEI });
+    relayer = new GaslessRelayer({ forwarder, fisherAddress: fisher.address, chainId: 118 });
+    jest.spyOn(relayer, 'estimateGas').mockResolvedValue(120000n);
+
+    await expect(relayer.send(user, lending, 'deposit', [5n])).rejects.toMatchObject({
+      code: 'insufficient_fee_balance',
+      message: expect.stringContaining('0.00017'),
+    });
+    expect(forwarder.relayed).toHaveLength(0);
+  });
+
+  test('sends relays one at a time', async () => {
+    const order = [];
+    let release;
+    const first = relayer.submit(() => new Promise(resolve => {
+      order.push('first:start');
+      release = () => resolve('first');
+    }));
+    const second = relayer.submit(async () => {
+      order.push('second:start');
+      return 'second';
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(order).toEqual(['first:start']);
+    release();
+    await expect(Promise.all([first, second])).resolves.toEqual(['first', 'second']);
+  });
+});
+
+describe('connectForUser', () => {
+  const lending = new ethers.Contract(LENDING_ADDRESS, LENDING_ABI);
+
+  test('routes state-changing calls through the relayer and leaves views alone', async () => {
+    const user = ethers.Wallet.createRandom();
+    const relayer = { isEnabled: () => true, send: jest.fn(async () => ({ hash: '0xrelayed' })) };
+    const contract = connectForUser(lending, user, relayer);
+
+    await expect(contract.deposit(5n)).resolves.toEqual({ hash: '0xrelayed' });
+    expect(relayer.send).toHaveBeenCalledWith(user, expect.anything(), 'deposit', [5n]);
+    expect(typeof contract.getAccount).toBe('function');
+    expect(contract.interface).toBe(lending.interface);
+    expect(relayer.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('only relays user actions, never admin calls', async () => {
+    const user = ethers.Wallet.createRandom();
+    const relayer = { isEnabled: () => true, send: jest.fn() };
+    const contract = connectForUser(lending, user, relayer);
+
+    // Sent by the user's own wallet, which has no provider here
+    await expect(contract.updatePriceOracle(ethers.ZeroAddress)).rejects.toMatchObject({ code: 'UNSUPPORTED_OPERATION' });
+    expect(relayer.send).not.toHaveBeenCalled();
+  });
+
+  test('connects the user wallet directly when gasless relay is off', () => {
+    const user = ethers.Wallet.createRandom();
+    const contract = connectForUser(lending, user, { isEnabled: () => false });
+
+    expect(contract.runner).toBe(user);
+  });
+});
+
+describe('getGaslessDepositText', () => {
+  test('shows the fee balance and forwarder when gasless relay is on', async () => {
+    const forwarder = makeForwarder({ feeBalance: ethers.parseEther('0.05') });
+    const text = await getGaslessDepositText('0xUser', { getForwarder: () => forwarder });
+
+    expect(text).toContain('0.05 ETH');
+    expect(text).toContain(FORWARDER_ADDRESS);
+    expect(text).toContain('depositFor(0xUser)');
+  });
+
+  test('adds nothing when gasless relay is off', async () => {
+    await expect(getGaslessDepositText('0xUser', { getForwarder: () => null })).resolves.toBe('');
+  });
+});
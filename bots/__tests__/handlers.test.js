@@ -5,9 +5,14 @@
  * Flow: User → EVVM Fisher Bot → EVVM (encrypt) → Arcology (execute)
  */
 
-import { getHelpMessage } from '../src/handlers/intentHandler.js';
+import { jest } from '@jest/globals';
+import { getHelpMessage, commandRegistry, useConfirmationStore, resolveLendingAmount, executeConfirmedLending } from '../src/handlers/intentHandler.js';
+import { MemoryStateStore } from '../src/telegram/stateStore.js';
+import { CommandRegistry } from '../src/handlers/commandRegistry.js';
+import { parseIntent } from '../src/handlers/intentParser.js';
+import { formatIntentList } from '../src/arcology/swapIntents.js';
 import { getDashboardKeyboard, getDashboardText, formatEth } from '../src/telegram/handlers/dashboard.js';
-import { determineNonceType, nonceManager } from '../src/evvm/nonceManager.js';
+import NonceManager, { determineNonceType, nonceManager } from '../src/evvm/nonceManager.js';
 import { ethers } from 'ethers';
 
 describe('Intent Handler - Real Functions', () => {
@@ -30,6 +35,177 @@ describe('Intent Handler - Real Functions', () => {
   });
 });
 
+describe('Command Registry - Real Functions', () => {
+  test('help is generated from registry for each platform', () => {
+    const telegramHelp = getHelpMessage('telegram');
+    
+    commandRegistry.list('telegram').forEach(command => {
+      expect(telegramHelp).toContain(`/${command.name}`);
+    });
+    expect(telegramHelp).not.toContain('/withdraw');
+    expect(telegramHelp).not.toContain('/metrics');
+  });
+
+  test('validate reports missing required arguments with usage', () => {
+    const swap = commandRegistry.get('swap');
+    const error = commandRegistry.validate(swap, parseIntent('swap eth to usdc'));
+    
+    expect(error).toContain('Missing <amount>');
+    expect(error).toContain('/swap <amount> <from> <to> <slippage?>');
+  });
+
+  test('validate accepts a complete swap intent', () => {
+    const swap = commandRegistry.get('swap');
+    
+    expect(commandRegistry.validate(swap, parseIntent('/swap 1 ETH USDC'))).toBeNull();
+  });
+
+  test('dispatch rejects unknown commands without calling a handler', async () => {
+    const response = await commandRegistry.dispatch({
+      platform: 'whatsapp',
+      userAddress: ethers.Wallet.createRandom().address,
+      intent: parseIntent('/bridge 1 ETH'),
+    });
+    
+    expect(response).toContain('Unknown command');
+  });
+
+  test('confirm without a pending operation explains what to do', async () => {
+    const response = await commandRegistry.dispatch({
+      platform: 'whatsapp',
+      userId: 'test-user@c.us',
+      userAddress: ethers.Wallet.createRandom().address,
+      intent: parseIntent('/confirm'),
+    });
+    
+    expect(response).toContain('Nothing to confirm');
+  });
+
+  test('lend reports when SimpleLending is not configured', async () => {
+    const response = await commandRegistry.dispatch({
+      platform: 'whatsapp',
+      userId: 'test-user@c.us',
+      userAddress: ethers.Wallet.createRandom().address,
+      intent: parseIntent('/lend deposit 0.1'),
+    });
+    
+    expect(response).toContain('SimpleLending contract is not configured');
+  });
+
+  test('operations waiting for /confirm survive a restart until they expire', async () => {
+    const store = new MemoryStateStore();
+    const createdAt = Date.now();
+    store.set('confirmations', 'whatsapp:restored@c.us', { kind: 'lend', operation: 'deposit', amount: '0.1', createdAt });
+    store.set('confirmations', 'whatsapp:stale@c.us', { kind: 'lend', operation: 'deposit', amount: '0.1', createdAt: createdAt - 10 * 60 * 1000 });
+
+    useConfirmationStore(store);
+    expect(Object.keys(store.load().confirmations)).toEqual(['whatsapp:restored@c.us']);
+
+    const cancel = (userId) => commandRegistry.dispatch({
+      platform: 'whatsapp',
+      userId,
+      userAddress: ethers.Wallet.createRandom().address,
+      intent: parseIntent('/cancel'),
+    });
+    await expect(cancel('restored@c.us')).resolves.toContain('Operation cancelled');
+    await expect(cancel('stale@c.us')).resolves.toBe('Nothing to cancel.');
+    expect(store.load().confirmations).toEqual({});
+
+    useConfirmationStore(new MemoryStateStore());
+  });
+
+  test('lend percentages are a share of the matching position, and refused where they mean nothing', async () => {
+    const lending = {
+      getAccount: async () => ({ deposited: ethers.parseEther('2'), borrowed: ethers.parseEther('0.5'), collateral: 0n }),
+    };
+    const user = ethers.Wallet.createRandom().address;
+
+    await expect(resolveLendingAmount(lending, user, parseIntent('/lend withdraw 50%'))).resolves.toBe('1.0');
+    await expect(resolveLendingAmount(lending, user, parseIntent('/lend repay all'))).resolves.toBe('0.5');
+    await expect(resolveLendingAmount(lending, user, parseIntent('/lend withdraw collateral 25%'))).rejects.toThrow('your collateral balance is 0 ETH');
+    await expect(resolveLendingAmount(lending, user, parseIntent('/lend deposit 50%'))).rejects.toThrow('Use an ETH amount to deposit');
+    await expect(resolveLendingAmount(lending, user, parseIntent('/lend deposit 0.1'))).resolves.toBe('0.1');
+  });
+
+  test('lending confirmed in the Telegram menus goes to SimpleLending instead of a simulated receipt', async () => {
+    const response = await executeConfirmedLending({ userId: 'menu-user', operation: 'deposit', amount: '0.1' });
+
+    expect(response).toContain('SimpleLending contract is not configured');
+    expect(response).not.toContain('Successful');
+  });
+
+  test('cancel accepts only full intent ids and intents only positive pages', () => {
+    const cancel = commandRegistry.get('cancel');
+    const intents = commandRegistry.get('intents');
+    
+    expect(commandRegistry.validate(cancel, parseIntent('/cancel'))).toBeNull();
+    expect(commandRegistry.validate(cancel, parseIntent(`/cancel 0x${'ab'.repeat(32)}`))).toBeNull();
+    expect(commandRegistry.validate(cancel, parseIntent('/cancel 0x1234'))).toContain('Invalid <intentId>');
+    expect(commandRegistry.validate(intents, parseIntent('/intents 2'))).toBeNull();
+    expect(commandRegistry.validate(intents, parseIntent('/intents 0'))).toContain('Invalid <page>');
+  });
+
+  test('formatIntentList shows status, pagination and cancel hints', () => {
+    const intentId = `0x${'cd'.repeat(32)}`;
+    const text = formatIntentList({
+      intents: [
+        { intentId, status: 'pending', submittedAt: Date.UTC(2025, 0, 2, 3, 4), details: { amount: '1', fromToken: 'ETH', toToken: 'USDC' } },
+        { intentId: `0x${'ef'.repeat(32)}`, status: 'executed', submittedAt: 0, details: null },
+      ],
+      page: 1,
+      pageSize: 2,
+      totalPages: 3,
+      total: 6,
+    });
+    
+    expect(text).toContain('page 2/3');
+    expect(text).toContain('3. ⏳ *pending* - 1 ETH → USDC');
+    expect(text).toContain(`/cancel ${intentId}`);
+    expect(text).toContain('4. ✅ *executed* - Encrypted intent');
+    expect(formatIntentList({ intents: [], page: 0, totalPages: 1, total: 0 })).toContain('No swap intents yet');
+  });
+
+  test('toTelegramCommands lists name and description', () => {
+    const commands = commandRegistry.toTelegramCommands();
+    
+    expect(commands).toContainEqual({ command: 'swap', description: 'Private swap' });
+  });
+
+  test('fisher_report is hidden from help and the menu and limited to operators', async () => {
+    expect(getHelpMessage('telegram')).not.toContain('/fisher_report');
+    expect(commandRegistry.toTelegramCommands().map(command => command.command)).not.toContain('fisher_report');
+    expect(commandRegistry.list('telegram', { includeHidden: true }).map(command => command.name)).toContain('fisher_report');
+
+    const context = {
+      platform: 'telegram',
+      userId: '99',
+      userAddress: ethers.Wallet.createRandom().address,
+      intent: parseIntent('/fisher_report weekly'),
+    };
+    await expect(commandRegistry.dispatch(context)).resolves.toContain('only available to bot operators');
+    await expect(commandRegistry.dispatch({ ...context, isAdmin: true })).resolves.toContain('Fisher Report (weekly)');
+  });
+
+  test('dispatchAdapter runs platform adapters and leaves the rest to the shared handler', async () => {
+    const registry = new CommandRegistry([
+      { name: 'intents', handler: async () => 'shared' },
+      { name: 'report', admin: true, handler: async () => 'shared' },
+    ]);
+    const intents = jest.fn(async () => {});
+    const report = jest.fn(async () => {});
+    registry.setAdapter('telegram', 'intents', intents);
+    registry.setAdapter('telegram', 'report', report);
+
+    await expect(registry.dispatchAdapter('telegram', 'intents', { chat: 1 }, { stateManager: 'state' })).resolves.toBe(true);
+    expect(intents).toHaveBeenCalledWith({ chat: 1 }, { stateManager: 'state' });
+    await expect(registry.dispatchAdapter('whatsapp', 'intents', {})).resolves.toBe(false);
+    await expect(registry.dispatchAdapter('telegram', 'report', {}, { isAdmin: false })).resolves.toBe(false);
+    expect(report).not.toHaveBeenCalled();
+    await expect(registry.dispatchAdapter('telegram', 'report', {}, { isAdmin: true })).resolves.toBe(true);
+    expect(() => registry.setAdapter('telegram', 'missing', intents)).toThrow('not registered');
+  });
+});
+
 describe('Telegram Dashboard - Real Functions', () => {
   test('getDashboardKeyboard returns proper button structure', () => {
     const keyboard = getDashboardKeyboard();
@@ -91,9 +267,11 @@ describe('Nonce Manager - Real Functions', () => {
 
   test('nonceManager can get next async nonce', async () => {
     const testAddress = ethers.Wallet.createRandom().address;
+    // Async nonces are seeded from AsyncNonceEngine
+    const asyncNonces = new NonceManager({ contract: { getLastSettledNonce: async () => 0n } });
     
-    const nonce1 = await nonceManager.getNextAsyncNonce(testAddress);
-    const nonce2 = await nonceManager.getNextAsyncNonce(testAddress);
+    const nonce1 = await asyncNonces.getNextAsyncNonce(testAddress);
+    const nonce2 = await asyncNonces.getNextAsyncNonce(testAddress);
     
     expect(typeof nonce1).toBe('number');
     expect(typeof nonce2).toBe('number');
@@ -104,6 +282,7 @@ describe('Nonce Manager - Real Functions', () => {
     const testAddress = ethers.Wallet.createRandom().address;
     
     const nonce1 = await nonceManager.getNextSyncNonce(testAddress);
+    nonceManager.settleSyncNonce(testAddress, nonce1);
     const nonce2 = await nonceManager.getNextSyncNonce(testAddress);
     
     expect(typeof nonce1).toBe('number');
@@ -0,0 +1,142 @@
+/**
+ * Tests for idempotent intent submission
+ * Covers repeats, in-flight duplicates, retries after failure and Telegram keys
+ */
+
+import { jest } from '@jest/globals';
+import { IdempotencyStore, getTelegramIdempotencyKey, createFlowId } from '../src/evvm/idempotencyStore.js';
+import { MemoryStateStore } from '../src/telegram/stateStore.js';
+
+describe('Idempotency Store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new IdempotencyStore({ ttlMs: 1000, maxEntries: 3 });
+  });
+
+  test('returns the original result for a repeated key', async () => {
+    const task = jest.fn().mockResolvedValue({ success: true, txHash: '0x01' });
+
+    const first = await store.run('telegram:1:10', task);
+    const second = await store.run('telegram:1:10', task);
+
+    expect(second).toBe(first);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  test('duplicates arriving while the first run is in flight wait for it', async () => {
+    let release;
+    const task = jest.fn(() => new Promise(resolve => {
+      release = resolve;
+    }));
+
+    const first = store.run('double-tap', task);
+    const second = store.run('double-tap', task);
+    await Promise.resolve();
+    release('done');
+
+    await expect(Promise.all([first, second])).resolves.toEqual(['done', 'done']);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  test('forgets failed runs so the user can retry', async () => {
+    const failing = jest.fn().mockRejectedValue(new Error('rpc down'));
+    await expect(store.run('retry', failing)).rejects.toThrow('rpc down');
+
+    const rejected = jest.fn().mockResolvedValue({ success: false });
+    await store.run('retry', rejected, { shouldCache: result => result.success });
+    await Promise.resolve();
+    expect(store.has('retry')).toBe(false);
+
+    const succeeding = jest.fn().mockResolvedValue({ success: true });
+    await expect(store.run('retry', succeeding)).resolves.toEqual({ success: true });
+  });
+
+  test('runs every time without a key', async () => {
+    const task = jest.fn().mockResolvedValue('ok');
+
+    await store.run(null, task);
+    await store.run(null, task);
+
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  test('expires keys after the TTL and caps the number of entries', async () => {
+    await store.run('old', async () => 1);
+    store.prune(Date.now() + 2000);
+    expect(store.has('old')).toBe(false);
+
+    for (const key of ['a', 'b', 'c', 'd']) {
+      await store.run(key, async () => key);
+    }
+    expect(store.has('a')).toBe(false);
+    expect(store.has('d')).toBe(true);
+  });
+
+  test('keys settled before a restart still return the original result', async () => {
+    const stateStore = new MemoryStateStore();
+    const before = new IdempotencyStore({ store: stateStore });
+    await before.run('telegram:1:10', async () => '✅ Swap submitted');
+    await before.run('telegram:1:11', async () => ({ success: false }), { shouldCache: result => result.success });
+    await Promise.resolve();
+
+    const after = new IdempotencyStore({ store: stateStore });
+    const task = jest.fn().mockResolvedValue('resubmitted');
+
+    await expect(after.run('telegram:1:10', task)).resolves.toBe('✅ Swap submitted');
+    expect(task).not.toHaveBeenCalled();
+    expect(after.has('telegram:1:11')).toBe(false);
+  });
+
+  test('expired keys are dropped from the state store too', async () => {
+    const stateStore = new MemoryStateStore();
+    const before = new IdempotencyStore({ ttlMs: 1000, store: stateStore });
+    await before.run('old', async () => 1);
+    await Promise.resolve();
+    expect(stateStore.load().idempotency).toHaveProperty('old');
+
+    before.prune(Date.now() + 2000);
+    expect(stateStore.load().idempotency).toEqual({});
+  });
+});
+
+describe('Telegram idempotency keys', () => {
+  const callback = (id, data = 'swap:x:flow1') => ({
+    callbackQuery: {
+      id,
+      data,
+      message: { message_id: 42, chat: { id: 7 } },
+    },
+  });
+
+  test('two flows confirmed on the same edited message get different keys', () => {
+    const firstFlow = createFlowId();
+    const secondFlow = createFlowId();
+    const first = getTelegramIdempotencyKey(callback('a'), { flowId: firstFlow });
+
+    expect(secondFlow).not.toBe(firstFlow);
+    expect(secondFlow).toMatch(/^[a-z0-9]+$/);
+    expect(getTelegramIdempotencyKey(callback('b'), { flowId: firstFlow })).toBe(first);
+    expect(getTelegramIdempotencyKey(callback('c'), { flowId: secondFlow })).not.toBe(first);
+  });
+
+  test('buttons whose data names the action share a key per message', () => {
+    const cancel = `intents:c:${'ab'.repeat(8)}`;
+    expect(getTelegramIdempotencyKey(callback('a', cancel))).toBe(`telegram:7:42:${cancel}`);
+    expect(getTelegramIdempotencyKey(callback('b', cancel))).toBe(getTelegramIdempotencyKey(callback('a', cancel)));
+  });
+
+  test('replay returns an earlier result without running anything', async () => {
+    const store = new IdempotencyStore();
+    await store.run('telegram:7:flow:abc', async () => '✅ Swap submitted');
+
+    await expect(store.replay('telegram:7:flow:abc')).resolves.toBe('✅ Swap submitted');
+    expect(store.replay('telegram:7:flow:other')).toBeNull();
+    expect(store.replay(null)).toBeNull();
+  });
+
+  test('text messages are keyed by chat and message id', () => {
+    const ctx = { message: { message_id: 5, chat: { id: 7 }, text: '/swap 1 ETH USDC' } };
+    expect(getTelegramIdempotencyKey(ctx)).toBe('telegram:7:5');
+  });
+});
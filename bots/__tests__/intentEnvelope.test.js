@@ -0,0 +1,78 @@
+/**
+ * Tests for intent envelope encryption
+ * Covers round trips for every recipient, outsiders, tampering and header parsing
+ */
+
+import { ethers } from 'ethers';
+import { encryptIntent, decryptIntent, parseEnvelope, getKeyId, ENVELOPE_VERSION } from '../src/evvm/intentEnvelope.js';
+
+const user = new ethers.Wallet('0x' + '11'.repeat(32));
+const fisher = new ethers.Wallet('0x' + '22'.repeat(32));
+const outsider = new ethers.Wallet('0x' + '33'.repeat(32));
+
+const payload = { action: 'swap', amount: '1.5', fromToken: 'ETH', toToken: 'USDC', slippageBps: 50 };
+
+function flipByte(hex, offsetFromEnd) {
+  const bytes = ethers.getBytes(hex);
+  bytes[bytes.length - offsetFromEnd] ^= 0x01;
+  return ethers.hexlify(bytes);
+}
+
+describe('Intent Envelope', () => {
+  const envelope = encryptIntent(payload, [user.signingKey.publicKey, fisher.signingKey.publicKey]);
+
+  test('does not leak the plaintext', () => {
+    const text = Buffer.from(ethers.getBytes(envelope)).toString('utf8');
+
+    expect(text).not.toContain('1.5');
+    expect(text).not.toContain('USDC');
+  });
+
+  test('user and Fisher can both decrypt', () => {
+    expect(decryptIntent(envelope, user)).toEqual(payload);
+    expect(decryptIntent(envelope, fisher.privateKey)).toEqual(payload);
+  });
+
+  test('header carries version and one key id per recipient', () => {
+    const { version, header } = parseEnvelope(envelope);
+
+    expect(version).toBe(ENVELOPE_VERSION);
+    expect(header.alg).toBe('A256GCM');
+    expect(header.recipients.map(recipient => recipient.kid)).toEqual([
+      getKeyId(user.signingKey.publicKey),
+      getKeyId(fisher.signingKey.publicKey),
+    ]);
+  });
+
+  test('uses a fresh content key and IV for every intent', () => {
+    const again = encryptIntent(payload, [user.signingKey.publicKey]);
+    expect(again).not.toBe(encryptIntent(payload, [user.signingKey.publicKey]));
+  });
+
+  test('rejects keys that are not recipients', () => {
+    expect(() => decryptIntent(envelope, outsider)).toThrow(/not addressed to key/);
+  });
+
+  test('detects ciphertext tampering', () => {
+    expect(() => decryptIntent(flipByte(envelope, 20), user)).toThrow(/failed authentication/);
+  });
+
+  test('detects a recipient entry copied from another envelope', () => {
+    const other = encryptIntent({ amount: '999' }, [user.signingKey.publicKey]);
+    const swapped = parseEnvelope(envelope);
+    const donor = parseEnvelope(other).header.recipients[0];
+    const header = Buffer.from(JSON.stringify({ ...swapped.header, recipients: [donor] }));
+    const prefix = Buffer.from([ENVELOPE_VERSION, header.length >> 8, header.length & 0xff]);
+    const forged = ethers.hexlify(Buffer.concat([prefix, header, swapped.iv, swapped.ciphertext]));
+
+    expect(() => decryptIntent(forged, user)).toThrow(/failed authentication/);
+  });
+
+  test('rejects unknown versions and empty recipient lists', () => {
+    const bytes = ethers.getBytes(envelope);
+    bytes[0] = 2;
+
+    expect(() => parseEnvelope(bytes)).toThrow(/Unsupported intent envelope version 2/);
+    expect(() => encryptIntent(payload, [])).toThrow(/at least one recipient/);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for the natural-language intent parser
+ * Covers slash commands, free text, percentages, durations and error reporting
+ */
+
+import { parseIntent, isIntentMessage, IntentParseError, formatParseError } from '../src/handlers/intentParser.js';
+
+describe('Intent Parser - Swap', () => {
+  test('parses classic slash command', () => {
+    const intent = parseIntent('/swap 1 ETH USDC');
+
+    expect(intent.action).toBe('swap');
+    expect(intent.amount).toBe('1');
+    expect(intent.percentage).toBeNull();
+    expect(intent.fromToken).toBe('ETH');
+    expect(intent.toToken).toBe('USDC');
+  });
+
+  test('parses free text with percentage word and slippage', () => {
+    const intent = parseIntent('swap half my ETH to usdc with 1% slippage');
+
+    expect(intent.amount).toBeNull();
+    expect(intent.percentage).toBe(50);
+    expect(intent.fromToken).toBe('ETH');
+    expect(intent.toToken).toBe('USDC');
+    expect(intent.slippageBps).toBe(100);
+  });
+
+  test('parses explicit percentage and max slippage', () => {
+    const intent = parseIntent('trade 25% of my eth into usdt max slippage 0.5%');
+
+    expect(intent.percentage).toBe(25);
+    expect(intent.toToken).toBe('USDT');
+    expect(intent.slippageBps).toBe(50);
+  });
+
+  test('accepts bot-suffixed slash commands', () => {
+    expect(parseIntent('/swap@ShadowNox_BOT 2 usdc eth').fromToken).toBe('USDC');
+  });
+});
+
+describe('Intent Parser - Lend and others', () => {
+  test('parses lend with duration', () => {
+    const intent = parseIntent('lend 500 USDC for 30 days');
+
+    expect(intent.action).toBe('lend');
+    expect(intent.amount).toBe('500');
+    expect(intent.token).toBe('USDC');
+    expect(intent.durationDays).toBe(30);
+  });
+
+  test('parses lending operations from command or arguments', () => {
+    expect(parseIntent('/lend borrow 0.05 eth').operation).toBe('borrow');
+    expect(parseIntent('repay 1 eth').operation).toBe('repay');
+    expect(parseIntent('/lend add collateral 0.2').operation).toBe('add_collateral');
+    expect(parseIntent('withdraw collateral 0.1').operation).toBe('withdraw_collateral');
+    expect(parseIntent('/lend position').operation).toBe('position');
+  });
+
+  test('plain lend defaults to deposit', () => {
+    expect(parseIntent('lend 500 USDC for 30 days').operation).toBe('deposit');
+  });
+
+  test('rejects conflicting lending operations', () => {
+    expect(() => parseIntent('/lend deposit borrow 1')).toThrow('Conflicting lending operation');
+  });
+
+  test('parses compact durations', () => {
+    expect(parseIntent('/lend 1 eth 2w').durationDays).toBe(14);
+  });
+
+  test('portfolio and help need no arguments', () => {
+    expect(parseIntent('/portfolio').action).toBe('portfolio');
+    expect(parseIntent('help').action).toBe('help');
+  });
+});
+
+describe('Intent Parser - Errors', () => {
+  test('points at unknown token', () => {
+    expect.assertions(3);
+    try {
+      parseIntent('swap 1 eth to usdx');
+    } catch (error) {
+      expect(error).toBeInstanceOf(IntentParseError);
+      expect(error.token).toBe('usdx');
+      expect(error.position).toBe(4);
+    }
+  });
+
+  test('rejects duplicate amounts', () => {
+    expect(() => parseIntent('swap 1 2 eth usdc')).toThrow('More than one amount');
+  });
+
+  test('rejects same-token swap and unknown free-text verbs', () => {
+    expect(() => parseIntent('/swap 1 eth eth')).toThrow(IntentParseError);
+    expect(() => parseIntent('bridge 1 eth')).toThrow('Unknown command');
+  });
+
+  test('passes unknown slash commands through with raw args', () => {
+    const intent = parseIntent('/cancel 0xabc');
+
+    expect(intent.action).toBe('cancel');
+    expect(intent.args).toEqual(['0xabc']);
+  });
+
+  test('formatParseError quotes the offending word', () => {
+    const error = new IntentParseError('Unknown token "usdx"', 'usdx', 4);
+
+    expect(formatParseError(error)).toContain('word 5: "usdx"');
+  });
+});
+
+describe('Intent Parser - isIntentMessage', () => {
+  test('detects commands and action words only', () => {
+    expect(isIntentMessage('/swap 1 ETH USDC')).toBe(true);
+    expect(isIntentMessage('Swap half my eth to usdc')).toBe(true);
+    expect(isIntentMessage('hello there')).toBe(false);
+    expect(isIntentMessage('')).toBe(false);
+  });
+});
@@ -0,0 +1,526 @@
+/**
+ * Tests for the Fisher relay HTTP service
+ * Uses an in-memory FisherForwarder stand-in, the real EncryptedSwap ABI, a
+ * temporary state file and a real HTTP server
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { IntentRelay } from '../src/relay/intentRelay.js';
+import { createRelayServer } from '../src/relay/server.js';
+import { RespClient } from '../src/relay/resp.js';
+import { createRespStandIn } from '../src/relay/respStandIn.js';
+import { LeasedWorkQueue } from '../src/relay/workQueue.js';
+import NonceManager from '../src/evvm/nonceManager.js';
+import FisherRewardTracker from '../src/evvm/fisherRewards.js';
+import GaslessRelayer, { FORWARD_REQUEST_TYPES, RELAY_FEE_TYPES } from '../src/evvm/gaslessRelay.js';
+import { encryptIntent, decryptIntent, parseEnvelope, getKeyId } from '../src/evvm/intentEnvelope.js';
+import { TokenRegistry, DEFAULT_TOKENS } from '../../shared/tokenRegistry.js';
+import { getIntentTypedData } from '../../shared/intentTypedData.js';
+import { encodeSwapIntent } from '../../shared/swapIntentCodec.js';
+
+const CHAIN_ID = 118;
+const ENCRYPTED_SWAP = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const FORWARDER = '0x00000000000000000000000000000000000000F0';
+const USDC = '0x' + '22'.repeat(20);
+const ON_CHAIN_ID = '0x' + 'cd'.repeat(32);
+
+const ENCRYPTED_SWAP_ABI = JSON.parse(fs.readFileSync(new URL('../abi/EncryptedSwap.json', import.meta.url), 'utf-8')).abi;
+const encryptedSwap = new ethers.Interface(ENCRYPTED_SWAP_ABI);
+
+const user = new ethers.Wallet('0x' + '11'.repeat(32));
+const fisher = new ethers.Wallet('0x' + '44'.repeat(32));
+const binding = { chainId: CHAIN_ID, verifyingContract: ENCRYPTED_SWAP };
+const forwarderDomain = { name: 'FisherForwarder', version: '1', chainId: CHAIN_ID, verifyingContract: FORWARDER };
+
+// Receipt of a relay() tx, with the events EncryptedSwap emits for the forwarded call
+function makeReceipt(request, blockNumber = 7) {
+  const call = encryptedSwap.parseTransaction({ data: request.data });
+  const logs = call.name === 'submitSwapIntent'
+    ? [encryptedSwap.encodeEventLog('SwapIntentSubmitted', [request.from, ON_CHAIN_ID, 1000n])]
+    : [encryptedSwap.encodeEventLog('SwapCancelled', [call.args[0], 1000n])];
+  return { status: 1, blockNumber, gasUsed: 100000n, gasPrice: 2000000000n, logs };
+}
+
+function makeForwarder({ fail = false, feeBalance = ethers.parseEther('1') } = {}) {
+  const relayed = [];
+  return {
+    relayed,
+    getAddress: async () => FORWARDER,
+    verify: async (request) => Number(request.deadline) > Math.floor(Date.now() / 1000),
+    feeBalance: async () => feeBalance,
+    RELAY_OVERHEAD_GAS: async () => 50000n,
+    runner: { provider: { getFeeData: async () => ({ gasPrice: 1000000000n }) } },
+    relay: async (request, maxFeePerGas, feeSignature) => {
+      relayed.push({ ...request, maxFeePerGas, feeSignature });
+      if (fail) {
+        throw Object.assign(new Error('execution reverted'), { revert: { name: 'IntentAlreadyProcessed' } });
+      }
+      return { hash: `0xtx${relayed.length}`, wait: async () => makeReceipt(request) };
+    },
+  };
+}
+
+function makeRelayer(options = {}) {
+  return new GaslessRelayer({ forwarder: makeForwarder(options), fisherAddress: fisher.address, chainId: CHAIN_ID });
+}
+
+function makeNonces(lastSettled = 0) {
+  return new NonceManager({ contract: { getLastSettledNonce: async () => BigInt(lastSettled) } });
+}
+
+// The ERC-2771 request the user signs for the call their intent stands for,
+// with its RelayFee cap, as JSON
+async function signForwardRequest(data, { wallet = user, nonce = 0, deadline = Math.floor(Date.now() / 1000) + 300 } = {}) {
+  const fields = { from: wallet.address, to: ENCRYPTED_SWAP, value: '0', gas: '200000', nonce: String(nonce), deadline, data };
+  const signature = await wallet.signTypedData(forwarderDomain, FORWARD_REQUEST_TYPES, fields);
+  const fee = { from: wallet.address, nonce: String(nonce), maxFeePerGas: '2000000000' };
+  const feeSignature = await wallet.signTypedData(forwarderDomain, RELAY_FEE_TYPES, fee);
+  return { ...fields, signature, maxFeePerGas: fee.maxFeePerGas, feeSignature };
+}
+
+function sealSwap(message, recipients = [user, fisher]) {
+  return encryptIntent(
+    { action: 'swap', intentData: encodeSwapIntent(message), userAddress: message.user },
+    recipients.map(wallet => wallet.signingKey.publicKey)
+  );
+}
+
+async function signIntent(primaryType, message, { wallet = user, domain = binding, data = null } = {}) {
+  const typedData = getIntentTypedData(primaryType, message, domain);
+  const signature = await wallet.signTypedData(typedData.domain, typedData.types, typedData.message);
+  const call = data || (primaryType === 'Swap'
+    ? encryptedSwap.encodeFunctionData('submitSwapIntent', [sealSwap(message)])
+    : encryptedSwap.encodeFunctionData('cancelSwap', [message.intentId]));
+  return { primaryType, message, signature, forwardRequest: await signForwardRequest(call, { wallet }) };
+}
+
+function swapMessage(overrides = {}) {
+  return {
+    user: user.address,
+    tokenIn: ethers.ZeroAddress,
+    tokenOut: USDC,
+    amountIn: '1000000000000000000',
+    minAmountOut: '2487500000',
+    deadline: Math.floor(Date.now() / 1000) + 600,
+    nonce: 1,
+    ...overrides,
+  };
+}
+
+function cancelMessage(overrides = {}) {
+  return { user: user.address, intentId: ON_CHAIN_ID, deadline: Math.floor(Date.now() / 1000) + 60, nonce: 5, ...overrides };
+}
+
+function makeRelay(options = {}) {
+  return new IntentRelay({
+    stateFile: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'relay-')), 'state.json'),
+    contract: { interface: encryptedSwap },
+    getBinding: () => binding,
+    nonces: makeNonces(),
+    rewards: new FisherRewardTracker({ multiplier: 1 }),
+    tokens: new TokenRegistry(DEFAULT_TOKENS, { USDC: { addresses: { [CHAIN_ID]: USDC } } }),
+    chainId: CHAIN_ID,
+    relayer: makeRelayer(),
+    fisherKey: fisher,
+    ...options,
+  });
+}
+
+describe('Fisher Relay', () => {
+  let relay;
+  let server;
+  let baseUrl;
+
+  const post = async (body) => {
+    const res = await fetch(`${baseUrl}/intents`, { method: 'POST', body: JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const relayedCalls = () => relay.relayer.forwarder.relayed.map(request => encryptedSwap.parseTransaction({ data: request.data }));
+
+  const start = async (options = {}) => {
+    relay = makeRelay({ maxPendingPerUser: 2, ...options });
+    server = createRelayServer(relay);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  afterEach(async () => {
+    await relay.idle();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('queues a signed swap, relays it through the forwarder and reports status', async () => {
+    await start();
+
+    const { status, body } = await post(await signIntent('Swap', swapMessage()));
+    expect(status).toBe(202);
+    expect(body.intent.status).toBe('queued');
+
+    await relay.idle();
+    const res = await fetch(`${baseUrl}/intents/${body.intent.id}`);
+    const polled = (await res.json()).intent;
+
+    expect(polled.status).toBe('confirmed');
+    expect(polled.intentId).toBe(ON_CHAIN_ID);
+    expect(polled.txHash).toBe('0xtx1');
+    expect(relay.relayer.forwarder.relayed[0].from).toBe(user.address);
+    expect(relayedCalls()[0].name).toBe('submitSwapIntent');
+    expect(relay.nonces.pendingTxs.get(user.address.toLowerCase(), 1)).toMatchObject({ status: 'settled', txHash: '0xtx1' });
+    // 100000 gas × 2 gwei × swap complexity 1.5
+    expect(relay.rewards.getRewardHistory()[0]).toMatchObject({ txHash: '0xtx1', operation: 'swap', rewardWei: '300000000000000' });
+  });
+
+  test('a swap posted over HTTP reaches the chain as an envelope only the user and the Fisher can open', async () => {
+    await start();
+    const message = swapMessage();
+    const plaintext = encodeSwapIntent(message);
+
+    const { status } = await post(await signIntent('Swap', message));
+    expect(status).toBe(202);
+    await relay.idle();
+
+    // The calldata relay() sends is all an observer of the chain gets to see
+    const [onChain] = relay.relayer.forwarder.relayed;
+    const [envelope] = encryptedSwap.parseTransaction({ data: onChain.data }).args;
+    const { version, header } = parseEnvelope(envelope);
+
+    expect(version).toBe(1);
+    expect(header.alg).toBe('A256GCM');
+    expect(header.recipients.map(recipient => recipient.kid).sort())
+      .toEqual([getKeyId(user.signingKey.publicKey), getKeyId(fisher.signingKey.publicKey)].sort());
+    expect(onChain.data).not.toContain(plaintext.slice(2));
+    expect(onChain.data).not.toContain(ethers.toBeHex(BigInt(message.amountIn), 32).slice(2));
+
+    expect(decryptIntent(envelope, fisher).intentData).toBe(plaintext);
+    expect(decryptIntent(envelope, user).intentData).toBe(plaintext);
+    expect(() => decryptIntent(envelope, ethers.Wallet.createRandom())).toThrow('not addressed to key');
+  });
+
+  test('tells clients which key to encrypt to and which contracts to sign for', async () => {
+    await start();
+
+    const res = await fetch(`${baseUrl}/fisher`);
+
+    expect((await res.json()).fisher).toEqual({
+      address: fisher.address,
+      publicKey: fisher.signingKey.publicKey,
+      chainId: CHAIN_ID,
+      forwarder: FORWARDER,
+      encryptedSwap: ENCRYPTED_SWAP,
+    });
+  });
+
+  test('resubmitting the same signed intent returns the existing record', async () => {
+    await start();
+    const signed = await signIntent('Swap', swapMessage());
+
+    const [first, concurrent] = await Promise.all([post(signed), post(signed)]);
+    const second = await post(signed);
+
+    expect([first.status, concurrent.status].sort()).toEqual([200, 202]);
+    expect(second.status).toBe(200);
+    expect(second.body.intent.id).toBe(first.body.intent.id);
+    await relay.idle();
+    expect(relay.relayer.forwarder.relayed).toHaveLength(1);
+  });
+
+  test('rejects forged, wrong-chain, replayed and expired intents with reasons', async () => {
+    await start();
+    const other = new ethers.Wallet('0x' + '33'.repeat(32));
+
+    const forged = await post(await signIntent('Swap', swapMessage(), { wallet: other }));
+    const wrongChain = await post(await signIntent('Swap', swapMessage(), { domain: { ...binding, chainId: 31337 } }));
+    await post(await signIntent('Swap', swapMessage()));
+    const replayed = await post(await signIntent('Swap', swapMessage({ minAmountOut: '1' })));
+    const expired = await post(await signIntent('Swap', swapMessage({ nonce: 2, deadline: 1 })));
+
+    expect(forged.status).toBe(401);
+    expect(forged.body.error.code).toBe('invalid_signature');
+    expect(wrongChain.body.error.code).toBe('invalid_signature');
+    expect(replayed.status).toBe(409);
+    expect(replayed.body.error.code).toBe('nonce_used');
+    expect(expired.body.error.code).toBe('expired');
+  });
+
+  test('checks nonces against the chain and the nonces already in flight, before keeping anything', async () => {
+    const nonces = makeNonces(3);
+    await start({ nonces });
+    // Reserved by the chat bots for the same user, and one the relay settled earlier
+    await nonces.claimAsyncNonce(user.address, 4);
+    await nonces.claimAsyncNonce(user.address, 6);
+    nonces.settleTx(user.address, 6);
+
+    const settledOnChain = await post(await signIntent('Swap', swapMessage({ nonce: 2 })));
+    const inFlight = await post(await signIntent('Swap', swapMessage({ nonce: 4 })));
+    const settledHere = await post(await signIntent('Swap', swapMessage({ nonce: 6 })));
+
+    for (const rejected of [settledOnChain, inFlight, settledHere]) {
+      expect(rejected.status).toBe(409);
+      expect(rejected.body.error.code).toBe('nonce_used');
+    }
+    expect(relay.records).toEqual({});
+    expect(relay.relayer.forwarder.relayed).toHaveLength(0);
+  });
+
+  test('only relays encrypted swaps whose forward request matches the signed intent', async () => {
+    await start();
+    const message = swapMessage();
+    const stranger = new ethers.Wallet('0x' + '55'.repeat(32));
+    const submitAs = (data) => signIntent('Swap', message, { data });
+
+    const plaintext = await post(await submitAs(encryptedSwap.encodeFunctionData('submitSwapIntent', [encodeSwapIntent(message)])));
+    const notForFisher = await post(await submitAs(encryptedSwap.encodeFunctionData('submitSwapIntent', [sealSwap(message, [user, stranger])])));
+    const otherSwap = await post(await submitAs(encryptedSwap.encodeFunctionData('submitSwapIntent', [sealSwap(swapMessage({ amountIn: '5' }))])));
+    const wrongCall = await post(await submitAs(encryptedSwap.encodeFunctionData('cancelSwap', [ON_CHAIN_ID])));
+    const otherSender = await post({
+      ...(await signIntent('Swap', message)),
+      forwardRequest: await signForwardRequest(encryptedSwap.encodeFunctionData('submitSwapIntent', [sealSwap(message)]), { wallet: stranger }),
+    });
+    const missing = await post({ ...(await signIntent('Swap', message)), forwardRequest: undefined });
+
+    expect(plaintext.body.error.code).toBe('invalid_envelope');
+    expect(notForFisher.body.error.code).toBe('invalid_envelope');
+    expect(otherSwap.body.error.code).toBe('invalid_envelope');
+    expect(wrongCall.body.error.code).toBe('invalid_request');
+    expect(otherSender.body.error.code).toBe('invalid_request');
+    expect(missing.body.error.code).toBe('invalid_request');
+    expect(relay.records).toEqual({});
+  });
+
+  test('rejects unknown tokens, unsupported types and bad requests', async () => {
+    await start();
+
+    const unknownToken = await post(await signIntent('Swap', swapMessage({ tokenOut: '0x' + '99'.repeat(20) })));
+    const lend = await post({ primaryType: 'Lend', message: {}, signature: '0x' });
+    const badJson = await fetch(`${baseUrl}/intents`, { method: 'POST', body: '{' });
+    const missing = await fetch(`${baseUrl}/intents/0x${'00'.repeat(32)}`);
+
+    expect(unknownToken.body.error.code).toBe('unknown_token');
+    expect(lend.body.error.code).toBe('unsupported_type');
+    expect(badJson.status).toBe(400);
+    expect(missing.status).toBe(404);
+  });
+
+  test('refuses intents it cannot relay as the user or get paid for', async () => {
+    await start({ relayer: makeRelayer({ feeBalance: 0n }) });
+    const unpaid = await post(await signIntent('Swap', swapMessage()));
+    await new Promise(resolve => server.close(resolve));
+
+    await start({ relayer: new GaslessRelayer({ forwarder: null }) });
+    const noForwarder = await post(await signIntent('Swap', swapMessage()));
+    await new Promise(resolve => server.close(resolve));
+
+    // A Fisher raising the user's fee cap after they signed it
+    await start();
+    const signed = await signIntent('Swap', swapMessage());
+    const raisedCap = await post({ ...signed, forwardRequest: { ...signed.forwardRequest, maxFeePerGas: '9000000000' } });
+
+    expect(unpaid.status).toBe(402);
+    expect(unpaid.body.error.code).toBe('insufficient_fee_balance');
+    expect(raisedCap.status).toBe(400);
+    expect(raisedCap.body.error.message).toContain('RelayFee');
+    expect(noForwarder.status).toBe(503);
+    expect(noForwarder.body.error.code).toBe('relay_unavailable');
+  });
+
+  test('limits pending intents per user', async () => {
+    await start();
+    relay.processQueue = () => null; // keep everything queued
+
+    await post(await signIntent('Swap', swapMessage({ nonce: 1 })));
+    await post(await signIntent('Swap', swapMessage({ nonce: 2 })));
+    const third = await post(await signIntent('Swap', swapMessage({ nonce: 3 })));
+
+    expect(third.status).toBe(429);
+    expect(third.body.error.code).toBe('too_many_pending');
+  });
+
+  test('after a restart, settles intents left submitted, waits for sent txs and resends dropped ones', async () => {
+    await start();
+    const ids = [];
+    for (const nonce of [1, 2, 3]) {
+      const { body } = await post(await signIntent('Swap', swapMessage({ nonce })));
+      ids.push(body.intent.id);
+    }
+    await relay.idle();
+
+    // Stopped after sending each tx, before its receipt came in
+    ids.forEach((id, idx) => Object.assign(relay.records[id], { status: 'submitted', txHash: `0xsent${idx}`, blockNumber: undefined }));
+    relay.saveState();
+    const [mined, sent, dropped] = ids.map(id => relay.records[id]);
+    const provider = {
+      getTransactionReceipt: async (hash) => (hash === '0xsent0' ? makeReceipt(mined.forwardRequest, 11) : null),
+      getTransaction: async (hash) => (hash === '0xsent1' ? { hash } : null),
+      waitForTransaction: async (hash) => (hash === '0xsent1' ? makeReceipt(sent.forwardRequest, 12) : null),
+    };
+
+    const restarted = makeRelay({ stateFile: relay.stateFile, provider });
+    const counts = await restarted.recoverSubmitted();
+    await restarted.processQueue();
+
+    expect(counts).toEqual({ confirmed: 1, failed: 0, waiting: 1, requeued: 1 });
+    expect(restarted.get(mined.id)).toMatchObject({ status: 'confirmed', txHash: '0xsent0', blockNumber: 11 });
+    expect(restarted.get(sent.id)).toMatchObject({ status: 'confirmed', txHash: '0xsent1', blockNumber: 12 });
+    expect(restarted.get(dropped.id)).toMatchObject({ status: 'confirmed', txHash: '0xtx1' });
+    expect(restarted.relayer.forwarder.relayed.map(request => request.data)).toEqual([dropped.forwardRequest.data]);
+  });
+
+  test('cancels the user\'s intent as the user and reports relay failures', async () => {
+    await start();
+    const swap = await post(await signIntent('Swap', swapMessage()));
+    await relay.idle();
+
+    const cancel = await post(await signIntent('Cancel', cancelMessage({ nonce: 2 })));
+    await relay.idle();
+
+    expect(swap.status).toBe(202);
+    expect(cancel.status).toBe(202);
+    expect(relay.get(cancel.body.intent.id).status).toBe('confirmed');
+    expect(relay.relayer.forwarder.relayed[1].from).toBe(user.address);
+    expect(relayedCalls()[1].name).toBe('cancelSwap');
+    expect(relayedCalls()[1].args[0]).toBe(ON_CHAIN_ID);
+
+    await relay.idle();
+    await new Promise(resolve => server.close(resolve));
+    await start({ relayer: makeRelayer({ fail: true }) });
+    const failing = await post(await signIntent('Swap', swapMessage()));
+    await relay.idle();
+
+    expect(relay.get(failing.body.intent.id)).toMatchObject({ status: 'failed', reason: 'IntentAlreadyProcessed' });
+    expect(relay.nonces.getPendingTxs(user.address)).toEqual([]);
+  });
+});
+
+describe('Fisher Relay with a shared work queue', () => {
+  let queueServer;
+  let clients;
+  let prefix = 0;
+
+  beforeAll(async () => {
+    queueServer = createRespStandIn();
+    await new Promise(resolve => queueServer.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => queueServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    clients = [];
+    prefix++;
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.close());
+  });
+
+  const makeQueue = (instanceId, leaseMs = 1000) => {
+    const client = new RespClient({ url: `redis://127.0.0.1:${queueServer.address().port}` });
+    clients.push(client);
+    return new LeasedWorkQueue({ client, instanceId, leaseMs, prefix: `relay${prefix}` });
+  };
+
+  const makeFisher = (instanceId, options = {}) => makeRelay({
+    workQueue: makeQueue(instanceId),
+    pollInterval: 10,
+    ...options,
+  });
+
+  const drain = async (...fishers) => {
+    fishers.forEach(fisher => fisher.startWorker());
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fishers.forEach(fisher => fisher.stopWorker());
+    await Promise.all(fishers.map(fisher => fisher.idle()));
+  };
+
+  test('relays an intent accepted by one Fisher exactly once across instances', async () => {
+    const a = makeFisher('fisher-a');
+    const b = makeFisher('fisher-b');
+    const signed = await signIntent('Swap', swapMessage());
+
+    // Both instances receive the same signed intent
+    const { record } = await a.submit(signed);
+    await b.submit(signed);
+    await drain(a, b);
+
+    expect(a.relayer.forwarder.relayed.length + b.relayer.forwarder.relayed.length).toBe(1);
+    expect(await a.find(record.id)).toMatchObject({ status: 'confirmed', intentId: ON_CHAIN_ID });
+    expect(await b.find(record.id)).toMatchObject({ status: 'confirmed' });
+  });
+
+  test('a Fisher taking over from a dead owner waits for the sent tx instead of resending', async () => {
+    const signed = await signIntent('Swap', swapMessage());
+    const receipt = makeReceipt(signed.forwardRequest, 9);
+    const provider = { waitForTransaction: async (hash) => (hash === '0xsent' ? receipt : null) };
+    const a = makeFisher('fisher-a');
+    const b = makeFisher('fisher-b', { provider });
+    const { record } = await a.submit(signed);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    // A Fisher that leased the intent and sent its tx, then died
+    const dead = makeQueue('fisher-dead', 30);
+    const leased = await dead.claim();
+    await dead.update(leased.id, { ...leased.payload, status: 'submitted', txHash: '0xsent' });
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    await drain(b);
+
+    expect(b.relayer.forwarder.relayed).toHaveLength(0);
+    expect(await a.find(record.id)).toMatchObject({ status: 'confirmed', txHash: '0xsent', blockNumber: 9 });
+    expect(await b.workQueue.get(record.id)).toMatchObject({ status: 'done', owner: 'fisher-b', attempts: 2 });
+    expect(b.rewards.getRewardHistory()[0]).toMatchObject({ txHash: '0xsent', operation: 'swap' });
+  });
+
+  test('shares nonce reservations and pending limits between instances', async () => {
+    const a = makeFisher('fisher-a', { maxPendingPerUser: 2 });
+    const b = makeFisher('fisher-b', { maxPendingPerUser: 2 });
+    const first = await signIntent('Swap', swapMessage({ nonce: 1 }));
+
+    await a.submit(first);
+    // Resubmissions on either instance keep the one pending slot
+    for (let i = 0; i < 3; i++) {
+      expect(await b.submit(first)).toMatchObject({ created: false });
+    }
+    await expect(b.submit(await signIntent('Swap', swapMessage({ nonce: 1, amountIn: '2' }))))
+      .rejects.toMatchObject({ code: 'nonce_used', status: 409 });
+
+    await b.submit(await signIntent('Swap', swapMessage({ nonce: 2 })));
+    await expect(a.submit(await signIntent('Swap', swapMessage({ nonce: 3 }))))
+      .rejects.toMatchObject({ code: 'too_many_pending', status: 429 });
+    expect(await a.getQueueDepth()).toEqual({ queued: 2, relaying: 0 });
+
+    // Relayed intents free their pending slots but keep their nonces
+    await drain(a, b);
+    expect(await a.workQueue.countPending(user.address)).toBe(0);
+    expect(await b.submit(await signIntent('Swap', swapMessage({ nonce: 3 })))).toMatchObject({ created: true });
+    await expect(b.submit(await signIntent('Swap', swapMessage({ nonce: 2, amountIn: '2' }))))
+      .rejects.toMatchObject({ code: 'nonce_used' });
+  });
+
+  test('frees the nonce of an intent that failed before it was sent', async () => {
+    const a = makeFisher('fisher-a', { relayer: makeRelayer({ fail: true }) });
+    const { record } = await a.submit(await signIntent('Swap', swapMessage()));
+    await drain(a);
+
+    expect(await a.find(record.id)).toMatchObject({ status: 'failed' });
+    expect(await a.workQueue.countPending(user.address)).toBe(0);
+    expect(await a.submit(await signIntent('Swap', swapMessage({ amountIn: '2' })))).toMatchObject({ created: true });
+  });
+
+  test('an owner that lost its lease does not send the intent', async () => {
+    const a = makeFisher('fisher-a');
+    const { record } = await a.submit(await signIntent('Swap', swapMessage()));
+    const item = await a.workQueue.claim();
+
+    // Another Fisher took the lease over while this one was getting ready to send
+    await a.workQueue.client.command('SET', a.workQueue.key('lease', item.id), 'fisher-b');
+    await a.relayLeased(item);
+
+    expect(a.relayer.forwarder.relayed).toHaveLength(0);
+    expect(await a.workQueue.get(record.id)).toMatchObject({ status: 'leased', payload: { status: 'queued' } });
+  });
+});
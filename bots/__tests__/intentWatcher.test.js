@@ -0,0 +1,140 @@
+/**
+ * Tests for the intent lifecycle watcher
+ * Uses an in-memory EncryptedSwap stand-in and a temporary state file
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { IntentLifecycleWatcher, decodeIntentLog, formatIntentNotification } from '../src/arcology/intentWatcher.js';
+
+const INTENT_ID = '0x' + 'ab'.repeat(32);
+const USER = '0x' + '12'.repeat(20);
+const ENCRYPTED_SWAP_ABI = JSON.parse(fs.readFileSync(new URL('../abi/EncryptedSwap.json', import.meta.url), 'utf-8')).abi;
+
+function makeLog(eventName, blockNumber, args, index = 0) {
+  return { eventName, blockNumber, index, transactionHash: `0xtx${blockNumber}`, args: { intentId: INTENT_ID, ...args } };
+}
+
+function makeChain(logs, head) {
+  const listeners = new Map();
+  return {
+    listeners,
+    provider: { getBlockNumber: async () => head },
+    contract: {
+      interface: new ethers.Interface(ENCRYPTED_SWAP_ABI),
+      filters: {
+        SwapIntentSubmitted: () => 'SwapIntentSubmitted',
+        SwapExecuted: () => 'SwapExecuted',
+        SwapCancelled: () => 'SwapCancelled',
+      },
+      queryFilter: async (eventName, from, to) =>
+        logs.filter(log => log.eventName === eventName && log.blockNumber >= from && log.blockNumber <= to),
+      on: async (eventName, listener) => listeners.set(eventName, listener),
+      removeAllListeners: async (eventName) => listeners.delete(eventName),
+    },
+  };
+}
+
+describe('Intent Lifecycle Watcher', () => {
+  let stateFile;
+  let sent;
+
+  const createWatcher = (chain) => {
+    const watcher = new IntentLifecycleWatcher({ stateFile, contract: chain.contract, provider: chain.provider });
+    watcher.registerNotifier('telegram', async (chatId, text) => sent.push({ chatId, text }));
+    return watcher;
+  };
+
+  beforeEach(() => {
+    stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'intent-watcher-')), 'state.json');
+    sent = [];
+  });
+
+  test('first start begins at the chain head without replaying history', async () => {
+    const chain = makeChain([makeLog('SwapExecuted', 5)], 10);
+    const watcher = createWatcher(chain);
+
+    await watcher.start();
+
+    expect(watcher.lastProcessedBlock).toBe(10);
+    expect(watcher.getIntent(INTENT_ID)).toBeNull();
+    expect([...chain.listeners.keys()]).toEqual(['SwapIntentSubmitted', 'SwapExecuted', 'SwapCancelled']);
+  });
+
+  test('live events update state and notify the originating chat once', async () => {
+    const chain = makeChain([], 10);
+    const watcher = createWatcher(chain);
+    await watcher.start();
+    await watcher.trackIntent(INTENT_ID, { platform: 'telegram', chatId: '42', userId: '42' });
+
+    await watcher.handleLog(makeLog('SwapIntentSubmitted', 11, { user: USER, timestamp: 1n }));
+    await watcher.handleLog(makeLog('SwapExecuted', 12, { user: USER, volume: 5n }));
+    await watcher.handleLog(makeLog('SwapExecuted', 12, { user: USER, volume: 5n }));
+
+    const intent = watcher.getIntent(INTENT_ID);
+    expect(intent.status).toBe('executed');
+    expect(intent.user).toBe(USER);
+    expect(intent.volume).toBe('5');
+    expect(sent).toHaveLength(1);
+    expect(sent[0].chatId).toBe('42');
+    expect(sent[0].text).toContain('Swap Executed');
+  });
+
+  test('restart backfills missed events from the last processed block', async () => {
+    const first = createWatcher(makeChain([], 20));
+    await first.start();
+    await first.trackIntent(INTENT_ID, { platform: 'telegram', chatId: '7', userId: '7' });
+    await first.stop();
+
+    const missed = [
+      makeLog('SwapCancelled', 25),
+      makeLog('SwapIntentSubmitted', 21, { user: USER, timestamp: 3n }),
+    ];
+    const restarted = createWatcher(makeChain(missed, 30));
+    await restarted.start();
+
+    expect(restarted.getIntent(INTENT_ID).status).toBe('cancelled');
+    expect(restarted.lastProcessedBlock).toBe(30);
+    expect(sent).toEqual([{ chatId: '7', text: expect.stringContaining('Swap Cancelled') }]);
+  });
+
+  test('tracking an intent that already settled notifies immediately', async () => {
+    const watcher = createWatcher(makeChain([], 1));
+    await watcher.handleLog(makeLog('SwapExecuted', 2, { user: USER, volume: 1n }));
+
+    await watcher.trackIntent(INTENT_ID, { platform: 'telegram', chatId: '9' });
+
+    expect(sent).toHaveLength(1);
+  });
+
+  test('decodes raw logs encoded with the EncryptedSwap event signatures', async () => {
+    const iface = new ethers.Interface(ENCRYPTED_SWAP_ABI);
+    const rawLog = (eventName, values, blockNumber) => ({
+      ...iface.encodeEventLog(eventName, values),
+      blockNumber,
+      index: 0,
+      transactionHash: `0xtx${blockNumber}`,
+    });
+    const watcher = createWatcher(makeChain([], 1));
+    await watcher.trackIntent(INTENT_ID, { platform: 'telegram', chatId: '5' });
+
+    const submitted = rawLog('SwapIntentSubmitted', [USER, INTENT_ID, 1000n], 2);
+    expect(decodeIntentLog(submitted, iface)).toMatchObject({ name: 'SwapIntentSubmitted' });
+    await watcher.handleLog(submitted);
+    await watcher.handleLog(rawLog('SwapExecuted', [INTENT_ID, USER, 2500n, 1001n], 3));
+
+    const intent = watcher.getIntent(INTENT_ID);
+    expect(intent).toMatchObject({ status: 'executed', user: USER, volume: '2500', submittedBlock: 2, settledBlock: 3 });
+    expect(sent).toHaveLength(1);
+    expect(decodeIntentLog({ topics: [ethers.id('Transfer(address,address,uint256)')], data: '0x' }, iface)).toBeNull();
+  });
+
+  test('formats notifications with intent and transaction', () => {
+    const text = formatIntentNotification({ intentId: INTENT_ID, status: 'executed', settledTxHash: '0xabc', settledBlock: 3 });
+
+    expect(text).toContain(INTENT_ID);
+    expect(text).toContain('0xabc');
+  });
+});
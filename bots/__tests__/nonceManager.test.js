@@ -0,0 +1,285 @@
+/**
+ * Tests for async nonce reservation against AsyncNonceEngine,
+ * sequenced sync nonces and the durable pending-tx store
+ * Uses an in-memory AsyncNonceEngine stand-in and temporary state files
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import NonceManager, { NonceWaitError } from '../src/evvm/nonceManager.js';
+import { PendingTxStore } from '../src/evvm/pendingTxStore.js';
+
+const USER = '0x1111111111111111111111111111111111111111';
+
+function makeEngine(lastSettled = 0) {
+  const engine = {
+    lastSettled,
+    reads: 0,
+    getLastSettledNonce: async () => {
+      engine.reads++;
+      return BigInt(engine.lastSettled);
+    },
+  };
+  return engine;
+}
+
+describe('NonceManager', () => {
+  test('seeds from the chain once for concurrent reservations', async () => {
+    const engine = makeEngine(7);
+    const nonces = new NonceManager({ contract: engine, maxPending: 5 });
+
+    const reserved = await Promise.all([1, 2, 3].map(() => nonces.reserveAsyncNonce(USER)));
+
+    expect(reserved).toEqual([8, 9, 10]);
+    expect(engine.reads).toBe(1);
+  });
+
+  test('treats differently cased addresses as one user', async () => {
+    const nonces = new NonceManager({ contract: makeEngine(), maxPending: 5 });
+
+    const first = await nonces.reserveAsyncNonce(USER);
+    const second = await nonces.reserveAsyncNonce(USER.toUpperCase().replace('0X', '0x'));
+
+    expect([first, second]).toEqual([1, 2]);
+  });
+
+  test('limits reserved and pending nonces per user', async () => {
+    const nonces = new NonceManager({ contract: makeEngine(), maxPending: 2 });
+
+    const first = await nonces.reserveAsyncNonce(USER);
+    await nonces.reserveAsyncNonce(USER);
+    await expect(nonces.reserveAsyncNonce(USER)).rejects.toThrow('Too many pending async transactions');
+
+    nonces.trackPendingTx(USER, first, { txHash: '0xabc' });
+    nonces.settleTx(USER, first);
+
+    await expect(nonces.reserveAsyncNonce(USER)).resolves.toBe(3);
+  });
+
+  test('reuses a released nonce and never a settled one', async () => {
+    const nonces = new NonceManager({ contract: makeEngine(), maxPending: 5 });
+
+    const failed = await nonces.reserveAsyncNonce(USER);
+    const sent = await nonces.reserveAsyncNonce(USER);
+    nonces.trackPendingTx(USER, sent, {});
+    nonces.settleTx(USER, sent);
+    nonces.releaseAsyncNonce(USER, failed);
+    nonces.releaseAsyncNonce(USER, sent);
+
+    expect(await nonces.reserveAsyncNonce(USER)).toBe(1);
+    expect(await nonces.reserveAsyncNonce(USER)).toBe(3);
+  });
+
+  test('reconcile follows settlements and external transactions on chain', async () => {
+    const engine = makeEngine(0);
+    const nonces = new NonceManager({ contract: engine, maxPending: 5 });
+
+    await nonces.reserveAsyncNonce(USER);
+    await nonces.reserveAsyncNonce(USER);
+    engine.lastSettled = 4;
+    await nonces.reconcile();
+
+    expect(nonces.getPendingTxs(USER)).toHaveLength(0);
+    expect(await nonces.reserveAsyncNonce(USER)).toBe(5);
+  });
+
+  test('keeps old settled nonces until the chain reaches them', async () => {
+    const engine = makeEngine(0);
+    const nonces = new NonceManager({ contract: engine, maxPending: 5 });
+
+    const settled = await nonces.reserveAsyncNonce(USER);
+    nonces.trackPendingTx(USER, settled, {});
+    nonces.settleTx(USER, settled);
+    nonces.clearOldSettled(-1);
+
+    await expect(nonces.claimAsyncNonce(USER, settled)).rejects.toMatchObject({ code: 'taken' });
+    expect(await nonces.reserveAsyncNonce(USER)).toBe(2);
+  });
+
+  test('collapses old settled nonces into a floor while the chain stands still', async () => {
+    const nonces = new NonceManager({ contract: makeEngine(0), maxPending: 5 });
+
+    for (let i = 0; i < 3; i++) {
+      const nonce = await nonces.reserveAsyncNonce(USER);
+      nonces.trackPendingTx(USER, nonce, {});
+      nonces.settleTx(USER, nonce);
+    }
+    nonces.releaseAsyncNonce(USER, await nonces.reserveAsyncNonce(USER));
+    nonces.clearOldSettled(-1);
+
+    expect(nonces.pendingTxs.list(USER.toLowerCase()).map(tx => tx.nonce)).toEqual([3]);
+    await expect(nonces.claimAsyncNonce(USER, 2)).rejects.toMatchObject({ code: 'taken' });
+    expect(await nonces.reserveAsyncNonce(USER)).toBe(4);
+  });
+
+  test('fails reservations when AsyncNonceEngine is unavailable', async () => {
+    const nonces = new NonceManager({ contract: null });
+    nonces.getContract = () => null;
+
+    await expect(nonces.reserveAsyncNonce(USER)).rejects.toThrow('AsyncNonceEngine not initialized');
+  });
+
+  test('does not start reconciling without AsyncNonceEngine', () => {
+    const nonces = new NonceManager({ contract: null });
+    nonces.getContract = () => null;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(nonces.startReconciling(10)).toBe(false);
+    expect(nonces.reconcileInterval).toBeNull();
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+
+    const running = new NonceManager({ contract: makeEngine() });
+    expect(running.startReconciling(10)).toBe(true);
+    running.stopReconciling();
+  });
+});
+
+describe('NonceManager sync mode', () => {
+  test('hands out the next sync nonce only after the previous one settles', async () => {
+    const nonces = new NonceManager();
+    const order = [];
+
+    const first = await nonces.getNextSyncNonce(USER);
+    const second = nonces.getNextSyncNonce(USER).then(nonce => order.push(nonce));
+    const third = nonces.getNextSyncNonce(USER).then(nonce => order.push(nonce));
+
+    await Promise.resolve();
+    expect(order).toEqual([]);
+
+    nonces.settleSyncNonce(USER, first);
+    await second;
+    expect(order).toEqual([2]);
+
+    nonces.settleSyncNonce(USER, 2);
+    await third;
+    expect(order).toEqual([2, 3]);
+  });
+
+  test('reuses a released sync nonce for the next step', async () => {
+    const nonces = new NonceManager();
+
+    const first = await nonces.getNextSyncNonce(USER);
+    const next = nonces.getNextSyncNonce(USER);
+    nonces.releaseSyncNonce(USER, first);
+
+    await expect(next).resolves.toBe(1);
+  });
+
+  test('times out waiting for an unsettled nonce', async () => {
+    const nonces = new NonceManager();
+    await nonces.getNextSyncNonce(USER);
+
+    const wait = nonces.getNextSyncNonce(USER, { timeout: 10 });
+
+    await expect(wait).rejects.toBeInstanceOf(NonceWaitError);
+    await expect(wait).rejects.toMatchObject({ code: 'timeout' });
+    expect(nonces.getSyncQueue(USER).waiters).toHaveLength(0);
+  });
+
+  test('cancels queued waits by signal or for the whole user', async () => {
+    const nonces = new NonceManager();
+    await nonces.getNextSyncNonce(USER);
+    const controller = new AbortController();
+
+    const bySignal = nonces.getNextSyncNonce(USER, { signal: controller.signal });
+    const byUser = nonces.getNextSyncNonce(USER);
+    controller.abort();
+
+    await expect(bySignal).rejects.toMatchObject({ code: 'cancelled' });
+    expect(nonces.cancelSyncWaits(USER)).toBe(1);
+    await expect(byUser).rejects.toMatchObject({ code: 'cancelled' });
+  });
+
+  test('runSequenced runs dependent steps strictly in order', async () => {
+    const nonces = new NonceManager();
+    const log = [];
+    const step = (name, ms, fail = false) => async (nonce) => {
+      log.push(`${name}:start:${nonce}`);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      log.push(`${name}:end`);
+      if (fail) {
+        throw new Error(`${name} reverted`);
+      }
+      return name;
+    };
+
+    const results = await Promise.allSettled([
+      nonces.runSequenced(USER, step('collateral', 20)),
+      nonces.runSequenced(USER, step('borrow', 5, true)),
+      nonces.runSequenced(USER, step('repay', 1)),
+    ]);
+
+    expect(log).toEqual([
+      'collateral:start:1', 'collateral:end',
+      'borrow:start:2', 'borrow:end',
+      'repay:start:2', 'repay:end',
+    ]);
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+  });
+});
+
+describe('Durable pending txs', () => {
+  const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'nonces-')), 'pending.json');
+
+  test('keys entries exactly by address, not by prefix', () => {
+    const nonces = new NonceManager();
+    const prefixed = '0x11';
+
+    nonces.trackPendingTx(USER, 1, {});
+
+    expect(nonces.getPendingTxs(prefixed)).toHaveLength(0);
+    expect(nonces.getPendingTxs(USER)).toHaveLength(1);
+  });
+
+  test('survives a restart and keeps nonces taken', async () => {
+    const stateFile = tempFile();
+    const engine = makeEngine(0);
+    const before = new NonceManager({ contract: engine, store: new PendingTxStore({ stateFile }) });
+    const nonce = await before.reserveAsyncNonce(USER);
+    before.trackPendingTx(USER, nonce, { txHash: '0xaaa' });
+
+    const after = new NonceManager({ contract: engine, store: new PendingTxStore({ stateFile }) });
+
+    expect(after.getPendingTxs(USER)).toMatchObject([{ nonce: 1, status: 'pending', txHash: '0xaaa' }]);
+    expect(await after.reserveAsyncNonce(USER)).toBe(2);
+  });
+
+  test('re-checks receipts for entries left pending on boot', async () => {
+    const store = new PendingTxStore({ stateFile: tempFile() });
+    const nonces = new NonceManager({ contract: makeEngine(), store });
+    nonces.trackPendingTx(USER, 1, { txHash: '0x01' });
+    nonces.trackPendingTx(USER, 2, { txHash: '0x02' });
+    nonces.trackPendingTx(USER, 3, { txHash: '0x03' });
+    nonces.trackPendingTx(USER, 4, { txHash: '0x04' });
+    await nonces.reserveAsyncNonce(USER);
+
+    const provider = {
+      getTransactionReceipt: async hash => ({ '0x01': { status: 1 }, '0x02': { status: 0 } })[hash] || null,
+      getTransaction: async hash => (hash === '0x03' ? { hash } : null),
+    };
+    const counts = await nonces.recoverPendingTxs(provider);
+    const status = nonce => store.get(USER.toLowerCase(), nonce).status;
+
+    expect(counts).toEqual({ settled: 1, failed: 2, expired: 1, pending: 1 });
+    expect([1, 2, 3, 4, 5].map(status)).toEqual(['settled', 'failed', 'pending', 'expired', 'failed']);
+    expect(store.get(USER.toLowerCase(), 5).reason).toBe('Not sent before restart');
+  });
+
+  test('allows only lifecycle transitions and reuses failed or expired nonces', async () => {
+    const store = new PendingTxStore();
+    const nonces = new NonceManager({ contract: makeEngine(), store });
+    const user = USER.toLowerCase();
+
+    store.transition(user, 1, 'pending', { txHash: '0x01' });
+    store.transition(user, 1, 'expired');
+    store.transition(user, 2, 'settled');
+
+    expect(() => store.transition(user, 2, 'pending')).toThrow('settled → pending');
+    expect(() => store.transition(user, 3, 'done')).toThrow('Unknown pending tx status');
+    expect(await nonces.reserveAsyncNonce(USER)).toBe(1);
+    expect(store.get(user, 1)).not.toHaveProperty('txHash');
+  });
+});
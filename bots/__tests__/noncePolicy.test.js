@@ -0,0 +1,81 @@
+/**
+ * Tests for the async/sync nonce type policy
+ */
+
+import { jest } from '@jest/globals';
+import { NoncePolicy } from '../src/evvm/noncePolicy.js';
+import { determineNonceType } from '../src/evvm/nonceManager.js';
+
+const USER = '0x1111111111111111111111111111111111111111';
+const PINNED = '0x2222222222222222222222222222222222222222';
+
+function makePolicy({ pending = false, policy = {} } = {}) {
+  return new NoncePolicy({
+    policy: { overrides: { [PINNED]: 'async' }, ...policy },
+    nonces: { hasPendingAsync: () => pending },
+  });
+}
+
+describe('NoncePolicy', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  test.each([
+    // type, user, dependsOn, pending, expected type, rule
+    ['swap', USER, undefined, false, 'async', 'default'],
+    ['swap', USER, undefined, true, 'async', 'default'],
+    ['swap', USER, ['intent-1'], false, 'sync', 'dependsOn'],
+    ['deposit', USER, undefined, false, 'async', 'default'],
+    ['deposit', USER, undefined, true, 'sync', 'pending'],
+    ['add_collateral', USER, undefined, true, 'sync', 'pending'],
+    ['borrow', USER, undefined, false, 'sync', 'dependency'],
+    ['repay', USER, undefined, false, 'sync', 'dependency'],
+    ['withdraw', USER, undefined, false, 'sync', 'dependency'],
+    ['withdraw_collateral', USER, undefined, false, 'sync', 'dependency'],
+    ['borrow', PINNED, undefined, true, 'async', 'override'],
+    ['deposit', undefined, undefined, true, 'async', 'default'],
+  ])('%s from %s (dependsOn %p, pending %p) → %s by %s', (type, user, dependsOn, pending, nonceType, rule) => {
+    const decision = makePolicy({ pending }).decide({ type, user, dependsOn });
+
+    expect(decision).toMatchObject({ nonceType, rule });
+  });
+
+  test('logs every decision with its rule', () => {
+    makePolicy().decide({ type: 'repay', user: USER });
+
+    expect(log).toHaveBeenCalledWith(expect.stringContaining(`repay from ${USER}: sync (dependency: repay runs after borrow)`));
+  });
+
+  test('overrides are case-insensitive and can change at runtime', () => {
+    const policy = makePolicy();
+
+    policy.setOverride(USER.toUpperCase().replace('0X', '0x'), 'sync');
+    expect(policy.decide({ type: 'swap', user: USER }).nonceType).toBe('sync');
+
+    policy.clearOverride(USER);
+    expect(policy.decide({ type: 'swap', user: USER }).nonceType).toBe('async');
+  });
+
+  test('policy config replaces the default table', () => {
+    const policy = makePolicy({ policy: { default: 'sync', dependencies: {}, syncWhenPending: [] } });
+
+    expect(policy.decide({ type: 'borrow', user: USER })).toMatchObject({ nonceType: 'sync', rule: 'default' });
+  });
+
+  test('rejects unknown nonce types', () => {
+    expect(() => makePolicy({ policy: { default: 'parallel' } })).toThrow('Invalid default nonce type');
+    expect(() => makePolicy().setOverride(USER, 'fast')).toThrow('Invalid nonce type');
+  });
+
+  test('determineNonceType applies a given policy', () => {
+    expect(determineNonceType({ type: 'repay', user: USER }, makePolicy())).toBe('sync');
+    expect(determineNonceType({ type: 'swap', user: PINNED }, makePolicy())).toBe('async');
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Tests for the relay retry, backoff and fee-bump policy
+ * Uses in-memory provider and wallet stand-ins, with sleeps skipped
+ */
+
+import { jest } from '@jest/globals';
+import { ethers } from 'ethers';
+import RelaySubmitter, {
+  classifyRelayError,
+  getBackoffDelay,
+  getBumpedFees,
+  formatRelayFailure,
+  mayStillMine,
+  RelaySubmitError,
+} from '../src/evvm/relaySubmitter.js';
+
+const GWEI = 1000000000n;
+const USER = '0x00000000000000000000000000000000000000a1';
+
+const codeError = (code, message = code) => Object.assign(new Error(message), { code });
+
+// Provider whose receipts appear for hashes in `mined`, knowing the txs in
+// `known` and a pending nonce of `accountNonce` for every account
+function makeProvider({ mined = {}, known = {}, feeData = { maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: GWEI } } = {}) {
+  const provider = {
+    mined,
+    known,
+    accountNonce: 7,
+    getTransactionReceipt: async (hash) => mined[hash] || null,
+    getTransaction: async (hash) => known[hash] || null,
+    getTransactionCount: async () => provider.accountNonce,
+    getFeeData: async () => feeData,
+  };
+  return provider;
+}
+
+function makeTx(hash, fields = {}) {
+  return {
+    hash,
+    from: USER,
+    to: '0x00000000000000000000000000000000000000b2',
+    data: '0x1234',
+    value: 0n,
+    nonce: 7,
+    gasLimit: 100000n,
+    chainId: 118n,
+    maxFeePerGas: 10n * GWEI,
+    maxPriorityFeePerGas: GWEI,
+    ...fields,
+  };
+}
+
+function makeSubmitter(provider, options = {}) {
+  const monitor = { recordRelayOutcome: jest.fn() };
+  const submitter = new RelaySubmitter({
+    attempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    stuckTxTimeout: 0,
+    feeBumpPercent: 15,
+    maxFeeBumps: 2,
+    pollInterval: 0,
+    provider,
+    monitor,
+    ...options,
+  });
+  const delays = [];
+  submitter.sleep = async (ms) => {
+    delays.push(ms);
+  };
+  return { submitter, monitor, delays };
+}
+
+describe('classifyRelayError', () => {
+  test('retries errors the node answered before taking the tx', () => {
+    expect(classifyRelayError(codeError('ECONNREFUSED'))).toEqual({ retryable: true, reason: 'network' });
+    expect(classifyRelayError(codeError('NONCE_EXPIRED'))).toEqual({ retryable: true, reason: 'nonce' });
+    expect(classifyRelayError(codeError('REPLACEMENT_UNDERPRICED'))).toEqual({ retryable: true, reason: 'underpriced' });
+    expect(classifyRelayError(new Error('could not coalesce error: nonce too low'))).toEqual({ retryable: true, reason: 'nonce' });
+    expect(classifyRelayError(new Error('429 Too Many Requests'))).toEqual({ retryable: true, reason: 'network' });
+  });
+
+  test('flags network errors that may come after the tx was broadcast', () => {
+    for (const code of ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'ECONNRESET', 'ETIMEDOUT']) {
+      expect(classifyRelayError(codeError(code))).toEqual({ retryable: true, reason: 'network', maybeSent: true });
+    }
+    expect(classifyRelayError(new Error('502 Bad Gateway'))).toEqual({ retryable: true, reason: 'network', maybeSent: true });
+  });
+
+  test('treats reverts, missing funds and relay refusals as fatal', () => {
+    expect(classifyRelayError(codeError('CALL_EXCEPTION'))).toEqual({ retryable: false, reason: 'reverted' });
+    expect(classifyRelayError(codeError('INSUFFICIENT_FUNDS'))).toEqual({ retryable: false, reason: 'insufficient_funds' });
+    expect(classifyRelayError(Object.assign(new Error('too low'), { name: 'GaslessRelayError', code: 'insufficient_fee_balance' })))
+      .toEqual({ retryable: false, reason: 'insufficient_fee_balance' });
+    expect(classifyRelayError(new Error('something odd'))).toEqual({ retryable: false, reason: 'unknown' });
+  });
+});
+
+describe('getBackoffDelay', () => {
+  test('doubles per failed attempt up to the cap', () => {
+    const options = { baseDelay: 1000, maxDelay: 5000 };
+    expect([1, 2, 3, 4].map(attempt => getBackoffDelay(attempt, options))).toEqual([1000, 2000, 4000, 5000]);
+  });
+});
+
+describe('getBumpedFees', () => {
+  test('raises EIP-1559 fees by the bump percent, or to the current network fees', () => {
+    const tx = makeTx('0x1');
+    expect(getBumpedFees(tx, 15, { maxFeePerGas: 5n * GWEI, maxPriorityFeePerGas: 0n })).toEqual({
+      type: 2,
+      maxFeePerGas: 11500000000n,
+      maxPriorityFeePerGas: 1150000000n,
+    });
+    expect(getBumpedFees(tx, 15, { maxFeePerGas: 30n * GWEI, maxPriorityFeePerGas: 2n * GWEI }).maxFeePerGas).toBe(30n * GWEI);
+  });
+
+  test('raises the gas price of legacy txs', () => {
+    const tx = makeTx('0x1', { maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: 3n });
+    expect(getBumpedFees(tx, 10, {})).toEqual({ gasPrice: 4n });
+  });
+});
+
+describe('RelaySubmitter', () => {
+  test('retries retryable send errors with backoff, then confirms', async () => {
+    const provider = makeProvider({ mined: { '0xok': { hash: '0xok', status: 1, blockNumber: 5 } } });
+    const { submitter, monitor, delays } = makeSubmitter(provider);
+    const send = jest.fn()
+      .mockRejectedValueOnce(codeError('NETWORK_ERROR')) // sender nonce unchanged, so nothing went out
+      .mockRejectedValueOnce(codeError('NONCE_EXPIRED'))
+      .mockResolvedValueOnce(makeTx('0xok'));
+    const onSent = jest.fn();
+
+    const result = await submitter.submit(send, { operation: 'swap', signer: { address: USER }, onSent });
+
+    expect(result).toMatchObject({ attempts: 3, feeBumps: 0, receipt: { blockNumber: 5 } });
+    expect(result.tx.hash).toBe('0xok');
+    expect(delays.slice(0, 2)).toEqual([1000, 2000]);
+    expect(onSent).toHaveBeenCalledTimes(1);
+    expect(monitor.recordRelayOutcome).toHaveBeenCalledWith(expect.objectContaining({ operation: 'swap', status: 'confirmed', attempts: 3 }));
+  });
+
+  test('gives up on fatal errors without retrying', async () => {
+    const { submitter, monitor } = makeSubmitter(makeProvider());
+    const send = jest.fn().mockRejectedValue(Object.assign(codeError('CALL_EXCEPTION'), { revert: { name: 'InsufficientBalance' } }));
+
+    const error = await submitter.submit(send, { operation: 'deposit' }).catch(failure => failure);
+
+    expect(error).toBeInstanceOf(RelaySubmitError);
+    expect(error).toMatchObject({ code: 'reverted', attempts: 1, revert: { name: 'InsufficientBalance' } });
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(monitor.recordRelayOutcome).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', reason: 'reverted' }));
+  });
+
+  test('stops after the configured attempts', async () => {
+    const { submitter } = makeSubmitter(makeProvider());
+    const send = jest.fn().mockRejectedValue(codeError('SERVER_ERROR'));
+
+    await expect(submitter.submit(send, { signer: { address: USER } })).rejects.toMatchObject({ code: 'network', attempts: 3 });
+    expect(send).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not resend when the sender nonce moved during a failed send', async () => {
+    const provider = makeProvider();
+    const { submitter, monitor } = makeSubmitter(provider);
+    const send = jest.fn(async () => {
+      provider.accountNonce++; // the node took the tx, then the response was lost
+      throw codeError('TIMEOUT');
+    });
+
+    const error = await submitter.submit(send, { operation: 'swap', signer: { address: USER } }).catch(failure => failure);
+
+    expect(error).toMatchObject({ code: 'maybe_sent', attempts: 1 });
+    expect(mayStillMine(error)).toBe(true);
+    expect(formatRelayFailure(error)).toContain('may have been sent');
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(monitor.recordRelayOutcome).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', reason: 'maybe_sent' }));
+  });
+
+  test('waits for a tx found by the hash of the signed tx a failed send carries', async () => {
+    const signed = '0x02f86c' + 'ab'.repeat(40);
+    const hash = ethers.keccak256(signed);
+    const provider = makeProvider({ known: { [hash]: makeTx(hash) }, mined: { [hash]: { hash, status: 1, blockNumber: 4 } } });
+    const { submitter } = makeSubmitter(provider);
+    const send = jest.fn().mockRejectedValue(Object.assign(codeError('NETWORK_ERROR'), { transaction: signed }));
+    const onSent = jest.fn();
+
+    const result = await submitter.submit(send, { onSent });
+
+    expect(result.tx.hash).toBe(hash);
+    expect(result.receipt.blockNumber).toBe(4);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(onSent).toHaveBeenCalledWith(expect.objectContaining({ hash }));
+  });
+
+  test('does not resend when it cannot tell whether the tx went out', async () => {
+    const { submitter } = makeSubmitter(makeProvider());
+    const send = jest.fn().mockRejectedValue(codeError('ECONNRESET'));
+
+    // No signer and no Fisher wallet, so no nonce to compare
+    await expect(submitter.submit(send)).rejects.toMatchObject({ code: 'maybe_sent' });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('replaces a stuck tx with bumped fees and returns whichever mines', async () => {
+    const provider = makeProvider();
+    const signer = {
+      address: USER,
+      sendTransaction: jest.fn(async (request) => {
+        provider.mined['0xbumped'] = { hash: '0xbumped', status: 1, blockNumber: 9 };
+        return makeTx('0xbumped', request);
+      }),
+    };
+    const { submitter, monitor } = makeSubmitter(provider);
+    const onSent = jest.fn();
+
+    const result = await submitter.submit(async () => makeTx('0xslow'), { operation: 'swap', signer, onSent });
+
+    expect(result.tx.hash).toBe('0xbumped');
+    expect(result.feeBumps).toBe(1);
+    expect(signer.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      nonce: 7,
+      data: '0x1234',
+      maxFeePerGas: 20n * GWEI, // network fee is above +15%
+      maxPriorityFeePerGas: 1150000000n,
+    }));
+    expect(onSent.mock.calls.map(([tx]) => tx.hash)).toEqual(['0xslow', '0xbumped']);
+    expect(monitor.recordRelayOutcome).toHaveBeenCalledWith(expect.objectContaining({ status: 'confirmed', feeBumps: 1 }));
+  });
+
+  test('reports a tx stuck after the last fee bump without resending it', async () => {
+    const provider = makeProvider();
+    let sent = 0;
+    const signer = { address: USER, sendTransaction: jest.fn(async (request) => makeTx(`0xbump${++sent}`, request)) };
+    const { submitter, monitor } = makeSubmitter(provider);
+    const send = jest.fn(async () => makeTx('0xslow'));
+
+    const error = await submitter.submit(send, { signer }).catch(failure => failure);
+
+    expect(error).toMatchObject({ code: 'stuck', feeBumps: 2, txHash: '0xbump2' });
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(formatRelayFailure(error)).toContain('0xbump2');
+    expect(monitor.recordRelayOutcome).toHaveBeenCalledWith(expect.objectContaining({ status: 'stuck', reason: 'stuck' }));
+  });
+
+  test('reports reverted receipts as fatal', async () => {
+    const provider = makeProvider({ mined: { '0xbad': { hash: '0xbad', status: 0, blockNumber: 3 } } });
+    const { submitter } = makeSubmitter(provider);
+
+    await expect(submitter.submit(async () => makeTx('0xbad'))).rejects.toMatchObject({ code: 'reverted', txHash: '0xbad' });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for the shared swap intent codec
+ * Covers ABI round trips, price quoting across decimals, slippage rounding and validation
+ */
+
+import { ethers } from 'ethers';
+import {
+  encodeSwapIntent,
+  decodeSwapIntent,
+  quoteAmountOut,
+  applySlippage,
+  buildSwapIntent,
+  DEFAULT_DEADLINE_SECONDS,
+} from '../../shared/swapIntentCodec.js';
+
+const WETH = '0x' + '11'.repeat(20);
+const USDC = '0x' + '22'.repeat(20);
+
+describe('Swap Intent Codec', () => {
+  test('encodes and decodes the settlement tuple', () => {
+    const intent = { tokenIn: WETH, tokenOut: USDC, amountIn: 10n ** 18n, minAmountOut: 2487500000n, deadline: 1700001200 };
+
+    const decoded = decodeSwapIntent(encodeSwapIntent(intent));
+
+    expect(decoded.tokenIn.toLowerCase()).toBe(WETH);
+    expect(decoded.tokenOut.toLowerCase()).toBe(USDC);
+    expect(decoded.amountIn).toBe(intent.amountIn);
+    expect(decoded.minAmountOut).toBe(intent.minAmountOut);
+    expect(decoded.deadline).toBe(intent.deadline);
+  });
+
+  test('quotes across token decimals', () => {
+    expect(quoteAmountOut(ethers.parseEther('1'), '2500', 18, 6)).toBe(2500000000n);
+    expect(quoteAmountOut(2500000000n, 0.0004, 6, 18)).toBe(ethers.parseEther('1'));
+    expect(quoteAmountOut(ethers.parseEther('0.5'), '2500.123456', 18, 6)).toBe(1250061728n);
+  });
+
+  test('applies slippage rounding down', () => {
+    expect(applySlippage(2500000000n, 50)).toBe(2487500000n);
+    expect(applySlippage(999n, 1)).toBe(998n);
+    expect(applySlippage(1000n, 0)).toBe(1000n);
+  });
+
+  test('builds an intent with minAmountOut and deadline', () => {
+    const { params, quotedAmountOut, data } = buildSwapIntent({
+      tokenIn: WETH,
+      tokenOut: USDC,
+      amountIn: ethers.parseEther('1'),
+      price: '2500',
+      decimalsOut: 6,
+      slippageBps: 100,
+      now: 1700000000,
+    });
+
+    expect(quotedAmountOut).toBe(2500000000n);
+    expect(params.minAmountOut).toBe(2475000000n);
+    expect(params.deadline).toBe(1700000000 + DEFAULT_DEADLINE_SECONDS);
+    expect(decodeSwapIntent(data).minAmountOut).toBe(2475000000n);
+  });
+
+  test('rejects invalid intents', () => {
+    const base = { tokenIn: WETH, tokenOut: USDC, amountIn: 1n, minAmountOut: 0n, deadline: 1 };
+
+    expect(() => encodeSwapIntent({ ...base, tokenIn: 'ETH' })).toThrow('must be addresses');
+    expect(() => encodeSwapIntent({ ...base, tokenOut: WETH })).toThrow('must differ');
+    expect(() => encodeSwapIntent({ ...base, amountIn: 0n })).toThrow('amountIn must be positive');
+    expect(() => applySlippage(1000n, 5001)).toThrow('Slippage must be between');
+    expect(() => applySlippage(1000n, 0.5)).toThrow('Slippage must be between');
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for menu confirm buttons keyed by flow
+ */
+
+import { jest } from '@jest/globals';
+import { idempotencyStore } from '../src/evvm/idempotencyStore.js';
+import { CallbackRouter } from '../src/telegram/callbackRouter.js';
+import { TelegramStateManager } from '../src/telegram/stateManager.js';
+
+const executeConfirmedLending = jest.fn(({ operation, amount, idempotencyKey }) =>
+  idempotencyStore.run(idempotencyKey, async () => `✅ ${operation} ${amount} ETH`));
+
+jest.unstable_mockModule('../src/handlers/intentHandler.js', () => ({ executeConfirmedLending }));
+
+const { lendCallbacks, handleLendText } = await import('../src/telegram/handlers/lend.js');
+
+// Every tap arrives on the one menu message the bot keeps editing
+function makeCallbackCtx(data, userId = 42) {
+  return {
+    from: { id: userId },
+    chat: { id: userId },
+    callbackQuery: { id: `cb-${data}`, data, from: { id: userId }, message: { message_id: 7, chat: { id: userId } } },
+    answerCbQuery: jest.fn(async () => {}),
+    editMessageText: jest.fn(async () => {}),
+  };
+}
+
+function confirmButton(markup) {
+  return markup.inline_keyboard[0][0].callback_data;
+}
+
+describe('menu confirm flows', () => {
+  let stateManager;
+  let router;
+  let context;
+
+  beforeEach(() => {
+    // Skip the processing pause
+    jest.spyOn(global, 'setTimeout').mockImplementation(resolve => resolve());
+    executeConfirmedLending.mockClear();
+    stateManager = new TelegramStateManager();
+    router = new CallbackRouter([lendCallbacks]);
+    context = { userId: '42', pushView: jest.fn(), popView: jest.fn(), stateManager };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function tap(data) {
+    const ctx = makeCallbackCtx(data);
+    await router.dispatch(ctx, data, context);
+    return ctx;
+  }
+
+  async function openLendConfirm(amount) {
+    stateManager.userStates.set('42', { action: 'deposit_amount', step: 'amount', operation: 'deposit' });
+    const ctx = { from: { id: 42 }, reply: jest.fn(async () => {}) };
+    await handleLendText(ctx, amount, jest.fn(), stateManager.userStates);
+    return confirmButton(ctx.reply.mock.calls[0][1].reply_markup);
+  }
+
+  test('two confirms from the same edited message each run their own flow', async () => {
+    const first = await openLendConfirm('0.5');
+    await tap(first);
+    const second = await openLendConfirm('2');
+    const secondCtx = await tap(second);
+
+    expect(first).not.toBe(second);
+    expect(executeConfirmedLending).toHaveBeenCalledTimes(2);
+    const [[firstCall], [secondCall]] = executeConfirmedLending.mock.calls;
+    expect(firstCall).toMatchObject({ operation: 'deposit', amount: '0.5' });
+    expect(secondCall).toMatchObject({ operation: 'deposit', amount: '2' });
+    expect(firstCall.idempotencyKey).not.toBe(secondCall.idempotencyKey);
+    expect(secondCtx.editMessageText).toHaveBeenLastCalledWith('✅ deposit 2 ETH', expect.anything());
+  });
+
+  test('a term lend confirmed twice on one message runs once per flow', async () => {
+    const openTermLend = async () => {
+      const ctx = await tap('quick_lend_1_eth');
+      return confirmButton(ctx.editMessageText.mock.calls[0][1].reply_markup);
+    };
+
+    const first = await openTermLend();
+    await tap(first);
+    const second = await openTermLend();
+    await tap(second);
+
+    expect(executeConfirmedLending).toHaveBeenCalledTimes(2);
+    expect(executeConfirmedLending.mock.calls[0][0].idempotencyKey).not.toBe(executeConfirmedLending.mock.calls[1][0].idempotencyKey);
+  });
+
+  test('a late tap on a finished flow shows its result without running again', async () => {
+    const first = await openLendConfirm('0.5');
+    await tap(first);
+    await openLendConfirm('2');
+
+    const lateCtx = await tap(first);
+
+    expect(executeConfirmedLending).toHaveBeenCalledTimes(1);
+    expect(lateCtx.editMessageText).toHaveBeenCalledWith('✅ deposit 0.5 ETH');
+  });
+
+  test('confirm buttons without a flow id never run the current state', async () => {
+    stateManager.userStates.set('42', { action: 'confirm_lend', lend: { token: 'ETH', amount: '1', duration: '30' }, step: 'confirm' });
+
+    const ctx = await tap('confirm_lend_execute');
+
+    expect(executeConfirmedLending).not.toHaveBeenCalled();
+    expect(ctx.editMessageText).toHaveBeenCalledWith('❌ Session expired. Please start again.');
+  });
+});
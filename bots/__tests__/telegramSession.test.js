@@ -0,0 +1,133 @@
+/**
+ * Tests for Telegram conversational state expiry and cancel
+ */
+
+import { jest } from '@jest/globals';
+import { TelegramStateManager, ExpiringStateMap } from '../src/telegram/stateManager.js';
+import {
+  CANCEL_FLOW_CALLBACK,
+  getCancelRow,
+  getFlowExpiredText,
+  handleFlowCancel,
+  handleCancelCommand,
+} from '../src/telegram/handlers/session.js';
+
+function makeCtx(userId = 42) {
+  return {
+    from: { id: userId },
+    answerCbQuery: jest.fn(async () => {}),
+    editMessageText: jest.fn(async () => {}),
+    reply: jest.fn(async () => {}),
+  };
+}
+
+describe('ExpiringStateMap', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('drops a state once its TTL passes and reports it once', () => {
+    const states = new ExpiringStateMap(60000);
+    states.set('42', { action: 'custom_swap', step: 'amount' });
+
+    now += 59999;
+    expect(states.get('42')).toEqual({ action: 'custom_swap', step: 'amount' });
+
+    now += 1;
+    expect(states.get('42')).toBeUndefined();
+    expect(states.has('42')).toBe(false);
+    expect(states.takeExpired('42')).toEqual({ action: 'custom_swap', step: 'amount' });
+    expect(states.takeExpired('42')).toBeNull();
+  });
+
+  test('renews the TTL on every set', () => {
+    const states = new ExpiringStateMap(60000);
+    states.set('42', { action: 'custom_swap', step: 'amount' });
+
+    now += 50000;
+    states.set('42', { action: 'custom_swap', step: 'complete' });
+    now += 50000;
+
+    expect(states.get('42')).toEqual({ action: 'custom_swap', step: 'complete' });
+    expect(states.takeExpired('42')).toBeNull();
+  });
+
+  test('sweep returns expired states not reported yet, and deleted states never expire', () => {
+    const states = new ExpiringStateMap(60000);
+    states.set('1', { action: 'custom_swap' });
+    states.set('2', { operation: 'deposit' });
+    states.set('3', { action: 'custom_lend' });
+    states.delete('3');
+
+    now += 60000;
+    expect(states.takeExpired('1')).toEqual({ action: 'custom_swap' });
+    expect(states.sweep()).toEqual([['2', { operation: 'deposit' }]]);
+    expect(states.sweep()).toEqual([]);
+    expect(states.size).toBe(0);
+  });
+});
+
+describe('TelegramStateManager expiry sweep', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('notifies each timed-out flow on the sweep interval', () => {
+    jest.useFakeTimers();
+    const manager = new TelegramStateManager({ stateTtlMs: 1000 });
+    const onExpire = jest.fn();
+    manager.setUserState('42', { action: 'custom_swap', step: 'amount' });
+
+    manager.startExpirySweep(onExpire, 500);
+    jest.advanceTimersByTime(500);
+    expect(onExpire).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(500);
+    expect(onExpire).toHaveBeenCalledWith('42', { action: 'custom_swap', step: 'amount' });
+    expect(manager.getUserState('42')).toBeUndefined();
+
+    jest.advanceTimersByTime(1000);
+    expect(onExpire).toHaveBeenCalledTimes(1);
+    manager.stopExpirySweep();
+  });
+});
+
+describe('flow cancel', () => {
+  const goHome = () => ({ text: '🌑 *Shadow Nox*', markup: { inline_keyboard: [] } });
+
+  test('Cancel button clears the flow and returns to the dashboard', async () => {
+    const manager = new TelegramStateManager();
+    manager.setUserState('42', { action: 'confirm_swap', swap: { from: 'ETH', to: 'USDC', amount: '1' } });
+    const ctx = makeCtx();
+
+    expect(getCancelRow()).toEqual([{ text: '❌ Cancel', callback_data: CANCEL_FLOW_CALLBACK }]);
+    await handleFlowCancel(ctx, manager, goHome);
+
+    expect(manager.getUserState('42')).toBeUndefined();
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith('Cancelled');
+    expect(ctx.editMessageText.mock.calls[0][0]).toBe('❌ Swap cancelled.\n\n🌑 *Shadow Nox*');
+  });
+
+  test('/cancel aborts an active flow and leaves other cancels to the command handler', async () => {
+    const manager = new TelegramStateManager();
+    manager.setUserState('42', { action: 'add_collateral_amount', step: 'amount', operation: 'add_collateral' });
+    const ctx = makeCtx();
+
+    await expect(handleCancelCommand(ctx, manager)).resolves.toBe(true);
+    expect(ctx.reply).toHaveBeenCalledWith('❌ Add collateral cancelled.');
+    await expect(handleCancelCommand(makeCtx(), manager)).resolves.toBe(false);
+  });
+
+  test('timeout notice names the flow and the TTL', () => {
+    expect(getFlowExpiredText({ action: 'custom_swap' }, 600000))
+      .toMatch(/^⌛ Your pending swap timed out after 10 minutes/);
+    expect(getFlowExpiredText({ operation: 'borrow' }, 60000)).toContain('borrow timed out after 1 minute without');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for persisting Telegram state across restarts
+ * File stores write to a temp directory; the sqlite backend needs node:sqlite
+ * (Node.js 22.5+) and is not covered here
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TelegramStateManager } from '../src/telegram/stateManager.js';
+import {
+  FileStateStore,
+  MemoryStateStore,
+  STATE_SCHEMA_VERSION,
+  createStateStore,
+  deserializeState,
+  migrateSnapshot,
+  serializeState,
+} from '../src/telegram/stateStore.js';
+
+describe('state serialization', () => {
+  test('round-trips bigints and Dates', () => {
+    const value = { amount: 1500000000000000000n, at: new Date('2026-01-02T03:04:05.000Z'), nested: [{ fee: 7n }] };
+    const text = serializeState(value);
+
+    expect(JSON.parse(text).amount).toEqual({ $bigint: '1500000000000000000' });
+    expect(deserializeState(text)).toEqual(value);
+  });
+});
+
+describe('migrateSnapshot', () => {
+  test('applies each migration from the stored version up', () => {
+    const migrations = {
+      1: (data) => ({ ...data, alerts: { 42: { ...data.alerts[42], threshold: data.alerts[42].pct } } }),
+      2: (data) => ({ ...data, views: {} }),
+    };
+    const result = migrateSnapshot(
+      { version: 1, data: { alerts: { 42: { symbol: 'ETH/USD', pct: 5 } }, views: { 42: [] } } },
+      { migrations, version: 3 }
+    );
+
+    expect(result).toMatchObject({ version: 3, migrated: true });
+    expect(result.data.alerts[42]).toEqual({ symbol: 'ETH/USD', pct: 5, threshold: 5 });
+    expect(result.data.views).toEqual({});
+    expect(result.data.sessions).toEqual({});
+  });
+
+  test('refuses snapshots from a newer schema or without a migration path', () => {
+    expect(() => migrateSnapshot({ version: STATE_SCHEMA_VERSION + 1, data: {} })).toThrow(expect.objectContaining({ code: 'newer_schema' }));
+    expect(() => migrateSnapshot({ version: 1, data: {} }, { migrations: {}, version: 2 })).toThrow(expect.objectContaining({ code: 'missing_migration' }));
+  });
+});
+
+describe('FileStateStore', () => {
+  let dir;
+  let stateFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-state-'));
+    stateFile = path.join(dir, '.telegram_state.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('alerts, views and pending flows survive a restart', () => {
+    const before = new TelegramStateManager({ stateTtlMs: 60000, store: new FileStateStore({ stateFile }) });
+    before.resetViewStack('7', { text: 'home', markup: { inline_keyboard: [] } });
+    before.pushView('7', 'swap', { inline_keyboard: [[{ text: 'Back', callback_data: 'nav_back_prev' }]] });
+    before.setUserState('42', { action: 'custom_swap', step: 'amount', swap: { from: 'ETH', to: 'USDC' } });
+    before.alertsByUserId.set('42', { symbol: 'ETH/USD', threshold: 5, enabled: true });
+    before.setUserAlert('43', { symbol: 'BTC/USD', threshold: 3, enabled: true });
+    before.removeUserAlert('43');
+    before.close();
+
+    const after = new TelegramStateManager({ stateTtlMs: 60000, store: new FileStateStore({ stateFile }) });
+
+    expect(after.getCurrentView('7').text).toBe('swap');
+    expect(after.popView('7').text).toBe('home');
+    expect(after.getUserState('42')).toEqual({ action: 'custom_swap', step: 'amount', swap: { from: 'ETH', to: 'USDC' } });
+    expect(after.getUserAlert('42')).toEqual({ symbol: 'ETH/USD', threshold: 5, enabled: true });
+    expect(after.hasUserAlert('43')).toBe(false);
+    expect(JSON.parse(fs.readFileSync(stateFile, 'utf-8')).version).toBe(STATE_SCHEMA_VERSION);
+  });
+
+  test('a flow that timed out during the restart is reported once and not restored again', () => {
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const before = new TelegramStateManager({ stateTtlMs: 60000, store: new FileStateStore({ stateFile }) });
+    before.setUserState('42', { action: 'custom_lend', step: 'amount' });
+
+    now += 60000;
+    const after = new TelegramStateManager({ stateTtlMs: 60000, store: new FileStateStore({ stateFile }) });
+
+    expect(after.getUserState('42')).toBeUndefined();
+    expect(after.takeExpiredUserState('42')).toEqual({ action: 'custom_lend', step: 'amount' });
+    expect(new FileStateStore({ stateFile }).load().sessions).toEqual({});
+  });
+
+  test('migrates an older file and writes it back at the current version', () => {
+    fs.writeFileSync(stateFile, JSON.stringify({ version: 1, data: { alerts: { 42: { symbol: 'ETH/USD', pct: 5 } } } }));
+    const migrations = { 1: (data) => ({ ...data, alerts: { 42: { symbol: data.alerts[42].symbol, threshold: data.alerts[42].pct } } }) };
+
+    const data = new FileStateStore({ stateFile, migrations, version: 2 }).load();
+
+    expect(data.alerts[42]).toEqual({ symbol: 'ETH/USD', threshold: 5 });
+    expect(JSON.parse(fs.readFileSync(stateFile, 'utf-8'))).toMatchObject({ version: 2, data: { alerts: { 42: { threshold: 5 } } } });
+  });
+
+  test('leaves a newer file alone and does not save over it', () => {
+    const newer = JSON.stringify({ version: STATE_SCHEMA_VERSION + 1, data: { alerts: { 42: { future: true } } } });
+    fs.writeFileSync(stateFile, newer);
+
+    const store = new FileStateStore({ stateFile });
+    expect(store.load().alerts).toEqual({});
+    store.set('alerts', '42', { symbol: 'ETH/USD' });
+
+    expect(fs.readFileSync(stateFile, 'utf-8')).toBe(newer);
+  });
+
+  test('moves an unreadable file aside and starts empty', () => {
+    fs.writeFileSync(stateFile, '{"version": 1, "data": {');
+
+    const store = new FileStateStore({ stateFile });
+    expect(store.load()).toEqual({ views: {}, sessions: {}, alerts: {}, idempotency: {}, confirmations: {} });
+    store.set('alerts', '42', { symbol: 'ETH/USD' });
+
+    expect(fs.readdirSync(dir).some(name => name.startsWith('.telegram_state.json.corrupt-'))).toBe(true);
+    expect(new FileStateStore({ stateFile }).load().alerts).toEqual({ 42: { symbol: 'ETH/USD' } });
+  });
+});
+
+describe('createStateStore', () => {
+  test('picks the configured backend', () => {
+    expect(createStateStore({ backend: 'memory' })).toBeInstanceOf(MemoryStateStore);
+    expect(createStateStore({ backend: 'file', file: 'state.json' }).stateFile).toBe('state.json');
+    expect(() => createStateStore({ backend: 'redis' })).toThrow(expect.objectContaining({ code: 'unknown_backend' }));
+  });
+});
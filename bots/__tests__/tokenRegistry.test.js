@@ -0,0 +1,69 @@
+/**
+ * Tests for the shared token registry
+ * Covers lookups, config overrides, per-chain addresses and unknown tokens
+ */
+
+import { ethers } from 'ethers';
+import { TokenRegistry, DEFAULT_TOKENS, getTokenAddressOverrides } from '../../shared/tokenRegistry.js';
+import { SUPPORTED_TOKENS } from '../src/handlers/intentParser.js';
+
+const CHAIN_ID = 118;
+const USDC = '0x' + '22'.repeat(20);
+
+describe('Token Registry', () => {
+  const registry = new TokenRegistry(DEFAULT_TOKENS, {
+    USDC: { addresses: { [CHAIN_ID]: USDC } },
+    USDT: { addresses: { [CHAIN_ID]: undefined } },
+  });
+
+  test('looks up tokens case-insensitively', () => {
+    const token = registry.get('usdc');
+
+    expect(token.symbol).toBe('USDC');
+    expect(token.decimals).toBe(6);
+    expect(token.priceSymbol).toBe('USDC/USD');
+    expect(token.pythFeedId).toMatch(/^0x[0-9a-f]{64}$/);
+  });
+
+  test('rejects unknown tokens instead of falling back', () => {
+    expect(registry.has('DOGE')).toBe(false);
+    expect(() => registry.get('DOGE')).toThrow('Unknown token "DOGE". Supported: ETH, USDC, USDT');
+  });
+
+  test('resolves addresses per chain', () => {
+    expect(registry.getAddress('ETH', CHAIN_ID)).toBe(ethers.ZeroAddress);
+    expect(registry.getAddress('USDC', CHAIN_ID)).toBe(USDC);
+    expect(registry.getAddress('USDC', 1)).toBe('0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48');
+    expect(() => registry.getAddress('USDT', CHAIN_ID)).toThrow('USDT has no address configured for chain 118');
+  });
+
+  test('finds tokens by address', () => {
+    expect(registry.findByAddress(USDC, CHAIN_ID).symbol).toBe('USDC');
+    expect(registry.findByAddress(ethers.ZeroAddress, CHAIN_ID).symbol).toBe('ETH');
+    expect(registry.findByAddress('0x' + '99'.repeat(20), CHAIN_ID)).toBeNull();
+  });
+
+  test('adds tokens from config and validates them', () => {
+    const extended = new TokenRegistry(DEFAULT_TOKENS, {
+      WBTC: { decimals: 8, pythFeedId: '0x' + 'ab'.repeat(32), addresses: { [CHAIN_ID]: '0x' + '33'.repeat(20) } },
+    });
+
+    expect(extended.symbols()).toEqual(['ETH', 'USDC', 'USDT', 'WBTC']);
+    expect(extended.get('WBTC').priceSymbol).toBe('WBTC/USD');
+    expect(() => new TokenRegistry(DEFAULT_TOKENS, { DOGE: { decimals: 8 } })).toThrow('needs decimals and pythFeedId');
+    expect(() => new TokenRegistry(DEFAULT_TOKENS, { USDC: { addresses: { 1: 'nope' } } })).toThrow('Invalid USDC address');
+  });
+
+  test('reads each token address from <prefix><SYMBOL>_ADDRESS', () => {
+    const overrides = getTokenAddressOverrides({ VITE_USDC_ADDRESS: USDC }, CHAIN_ID, { prefix: 'VITE_' });
+    const configured = new TokenRegistry(DEFAULT_TOKENS, overrides);
+
+    expect(Object.keys(overrides)).toEqual(['USDC', 'USDT']);
+    expect(configured.getAddress('USDC', CHAIN_ID)).toBe(USDC);
+    expect(() => configured.getAddress('USDT', CHAIN_ID)).toThrow('no address configured');
+  });
+
+  test('the intent parser accepts exactly the registry tokens', () => {
+    expect(SUPPORTED_TOKENS).toEqual(['ETH', 'USDC', 'USDT']);
+  });
+});
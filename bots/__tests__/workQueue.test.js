@@ -0,0 +1,169 @@
+/**
+ * Tests for the leased Fisher work queue
+ * Runs against the local RESP stand-in on a real socket
+ */
+
+import { RespClient, RespParser, RespError, encodeCommand } from '../src/relay/resp.js';
+import { createRespStandIn } from '../src/relay/respStandIn.js';
+import { LeasedWorkQueue } from '../src/relay/workQueue.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('RESP client and stand-in', () => {
+  let server;
+  let client;
+
+  beforeAll(async () => {
+    server = createRespStandIn();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new RespClient({ url: `redis://127.0.0.1:${server.address().port}` });
+  });
+
+  afterAll(async () => {
+    client.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('parses replies split across chunks', () => {
+    const parser = new RespParser();
+    const reply = Buffer.from('*3\r\n$5\r\nhello\r\n:42\r\n$-1\r\n+OK\r\n');
+
+    expect(parser.push(reply.subarray(0, 9))).toEqual([]);
+    expect(parser.push(reply.subarray(9))).toEqual([['hello', 42, null], 'OK']);
+    expect(encodeCommand(['SET', 'k', 'vé'])).toBe('*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$3\r\nvé\r\n');
+  });
+
+  test('supports SET NX with expiry, lists and sets', async () => {
+    expect(await client.command('SET', 'lock', 'a', 'NX', 'PX', 30)).toBe('OK');
+    expect(await client.command('SET', 'lock', 'b', 'NX', 'PX', 30)).toBeNull();
+    expect(await client.command('GET', 'lock')).toBe('a');
+    await sleep(40);
+    expect(await client.command('EXISTS', 'lock')).toBe(0);
+
+    await client.command('RPUSH', 'list', 'x', 'y', 'x', 'z');
+    expect(await client.command('LREM', 'list', 0, 'x')).toBe(2);
+    expect(await client.command('LRANGE', 'list', 0, -1)).toEqual(['y', 'z']);
+
+    expect(await client.command('SADD', 'set', 'a', 'b', 'a')).toBe(2);
+    expect(await client.command('SREM', 'set', 'a')).toBe(1);
+    expect(await client.command('SMEMBERS', 'set')).toEqual(['b']);
+  });
+
+  test('rejects error replies with RespError', async () => {
+    await expect(client.command('GET', 'list')).rejects.toThrow(RespError);
+    await expect(client.command('FLUSHALL')).rejects.toThrow("unknown command 'FLUSHALL'");
+  });
+});
+
+describe('LeasedWorkQueue', () => {
+  let server;
+  let clients;
+  let prefix = 0;
+
+  const makeQueues = (leaseMs = 60) => {
+    const url = `redis://127.0.0.1:${server.address().port}`;
+    prefix++;
+    return ['fisher-a', 'fisher-b'].map(instanceId => {
+      const client = new RespClient({ url });
+      clients.push(client);
+      return new LeasedWorkQueue({ client, instanceId, leaseMs, prefix: `test${prefix}` });
+    });
+  };
+
+  beforeAll(async () => {
+    server = createRespStandIn();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.close());
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('leases each item to exactly one instance', async () => {
+    const [a, b] = makeQueues();
+
+    expect(await a.enqueue('intent-1', { n: 1 })).toBe(true);
+    expect(await b.enqueue('intent-1', { n: 1 })).toBe(false);
+    await b.enqueue('intent-2', { n: 2 });
+
+    const [first, second] = await Promise.all([a.claim(), b.claim()]);
+    const third = await a.claim();
+
+    expect([first.id, second.id].sort()).toEqual(['intent-1', 'intent-2']);
+    expect(third).toBeNull();
+    expect(await a.get(first.id)).toMatchObject({ status: 'leased', attempts: 1 });
+  });
+
+  test('hands work to another instance when the owner stops heartbeating', async () => {
+    const [a, b] = makeQueues();
+    await a.enqueue('intent-1', { status: 'queued' });
+
+    const leased = await a.claim();
+    await a.update(leased.id, { status: 'submitted', txHash: '0xabc' });
+    expect(await b.reclaimExpired()).toBe(0);
+
+    await sleep(80); // a dies: no heartbeat, lease expires
+    expect(await b.reclaimExpired()).toBe(1);
+    const takeover = await b.claim();
+
+    expect(takeover).toEqual({ id: 'intent-1', payload: { status: 'submitted', txHash: '0xabc' }, attempts: 2 });
+    expect(await a.heartbeat('intent-1')).toBe(false);
+    expect(await a.update('intent-1', { status: 'stale' })).toBe(false);
+
+    await b.complete('intent-1', { status: 'confirmed' });
+    expect(await a.get('intent-1')).toMatchObject({ status: 'done', owner: 'fisher-b', payload: { status: 'confirmed' } });
+    expect(await a.reclaimExpired()).toBe(0);
+    expect(await a.claim()).toBeNull();
+  });
+
+  test('heartbeats keep the lease alive', async () => {
+    const [a, b] = makeQueues();
+    await a.enqueue('intent-1', {});
+    await a.claim();
+
+    for (let i = 0; i < 4; i++) {
+      await sleep(30);
+      expect(await a.heartbeat('intent-1')).toBe(true);
+    }
+    expect(await b.reclaimExpired()).toBe(0);
+    expect(await b.claim()).toBeNull();
+  });
+
+  test('reserves nonces and counts pending work across instances', async () => {
+    const [a, b] = makeQueues();
+
+    expect(await a.reserveNonce('0xAbC', 3, 'intent-1')).toBeNull();
+    expect(await b.reserveNonce('0xabc', 3, 'intent-2')).toBe('intent-1');
+    expect(await b.countPending('0xabc')).toBe(1);
+
+    await b.releaseNonce('0xabc', 3, 'intent-2');
+    expect(await a.countPending('0xabc')).toBe(1);
+    await a.retireNonce('0xabc', 'intent-1');
+    expect(await b.countPending('0xabc')).toBe(0);
+    expect(await b.reserveNonce('0xabc', 3, 'intent-2')).toBe('intent-1');
+
+    await a.releaseNonce('0xabc', 3, 'intent-1');
+    expect(await b.reserveNonce('0xabc', 3, 'intent-2')).toBeNull();
+  });
+
+  test('reports depth and lost leases', async () => {
+    const [a, b] = makeQueues(30);
+    await a.enqueue('intent-1', {});
+    await a.enqueue('intent-2', {});
+    await a.claim();
+
+    expect(await b.depth()).toEqual({ ready: 1, active: 1 });
+    await expect(a.assertLease('intent-1')).resolves.toBeUndefined();
+    await expect(b.assertLease('intent-1')).rejects.toMatchObject({ name: 'LeaseLostError', code: 'lease_lost' });
+    await sleep(40);
+    await expect(a.assertLease('intent-1')).rejects.toThrow('no longer held by fisher-a');
+  });
+});
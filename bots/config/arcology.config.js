@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { getTokenAddressOverrides } from '../../shared/tokenRegistry.js';
 dotenv.config();
 
 export const arcologyConfig = {
@@ -10,10 +11,39 @@ export const arcologyConfig = {
   contracts: {
     shadowVault: process.env.SHADOW_VAULT_ADDRESS,
     encryptedSwap: process.env.ENCRYPTED_SWAP_ADDRESS,
+    simpleLending: process.env.SIMPLE_LENDING_ADDRESS,
     asyncNonceEngine: process.env.ASYNC_NONCE_ENGINE_ADDRESS,
+    fisherRewards: process.env.FISHER_REWARDS_ADDRESS,
+    fisherForwarder: process.env.FISHER_FORWARDER_ADDRESS,
     pythAdapter: process.env.PYTH_ADAPTER_ADDRESS
   },
   
+  // Collateral token passed to SimpleLending.addCollateral (zero address = native ETH)
+  collateralToken: process.env.COLLATERAL_TOKEN_ADDRESS || '0x0000000000000000000000000000000000000000',
+  
+  // Token registry overrides, merged over shared/tokenRegistry.js DEFAULT_TOKENS:
+  // each token's address on this chain from <SYMBOL>_ADDRESS. Addresses are
+  // keyed by chain id; new symbols need decimals and pythFeedId.
+  tokens: getTokenAddressOverrides(process.env, process.env.ARCOLOGY_CHAIN_ID || '118'),
+  
+  // Fisher public key that intent envelopes are wrapped to (defaults to the bot wallet's key)
+  fisherPublicKey: process.env.FISHER_PUBLIC_KEY,
+  
+  // Fisher rewards: gas cost of each relayed tx × operation complexity × multiplier
+  fisherRewards: {
+    multiplier: parseFloat(process.env.FISHER_REWARD_MULTIPLIER || '1.1')
+  },
+  
+  // Gasless relay: users sign ERC-2771 requests, the Fisher submits them through
+  // FisherForwarder and is repaid from the user's relay fee balance (on when
+  // FISHER_FORWARDER_ADDRESS is set). Request gas is the estimate × gasMargin.
+  gasless: {
+    deadlineSeconds: 300,
+    gasMargin: 1.2,
+    // Users sign a fee cap of this multiple of the gas price when the request is made
+    feeCapMultiplier: 2
+  },
+  
   // Transaction settings for Arcology
   gasLimit: 5000000,
   maxFeePerGas: null, // Auto-detect from Arcology
@@ -23,11 +53,50 @@ export const arcologyConfig = {
   maxPendingAsyncTxs: 5,
   asyncTxTimeout: 60000, // 60 seconds
   
+  // Async/sync nonce policy, merged over DEFAULT_NONCE_POLICY in src/evvm/noncePolicy.js.
+  // NONCE_TYPE_OVERRIDES pins users to a type, e.g. "0xabc...:sync,0xdef...:async"
+  noncePolicy: {
+    overrides: Object.fromEntries(
+      (process.env.NONCE_TYPE_OVERRIDES || '')
+        .split(',')
+        .filter(Boolean)
+        .map(entry => entry.trim().split(':'))
+    )
+  },
+  
+  // Shared work queue for running several Fisher relay instances (off when WORK_QUEUE_URL is unset).
+  // An instance that misses heartbeats for leaseMs loses its intents to the others.
+  workQueue: {
+    url: process.env.WORK_QUEUE_URL,
+    prefix: process.env.WORK_QUEUE_PREFIX || 'fisher',
+    leaseMs: parseInt(process.env.WORK_QUEUE_LEASE_MS || '30000'),
+    pollInterval: 1000
+  },
+  
   parallelExecutionEnabled: true,
   optimisticConcurrency: true,
   
+  // Relayed tx retries: sends per tx, and the backoff after the first failure (doubled each time)
   retryAttempts: 3,
-  retryDelay: 1000 // 1 second
+  retryDelay: 1000, // 1 second
+  
+  // A relayed tx without a receipt after stuckTxTimeout is replaced with fees raised by
+  // feeBumpPercent (nodes require at least 10%), up to maxFeeBumps times before it is reported stuck
+  relayRetry: {
+    maxDelay: 30000,
+    stuckTxTimeout: parseInt(process.env.RELAY_STUCK_TX_TIMEOUT_MS || '20000'),
+    feeBumpPercent: 15,
+    maxFeeBumps: 3,
+    pollInterval: 1000
+  },
+  
+  // Where the Telegram bot keeps view stacks, pending flows and alerts across restarts:
+  // 'file' (JSON), 'sqlite' (needs Node.js 22.5+) or 'memory' (lost on restart)
+  telegramState: {
+    backend: process.env.TELEGRAM_STATE_BACKEND || 'file',
+    file: process.env.TELEGRAM_STATE_FILE || '.telegram_state.json',
+    sqlitePath: process.env.TELEGRAM_STATE_SQLITE || '.telegram_state.db'
+  }
 };
 
 export default arcologyConfig;
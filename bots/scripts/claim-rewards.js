@@ -0,0 +1,39 @@
+/**
+ * Claim Fisher Rewards
+ * Claims every pending reward in the Fisher reward ledger from the reward contract
+ *
+ * Usage: npm run rewards:claim
+ */
+
+import dotenv from 'dotenv';
+import { initArcologyConnector } from '../src/arcology/connector.js';
+import { rewardTracker } from '../src/evvm/fisherRewards.js';
+
+dotenv.config();
+
+async function claimRewards() {
+  console.log('💎 Shadow Economy - Fisher Reward Claim\n');
+
+  try {
+    await initArcologyConnector();
+
+    const stats = rewardTracker.getStats();
+    console.log(`   Recorded txs: ${stats.transactionCount}`);
+    console.log(`   Pending rewards: ${stats.pendingRewards} ETH`);
+    console.log(`   Claimed so far: ${stats.claimedRewards} ETH\n`);
+
+    const result = await rewardTracker.claimRewards();
+    if (result.status === 'nothing_to_claim') {
+      console.log('Nothing to claim.');
+      return;
+    }
+    console.log(`\n✅ Claimed ${result.claimed} ETH for ${result.entries} txs`);
+    console.log(`   Claim id: ${result.claimId}`);
+    console.log(`   Tx hash: ${result.txHash}`);
+  } catch (error) {
+    console.error('❌ Reward claim failed:', error.shortMessage || error.message);
+    process.exitCode = 1;
+  }
+}
+
+claimRewards();
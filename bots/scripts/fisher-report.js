@@ -0,0 +1,47 @@
+/**
+ * Fisher Operator Report
+ * Relay and reward statement for a period, from the Fisher reward ledger
+ *
+ * Usage:
+ *   npm run rewards:report
+ *   npm run rewards:report -- --period weekly --format csv --out weekly.csv
+ *   npm run rewards:report -- --from 2025-01-01 --to 2025-01-31 --format json
+ */
+
+import { Command } from 'commander';
+import fs from 'fs';
+import { rewardTracker } from '../src/evvm/fisherRewards.js';
+import { generateFisherReport, REPORT_FORMATS, REPORT_PERIODS } from '../src/evvm/fisherReports.js';
+
+const program = new Command();
+
+program
+  .name('fisher-report')
+  .description('Fisher relay and reward statement')
+  .option('-p, --period <name>', `Report period: ${Object.keys(REPORT_PERIODS).join(', ')}`, 'daily')
+  .option('--from <date>', 'Custom range start (YYYY-MM-DD or ISO timestamp)')
+  .option('--to <date>', 'Custom range end, inclusive (default: now)')
+  .option('-f, --format <format>', `Output format: ${REPORT_FORMATS.join(', ')}`, 'text')
+  .option('-o, --out <path>', 'Write the report to a file instead of stdout')
+  .action((options) => {
+    try {
+      const { content } = generateFisherReport(rewardTracker, {
+        period: options.from ? 'custom' : options.period,
+        from: options.from,
+        to: options.to,
+        format: options.format,
+      });
+
+      if (options.out) {
+        fs.writeFileSync(options.out, content, 'utf-8');
+        console.log(`✅ Fisher report written to ${options.out}`);
+      } else {
+        console.log(content);
+      }
+    } catch (error) {
+      console.error('❌ Fisher report failed:', error.message);
+      process.exitCode = 1;
+    }
+  });
+
+program.parse();
@@ -0,0 +1,23 @@
+/**
+ * Local Work Queue Server
+ * Serves the in-memory Redis stand-in so several Fisher relay instances on
+ * this host can share a work queue (point them at the same WORK_QUEUE_URL)
+ *
+ * Usage: npm run relay:queue-server
+ */
+
+import dotenv from 'dotenv';
+import { createRespStandIn } from '../src/relay/respStandIn.js';
+
+dotenv.config();
+
+const url = new URL(process.env.WORK_QUEUE_URL || 'redis://127.0.0.1:6379');
+const host = url.hostname || '127.0.0.1';
+const port = Number(url.port || 6379);
+
+const server = createRespStandIn();
+
+server.listen(port, host, () => {
+  console.log(`🗂️  Work queue stand-in listening on redis://${host}:${port}`);
+  console.log('   In-memory only: queued work is lost when it stops\n');
+});
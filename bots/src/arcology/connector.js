@@ -11,10 +11,14 @@
 
 import { ethers } from 'ethers';
 import { arcologyConfig } from '../../config/arcology.config.js';
+import { INTENT_VERIFYING_CONTRACTS } from '../../../shared/intentTypedData.js';
 
 // Import contract ABIs
 import EncryptedSwapAbi from '../../abi/EncryptedSwap.json'  with { type: 'json' };
 import AsyncNonceEngineAbi from '../../abi/AsyncNonceEngine.json'  with { type: 'json' };
+import SimpleLendingAbi from '../../abi/SimpleLending.json'  with { type: 'json' };
+import FisherRewardsAbi from '../../abi/FisherRewards.json'  with { type: 'json' };
+import FisherForwarderAbi from '../../abi/FisherForwarder.json'  with { type: 'json' };
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -22,6 +26,9 @@ let arcologyProvider = null;
 let arcologyWallet = null;
 let encryptedSwapContract = null;
 let asyncNonceEngineContract = null;
+let simpleLendingContract = null;
+let fisherRewardsContract = null;
+let fisherForwarderContract = null;
 
 /**
  * Initialize Arcology parallel blockchain connector
@@ -52,6 +59,39 @@ export async function initArcologyConnector() {
     AsyncNonceEngineAbi.abi,
     arcologyWallet
   );
+  // SimpleLending is optional until it has been deployed
+  if (arcologyConfig.contracts.simpleLending) {
+    simpleLendingContract = new ethers.Contract(
+      arcologyConfig.contracts.simpleLending,
+      SimpleLendingAbi.abi,
+      arcologyWallet
+    );
+    console.log(`   - SimpleLending: ${await simpleLendingContract.getAddress()}`);
+  } else {
+    console.warn('⚠️  SIMPLE_LENDING_ADDRESS not set - lending commands disabled');
+  }
+  // The Fisher reward contract is optional; rewards are still recorded without it
+  if (arcologyConfig.contracts.fisherRewards) {
+    fisherRewardsContract = new ethers.Contract(
+      arcologyConfig.contracts.fisherRewards,
+      FisherRewardsAbi.abi,
+      arcologyWallet
+    );
+    console.log(`   - FisherRewards: ${await fisherRewardsContract.getAddress()}`);
+  } else {
+    console.warn('⚠️  FISHER_REWARDS_ADDRESS not set - reward claims disabled');
+  }
+  // With the forwarder, the Fisher wallet submits users' signed calls and pays their gas
+  if (arcologyConfig.contracts.fisherForwarder) {
+    fisherForwarderContract = new ethers.Contract(
+      arcologyConfig.contracts.fisherForwarder,
+      FisherForwarderAbi.abi,
+      arcologyWallet
+    );
+    console.log(`   - FisherForwarder: ${await fisherForwarderContract.getAddress()} (gasless relay)`);
+  } else {
+    console.warn('⚠️  FISHER_FORWARDER_ADDRESS not set - users pay their own gas');
+  }
   
   console.log(`✅ Contracts loaded on Arcology:
     - EncryptedSwap: ${await encryptedSwapContract.getAddress()}
@@ -97,4 +137,37 @@ export function getArcologyProvider() { return arcologyProvider; }
 export function getArcologyWallet() { return arcologyWallet; }
 export function getEncryptedSwapContract() { return encryptedSwapContract; }
 export function getAsyncNonceEngineContract() { return asyncNonceEngineContract; }
+export function getSimpleLendingContract() { return simpleLendingContract; }
+export function getFisherRewardsContract() { return fisherRewardsContract; }
+export function getFisherForwarderContract() { return fisherForwarderContract; }
+
+/**
+ * Public key of the Fisher relayer that intent envelopes are encrypted to
+ */
+export function getFisherPublicKey() {
+  return arcologyConfig.fisherPublicKey || arcologyWallet?.signingKey.publicKey || null;
+}
 
+/**
+ * Fisher relayer address, the intended validator of users' EIP-191 signatures
+ */
+export function getFisherAddress() {
+  const publicKey = getFisherPublicKey();
+  return publicKey ? ethers.computeAddress(publicKey) : null;
+}
+
+/**
+ * EIP-712 domain binding for an intent type: this chain and the contract
+ * that acts on the intent
+ *
+ * @param {string} primaryType - 'Swap', 'Lend' or 'Cancel'
+ * @returns {Object} { chainId, verifyingContract }
+ */
+export function getIntentBinding(primaryType) {
+  const contractName = INTENT_VERIFYING_CONTRACTS[primaryType];
+  const verifyingContract = arcologyConfig.contracts[contractName];
+  if (!verifyingContract) {
+    throw new Error(`${contractName} address is not configured`);
+  }
+  return { chainId: arcologyConfig.chainId, verifyingContract };
+}
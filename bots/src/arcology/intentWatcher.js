@@ -0,0 +1,265 @@
+/**
+ * Intent Lifecycle Watcher
+ *
+ * Follows swap intents on EncryptedSwap after submission:
+ * - SwapIntentSubmitted(user, intentId, timestamp)  → submitted
+ * - SwapExecuted(intentId, user, volume, timestamp)  → executed  (user is notified)
+ * - SwapCancelled(intentId, timestamp)               → cancelled (user is notified)
+ *
+ * Each intent is mapped back to the chat it came from, so the result can be
+ * pushed to Telegram or WhatsApp. State and the last processed block are kept
+ * in .intent_state.json; on restart the watcher backfills events from that
+ * block before subscribing to new ones. Event handling is idempotent, so
+ * replaying a block never notifies twice.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getEncryptedSwapContract, getArcologyProvider } from './connector.js';
+
+const STATE_FILE = path.resolve(process.cwd(), '.intent_state.json');
+const WATCHED_EVENTS = ['SwapIntentSubmitted', 'SwapExecuted', 'SwapCancelled'];
+const TERMINAL_STATUSES = ['executed', 'cancelled'];
+const BACKFILL_CHUNK_SIZE = 2000;
+
+const STATUS_BY_EVENT = {
+  SwapIntentSubmitted: 'submitted',
+  SwapExecuted: 'executed',
+  SwapCancelled: 'cancelled',
+};
+
+/**
+ * Event name and arguments of a log: contract events arrive decoded, raw
+ * provider logs are decoded against the EncryptedSwap interface
+ *
+ * @param {Object} log - EventLog or raw Log
+ * @param {ethers.Interface} iface - EncryptedSwap contract interface
+ * @returns {Object|null} { name, args }, or null for logs of other events
+ */
+export function decodeIntentLog(log, iface) {
+  if (log.args) {
+    return { name: log.eventName || log.fragment?.name, args: log.args };
+  }
+  const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+  return parsed ? { name: parsed.name, args: parsed.args } : null;
+}
+
+export class IntentLifecycleWatcher {
+  constructor({ stateFile = STATE_FILE, contract = null, provider = null } = {}) {
+    this.stateFile = stateFile;
+    this.contract = contract;
+    this.provider = provider;
+    this.notifiers = new Map(); // platform -> async (chatId, text) => void
+    this.listening = false;
+
+    const state = this.loadState();
+    this.lastProcessedBlock = state.lastProcessedBlock ?? null;
+    this.intents = state.intents || {};
+  }
+
+  loadState() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        return JSON.parse(fs.readFileSync(this.stateFile, 'utf-8'));
+      }
+    } catch (error) {
+      console.error('Error loading intent state:', error.message);
+    }
+    return {};
+  }
+
+  saveState() {
+    try {
+      const state = { lastProcessedBlock: this.lastProcessedBlock, intents: this.intents };
+      fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2), 'utf-8');
+    } catch (error) {
+      console.error('Error saving intent state:', error.message);
+    }
+  }
+
+  /**
+   * Register how to push a message to a chat on a platform
+   *
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {Function} notifier - async (chatId, text) => void
+   */
+  registerNotifier(platform, notifier) {
+    this.notifiers.set(platform, notifier);
+  }
+
+  /**
+   * Remember which chat an intent came from. If the intent already reached a
+   * final state (events can arrive before the submitter's receipt), the user
+   * is notified right away.
+   *
+   * @param {string} intentId - bytes32 intent id
+   * @param {Object} origin - { platform, chatId, userId, txHash }
+   */
+  async trackIntent(intentId, origin) {
+    const intent = this.getOrCreateIntent(intentId);
+    Object.assign(intent, origin, { updatedAt: new Date().toISOString() });
+    this.saveState();
+
+    if (TERMINAL_STATUSES.includes(intent.status)) {
+      await this.notify(intent);
+    }
+    return intent;
+  }
+
+  getIntent(intentId) {
+    return this.intents[intentId.toLowerCase()] || null;
+  }
+
+  getOrCreateIntent(intentId) {
+    const id = intentId.toLowerCase();
+    if (!this.intents[id]) {
+      this.intents[id] = { intentId: id, status: null, createdAt: new Date().toISOString() };
+    }
+    return this.intents[id];
+  }
+
+  /**
+   * Backfill missed events, then subscribe to new ones
+   */
+  async start() {
+    this.contract = this.contract || getEncryptedSwapContract();
+    this.provider = this.provider || getArcologyProvider();
+
+    if (!this.contract || !this.provider) {
+      throw new Error('Arcology connector must be initialized before the intent watcher');
+    }
+
+    await this.backfill();
+
+    for (const eventName of WATCHED_EVENTS) {
+      await this.contract.on(eventName, (...args) => {
+        const payload = args[args.length - 1];
+        this.handleLog(payload.log).catch(error => {
+          console.error(`Error handling ${eventName}:`, error);
+        });
+      });
+    }
+    this.listening = true;
+
+    console.log(`👀 Intent watcher subscribed to ${WATCHED_EVENTS.join(', ')}`);
+  }
+
+  async stop() {
+    if (!this.listening) {
+      return;
+    }
+    for (const eventName of WATCHED_EVENTS) {
+      await this.contract.removeAllListeners(eventName);
+    }
+    this.listening = false;
+  }
+
+  /**
+   * Replay events between the last processed block and the chain head.
+   * The first run has nothing to catch up on and starts from the head.
+   */
+  async backfill() {
+    const head = await this.provider.getBlockNumber();
+
+    if (this.lastProcessedBlock === null) {
+      this.lastProcessedBlock = head;
+      this.saveState();
+      return;
+    }
+
+    // Start at the last processed block itself: a crash may have happened
+    // half-way through it, and replays are harmless
+    let from = this.lastProcessedBlock;
+    console.log(`⏪ Backfilling intent events from block ${from} to ${head}`);
+
+    while (from <= head) {
+      const to = Math.min(from + BACKFILL_CHUNK_SIZE - 1, head);
+      const batches = await Promise.all(
+        WATCHED_EVENTS.map(eventName => this.contract.queryFilter(this.contract.filters[eventName](), from, to))
+      );
+      const logs = batches.flat().sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+      for (const log of logs) {
+        await this.handleLog(log);
+      }
+
+      this.lastProcessedBlock = to;
+      this.saveState();
+      from = to + 1;
+    }
+  }
+
+  /**
+   * Apply one EncryptedSwap event to the intent it refers to
+   */
+  async handleLog(log) {
+    const event = decodeIntentLog(log, this.contract.interface);
+    const status = STATUS_BY_EVENT[event?.name];
+    if (!status) {
+      return;
+    }
+
+    const { args } = event;
+    const intent = this.getOrCreateIntent(args.intentId);
+    const previous = intent.status;
+
+    if (event.name === 'SwapIntentSubmitted') {
+      intent.user = args.user;
+      intent.submittedBlock = log.blockNumber;
+    } else {
+      if (event.name === 'SwapExecuted') {
+        intent.user = args.user;
+        intent.volume = args.volume.toString();
+      }
+      intent.settledTxHash = log.transactionHash;
+      intent.settledBlock = log.blockNumber;
+    }
+
+    // Never move an intent backwards (e.g. a replayed submit after execution)
+    const changed = !TERMINAL_STATUSES.includes(previous) && previous !== status;
+    if (changed) {
+      intent.status = status;
+      intent.updatedAt = new Date().toISOString();
+    }
+
+    this.lastProcessedBlock = Math.max(this.lastProcessedBlock ?? 0, log.blockNumber);
+    this.saveState();
+
+    if (changed && TERMINAL_STATUSES.includes(status)) {
+      await this.notify(intent);
+    }
+  }
+
+  /**
+   * Push a final-state message to the chat the intent came from
+   */
+  async notify(intent) {
+    const notifier = this.notifiers.get(intent.platform);
+    if (!notifier || !intent.chatId || intent.notifiedStatus === intent.status) {
+      return;
+    }
+
+    try {
+      await notifier(intent.chatId, formatIntentNotification(intent));
+      intent.notifiedStatus = intent.status;
+      this.saveState();
+    } catch (error) {
+      console.error(`Could not notify ${intent.platform} chat ${intent.chatId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Chat message for an intent that reached a final state
+ */
+export function formatIntentNotification(intent) {
+  const title = intent.status === 'executed' ? '✅ *Swap Executed*' : '❌ *Swap Cancelled*';
+  const tx = intent.settledTxHash ? `\n*Transaction:* \`${intent.settledTxHash}\`` : '';
+  const block = intent.settledBlock ? `\n*Block:* ${intent.settledBlock}` : '';
+  return `${title}\n\n*Intent:* \`${intent.intentId}\`${tx}${block}`;
+}
+
+// Singleton instance
+export const intentWatcher = new IntentLifecycleWatcher();
+
+export default IntentLifecycleWatcher;
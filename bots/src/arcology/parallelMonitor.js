@@ -28,6 +28,30 @@ class ParallelExecutionMonitor {
     this.totalTransactions = 0;
     this.concurrentTxCount = 0;
     this.monitoringActive = false;
+    // Final outcomes of relayed txs (see evvm/relaySubmitter.js)
+    this.relayOutcomes = { confirmed: 0, failed: 0, stuck: 0, retries: 0, feeBumps: 0, reasons: {} };
+  }
+
+  /**
+   * Record how a relayed transaction ended
+   *
+   * @param {Object} outcome
+   * @param {string} outcome.status - 'confirmed', 'failed' or 'stuck'
+   * @param {string} outcome.reason - Failure reason, null when confirmed
+   * @param {number} outcome.attempts - Sends made
+   * @param {number} outcome.feeBumps - Fee-bumped replacements sent
+   */
+  recordRelayOutcome({ status, reason = null, attempts = 1, feeBumps = 0 }) {
+    const outcomes = this.relayOutcomes;
+    outcomes[status] = (outcomes[status] || 0) + 1;
+    outcomes.retries += Math.max(0, (attempts || 1) - 1);
+    outcomes.feeBumps += feeBumps;
+    if (reason) {
+      outcomes.reasons[reason] = (outcomes.reasons[reason] || 0) + 1;
+    }
+    if (status === 'confirmed') {
+      this.totalTransactions++;
+    }
   }
 
   /**
@@ -139,7 +163,8 @@ class ParallelExecutionMonitor {
       conflictRate: (this.getConflictRate() * 100).toFixed(2) + '%',
       totalTransactions: this.totalTransactions,
       concurrentTxCount: this.concurrentTxCount,
-      monitoringActive: this.monitoringActive
+      monitoringActive: this.monitoringActive,
+      relayOutcomes: this.relayOutcomes
     };
   }
 
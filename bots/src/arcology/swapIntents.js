@@ -0,0 +1,186 @@
+/**
+ * Swap Intent Queries
+ *
+ * Builds a user's "My intents" view from their SwapIntentSubmitted events on
+ * EncryptedSwap, with the current status read from getSwapIntent, and cancels
+ * intents via cancelSwap from the user's own wallet.
+ *
+ * Shared by the /intents and /cancel chat commands and the Telegram intents menu.
+ */
+
+import { getEncryptedSwapContract } from './connector.js';
+import { decryptIntent } from '../evvm/intentEnvelope.js';
+import { rewardTracker } from '../evvm/fisherRewards.js';
+import { connectForUser } from '../evvm/gaslessRelay.js';
+import { relaySubmitter, formatRelayFailure } from '../evvm/relaySubmitter.js';
+
+export const INTENTS_PAGE_SIZE = 5;
+
+const INTENT_ID_RE = /^0x[0-9a-fA-F]{64}$/;
+
+const STATUS_EMOJI = {
+  pending: '⏳',
+  executed: '✅',
+  cancelled: '❌',
+};
+
+// EncryptedSwap custom errors, mapped to chat-friendly messages
+const CANCEL_ERRORS = {
+  IntentNotFound: 'Intent not found.',
+  IntentAlreadyProcessed: 'This intent has already been executed or cancelled.',
+  NotIntentOwner: 'You can only cancel your own intents.',
+  NotOwner: 'You can only cancel your own intents.',
+};
+
+export function isIntentId(value) {
+  return INTENT_ID_RE.test(String(value));
+}
+
+function requireContract() {
+  const contract = getEncryptedSwapContract();
+  if (!contract) {
+    throw new Error('EncryptedSwap contract is not initialized');
+  }
+  return contract;
+}
+
+/**
+ * All intent ids submitted by a user, newest first
+ */
+async function getUserIntentIds(contract, userAddress) {
+  const events = await contract.queryFilter(contract.filters.SwapIntentSubmitted(userAddress), 0, 'latest');
+  return events
+    .sort((a, b) => (b.blockNumber - a.blockNumber) || (b.index - a.index))
+    .map(event => event.args.intentId);
+}
+
+/**
+ * Read the intentId from the SwapIntentSubmitted event in a submission receipt
+ *
+ * @returns {string|null} bytes32 intent id
+ */
+export function getSubmittedIntentId(contract, receipt) {
+  for (const log of receipt.logs || []) {
+    try {
+      const event = contract.interface.parseLog(log);
+      if (event?.name === 'SwapIntentSubmitted') {
+        return event.args.intentId;
+      }
+    } catch {
+      // Not an EncryptedSwap event
+    }
+  }
+  return null;
+}
+
+/**
+ * Decrypt the intent metadata if the wallet is one of its recipients
+ */
+function readIntentDetails(intentData, wallet) {
+  if (!wallet) {
+    return null;
+  }
+  try {
+    return decryptIntent(intentData, wallet);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One page of a user's swap intents
+ *
+ * @param {string} userAddress - User's wallet address
+ * @param {Object} options
+ * @param {number} options.page - Zero-based page index
+ * @param {number} options.pageSize - Intents per page
+ * @param {Object} options.wallet - User's wallet, used to decrypt amounts and tokens
+ * @returns {Promise<Object>} { intents, page, pageSize, totalPages, total }
+ */
+export async function listUserIntents(userAddress, { page = 0, pageSize = INTENTS_PAGE_SIZE, wallet = null } = {}) {
+  const contract = requireContract();
+  const intentIds = await getUserIntentIds(contract, userAddress);
+
+  const total = intentIds.length;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const current = Math.min(Math.max(0, page), totalPages - 1);
+
+  const intents = await Promise.all(
+    intentIds.slice(current * pageSize, (current + 1) * pageSize).map(async (intentId) => {
+      const stored = await contract.getSwapIntent(intentId);
+      return {
+        intentId,
+        status: stored.cancelled ? 'cancelled' : stored.executed ? 'executed' : 'pending',
+        submittedAt: Number(stored.timestamp) * 1000,
+        details: readIntentDetails(stored.intentData, wallet),
+      };
+    })
+  );
+
+  return { intents, page: current, pageSize, totalPages, total };
+}
+
+/**
+ * Find one of the user's intents from a shortened id (compact callback data)
+ *
+ * @returns {Promise<string|null>} Full intent id
+ */
+export async function findUserIntentId(userAddress, prefix) {
+  const contract = requireContract();
+  const intentIds = await getUserIntentIds(contract, userAddress);
+  return intentIds.find(intentId => intentId.toLowerCase().startsWith(prefix.toLowerCase())) || null;
+}
+
+/**
+ * Cancel a pending swap intent from the user's own wallet
+ *
+ * @param {Object} wallet - User's wallet, connected to Arcology
+ * @param {string} intentId - bytes32 intent id
+ * @returns {Promise<Object>} { success, txHash, blockNumber, message }
+ */
+export async function cancelUserIntent(wallet, intentId) {
+  if (!isIntentId(intentId)) {
+    return { success: false, message: '❌ Invalid intent id. Use the full 0x… id shown by /intents.' };
+  }
+
+  try {
+    const contract = connectForUser(requireContract(), wallet);
+    const { tx, receipt } = await relaySubmitter.submit(() => contract.cancelSwap(intentId), {
+      operation: 'cancel',
+      signer: wallet,
+      onSent: (sentTx) => console.log(`📄 Cancel for intent ${intentId} relayed to Arcology. Tx hash: ${sentTx.hash}`),
+    });
+    rewardTracker.recordRelayedTx(receipt, { operation: 'cancel', user: wallet.address, txHash: tx.hash });
+    return {
+      success: true,
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      message: `❌ *Swap Intent Cancelled*\n\n*Intent:* \`${intentId}\`\n*Transaction:* \`${tx.hash}\`\n*Block:* ${receipt.blockNumber}`,
+    };
+  } catch (error) {
+    console.error(`Error cancelling intent ${intentId}:`, error);
+    const reason = CANCEL_ERRORS[error.revert?.name] || formatRelayFailure(error);
+    return { success: false, message: `❌ *Cancel Failed*\n\n${reason}` };
+  }
+}
+
+/**
+ * Render a page from listUserIntents as a chat message
+ */
+export function formatIntentList({ intents, page, pageSize = INTENTS_PAGE_SIZE, totalPages, total }) {
+  if (total === 0) {
+    return '📋 *My Intents*\n\nNo swap intents yet. Try /swap 1 ETH USDC';
+  }
+
+  const lines = intents.map((intent, idx) => {
+    const number = page * pageSize + idx + 1;
+    const summary = intent.details
+      ? `${intent.details.amount} ${intent.details.fromToken || intent.details.from} → ${intent.details.toToken || intent.details.to}`
+      : 'Encrypted intent';
+    const submitted = new Date(intent.submittedAt).toISOString().replace('T', ' ').slice(0, 16);
+    const cancel = intent.status === 'pending' ? `\n   /cancel ${intent.intentId}` : '';
+    return `${number}. ${STATUS_EMOJI[intent.status]} *${intent.status}* - ${summary}\n   \`${intent.intentId}\`\n   Submitted: ${submitted} UTC${cancel}`;
+  });
+
+  return `📋 *My Intents* (page ${page + 1}/${totalPages})\n\n${lines.join('\n\n')}`;
+}
@@ -0,0 +1,29 @@
+/**
+ * Bot Token Registry
+ *
+ * The shared token registry with this deployment's overrides from
+ * arcologyConfig.tokens. Token addresses resolve on arcologyConfig.chainId.
+ */
+
+import { TokenRegistry, DEFAULT_TOKENS } from '../../../shared/tokenRegistry.js';
+import { arcologyConfig } from '../../config/arcology.config.js';
+
+export const tokenRegistry = new TokenRegistry(DEFAULT_TOKENS, arcologyConfig.tokens);
+
+/**
+ * @param {string} symbol - Token symbol, any case
+ * @returns {Object} Token definition
+ * @throws if the token is not supported
+ */
+export function getToken(symbol) {
+  return tokenRegistry.get(symbol);
+}
+
+/**
+ * Token address on the Arcology chain the bots are connected to
+ */
+export function getTokenAddress(symbol) {
+  return tokenRegistry.getAddress(symbol, arcologyConfig.chainId);
+}
+
+export default tokenRegistry;
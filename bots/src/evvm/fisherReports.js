@@ -0,0 +1,204 @@
+/**
+ * Fisher Operator Reports
+ * Period statements built from the Fisher reward ledger
+ *
+ * A report covers the relayed txs recorded in a period (daily, weekly or a
+ * custom range) and sums, overall and per operation type:
+ * - txs relayed and gas spent (gasUsed × effective gas price)
+ * - rewards earned, split into pending and claimed
+ * - net margin (rewards - gas spent)
+ *
+ * Reports export as JSON, CSV or Markdown text (Telegram).
+ */
+
+import { ethers } from 'ethers';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REPORT_PERIODS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+export const REPORT_FORMATS = ['text', 'csv', 'json'];
+
+const CSV_COLUMNS = ['operation', 'txCount', 'gasUsed', 'gasSpentEth', 'rewardsEth', 'pendingEth', 'claimedEth', 'netMarginEth'];
+
+/**
+ * Resolve a report period to a time range
+ * Named periods end now; custom ranges take ISO dates, and a date-only `to`
+ * includes that whole day.
+ *
+ * @param {Object} options
+ * @param {string} options.period - 'daily', 'weekly' or 'custom'
+ * @param {string} options.from - Range start (custom)
+ * @param {string} options.to - Range end (custom, default: now)
+ * @param {number} options.now - Current time in ms
+ * @returns {Object} { period, from, to } (ms timestamps)
+ */
+export function resolveReportPeriod({ period = 'daily', from = null, to = null, now = Date.now() } = {}) {
+  if (REPORT_PERIODS[period]) {
+    return { period, from: now - REPORT_PERIODS[period], to: now };
+  }
+  if (period !== 'custom') {
+    throw new Error(`Unknown report period "${period}". Use: ${Object.keys(REPORT_PERIODS).join(', ')}, custom`);
+  }
+
+  const start = parseDate(from, 'from');
+  const end = to ? parseDate(to, 'to') + (isDateOnly(to) ? DAY_MS - 1 : 0) : now;
+  if (start > end) {
+    throw new Error(`Report range starts after it ends (${from} > ${to})`);
+  }
+  return { period, from: start, to: end };
+}
+
+function parseDate(value, name) {
+  const time = value ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid report ${name} date "${value}". Use YYYY-MM-DD or an ISO timestamp`);
+  }
+  return time;
+}
+
+function isDateOnly(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Build a Fisher report from ledger entries
+ *
+ * @param {Array} entries - Reward ledger entries (FisherRewardTracker.getLedger)
+ * @param {Object} range - { period, from, to } from resolveReportPeriod
+ * @returns {Object} Report with totals, byOperation and transactions (amounts in wei, as bigint)
+ */
+export function buildFisherReport(entries, { period = 'custom', from, to }) {
+  const transactions = entries.filter(entry => entry.recordedAt >= from && entry.recordedAt <= to);
+  const byOperation = new Map();
+  const totals = emptyTotals();
+
+  for (const entry of transactions) {
+    const operation = entry.operation || 'unknown';
+    if (!byOperation.has(operation)) {
+      byOperation.set(operation, emptyTotals());
+    }
+    addEntry(byOperation.get(operation), entry);
+    addEntry(totals, entry);
+  }
+
+  return {
+    period,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    totals,
+    byOperation: Object.fromEntries([...byOperation.entries()].sort(([a], [b]) => a.localeCompare(b))),
+    transactions,
+  };
+}
+
+function emptyTotals() {
+  return { txCount: 0, gasUsed: 0n, gasSpent: 0n, rewards: 0n, pending: 0n, claimed: 0n, netMargin: 0n };
+}
+
+function addEntry(totals, entry) {
+  const gasUsed = BigInt(entry.gasUsed ?? 0);
+  const gasSpent = gasUsed * BigInt(entry.effectiveGasPrice ?? 0);
+  const reward = BigInt(entry.rewardWei);
+
+  totals.txCount++;
+  totals.gasUsed += gasUsed;
+  totals.gasSpent += gasSpent;
+  totals.rewards += reward;
+  totals.netMargin += reward - gasSpent;
+  if (entry.status === 'claimed') {
+    totals.claimed += reward;
+  } else {
+    totals.pending += reward;
+  }
+}
+
+function toEthRow(totals) {
+  return {
+    txCount: totals.txCount,
+    gasUsed: totals.gasUsed.toString(),
+    gasSpentEth: ethers.formatEther(totals.gasSpent),
+    rewardsEth: ethers.formatEther(totals.rewards),
+    pendingEth: ethers.formatEther(totals.pending),
+    claimedEth: ethers.formatEther(totals.claimed),
+    netMarginEth: ethers.formatEther(totals.netMargin),
+  };
+}
+
+/**
+ * Net margin as a percentage of gas spent (null when no gas was spent)
+ */
+export function getMarginPercent(totals) {
+  if (totals.gasSpent === 0n) {
+    return null;
+  }
+  return Number((totals.netMargin * 10000n) / totals.gasSpent) / 100;
+}
+
+export function formatReportJson(report) {
+  const json = {
+    period: report.period,
+    from: report.from,
+    to: report.to,
+    totals: { ...toEthRow(report.totals), marginPercent: getMarginPercent(report.totals) },
+    byOperation: Object.fromEntries(Object.entries(report.byOperation).map(([operation, totals]) => [operation, toEthRow(totals)])),
+    transactions: report.transactions,
+  };
+  return JSON.stringify(json, null, 2);
+}
+
+/**
+ * One row per operation type, then a total row
+ */
+export function formatReportCsv(report) {
+  const rows = [
+    ...Object.entries(report.byOperation).map(([operation, totals]) => ({ operation, ...toEthRow(totals) })),
+    { operation: 'total', ...toEthRow(report.totals) },
+  ];
+  return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => row[column]).join(','))].join('\n') + '\n';
+}
+
+export function formatReportText(report) {
+  const totals = toEthRow(report.totals);
+  const margin = getMarginPercent(report.totals);
+  const lines = [
+    `📊 *Fisher Report (${report.period})*`,
+    `${report.from.slice(0, 16).replace('T', ' ')} → ${report.to.slice(0, 16).replace('T', ' ')} UTC`,
+    '',
+    `Txs relayed: ${totals.txCount}`,
+    `Gas spent: ${totals.gasSpentEth} ETH`,
+    `Rewards: ${totals.rewardsEth} ETH`,
+    `   Pending: ${totals.pendingEth} ETH`,
+    `   Claimed: ${totals.claimedEth} ETH`,
+    `Net margin: ${totals.netMarginEth} ETH${margin === null ? '' : ` (${margin}%)`}`,
+  ];
+
+  const operations = Object.entries(report.byOperation);
+  if (operations.length) {
+    lines.push('', '*By type:*');
+    operations.forEach(([operation, totals]) => {
+      lines.push(`${operation}: ${totals.txCount} txs, ${ethers.formatEther(totals.rewards)} ETH earned`);
+    });
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build and format a report from a reward tracker
+ *
+ * @param {FisherRewardTracker} tracker - Reward ledger to report on
+ * @param {Object} options - resolveReportPeriod options plus format ('text', 'csv', 'json')
+ * @returns {Object} { report, format, content }
+ */
+export function generateFisherReport(tracker, { format = 'text', ...periodOptions } = {}) {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format "${format}". Use: ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  const report = buildFisherReport(tracker.getLedger(), resolveReportPeriod(periodOptions));
+  const formatters = { text: formatReportText, csv: formatReportCsv, json: formatReportJson };
+  return { report, format, content: formatters[format](report) };
+}
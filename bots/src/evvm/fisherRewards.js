@@ -1,145 +1,317 @@
 /**
  * EVVM Fisher Bot - Reward Tracking System
- * 
+ *
  * Fisher bots earn rewards for relaying transactions to Arcology blockchain.
  * This module tracks rewards, claims, and incentive alignment.
- * 
+ *
  * EVVM Fisher Network Incentives:
  * - Fishers execute transactions on behalf of users (gasless UX)
  * - Fishers earn rewards in principal token
  * - Reward calculation based on transaction complexity and gas costs
- * 
+ *
+ * Each relayed transaction's reward is its gas cost from the receipt
+ * (gasUsed × effective gas price), weighted by the operation's complexity and
+ * the configured multiplier. Rewards are kept in a ledger (.fisher_rewards.json
+ * for the bots) and claimed in batches from the Fisher reward contract; each
+ * claim id covers a fixed set of ledger entries, so they are never paid twice.
+ *
  * Reference: https://www.evvm.org/ (EVVM Fisher Network documentation)
  */
 
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { getFisherRewardsContract } from '../arcology/connector.js';
+import { arcologyConfig } from '../../config/arcology.config.js';
+
+const LEDGER_FILE = path.resolve(process.cwd(), '.fisher_rewards.json');
+const BPS = 10000n;
+
+// Relative effort per operation; unknown operations weigh 1
+export const OPERATION_COMPLEXITY = {
+  swap: 1.5,
+  cancel: 1.0,
+  lend: 1.2,
+  deposit: 1.0,
+  withdraw: 1.0,
+  add_collateral: 1.2,
+  borrow: 1.3,
+  repay: 1.1,
+  withdraw_collateral: 1.2,
+};
+
 /**
  * Track Fisher rewards for completed transactions
  */
 class FisherRewardTracker {
-  constructor() {
-    this.totalRewards = 0;
-    this.pendingRewards = 0;
-    this.claimedRewards = 0;
-    this.transactionCount = 0;
-    this.rewardHistory = [];
+  /**
+   * @param {Object} options
+   * @param {string|null} options.stateFile - Ledger file (null keeps the ledger in memory)
+   * @param {ethers.Contract} options.contract - Reward contract (defaults to the connector's)
+   * @param {number} options.multiplier - Reward multiplier (default: arcologyConfig.fisherRewards.multiplier)
+   */
+  constructor({ stateFile = null, contract = null, multiplier = arcologyConfig.fisherRewards.multiplier } = {}) {
+    this.stateFile = stateFile;
+    this.contract = contract;
+    this.multiplier = multiplier;
+    this.claiming = null;
+
+    const state = this.loadState();
+    this.ledger = state.ledger || []; // one entry per relayed tx
+    this.claims = state.claims || [];
+
+    // A claim interrupted by a restart is retried; the contract rejects a claim id it already paid
+    this.ledger
+      .filter(entry => entry.status === 'claiming')
+      .forEach(entry => {
+        entry.status = 'pending';
+      });
+  }
+
+  loadState() {
+    if (!this.stateFile) {
+      return {};
+    }
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        return JSON.parse(fs.readFileSync(this.stateFile, 'utf-8'));
+      }
+    } catch (error) {
+      console.error('Error loading Fisher reward ledger:', error.message);
+    }
+    return {};
+  }
+
+  saveState() {
+    if (!this.stateFile) {
+      return;
+    }
+    try {
+      const state = { ledger: this.ledger, claims: this.claims };
+      fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2), 'utf-8');
+    } catch (error) {
+      console.error('Error saving Fisher reward ledger:', error.message);
+    }
+  }
+
+  /**
+   * Record the reward for a relayed transaction from its receipt
+   * Reward accounting never interrupts relaying: failures are logged and
+   * return null.
+   *
+   * @param {Object} receipt - Transaction receipt (gasUsed, gasPrice or effectiveGasPrice)
+   * @param {Object} details
+   * @param {string} details.operation - Relayed operation (swap, borrow, ...)
+   * @param {string} details.user - User the tx was relayed for
+   * @param {string} details.txHash - Tx hash, if the receipt doesn't carry one
+   * @returns {Object|null} Ledger entry
+   */
+  recordRelayedTx(receipt, { operation = null, user = null, txHash = null } = {}) {
+    try {
+      const reward = calculateTransactionReward({ ...receipt, operation }, { multiplier: this.multiplier });
+      return this.recordReward({ hash: receipt.hash || txHash, operation, user, blockNumber: receipt.blockNumber, ...reward }, reward.reward);
+    } catch (error) {
+      console.error(`⚠️ Could not record Fisher reward for ${operation || 'tx'}:`, error.message);
+      return null;
+    }
   }
 
   /**
    * Record reward for relayed transaction
-   * 
-   * @param {Object} transaction - Transaction details
+   *
+   * @param {Object} transaction - Transaction details (hash, operation, gas breakdown)
    * @param {string} reward - Reward amount in principal token
+   * @returns {Object} Ledger entry (the existing one for an already recorded tx)
    */
   recordReward(transaction, reward) {
-    // TODO: Implement reward recording
-    // - Store transaction hash and reward amount
-    // - Update pending rewards
-    // - Log to reward history
-    
-    console.log(`Recording Fisher reward: ${reward} for tx ${transaction.hash}`);
-    
-    this.pendingRewards += parseFloat(reward);
-    this.transactionCount++;
-    this.rewardHistory.push({
+    if (!transaction.hash) {
+      throw new Error('Cannot record a Fisher reward without a tx hash');
+    }
+    const existing = this.ledger.find(entry => entry.txHash === transaction.hash);
+    if (existing) {
+      return existing;
+    }
+
+    const entry = {
       txHash: transaction.hash,
-      reward,
-      timestamp: Date.now(),
-      status: 'pending'
-    });
+      operation: transaction.operation || null,
+      user: transaction.user || null,
+      blockNumber: transaction.blockNumber ?? null,
+      gasUsed: transaction.gasUsed?.toString() ?? null,
+      effectiveGasPrice: transaction.effectiveGasPrice?.toString() ?? null,
+      complexity: transaction.complexity ?? null,
+      multiplier: transaction.multiplier ?? null,
+      rewardWei: ethers.parseEther(String(reward)).toString(),
+      status: 'pending',
+      recordedAt: Date.now(),
+    };
+    this.ledger.push(entry);
+    this.saveState();
+
+    console.log(`💎 Recording Fisher reward: ${reward} ETH for tx ${transaction.hash}`);
+    return entry;
   }
 
   /**
-   * Claim pending rewards from EVVM Fisher network
-   * 
+   * Claim pending rewards from the Fisher reward contract
+   *
    * @returns {Promise<Object>} Claim transaction result
+   * @throws {Error} If no reward contract is configured or the claim reverts
    */
   async claimRewards() {
-    // TODO: Implement reward claiming
-    // - Submit claim transaction to EVVM Fisher network
-    // - Transfer pending rewards to Fisher bot wallet
-    // - Update claimed rewards tracker
-    
-    console.log(`Claiming ${this.pendingRewards} pending Fisher rewards...`);
-    
-    return {
-      claimed: this.pendingRewards,
-      txHash: null,
-      status: 'Implementation pending'
-    };
+    if (this.claiming) {
+      throw new Error('A Fisher reward claim is already in progress');
+    }
+
+    const entries = this.ledger.filter(entry => entry.status === 'pending');
+    if (entries.length === 0) {
+      return { claimed: '0.0', txHash: null, status: 'nothing_to_claim' };
+    }
+
+    const contract = this.contract || getFisherRewardsContract();
+    if (!contract) {
+      throw new Error('FisherRewards contract is not configured (set FISHER_REWARDS_ADDRESS)');
+    }
+
+    const amountWei = sumRewards(entries);
+    const claimId = getClaimId(entries);
+    console.log(`Claiming ${ethers.formatEther(amountWei)} ETH of Fisher rewards for ${entries.length} txs...`);
+
+    entries.forEach(entry => {
+      entry.status = 'claiming';
+    });
+    this.claiming = submitRewardClaim(claimId, amountWei, contract);
+    try {
+      const result = await this.claiming;
+      entries.forEach(entry => Object.assign(entry, { status: 'claimed', claimId, claimTxHash: result.txHash }));
+      this.claims.push({ claimId, amountWei: amountWei.toString(), txHash: result.txHash, blockNumber: result.blockNumber, entries: entries.length, claimedAt: Date.now() });
+      return { ...result, claimId, entries: entries.length };
+    } catch (error) {
+      entries.forEach(entry => {
+        entry.status = 'pending';
+      });
+      throw error;
+    } finally {
+      this.claiming = null;
+      this.saveState();
+    }
   }
 
   /**
    * Get reward statistics
-   * 
-   * @returns {Object} Reward statistics
+   *
+   * @returns {Object} Reward statistics (amounts in ETH)
    */
   getStats() {
+    const total = sumRewards(this.ledger);
+    const claimed = sumRewards(this.ledger.filter(entry => entry.status === 'claimed'));
+    const transactionCount = this.ledger.length;
+
     return {
-      totalRewards: this.totalRewards,
-      pendingRewards: this.pendingRewards,
-      claimedRewards: this.claimedRewards,
-      transactionCount: this.transactionCount,
-      averageReward: this.transactionCount > 0 
-        ? this.totalRewards / this.transactionCount 
-        : 0
+      totalRewards: ethers.formatEther(total),
+      pendingRewards: ethers.formatEther(total - claimed),
+      claimedRewards: ethers.formatEther(claimed),
+      transactionCount,
+      averageReward: ethers.formatEther(transactionCount > 0 ? total / BigInt(transactionCount) : 0n),
+      claimCount: this.claims.length
     };
   }
 
   /**
    * Get reward history
-   * 
+   *
    * @param {number} limit - Number of recent rewards to return
    * @returns {Array} Recent reward history
    */
   getRewardHistory(limit = 10) {
-    return this.rewardHistory.slice(-limit).reverse();
+    return this.ledger.slice(-limit).reverse();
+  }
+
+  /**
+   * Get the full reward ledger, oldest first (for reports)
+   *
+   * @returns {Array} Copies of the ledger entries
+   */
+  getLedger() {
+    return this.ledger.map(entry => ({ ...entry }));
   }
 }
 
-// Global Fisher reward tracker instance
-const rewardTracker = new FisherRewardTracker();
+function sumRewards(entries) {
+  return entries.reduce((sum, entry) => sum + BigInt(entry.rewardWei), 0n);
+}
+
+// Claim id of a set of ledger entries
+function getClaimId(entries) {
+  return ethers.id(entries.map(entry => entry.txHash).sort().join(','));
+}
+
+function toBps(value) {
+  return BigInt(Math.round(value * Number(BPS)));
+}
+
+// Global Fisher reward tracker instance, with a persistent ledger
+const rewardTracker = new FisherRewardTracker({ stateFile: LEDGER_FILE });
 
 /**
  * Calculate reward for transaction based on EVVM Fisher network rules
- * 
- * @param {Object} transaction - Transaction data
- * @returns {string} Estimated reward amount
+ *
+ * @param {Object} transaction - Receipt fields (gasUsed, gasPrice or effectiveGasPrice) and operation
+ * @param {Object} options
+ * @param {number} options.multiplier - Fisher network incentive multiplier
+ * @returns {Object} { reward (ETH), rewardWei, gasCost, gasUsed, effectiveGasPrice, complexity, multiplier }
  */
-export function calculateTransactionReward(transaction) {
-  // TODO: Implement reward calculation algorithm
-  // Factors:
-  // - Gas cost on Arcology
-  // - Transaction complexity
-  // - Fisher network incentive multiplier
-  // - Network congestion
-  
-  const baseReward = '0.001'; // Placeholder
-  
-  return baseReward;
+export function calculateTransactionReward(transaction, { multiplier = arcologyConfig.fisherRewards.multiplier } = {}) {
+  const gasPrice = transaction.effectiveGasPrice ?? transaction.gasPrice;
+  if (transaction.gasUsed === undefined || transaction.gasUsed === null || gasPrice === undefined || gasPrice === null) {
+    throw new Error('Receipt is missing gasUsed or effective gas price');
+  }
+  if (!Number.isFinite(multiplier) || multiplier < 0) {
+    throw new Error(`Invalid Fisher reward multiplier: ${multiplier}`);
+  }
+
+  const gasUsed = BigInt(transaction.gasUsed);
+  const effectiveGasPrice = BigInt(gasPrice);
+  const complexity = OPERATION_COMPLEXITY[transaction.operation] ?? 1;
+  const gasCost = gasUsed * effectiveGasPrice;
+  const rewardWei = (gasCost * toBps(complexity) * toBps(multiplier)) / (BPS * BPS);
+
+  return {
+    reward: ethers.formatEther(rewardWei),
+    rewardWei,
+    gasCost,
+    gasUsed,
+    effectiveGasPrice,
+    complexity,
+    multiplier
+  };
 }
 
 /**
- * Submit reward claim to EVVM Fisher network
- * 
- * @param {string} fisherAddress - Fisher bot address
- * @param {string} amount - Amount to claim
+ * Submit reward claim to the Fisher reward contract
+ *
+ * @param {string} claimId - bytes32 id of the claimed ledger entries
+ * @param {bigint} amountWei - Amount to claim
+ * @param {ethers.Contract} contract - Reward contract (defaults to the connector's)
  * @returns {Promise<Object>} Claim result
  */
-export async function submitRewardClaim(fisherAddress, amount) {
-  // TODO: Implement claim submission
-  // - Construct claim transaction
-  // - Submit to EVVM Fisher network contract
-  // - Wait for confirmation
-  
-  console.log(`Fisher ${fisherAddress} claiming ${amount}...`);
-  
+export async function submitRewardClaim(claimId, amountWei, contract = getFisherRewardsContract()) {
+  if (!contract) {
+    throw new Error('FisherRewards contract is not configured (set FISHER_REWARDS_ADDRESS)');
+  }
+
+  const tx = await contract.claimRewards(claimId, amountWei);
+  console.log(`📄 Fisher reward claim sent. Tx hash: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`✅ Fisher reward claim confirmed on block ${receipt.blockNumber}`);
+
   return {
-    txHash: null,
-    amount,
-    status: 'Implementation pending'
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    claimed: ethers.formatEther(amountWei),
+    status: 'claimed'
   };
 }
 
 export { rewardTracker };
 export default FisherRewardTracker;
-
@@ -9,35 +9,105 @@
  * - Used for gasless transaction execution
  * - Fisher network validates and relays to Arcology
  * 
+ * Intents are also signed as EIP-712 typed data (Swap, Lend, Cancel) with a
+ * domain bound to the chain and contract; see shared/intentTypedData.js.
+ * 
  * Reference: https://www.evvm.org/ (EVVM Fisher Network documentation)
  */
 
 import { ethers } from 'ethers';
+import { getIntentTypedData, recoverIntentSigner } from '../../../shared/intentTypedData.js';
+
+export const EIP191_PREFIX = '0x19';
+export const EIP191_VERSION_INTENDED_VALIDATOR = '0x00';
+
+/**
+ * Canonical serialization of an intent, so the Fisher and the user sign and
+ * verify exactly the same bytes:
+ * - object keys sorted, no whitespace
+ * - bigints as decimal strings, Dates as ISO strings
+ * - undefined values and functions dropped, null kept
+ * 
+ * @param {*} value - Intent (or any JSON-like value)
+ * @returns {string} Canonical JSON string
+ */
+export function canonicalizeIntent(value) {
+  return JSON.stringify(toCanonical(value));
+}
+
+function toCanonical(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Cannot serialize non-finite number ${value}`);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => (item === undefined || typeof item === 'function' ? null : toCanonical(item)));
+  }
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined && typeof value[key] !== 'function') {
+        sorted[key] = toCanonical(value[key]);
+      }
+    }
+    return sorted;
+  }
+  return value;
+}
+
+/**
+ * EIP-191 version 0x00 payload: 0x19 || 0x00 || validator address || data
+ * 
+ * @param {string} validator - Intended validator address (the Fisher relayer)
+ * @param {string|Uint8Array} data - Data to sign; strings are UTF-8 encoded
+ * @returns {string} Hex-encoded payload
+ */
+export function buildIntendedValidatorMessage(validator, data) {
+  if (!ethers.isAddress(validator)) {
+    throw new Error(`Invalid EIP-191 validator address: ${validator}`);
+  }
+  const bytes = typeof data === 'string' ? ethers.toUtf8Bytes(data) : data;
+  return ethers.concat([EIP191_PREFIX, EIP191_VERSION_INTENDED_VALIDATOR, ethers.getAddress(validator), bytes]);
+}
+
+/**
+ * Digest that is actually signed: keccak256 of the version 0x00 payload
+ */
+export function hashIntendedValidatorMessage(validator, data) {
+  return ethers.keccak256(buildIntendedValidatorMessage(validator, data));
+}
 
 /**
  * Construct EIP-191 signature for EVVM Fisher network
  * 
+ * The intent is canonically serialized and signed as version 0x00
+ * (intended validator) data, bound to the Fisher relayer that will verify it.
+ * 
  * @param {Object} transactionData - Transaction data to sign
- * @param {Object} wallet - Ethers wallet for signing
+ * @param {Object} wallet - User's ethers wallet
+ * @param {string} validator - Fisher relayer address (intended validator)
  * @returns {Promise<Object>} Signed transaction for Fisher relay
  */
-export async function constructFisherSignature(transactionData, wallet) {
-  // TODO: Implement EIP-191 signature construction
-  // 
-  // Steps:
-  // 1. Prepare transaction data payload
-  // 2. Construct EIP-191 formatted message
-  // 3. Sign with Fisher bot wallet
-  // 4. Return signed transaction for relay to Arcology
-  
+export async function constructFisherSignature(transactionData, wallet, validator) {
   console.log('Constructing EIP-191 signature for EVVM Fisher network...');
   
+  const message = canonicalizeIntent(transactionData);
+  const digest = hashIntendedValidatorMessage(validator, message);
+  const signature = wallet.signingKey.sign(digest).serialized;
+  
   return {
-    signature: null,
-    message: null,
+    signature,
+    message,
+    digest,
+    validator: ethers.getAddress(validator),
+    version: EIP191_VERSION_INTENDED_VALIDATOR,
     signer: wallet.address,
-    timestamp: Date.now(),
-    status: 'Implementation pending'
+    timestamp: Date.now()
   };
 }
 
@@ -45,50 +115,58 @@ export async function constructFisherSignature(transactionData, wallet) {
  * Verify EIP-191 signature
  * 
  * @param {string} signature - Signature to verify
- * @param {string} message - Original message
+ * @param {string|Object} message - Canonical message, or the intent itself
  * @param {string} expectedSigner - Expected signer address
+ * @param {string} validator - Intended validator the signature is bound to
  * @returns {boolean} True if signature is valid
  */
-export function verifyFisherSignature(signature, message, expectedSigner) {
-  // TODO: Implement signature verification
-  // - Recover signer from signature
-  // - Compare with expected signer address
-  
-  return false;
+export function verifyFisherSignature(signature, message, expectedSigner, validator) {
+  try {
+    const canonical = typeof message === 'string' ? message : canonicalizeIntent(message);
+    const recovered = ethers.recoverAddress(hashIntendedValidatorMessage(validator, canonical), signature);
+    return recovered.toLowerCase() === String(expectedSigner).toLowerCase();
+  } catch {
+    return false;
+  }
 }
 
 /**
- * Get async nonce for Fisher transaction
- * EVVM Fisher network supports async/sync nonce patterns
+ * Sign an intent as EIP-712 typed data
  * 
- * @param {string} userAddress - User address
- * @param {boolean} isAsync - Use async nonce (true) or sync nonce (false)
- * @returns {Promise<number>} Nonce value
+ * The domain binds the signature to a chain and to the contract that acts on
+ * the intent, so it cannot be replayed elsewhere.
+ * 
+ * @param {string} primaryType - 'Swap', 'Lend' or 'Cancel'
+ * @param {Object} message - Intent fields (see shared/intentTypedData.js)
+ * @param {Object} wallet - User's ethers wallet
+ * @param {Object} binding - { chainId, verifyingContract }
+ * @returns {Promise<Object>} Signed typed intent
  */
-export async function getFisherNonce(userAddress, isAsync = true) {
-  // TODO: Implement nonce retrieval
-  // - Query EVVM Fisher network for last nonce
-  // - Support both async and sync nonce patterns
-  // - Return next available nonce
-  
-  console.log(`Getting ${isAsync ? 'async' : 'sync'} nonce for ${userAddress}...`);
+export async function signTypedIntent(primaryType, message, wallet, binding) {
+  const typedData = getIntentTypedData(primaryType, message, binding);
+  const signature = await wallet.signTypedData(typedData.domain, typedData.types, typedData.message);
   
-  return 0;
+  return {
+    signature,
+    primaryType,
+    domain: typedData.domain,
+    message: typedData.message,
+    digest: ethers.TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.message),
+    signer: wallet.address,
+    timestamp: Date.now()
+  };
 }
 
 /**
- * Calculate Fisher reward for transaction relay
- * Fisher bots earn rewards for relaying transactions to Arcology
+ * Verify an EIP-712 intent signature under the expected domain
  * 
- * @param {Object} transactionData - Transaction data
- * @returns {string} Estimated reward in principal token
+ * @returns {boolean} True if expectedSigner signed this intent for this chain and contract
  */
-export function calculateFisherReward(transactionData) {
-  // TODO: Implement reward calculation
-  // - Based on transaction complexity
-  // - Gas costs on Arcology
-  // - Fisher network incentive model
-  
-  return '0';
+export function verifyTypedIntentSignature(signature, primaryType, message, expectedSigner, binding) {
+  try {
+    const recovered = recoverIntentSigner(primaryType, message, binding, signature);
+    return recovered.toLowerCase() === String(expectedSigner).toLowerCase();
+  } catch {
+    return false;
+  }
 }
-
@@ -0,0 +1,357 @@
+/**
+ * EVVM Fisher Bot - Gasless Relay (ERC-2771)
+ *
+ * Users only sign; the Fisher wallet submits their calls through the
+ * FisherForwarder contract and pays the gas, which the forwarder charges to
+ * the user's relay fee balance:
+ *
+ *   user signs ForwardRequest (EIP-712, forwarder domain)
+ *        + RelayFee capping the gas price it is charged at (same domain)
+ *        + authorizes this Fisher to submit it (EIP-191, constructFisherSignature)
+ *   → Fisher checks all three and the fee balance → forwarder.relay() from the Fisher wallet
+ *
+ * The forwarder charges min(tx gas price, maxFeePerGas), so a Fisher cannot
+ * drain a fee balance by relaying at an inflated gas price.
+ *
+ * The target contracts (EncryptedSwap, SimpleLending) trust the forwarder and
+ * see the user as _msgSender(). connectForUser() hides the difference from
+ * call sites: it returns a contract whose user actions (GASLESS_METHODS) go
+ * through the relay when the forwarder is configured, and the user-signed
+ * contract otherwise.
+ */
+
+import { ethers } from 'ethers';
+import { getFisherForwarderContract, getFisherAddress } from '../arcology/connector.js';
+import { arcologyConfig } from '../../config/arcology.config.js';
+import { canonicalizeIntent, constructFisherSignature, verifyFisherSignature } from './fisherSignature.js';
+
+export const FORWARDER_DOMAIN_NAME = 'FisherForwarder';
+export const FORWARDER_DOMAIN_VERSION = '1';
+
+// ERC2771Forwarder's EIP-712 request type
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// User actions the Fisher pays gas for: swap intents and lending. Any other
+// method (admin calls like updatePriceOracle) is never relayed.
+export const GASLESS_METHODS = [
+  'submitSwapIntent',
+  'cancelSwap',
+  'deposit',
+  'withdraw',
+  'addCollateral',
+  'withdrawCollateral',
+  'borrow',
+  'repay'
+];
+
+// FisherForwarder's EIP-712 fee cap, signed with the request's forwarder nonce
+export const RELAY_FEE_TYPES = {
+  RelayFee: [
+    { name: 'from', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'maxFeePerGas', type: 'uint256' }
+  ]
+};
+
+/**
+ * A relay the Fisher refused, with code 'not_configured', 'invalid_signature',
+ * 'invalid_request', 'fee_cap_too_low' or 'insufficient_fee_balance'
+ */
+export class GaslessRelayError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'GaslessRelayError';
+    this.code = code;
+  }
+}
+
+class GaslessRelayer {
+  /**
+   * @param {Object} options
+   * @param {Contract} options.forwarder - FisherForwarder connected to the Fisher wallet (default: connector's)
+   * @param {string} options.fisherAddress - Fisher address users authorize (default: connector's)
+   * @param {number} options.deadlineSeconds - How long a signed request stays valid
+   * @param {number} options.gasMargin - Multiplier on the estimated gas of the call
+   * @param {number} options.feeCapMultiplier - Fee cap users sign, as a multiple of the current gas price
+   */
+  constructor({
+    forwarder = null,
+    fisherAddress = null,
+    chainId = arcologyConfig.chainId,
+    deadlineSeconds = arcologyConfig.gasless.deadlineSeconds,
+    gasMargin = arcologyConfig.gasless.gasMargin,
+    feeCapMultiplier = arcologyConfig.gasless.feeCapMultiplier
+  } = {}) {
+    this.forwarder = forwarder;
+    this.fisherAddress = fisherAddress;
+    this.chainId = chainId;
+    this.deadlineSeconds = deadlineSeconds;
+    this.gasMargin = gasMargin;
+    this.feeCapMultiplier = feeCapMultiplier;
+    this.overheadGas = null;
+    // Relays are sent one at a time so the Fisher wallet's nonces don't collide
+    this.sending = Promise.resolve();
+  }
+
+  getForwarder() {
+    return this.forwarder || getFisherForwarderContract();
+  }
+
+  getFisherAddress() {
+    return this.fisherAddress || getFisherAddress();
+  }
+
+  isEnabled() {
+    return Boolean(this.getForwarder());
+  }
+
+  requireForwarder() {
+    const forwarder = this.getForwarder();
+    if (!forwarder) {
+      throw new GaslessRelayError('FisherForwarder contract is not configured (set FISHER_FORWARDER_ADDRESS)', 'not_configured');
+    }
+    return forwarder;
+  }
+
+  async getDomain() {
+    return {
+      name: FORWARDER_DOMAIN_NAME,
+      version: FORWARDER_DOMAIN_VERSION,
+      chainId: this.chainId,
+      verifyingContract: await this.requireForwarder().getAddress()
+    };
+  }
+
+  // Estimated as a direct call from the user, so reverts decode with the target's errors
+  async estimateGas(target, method, args, from) {
+    const estimate = await target.getFunction(method).estimateGas(...args, { from });
+    return BigInt(Math.ceil(Number(estimate) * this.gasMargin));
+  }
+
+  // Gas price the Fisher's relay tx pays now
+  async getGasPrice() {
+    const feeData = await this.requireForwarder().runner.provider.getFeeData();
+    return feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+  }
+
+  /**
+   * Fee cap to sign for a user: room for the gas price to rise by feeCapMultiplier
+   */
+  async getFeeCap() {
+    const gasPrice = await this.getGasPrice();
+    return (gasPrice * BigInt(Math.round(this.feeCapMultiplier * 100)) + 99n) / 100n;
+  }
+
+  /**
+   * Build and sign a forward request for a contract call
+   *
+   * @param {Wallet} userWallet - User's ethers wallet
+   * @param {Contract} target - Contract to call (must trust the forwarder)
+   * @param {string} method - Function name
+   * @param {Array} args - Function arguments
+   * @param {Object} options
+   * @param {bigint} options.gas - Gas for the call (default: estimate × gasMargin)
+   * @param {bigint} options.maxFeePerGas - Highest gas price to be charged at (default: getFeeCap())
+   * @returns {Promise<Object>} { request, method, authorization } for relay(); the
+   *   request carries maxFeePerGas and its feeSignature
+   */
+  async signRequest(userWallet, target, method, args = [], { gas, maxFeePerGas } = {}) {
+    const forwarder = this.requireForwarder();
+    const fisherAddress = this.getFisherAddress();
+    const to = await target.getAddress();
+    const data = target.interface.encodeFunctionData(method, args);
+
+    const fields = {
+      from: userWallet.address,
+      to,
+      value: 0n,
+      gas: gas ?? await this.estimateGas(target, method, args, userWallet.address),
+      nonce: await forwarder.nonces(userWallet.address),
+      deadline: Math.floor(Date.now() / 1000) + this.deadlineSeconds,
+      data
+    };
+    const domain = await this.getDomain();
+    const signature = await userWallet.signTypedData(domain, FORWARD_REQUEST_TYPES, fields);
+    const fee = { from: fields.from, nonce: fields.nonce, maxFeePerGas: maxFeePerGas ?? await this.getFeeCap() };
+    const feeSignature = await userWallet.signTypedData(domain, RELAY_FEE_TYPES, fee);
+    const request = { ...fields, signature, maxFeePerGas: fee.maxFeePerGas, feeSignature };
+
+    // Only this Fisher may submit the request
+    const authorization = await constructFisherSignature({ request, method }, userWallet, fisherAddress);
+    return { request, method, authorization };
+  }
+
+  /**
+   * Most the forwarder may charge for a request at the current gas price and
+   * the user's cap. Computed here because maxFee() reads tx.gasprice, which is
+   * 0 in a call.
+   */
+  async getRequiredFee(request) {
+    const forwarder = this.requireForwarder();
+    if (this.overheadGas === null) {
+      this.overheadGas = await forwarder.RELAY_OVERHEAD_GAS();
+    }
+    const gasPrice = await this.getGasPrice();
+    const cap = BigInt(request.maxFeePerGas);
+    return (BigInt(request.gas) + this.overheadGas) * (gasPrice < cap ? gasPrice : cap);
+  }
+
+  /**
+   * @throws {GaslessRelayError} 'invalid_request' unless the user signed the
+   *   fee cap for this request, 'fee_cap_too_low' if relaying would cost the
+   *   Fisher more than the forwarder repays
+   */
+  async checkFeeCap(request) {
+    let signer = null;
+    try {
+      const fee = { from: request.from, nonce: request.nonce, maxFeePerGas: request.maxFeePerGas };
+      signer = ethers.verifyTypedData(await this.getDomain(), RELAY_FEE_TYPES, fee, request.feeSignature);
+    } catch {
+      // Missing or malformed fee cap
+    }
+    if (signer?.toLowerCase() !== String(request.from).toLowerCase()) {
+      throw new GaslessRelayError('Relay fee cap must be signed by the request sender (RelayFee)', 'invalid_request');
+    }
+
+    const gasPrice = await this.getGasPrice();
+    if (BigInt(request.maxFeePerGas) < gasPrice) {
+      throw new GaslessRelayError(
+        `Relay fee cap of ${ethers.formatUnits(request.maxFeePerGas, 'gwei')} gwei is below the current gas price (${ethers.formatUnits(gasPrice, 'gwei')} gwei)`,
+        'fee_cap_too_low'
+      );
+    }
+  }
+
+  /**
+   * @throws {GaslessRelayError} 'insufficient_fee_balance' if the user can't pay for the request
+   */
+  async checkFeeBalance(request) {
+    const [available, required] = await Promise.all([
+      this.requireForwarder().feeBalance(request.from),
+      this.getRequiredFee(request)
+    ]);
+    if (available < required) {
+      throw new GaslessRelayError(
+        `Relay fee balance too low: ${ethers.formatEther(available)} ETH, need ${ethers.formatEther(required)} ETH. Top it up from 💰 Deposit.`,
+        'insufficient_fee_balance'
+      );
+    }
+    return { available, required };
+  }
+
+  /**
+   * Check that the forwarder will execute a signed request and the user can pay for it
+   *
+   * @throws {GaslessRelayError} 'invalid_request', 'fee_cap_too_low' or 'insufficient_fee_balance'
+   */
+  async checkRequest(request) {
+    if (!(await this.requireForwarder().verify(toForwardRequestData(request)))) {
+      throw new GaslessRelayError('Forward request signature, nonce or deadline is invalid', 'invalid_request');
+    }
+    await this.checkFeeCap(request);
+    await this.checkFeeBalance(request);
+  }
+
+  /**
+   * Submit a signed request from the Fisher wallet
+   *
+   * @param {Object} signed - Result of signRequest()
+   * @returns {Promise<ContractTransactionResponse>} The forwarder relay() transaction
+   */
+  async relay({ request, method, authorization }) {
+    const authorized = authorization &&
+      authorization.message === canonicalizeIntent({ request, method }) &&
+      verifyFisherSignature(authorization.signature, authorization.message, request.from, this.getFisherAddress());
+    if (!authorized) {
+      throw new GaslessRelayError('Request is not authorized for this Fisher', 'invalid_signature');
+    }
+    return this.relayRequest(request, method);
+  }
+
+  /**
+   * Submit a user-signed request whose authorization was checked by the caller
+   * (e.g. the HTTP relay, which checks the user's EIP-712 intent instead)
+   *
+   * @param {Object} request - Signed forward request
+   * @param {string} method - Target function, for logs
+   * @returns {Promise<ContractTransactionResponse>} The forwarder relay() transaction
+   */
+  async relayRequest(request, method) {
+    const forwarder = this.requireForwarder();
+    await this.checkRequest(request);
+
+    const tx = await this.submit(() => forwarder.relay(toForwardRequestData(request), request.maxFeePerGas, request.feeSignature));
+    console.log(`⛽ Relayed ${method} for ${request.from} (Fisher pays gas). Tx hash: ${tx.hash}`);
+    return tx;
+  }
+
+  submit(send) {
+    const sent = this.sending.then(send);
+    this.sending = sent.catch(() => {});
+    return sent;
+  }
+
+  /**
+   * Sign and relay a contract call for a user
+   */
+  async send(userWallet, target, method, args = [], options = {}) {
+    return this.relay(await this.signRequest(userWallet, target, method, args, options));
+  }
+}
+
+// The ForwardRequestData struct fields of a request, without the fee cap
+function toForwardRequestData({ from, to, value, gas, deadline, data, signature }) {
+  return { from, to, value, gas, deadline, data, signature };
+}
+
+function getFunctionFragment(contract, name) {
+  try {
+    return contract.interface.getFunction(name);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Contract handle for acting as a user. With the forwarder configured, calls
+ * to the user actions in GASLESS_METHODS are signed by the user and relayed
+ * by the Fisher (resolving to the relay transaction); views and everything
+ * else go to the contract connected to the user's wallet, which is also
+ * returned as-is when gasless relay is off.
+ *
+ * @param {Contract} contract - Target contract
+ * @param {Wallet} userWallet - User's ethers wallet
+ * @param {GaslessRelayer} relayer - Relayer to use (default: singleton)
+ * @returns {Contract} Contract to call methods on
+ */
+export function connectForUser(contract, userWallet, relayer = gaslessRelayer) {
+  const direct = contract.connect(userWallet);
+  if (!relayer.isEnabled()) {
+    return direct;
+  }
+
+  return new Proxy(direct, {
+    get(target, property) {
+      const fragment = typeof property === 'string' ? getFunctionFragment(target, property) : null;
+      if (fragment && !fragment.constant && GASLESS_METHODS.includes(fragment.name)) {
+        return (...args) => relayer.send(userWallet, target, property, args);
+      }
+      return target[property];
+    }
+  });
+}
+
+const gaslessRelayer = new GaslessRelayer();
+
+export { gaslessRelayer };
+export default GaslessRelayer;
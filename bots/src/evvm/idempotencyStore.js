@@ -0,0 +1,182 @@
+/**
+ * Idempotency Store
+ * Deduplicates intent submissions in the Fisher relay path
+ *
+ * Telegram redelivers updates and users double-tap confirmation buttons, so the
+ * same intent can reach the relay several times. Each intent carries an
+ * idempotency key derived from the chat message or the message a callback
+ * button belongs to; repeats with a known key get the original result (or wait
+ * for the in-flight one) instead of resubmitting.
+ *
+ * Settled results are written through to a state store (the Telegram one, see
+ * telegram/stateStore.js) and restored on boot, so an update Telegram
+ * redelivers after a restart is still recognised. In-flight runs are not
+ * persisted: a key whose run was cut short by the restart runs again.
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_ENTRIES = 10000;
+const STORE_NAMESPACE = 'idempotency';
+
+export class IdempotencyStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.ttlMs - How long a key is remembered
+   * @param {number} options.maxEntries - Keys kept before the oldest are dropped
+   * @param {Object} options.store - State store to restore from and write settled results to
+   */
+  constructor({ ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES, store = null } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> { promise, createdAt }
+    this.store = null;
+    if (store) {
+      this.useStore(store);
+    }
+  }
+
+  /**
+   * Persist settled results to a state store, restoring the keys a previous
+   * run saved there
+   *
+   * @param {Object} store - State store with an 'idempotency' namespace
+   */
+  useStore(store) {
+    this.store = store;
+    const saved = store.load()[STORE_NAMESPACE] || {};
+    for (const [key, { result, createdAt }] of Object.entries(saved)) {
+      if (!this.entries.has(key)) {
+        this.entries.set(key, { promise: Promise.resolve(result), createdAt });
+      }
+    }
+    this.prune();
+  }
+
+  /**
+   * Run a task once per key
+   *
+   * @param {string|null} key - Idempotency key; tasks without a key always run
+   * @param {Function} task - Async function performing the submission
+   * @param {Object} options
+   * @param {Function} options.shouldCache - Decides whether a result is final;
+   *   results it rejects (and thrown errors) are forgotten so the user can retry
+   * @returns {Promise<*>} Result of the first run for this key
+   */
+  async run(key, task, { shouldCache = () => true } = {}) {
+    if (!key) {
+      return task();
+    }
+
+    this.prune();
+
+    const existing = this.entries.get(key);
+    if (existing) {
+      console.log(`♻️  Duplicate intent ${key} - returning original result`);
+      return existing.promise;
+    }
+
+    const promise = Promise.resolve().then(task);
+    const entry = { promise, createdAt: Date.now() };
+    this.entries.set(key, entry);
+
+    const forget = () => {
+      if (this.entries.get(key) === entry) {
+        this.entries.delete(key);
+      }
+    };
+    promise.then(result => {
+      if (!shouldCache(result)) {
+        forget();
+      } else if (this.entries.get(key) === entry) {
+        this.store?.set(STORE_NAMESPACE, key, { result, createdAt: entry.createdAt });
+      }
+    }, forget);
+
+    return promise;
+  }
+
+  has(key) {
+    this.prune();
+    return this.entries.has(key);
+  }
+
+  /**
+   * Result of an earlier run for a key, without running anything
+   *
+   * @returns {Promise<*>|null} The original result, or null for an unknown key
+   */
+  replay(key) {
+    return key && this.has(key) ? this.entries.get(key).promise : null;
+  }
+
+  /**
+   * Drop expired keys, then the oldest ones if the store is over capacity
+   */
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (now - entry.createdAt > this.ttlMs) {
+        this.delete(key);
+      }
+    }
+
+    // Map iteration follows insertion order, so the first keys are the oldest
+    const overflow = this.entries.size - this.maxEntries;
+    if (overflow > 0) {
+      [...this.entries.keys()].slice(0, overflow).forEach(key => this.delete(key));
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+    this.store?.delete(STORE_NAMESPACE, key);
+  }
+
+  clear() {
+    [...this.entries.keys()].forEach(key => this.delete(key));
+  }
+}
+
+/**
+ * Id for one run through a menu flow, carried by its confirm button
+ * (lowercase letters and digits, so it fits a 'word' callback parameter)
+ */
+export function createFlowId() {
+  return crypto.randomBytes(6).readUIntBE(0, 6).toString(36);
+}
+
+/**
+ * Idempotency key for a Telegraf update.
+ * Text messages are keyed by message id. Callback buttons are keyed by the
+ * message they are attached to and their data, so every tap on the same
+ * "❌ Cancel intent" button maps to one key. The swap and lend menus edit one
+ * message over and over, so their confirm taps pass the id of the flow the
+ * button was built for instead: taps within one flow share a key, the next
+ * flow on that message gets a new one.
+ *
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} options
+ * @param {string} options.flowId - Flow a confirm button belongs to (see createFlowId)
+ * @returns {string|null}
+ */
+export function getTelegramIdempotencyKey(ctx, { flowId = null } = {}) {
+  const callback = ctx.callbackQuery;
+  if (callback) {
+    if (flowId) {
+      return `telegram:${callback.message?.chat.id ?? callback.from?.id}:flow:${flowId}`;
+    }
+    return callback.message
+      ? `telegram:${callback.message.chat.id}:${callback.message.message_id}:${callback.data}`
+      : `telegram:callback:${callback.id}`;
+  }
+  if (ctx.message) {
+    return `telegram:${ctx.message.chat.id}:${ctx.message.message_id}`;
+  }
+  return null;
+}
+
+// Singleton instance
+export const idempotencyStore = new IdempotencyStore();
+
+export default IdempotencyStore;
@@ -0,0 +1,184 @@
+/**
+ * Intent Envelope Encryption
+ *
+ * Swap and lend intent metadata (amounts, tokens, user) is stored on-chain, so it
+ * is sealed before submission. Each intent gets a fresh AES-256-GCM content key;
+ * that key is then wrapped separately for every recipient (the user and the
+ * Fisher relayer) using ECIES over secp256k1, so either party can decrypt with
+ * their own wallet key and nobody else can.
+ *
+ * Envelope layout (hex-encoded bytes):
+ *   version (1 byte) | header length (2 bytes, big-endian) | header (UTF-8 JSON)
+ *   | iv (12 bytes) | ciphertext | auth tag (16 bytes)
+ *
+ * Header:
+ *   {
+ *     alg: 'A256GCM',
+ *     kw: 'ECDH-ES+HKDF-SHA256+A256GCM',
+ *     recipients: [{ kid, epk, iv, wk }]   // wk = wrapped key + tag
+ *   }
+ *
+ * The version byte and header are authenticated as additional data, so a
+ * recipient entry cannot be swapped or stripped without decryption failing.
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+export const ENVELOPE_VERSION = 1;
+
+const CONTENT_ALG = 'A256GCM';
+const KEY_WRAP_ALG = 'ECDH-ES+HKDF-SHA256+A256GCM';
+const KDF_INFO = Buffer.from('shadow-nox/intent-envelope/v1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * Short identifier for a recipient key: first 8 bytes of keccak256 of the
+ * compressed public key
+ *
+ * @param {string} publicKey - secp256k1 public key (compressed or uncompressed)
+ * @returns {string} Hex key id
+ */
+export function getKeyId(publicKey) {
+  return ethers.dataSlice(ethers.keccak256(ethers.SigningKey.computePublicKey(publicKey, true)), 0, 8);
+}
+
+function gcmEncrypt(key, plaintext, aad = null) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  if (aad) {
+    cipher.setAAD(aad);
+  }
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  return { iv, ciphertext };
+}
+
+function gcmDecrypt(key, iv, data, aad = null) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  if (aad) {
+    decipher.setAAD(aad);
+  }
+  decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Derive the key-wrapping key shared between an ephemeral key and a recipient
+ */
+function deriveWrappingKey(sharedSecret, ephemeralPublicKey, recipientPublicKey) {
+  const salt = Buffer.concat([
+    ethers.getBytes(ethers.SigningKey.computePublicKey(ephemeralPublicKey, true)),
+    ethers.getBytes(ethers.SigningKey.computePublicKey(recipientPublicKey, true)),
+  ]);
+  return Buffer.from(crypto.hkdfSync('sha256', ethers.getBytes(sharedSecret), salt, KDF_INFO, KEY_LENGTH));
+}
+
+function wrapKey(contentKey, recipientPublicKey) {
+  const ephemeral = new ethers.SigningKey(ethers.hexlify(crypto.randomBytes(32)));
+  const epk = ephemeral.compressedPublicKey;
+  const wrappingKey = deriveWrappingKey(ephemeral.computeSharedSecret(recipientPublicKey), epk, recipientPublicKey);
+  const { iv, ciphertext } = gcmEncrypt(wrappingKey, contentKey);
+
+  return {
+    kid: getKeyId(recipientPublicKey),
+    epk,
+    iv: ethers.hexlify(iv),
+    wk: ethers.hexlify(ciphertext),
+  };
+}
+
+function unwrapKey(recipient, signingKey) {
+  const wrappingKey = deriveWrappingKey(signingKey.computeSharedSecret(recipient.epk), recipient.epk, signingKey.publicKey);
+  return gcmDecrypt(wrappingKey, ethers.getBytes(recipient.iv), Buffer.from(ethers.getBytes(recipient.wk)));
+}
+
+/**
+ * Encrypt intent metadata for a set of recipients
+ *
+ * @param {Object} payload - JSON-serializable intent metadata
+ * @param {string[]} recipientPublicKeys - secp256k1 public keys allowed to decrypt
+ * @returns {string} Hex-encoded envelope, ready for submitSwapIntent
+ */
+export function encryptIntent(payload, recipientPublicKeys) {
+  if (!recipientPublicKeys?.length) {
+    throw new Error('Intent envelope needs at least one recipient');
+  }
+
+  const contentKey = crypto.randomBytes(KEY_LENGTH);
+  const header = Buffer.from(JSON.stringify({
+    alg: CONTENT_ALG,
+    kw: KEY_WRAP_ALG,
+    recipients: recipientPublicKeys.map(publicKey => wrapKey(contentKey, publicKey)),
+  }));
+
+  const prefix = Buffer.alloc(3);
+  prefix.writeUInt8(ENVELOPE_VERSION, 0);
+  prefix.writeUInt16BE(header.length, 1);
+  const aad = Buffer.concat([prefix, header]);
+
+  const { iv, ciphertext } = gcmEncrypt(contentKey, Buffer.from(JSON.stringify(payload)), aad);
+  return ethers.hexlify(Buffer.concat([aad, iv, ciphertext]));
+}
+
+/**
+ * Read an envelope's version and header without decrypting it
+ *
+ * @param {string|Uint8Array} envelope - Hex or raw envelope bytes
+ * @returns {Object} { version, header, aad, iv, ciphertext }
+ */
+export function parseEnvelope(envelope) {
+  const bytes = Buffer.from(ethers.getBytes(envelope));
+
+  if (bytes.length < 3) {
+    throw new Error('Intent envelope is truncated');
+  }
+  const version = bytes.readUInt8(0);
+  if (version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported intent envelope version ${version}`);
+  }
+
+  const headerEnd = 3 + bytes.readUInt16BE(1);
+  if (bytes.length < headerEnd + IV_LENGTH + TAG_LENGTH) {
+    throw new Error('Intent envelope is truncated');
+  }
+
+  const header = JSON.parse(bytes.subarray(3, headerEnd).toString('utf8'));
+  if (header.alg !== CONTENT_ALG || header.kw !== KEY_WRAP_ALG) {
+    throw new Error(`Unsupported intent envelope algorithm ${header.alg}/${header.kw}`);
+  }
+
+  return {
+    version,
+    header,
+    aad: bytes.subarray(0, headerEnd),
+    iv: bytes.subarray(headerEnd, headerEnd + IV_LENGTH),
+    ciphertext: bytes.subarray(headerEnd + IV_LENGTH),
+  };
+}
+
+/**
+ * Decrypt an intent envelope with one of its recipients' keys
+ *
+ * @param {string|Uint8Array} envelope - Hex or raw envelope bytes
+ * @param {Object|string} key - Ethers wallet, SigningKey or private key hex
+ * @returns {Object} Decrypted intent metadata
+ */
+export function decryptIntent(envelope, key) {
+  const signingKey = key.signingKey || (key instanceof ethers.SigningKey ? key : new ethers.SigningKey(key));
+  const { header, aad, iv, ciphertext } = parseEnvelope(envelope);
+
+  const kid = getKeyId(signingKey.publicKey);
+  const recipient = header.recipients.find(entry => entry.kid === kid);
+  if (!recipient) {
+    throw new Error(`Intent envelope is not addressed to key ${kid}`);
+  }
+
+  try {
+    const contentKey = unwrapKey(recipient, signingKey);
+    return JSON.parse(gcmDecrypt(contentKey, iv, ciphertext, aad).toString('utf8'));
+  } catch (error) {
+    throw new Error(`Intent envelope failed authentication: ${error.message}`);
+  }
+}
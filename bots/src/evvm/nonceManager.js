@@ -11,113 +11,480 @@
  * Reference: https://www.evvm.org/ (EVVM Fisher Network documentation)
  */
 
+import path from 'path';
+import { ethers } from 'ethers';
+import { getAsyncNonceEngineContract } from '../arcology/connector.js';
+import { arcologyConfig } from '../../config/arcology.config.js';
+import { NoncePolicy } from './noncePolicy.js';
+import { PendingTxStore, OPEN_STATUSES } from './pendingTxStore.js';
+
+const DEFAULT_RECONCILE_INTERVAL = 30000; // 30 seconds
+const PENDING_TXS_FILE = path.resolve(process.cwd(), '.pending_txs.json');
+
+/**
+ * A sync nonce wait that ended without a nonce, with code 'timeout' or 'cancelled'
+ */
+export class NonceWaitError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'NonceWaitError';
+    this.code = code;
+  }
+}
+
+/**
+ * A nonce chosen outside the manager that can't be used, with code 'settled'
+ * (the chain has passed it), 'taken' (reserved, pending or settled here) or
+ * 'too_many_pending'
+ */
+export class NonceClaimError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'NonceClaimError';
+    this.code = code;
+  }
+}
+
 /**
  * Nonce Manager for EVVM Fisher network
+ *
+ * Async nonces are seeded from AsyncNonceEngine.getLastSettledNonce and handed
+ * out as reservations, so concurrent intents from one user never get the same
+ * nonce. Each reserved nonce moves through:
+ *
+ *   reserved → pending (tx sent, trackPendingTx) → settled (settleTx)
+ *            ↘ failed (releaseAsyncNonce), free for reuse
+ *
+ * A nonce stays taken until the chain's last settled nonce passes it; reconcile()
+ * refreshes that from chain and drops everything at or below it. Old settled
+ * entries the chain hasn't reached collapse into a floor entry (see
+ * clearOldSettled). Entries live in a PendingTxStore; recoverPendingTxs()
+ * re-checks receipts after a restart.
+ *
+ * Sync nonces are for dependent steps (add collateral, then borrow): each user
+ * holds at most one at a time and later steps queue behind it.
  */
 class NonceManager {
-  constructor() {
-    // Track nonces per user address
-    this.asyncNonces = new Map(); // userAddress => current async nonce
-    this.syncNonces = new Map();  // userAddress => current sync nonce
-    this.pendingTxs = new Map();  // nonce => transaction data
+  /**
+   * @param {Object} options
+   * @param {ethers.Contract} options.contract - AsyncNonceEngine (defaults to the connector's)
+   * @param {number} options.maxPending - Reserved + pending async nonces allowed per user
+   * @param {PendingTxStore} options.store - Pending tx store (default: in-memory)
+   */
+  constructor({ contract = null, maxPending = arcologyConfig.maxPendingAsyncTxs, store = new PendingTxStore() } = {}) {
+    this.contract = contract;
+    this.maxPending = maxPending;
+
+    // Track nonces per user address (lowercased)
+    this.asyncNonces = new Map(); // userAddress => last settled async nonce on chain
+    this.syncNonces = new Map();  // userAddress => { last, active, waiters } sync nonce queue
+    this.pendingTxs = store;      // (userAddress, nonce) => transaction data
+    this.seeding = new Map();     // userAddress => in-flight seed from chain
+    this.reconcileInterval = null;
+  }
+
+  getContract() {
+    return this.contract || getAsyncNonceEngineContract();
+  }
+
+  /**
+   * Last settled async nonce for a user, read from AsyncNonceEngine once and
+   * shared by concurrent callers
+   *
+   * @param {string} userAddress - User's EVM address
+   * @returns {Promise<number>} Last settled nonce (0 before the first settlement)
+   */
+  async seedAsyncNonce(userAddress) {
+    const user = normalize(userAddress);
+    if (this.asyncNonces.has(user)) {
+      return this.asyncNonces.get(user);
+    }
+    if (!this.seeding.has(user)) {
+      this.seeding.set(user, this.fetchLastSettled(user)
+        .then(lastSettled => {
+          this.asyncNonces.set(user, Math.max(lastSettled, this.asyncNonces.get(user) || 0));
+          return this.asyncNonces.get(user);
+        })
+        .finally(() => this.seeding.delete(user)));
+    }
+    return this.seeding.get(user);
+  }
+
+  async fetchLastSettled(user) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error('AsyncNonceEngine not initialized.');
+    }
+    return Number(await contract.getLastSettledNonce(user));
+  }
+
+  /**
+   * Reserve the next async nonce for user
+   * Async nonces allow out-of-order, parallel execution. The reservation must be
+   * followed by trackPendingTx once the tx is sent, or releaseAsyncNonce if it fails.
+   *
+   * @param {string} userAddress - User's EVM address
+   * @param {Object} txData - Data kept with the reservation
+   * @returns {Promise<number>} Reserved async nonce
+   * @throws {Error} If the user already has maxPending async txs in flight
+   */
+  async reserveAsyncNonce(userAddress, txData = {}) {
+    const user = normalize(userAddress);
+    const lastSettled = await this.seedAsyncNonce(user);
+
+    // Pick and record the nonce before any further await so concurrent
+    // reservations see each other
+    if (this.getPendingTxs(user).length >= this.maxPending) {
+      throw new Error(`Too many pending async transactions for ${userAddress} (max ${this.maxPending})`);
+    }
+
+    let nonce = Math.max(lastSettled, this.settledFloor(user)) + 1;
+    while (this.isNonceTaken(user, nonce)) {
+      nonce++;
+    }
+    this.pendingTxs.transition(user, nonce, 'reserved', txData);
+
+    console.log(`Reserved async nonce ${nonce} for ${userAddress}`);
+    return nonce;
+  }
+
+  /**
+   * Reserve a nonce the user chose (e.g. in a signed relay intent) instead of
+   * the next free one. Like reserveAsyncNonce, it must be followed by
+   * trackPendingTx or releaseAsyncNonce.
+   *
+   * @param {string} userAddress - User's EVM address
+   * @param {number} nonce - Nonce to reserve
+   * @param {Object} txData - Data kept with the reservation
+   * @returns {Promise<number>} The reserved nonce
+   * @throws {NonceClaimError} If the nonce is settled on chain, already taken, or
+   *   the user has maxPending async txs in flight
+   */
+  async claimAsyncNonce(userAddress, nonce, txData = {}) {
+    const user = normalize(userAddress);
+    const lastSettled = await this.seedAsyncNonce(user);
+
+    // Check and record before any further await, as in reserveAsyncNonce
+    if (nonce <= lastSettled) {
+      throw new NonceClaimError(`Nonce ${nonce} is already settled on chain (last settled: ${lastSettled})`, 'settled');
+    }
+    if (nonce <= this.settledFloor(user) || this.isNonceTaken(user, nonce)) {
+      throw new NonceClaimError(`Nonce ${nonce} has already been used`, 'taken');
+    }
+    if (this.getPendingTxs(user).length >= this.maxPending) {
+      throw new NonceClaimError(`Too many pending async transactions for ${userAddress} (max ${this.maxPending})`, 'too_many_pending');
+    }
+    this.pendingTxs.transition(user, nonce, 'reserved', txData);
+
+    console.log(`Reserved async nonce ${nonce} for ${userAddress}`);
+    return nonce;
+  }
+
+  /**
+   * Highest nonce settled here whose older entries were pruned before the
+   * chain reached them; no nonce up to it is handed out again
+   */
+  settledFloor(user) {
+    return this.pendingTxs.list(user, ['settled']).findLast(tx => tx.floor)?.nonce ?? 0;
+  }
+
+  isNonceTaken(user, nonce) {
+    const entry = this.pendingTxs.get(user, nonce);
+    return entry !== null && !['failed', 'expired'].includes(entry.status);
   }
 
   /**
    * Get next async nonce for user
-   * Async nonces allow out-of-order, parallel execution
-   * 
+   * Kept for existing callers; this reserves the nonce like reserveAsyncNonce
+   *
    * @param {string} userAddress - User's EVM address
    * @returns {Promise<number>} Next async nonce
    */
   async getNextAsyncNonce(userAddress) {
-    // TODO: Implement async nonce retrieval
-    // - Query Arcology AsyncNonceEngine contract
-    // - Get last settled nonce
-    // - Return next available nonce
-    // - Support multiple pending async transactions
-    
-    console.log(`Getting next async nonce for ${userAddress}...`);
-    
-    const currentNonce = this.asyncNonces.get(userAddress) || 0;
-    const nextNonce = currentNonce + 1;
-    this.asyncNonces.set(userAddress, nextNonce);
-    
-    return nextNonce;
+    return this.reserveAsyncNonce(userAddress);
+  }
+
+  /**
+   * Give back a reserved nonce whose transaction was never sent or failed
+   *
+   * @param {string} userAddress - User address
+   * @param {number} nonce - Reserved nonce
+   * @param {string} reason - Why the transaction failed
+   */
+  releaseAsyncNonce(userAddress, nonce, reason = null) {
+    const user = normalize(userAddress);
+    const tx = this.pendingTxs.get(user, nonce);
+
+    if (tx && OPEN_STATUSES.includes(tx.status)) {
+      this.pendingTxs.transition(user, nonce, 'failed', { reason });
+      console.log(`Released async nonce ${nonce} for ${userAddress}`);
+    }
+  }
+
+  /**
+   * Refresh last settled nonces from chain and drop local entries the chain has
+   * passed, so restarts and external transactions don't leave stale state
+   *
+   * @returns {Promise<void>}
+   */
+  async reconcile() {
+    const users = new Set([...this.asyncNonces.keys(), ...this.pendingTxs.addresses()]);
+
+    for (const user of users) {
+      try {
+        const lastSettled = await this.fetchLastSettled(user);
+        this.asyncNonces.set(user, lastSettled);
+        this.pendingTxs.prune((address, entry) => address === user && entry.nonce <= lastSettled);
+      } catch (error) {
+        console.error(`Nonce reconcile failed for ${user}:`, error.message);
+      }
+    }
+
+    this.clearOldSettled();
+  }
+
+  /**
+   * Re-check receipts for transactions still pending from a previous run
+   * Sent transactions become settled or failed from their receipt, or expired
+   * if the node no longer knows them; reservations that were never sent fail.
+   *
+   * @param {ethers.Provider} provider - Arcology provider
+   * @returns {Promise<Object>} Counts of entries per resulting status
+   */
+  async recoverPendingTxs(provider) {
+    const counts = { settled: 0, failed: 0, expired: 0, pending: 0 };
+
+    for (const user of this.pendingTxs.addresses()) {
+      for (const entry of this.pendingTxs.list(user, OPEN_STATUSES)) {
+        try {
+          const status = await this.checkReceipt(provider, entry);
+          if (status !== 'pending') {
+            this.pendingTxs.transition(user, entry.nonce, status, status === 'failed' && !entry.txHash
+              ? { reason: 'Not sent before restart' }
+              : {});
+          }
+          counts[status]++;
+        } catch (error) {
+          console.error(`Receipt check failed for ${user} nonce ${entry.nonce}:`, error.message);
+        }
+      }
+    }
+
+    console.log(`🔁 Pending txs re-checked: ${counts.settled} settled, ${counts.failed} failed, ${counts.expired} expired, ${counts.pending} still pending`);
+    return counts;
+  }
+
+  async checkReceipt(provider, entry) {
+    if (!entry.txHash) {
+      return 'failed';
+    }
+    const receipt = await provider.getTransactionReceipt(entry.txHash);
+    if (receipt) {
+      return receipt.status === 0 ? 'failed' : 'settled';
+    }
+    return (await provider.getTransaction(entry.txHash)) ? 'pending' : 'expired';
+  }
+
+  /**
+   * Reconcile against chain state on an interval. Without an AsyncNonceEngine
+   * there is nothing to reconcile against, so no loop is started.
+   *
+   * @param {number} intervalMs - Interval in milliseconds (default: 30 seconds)
+   * @returns {boolean} Whether the loop was started
+   */
+  startReconciling(intervalMs = DEFAULT_RECONCILE_INTERVAL) {
+    this.stopReconciling();
+    if (!this.getContract()) {
+      console.warn('⚠️ AsyncNonceEngine not configured; async nonces will not be reconciled with the chain');
+      return false;
+    }
+    this.reconcileInterval = setInterval(() => this.reconcile(), intervalMs);
+    // Don't keep the process alive just for reconciliation
+    this.reconcileInterval.unref?.();
+    return true;
+  }
+
+  stopReconciling() {
+    if (this.reconcileInterval) {
+      clearInterval(this.reconcileInterval);
+      this.reconcileInterval = null;
+    }
   }
 
   /**
    * Get next sync nonce for user
-   * Sync nonces enforce sequential, in-order execution
+   * Sync nonces enforce sequential, in-order execution: the next nonce is only
+   * handed out once the previous one is settled (settleSyncNonce) or released
+   * (releaseSyncNonce). Callers wait in a per-user FIFO queue.
    * 
    * @param {string} userAddress - User's EVM address
+   * @param {Object} options
+   * @param {number} options.timeout - Max wait in milliseconds (default: arcologyConfig.asyncTxTimeout)
+   * @param {AbortSignal} options.signal - Aborts the wait
    * @returns {Promise<number>} Next sync nonce
+   * @throws {NonceWaitError} On timeout ('timeout') or cancellation ('cancelled')
    */
-  async getNextSyncNonce(userAddress) {
-    // TODO: Implement sync nonce retrieval
-    // - Query user's transaction count on Arcology
-    // - Ensure sequential ordering
-    // - Wait for previous nonce to settle before returning next
-    
-    console.log(`Getting next sync nonce for ${userAddress}...`);
-    
-    const currentNonce = this.syncNonces.get(userAddress) || 0;
-    const nextNonce = currentNonce + 1;
-    this.syncNonces.set(userAddress, nextNonce);
-    
-    return nextNonce;
+  getNextSyncNonce(userAddress, { timeout = arcologyConfig.asyncTxTimeout, signal = null } = {}) {
+    const queue = this.getSyncQueue(userAddress);
+
+    if (queue.active === null && queue.waiters.length === 0) {
+      return Promise.resolve(this.takeSyncNonce(queue));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(new NonceWaitError(`Sync nonce wait for ${userAddress} was cancelled`, 'cancelled'));
+    }
+
+    console.log(`Waiting for sync nonce ${queue.active} of ${userAddress} to settle...`);
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      const leave = (error) => {
+        queue.waiters.splice(queue.waiters.indexOf(waiter), 1);
+        waiter.cleanup();
+        reject(error);
+      };
+      const onAbort = () => leave(new NonceWaitError(`Sync nonce wait for ${userAddress} was cancelled`, 'cancelled'));
+      const timer = setTimeout(() => leave(new NonceWaitError(
+        `Timed out after ${timeout}ms waiting for sync nonce ${queue.active} of ${userAddress} to settle`,
+        'timeout'
+      )), timeout);
+
+      waiter.cancel = onAbort;
+      waiter.cleanup = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      queue.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Mark a sync nonce as settled and hand the next one to the first waiter
+   *
+   * @param {string} userAddress - User address
+   * @param {number} nonce - Settled sync nonce
+   */
+  settleSyncNonce(userAddress, nonce) {
+    const queue = this.getSyncQueue(userAddress);
+    if (queue.active !== nonce) {
+      return;
+    }
+    queue.active = null;
+    this.advanceSyncQueue(queue);
+  }
+
+  /**
+   * Give back a sync nonce whose transaction failed, so the next waiter reuses it
+   *
+   * @param {string} userAddress - User address
+   * @param {number} nonce - Sync nonce to release
+   */
+  releaseSyncNonce(userAddress, nonce) {
+    const queue = this.getSyncQueue(userAddress);
+    if (queue.active !== nonce) {
+      return;
+    }
+    queue.active = null;
+    queue.last = nonce - 1;
+    this.advanceSyncQueue(queue);
+  }
+
+  /**
+   * Cancel every wait queued behind the user's current sync nonce
+   *
+   * @param {string} userAddress - User address
+   * @returns {number} Number of cancelled waits
+   */
+  cancelSyncWaits(userAddress) {
+    const { waiters } = this.getSyncQueue(userAddress);
+    const count = waiters.length;
+    [...waiters].forEach(waiter => waiter.cancel());
+    return count;
+  }
+
+  /**
+   * Run one step of a dependent flow under the next sync nonce: waits for the
+   * user's previous step, then settles the nonce on success or releases it on failure
+   *
+   * @param {string} userAddress - User address
+   * @param {Function} step - async (nonce) => result
+   * @param {Object} options - Wait options for getNextSyncNonce
+   * @returns {Promise<*>} The step's result
+   */
+  async runSequenced(userAddress, step, options = {}) {
+    const nonce = await this.getNextSyncNonce(userAddress, options);
+    try {
+      const result = await step(nonce);
+      this.settleSyncNonce(userAddress, nonce);
+      return result;
+    } catch (error) {
+      this.releaseSyncNonce(userAddress, nonce);
+      throw error;
+    }
+  }
+
+  getSyncQueue(userAddress) {
+    const user = normalize(userAddress);
+    if (!this.syncNonces.has(user)) {
+      this.syncNonces.set(user, { last: 0, active: null, waiters: [] });
+    }
+    return this.syncNonces.get(user);
+  }
+
+  takeSyncNonce(queue) {
+    queue.last += 1;
+    queue.active = queue.last;
+    return queue.active;
+  }
+
+  advanceSyncQueue(queue) {
+    const waiter = queue.waiters.shift();
+    if (waiter) {
+      waiter.cleanup();
+      waiter.resolve(this.takeSyncNonce(queue));
+    }
   }
 
   /**
    * Track pending transaction with nonce
-   * 
+   * Marks a reserved nonce as sent, or records a nonce chosen elsewhere (the relay)
+   *
    * @param {string} userAddress - User address
    * @param {number} nonce - Transaction nonce
    * @param {Object} txData - Transaction data
    */
   trackPendingTx(userAddress, nonce, txData) {
-    const key = `${userAddress}:${nonce}`;
-    this.pendingTxs.set(key, {
-      ...txData,
-      timestamp: Date.now(),
-      status: 'pending'
-    });
+    this.pendingTxs.transition(normalize(userAddress), nonce, 'pending', txData);
     
     console.log(`Tracking pending tx: ${userAddress} nonce ${nonce}`);
   }
 
   /**
    * Mark transaction as settled
+   * The nonce stays taken until reconcile() sees the chain settle it
    * 
    * @param {string} userAddress - User address
    * @param {number} nonce - Settled nonce
    */
   settleTx(userAddress, nonce) {
-    const key = `${userAddress}:${nonce}`;
-    const tx = this.pendingTxs.get(key);
+    const user = normalize(userAddress);
+    const tx = this.pendingTxs.get(user, nonce);
     
-    if (tx) {
-      tx.status = 'settled';
-      tx.settledAt = Date.now();
+    if (tx && OPEN_STATUSES.includes(tx.status)) {
+      this.pendingTxs.transition(user, nonce, 'settled', { settledAt: Date.now() });
       console.log(`Transaction settled: ${userAddress} nonce ${nonce}`);
     }
   }
 
   /**
-   * Get pending transactions for user
+   * Get reserved and pending transactions for user
    * 
    * @param {string} userAddress - User address
    * @returns {Array} Pending transactions
    */
   getPendingTxs(userAddress) {
-    const pending = [];
-    
-    for (const [key, tx] of this.pendingTxs.entries()) {
-      if (key.startsWith(userAddress) && tx.status === 'pending') {
-        pending.push(tx);
-      }
-    }
-    
-    return pending;
+    return this.pendingTxs.list(normalize(userAddress), OPEN_STATUSES);
   }
 
   /**
@@ -131,48 +498,57 @@ class NonceManager {
   }
 
   /**
-   * Clear settled transactions older than threshold
+   * Clear settled, failed and expired transactions older than threshold.
+   * Old settled entries the chain's last settled nonce hasn't reached (it only
+   * moves when the engine settles, which may be never) are dropped too, except
+   * the highest: it stays as the user's floor, so a nonce settled here is
+   * never handed out again.
    * 
    * @param {number} maxAge - Max age in milliseconds (default: 1 hour)
    */
   clearOldSettled(maxAge = 3600000) {
     const now = Date.now();
-    
-    for (const [key, tx] of this.pendingTxs.entries()) {
-      if (tx.status === 'settled' && tx.settledAt) {
-        if (now - tx.settledAt > maxAge) {
-          this.pendingTxs.delete(key);
+    const isOld = tx => !OPEN_STATUSES.includes(tx.status) && now - tx.updatedAt > maxAge;
+
+    const floors = new Map(); // userAddress => nonce of the floor entry
+    for (const user of this.pendingTxs.addresses()) {
+      const lastSettled = this.asyncNonces.get(user) ?? 0;
+      const floor = this.pendingTxs.list(user, ['settled'])
+        .filter(tx => isOld(tx) && tx.nonce > lastSettled)
+        .at(-1);
+      if (floor) {
+        if (!floor.floor) {
+          this.pendingTxs.update(user, floor.nonce, { floor: true });
         }
+        floors.set(user, floor.nonce);
       }
     }
+
+    this.pendingTxs.prune((address, tx) => isOld(tx) && tx.nonce !== floors.get(address));
   }
 }
 
-// Global nonce manager instance
-const nonceManager = new NonceManager();
+function normalize(userAddress) {
+  return ethers.isAddress(userAddress) ? userAddress.toLowerCase() : String(userAddress);
+}
+
+// Global nonce manager instance, persisting pending txs across restarts
+const nonceManager = new NonceManager({ store: new PendingTxStore({ stateFile: PENDING_TXS_FILE }) });
+
+// Global nonce type policy, reading pending txs from the global manager
+const noncePolicy = new NoncePolicy({ nonces: nonceManager });
 
 /**
- * Determine whether to use async or sync nonce based on transaction type
+ * Determine whether to use async or sync nonce for a transaction
+ * See noncePolicy.js for the rules
  * 
- * @param {Object} transaction - Transaction data
+ * @param {Object} transaction - { type, user, dependsOn }
+ * @param {NoncePolicy} policy - Policy to apply (default: the global policy)
  * @returns {string} 'async' or 'sync'
  */
-export function determineNonceType(transaction) {
-  // TODO: Implement nonce type determination logic
-  // 
-  // Use async nonces for:
-  // - Multiple parallel DeFi strategies
-  // - MEV-sensitive transactions
-  // - High-frequency trading
-  // 
-  // Use sync nonces for:
-  // - Sequential dependencies
-  // - Exact ordering requirements
-  
-  // Default to async for Shadow Economy parallel execution
-  return 'async';
+export function determineNonceType(transaction, policy = noncePolicy) {
+  return policy.decide(transaction).nonceType;
 }
 
-export { nonceManager };
+export { nonceManager, noncePolicy };
 export default NonceManager;
-
@@ -0,0 +1,109 @@
+/**
+ * Nonce Type Policy
+ * Decides whether an intent runs under an async or a sync nonce
+ *
+ * Rules are checked in order and the first match decides:
+ *
+ *   1. override    - per-user override ('async' or 'sync')
+ *   2. dependsOn   - the transaction declares steps it depends on → sync
+ *   3. dependency  - its type depends on another type (repay after borrow) → sync
+ *   4. pending     - the user has pending async txs and the type is listed in
+ *                    syncWhenPending → sync
+ *   5. default     - policy default (async, for parallel execution on Arcology)
+ *
+ * Every decision is logged with the rule that made it.
+ */
+
+import { arcologyConfig } from '../../config/arcology.config.js';
+
+export const NONCE_TYPES = ['async', 'sync'];
+
+export const DEFAULT_NONCE_POLICY = {
+  default: 'async',
+  // Intent type => types it must run after
+  dependencies: {
+    borrow: ['add_collateral'],
+    repay: ['borrow'],
+    withdraw: ['deposit'],
+    withdraw_collateral: ['add_collateral', 'repay'],
+  },
+  // Types that queue behind the user's pending async txs
+  syncWhenPending: ['deposit', 'add_collateral', 'lend'],
+  // userAddress => 'async' | 'sync'
+  overrides: {},
+};
+
+export class NoncePolicy {
+  /**
+   * @param {Object} options
+   * @param {Object} options.policy - Merged over DEFAULT_NONCE_POLICY
+   * @param {Object} options.nonces - NonceManager used for hasPendingAsync
+   */
+  constructor({ policy = arcologyConfig.noncePolicy, nonces = null } = {}) {
+    this.policy = { ...DEFAULT_NONCE_POLICY, ...policy };
+    this.nonces = nonces;
+
+    this.overrides = new Map();
+    for (const [user, nonceType] of Object.entries(this.policy.overrides || {})) {
+      this.setOverride(user, nonceType);
+    }
+    if (!NONCE_TYPES.includes(this.policy.default)) {
+      throw new Error(`Invalid default nonce type "${this.policy.default}". Use: ${NONCE_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Pin a user to one nonce type regardless of the other rules
+   *
+   * @param {string} userAddress - User address
+   * @param {string} nonceType - 'async' or 'sync'
+   */
+  setOverride(userAddress, nonceType) {
+    if (!NONCE_TYPES.includes(nonceType)) {
+      throw new Error(`Invalid nonce type "${nonceType}" for ${userAddress}. Use: ${NONCE_TYPES.join(', ')}`);
+    }
+    this.overrides.set(userAddress.toLowerCase(), nonceType);
+  }
+
+  clearOverride(userAddress) {
+    this.overrides.delete(userAddress.toLowerCase());
+  }
+
+  /**
+   * Decide the nonce type for a transaction
+   *
+   * @param {Object} transaction - { type, user, dependsOn }
+   * @returns {Object} { nonceType, rule, reason }
+   */
+  decide(transaction = {}) {
+    const decision = this.evaluate(transaction);
+    const subject = `${transaction.type || 'transaction'}${transaction.user ? ` from ${transaction.user}` : ''}`;
+    console.log(`🔢 Nonce type for ${subject}: ${decision.nonceType} (${decision.rule}: ${decision.reason})`);
+    return decision;
+  }
+
+  evaluate({ type, user, dependsOn }) {
+    const override = user && this.overrides.get(user.toLowerCase());
+    if (override) {
+      return { nonceType: override, rule: 'override', reason: 'per-user override' };
+    }
+
+    const declared = [].concat(dependsOn || []);
+    if (declared.length) {
+      return { nonceType: 'sync', rule: 'dependsOn', reason: `depends on ${declared.join(', ')}` };
+    }
+
+    const dependencies = this.policy.dependencies[type];
+    if (dependencies?.length) {
+      return { nonceType: 'sync', rule: 'dependency', reason: `${type} runs after ${dependencies.join(' or ')}` };
+    }
+
+    if (user && this.policy.syncWhenPending.includes(type) && this.nonces?.hasPendingAsync(user)) {
+      return { nonceType: 'sync', rule: 'pending', reason: 'user has pending async transactions' };
+    }
+
+    return { nonceType: this.policy.default, rule: 'default', reason: 'policy default' };
+  }
+}
+
+export default NoncePolicy;
@@ -0,0 +1,189 @@
+/**
+ * Pending Transaction Store
+ * Durable state for NonceManager's async nonces
+ *
+ * Entries are keyed exactly by (address, nonce) and move through:
+ *
+ *   reserved → pending → settled
+ *       ↓         ↘ failed | expired
+ *     failed
+ *
+ * Failed and expired nonces can be reserved again. With a state file
+ * (.pending_txs.json for the bots) entries survive restarts, so in-flight
+ * transactions can be re-checked on boot; without one the store is in-memory.
+ */
+
+import fs from 'fs';
+
+export const PENDING_TX_STATUSES = ['reserved', 'pending', 'settled', 'failed', 'expired'];
+
+// Statuses still holding a nonce for an in-flight transaction
+export const OPEN_STATUSES = ['reserved', 'pending'];
+
+const TRANSITIONS = {
+  reserved: ['pending', 'settled', 'failed'],
+  pending: ['pending', 'settled', 'failed', 'expired'],
+  settled: [],
+  failed: ['reserved', 'pending'],
+  expired: ['reserved', 'pending'],
+};
+
+export class PendingTxStore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.stateFile - JSON file to persist to (null keeps entries in memory)
+   */
+  constructor({ stateFile = null } = {}) {
+    this.stateFile = stateFile;
+    this.entries = new Map(); // address => Map(nonce => entry)
+    this.load();
+  }
+
+  load() {
+    if (!this.stateFile) {
+      return;
+    }
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf-8'));
+        for (const [address, byNonce] of Object.entries(state)) {
+          this.entries.set(address, new Map(Object.entries(byNonce).map(([nonce, entry]) => [Number(nonce), entry])));
+        }
+      }
+    } catch (error) {
+      console.error('Error loading pending tx state:', error.message);
+    }
+  }
+
+  save() {
+    if (!this.stateFile) {
+      return;
+    }
+    try {
+      const state = {};
+      for (const [address, byNonce] of this.entries) {
+        if (byNonce.size) {
+          state[address] = Object.fromEntries(byNonce);
+        }
+      }
+      fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2), 'utf-8');
+    } catch (error) {
+      console.error('Error saving pending tx state:', error.message);
+    }
+  }
+
+  get(address, nonce) {
+    return this.entries.get(address)?.get(Number(nonce)) || null;
+  }
+
+  has(address, nonce) {
+    return this.get(address, nonce) !== null;
+  }
+
+  /**
+   * Move an entry to a new status, creating it if it doesn't exist
+   *
+   * @param {string} address - Normalized user address
+   * @param {number} nonce - Async nonce
+   * @param {string} status - Target status
+   * @param {Object} fields - Extra data to keep on the entry
+   * @returns {Object} Updated entry
+   * @throws {Error} For a transition the lifecycle doesn't allow
+   */
+  transition(address, nonce, status, fields = {}) {
+    if (!PENDING_TX_STATUSES.includes(status)) {
+      throw new Error(`Unknown pending tx status "${status}"`);
+    }
+
+    const current = this.get(address, nonce);
+    if (current && !TRANSITIONS[current.status].includes(status)) {
+      throw new Error(`Invalid pending tx transition for ${address} nonce ${nonce}: ${current.status} → ${status}`);
+    }
+
+    // A reused nonce starts a new transaction, so old data is dropped
+    const reused = current && !OPEN_STATUSES.includes(current.status);
+    const entry = {
+      ...(reused ? {} : current),
+      ...fields,
+      nonce: Number(nonce),
+      status,
+      updatedAt: Date.now(),
+    };
+    if (!current || reused) {
+      entry.timestamp = entry.updatedAt;
+    }
+
+    if (!this.entries.has(address)) {
+      this.entries.set(address, new Map());
+    }
+    this.entries.get(address).set(Number(nonce), entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Add data to an entry without moving it through the lifecycle
+   *
+   * @param {string} address - Normalized user address
+   * @param {number} nonce - Async nonce
+   * @param {Object} fields - Extra data to keep on the entry
+   * @returns {Object|null} Updated entry, or null if there is none
+   */
+  update(address, nonce, fields) {
+    const current = this.get(address, nonce);
+    if (!current) {
+      return null;
+    }
+    const entry = { ...current, ...fields };
+    this.entries.get(address).set(Number(nonce), entry);
+    this.save();
+    return entry;
+  }
+
+  delete(address, nonce) {
+    const removed = this.entries.get(address)?.delete(Number(nonce)) || false;
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * @param {string} address - Normalized user address
+   * @param {string[]} statuses - Statuses to include (default: all)
+   * @returns {Array} Entries for the address, by nonce
+   */
+  list(address, statuses = PENDING_TX_STATUSES) {
+    return [...(this.entries.get(address)?.values() || [])]
+      .filter(entry => statuses.includes(entry.status))
+      .sort((a, b) => a.nonce - b.nonce);
+  }
+
+  addresses() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Remove entries matching a predicate
+   *
+   * @param {Function} predicate - (address, entry) => boolean
+   * @returns {number} Number of removed entries
+   */
+  prune(predicate) {
+    let removed = 0;
+    for (const [address, byNonce] of this.entries) {
+      for (const [nonce, entry] of byNonce) {
+        if (predicate(address, entry)) {
+          byNonce.delete(nonce);
+          removed++;
+        }
+      }
+    }
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+}
+
+export default PendingTxStore;
@@ -0,0 +1,460 @@
+/**
+ * EVVM Fisher Bot - Relay Submission Policy
+ *
+ * Sends relayed transactions with retries, exponential backoff and fee bumps:
+ *
+ *   send ──(retryable error)──▶ wait retryDelay × 2^(attempt-1) ──▶ send again
+ *     │  └─(fatal error)──▶ failed
+ *     ▼
+ *   broadcast ──▶ receipt ──▶ confirmed (or reverted)
+ *     └─(no receipt within stuckTxTimeout)──▶ replace with fees bumped by
+ *        feeBumpPercent, same nonce ──▶ wait again … ──▶ stuck after maxFeeBumps
+ *
+ * Only errors raised before a tx is broadcast lead to a resend. A node that
+ * answered with a rejection (nonce too low, underpriced, rate limited) never
+ * took the tx. A timeout, dropped connection or gateway error may have come
+ * after the node took it, so before resending the submitter looks the signed
+ * tx up by hash (when the error carries it) or checks that the sender's
+ * pending nonce did not move; if neither proves the tx is not out, it gives
+ * up with 'maybe_sent' instead of risking a second copy.
+ *
+ * Once a tx is out, the submitter waits for it (or a fee-bumped replacement,
+ * which has the same nonce so at most one of them mines) and never sends a
+ * second copy. Every final outcome is recorded in the parallel execution
+ * monitor.
+ */
+
+import { ethers } from 'ethers';
+import { arcologyConfig } from '../../config/arcology.config.js';
+import { getArcologyProvider, getArcologyWallet } from '../arcology/connector.js';
+import { parallelMonitor } from '../arcology/parallelMonitor.js';
+
+// ethers error codes worth another attempt, and the reason they are reported under.
+// The node refused these, or was never reached, so nothing was broadcast.
+const RETRYABLE_CODES = {
+  ECONNREFUSED: 'network',
+  NONCE_EXPIRED: 'nonce',
+  REPLACEMENT_UNDERPRICED: 'underpriced',
+};
+
+// Failures that may come after the node took the tx: only resent once
+// findBroadcast() shows the tx is not out
+const MAYBE_SENT_CODES = {
+  NETWORK_ERROR: 'network',
+  TIMEOUT: 'network',
+  SERVER_ERROR: 'network',
+  ECONNRESET: 'network',
+  ETIMEDOUT: 'network',
+};
+
+const FATAL_CODES = {
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  CALL_EXCEPTION: 'reverted',
+  ACTION_REJECTED: 'rejected',
+  INVALID_ARGUMENT: 'invalid_argument',
+};
+
+// Node error messages that arrive without a specific ethers code, and whether
+// the tx may have been taken before the failure
+const RETRYABLE_MESSAGES = [
+  [/nonce too low|nonce has already been used/i, 'nonce', false],
+  [/underpriced|fee too low|max fee per gas less than block base fee/i, 'underpriced', false],
+  [/rate limit|too many requests|\b429\b/i, 'network', false],
+  [/\b50[234]\b|socket hang up/i, 'network', true],
+];
+
+// What the user is told for each failure reason
+export const RELAY_FAILURE_MESSAGES = {
+  network: 'Network error reaching Arcology. Please try again shortly.',
+  nonce: 'Transaction nonce conflict. Please try again.',
+  underpriced: 'Gas price too low for the network right now. Please try again.',
+  insufficient_funds: 'Insufficient funds to pay for gas.',
+  reverted: 'Transaction reverted.',
+  rejected: 'Transaction was rejected by the signer.',
+  stuck: 'Transaction is still pending on Arcology.',
+  maybe_sent: 'The connection to Arcology failed after the transaction may have been sent. Check its status before trying again.',
+};
+
+/**
+ * A relayed transaction that did not confirm, with code set to the failure
+ * reason ('network', 'nonce', 'insufficient_funds', 'reverted', 'stuck', ...)
+ */
+export class RelaySubmitError extends Error {
+  constructor(message, code, { attempts = 0, feeBumps = 0, txHash = null, cause = null } = {}) {
+    super(message);
+    this.name = 'RelaySubmitError';
+    this.code = code;
+    this.attempts = attempts;
+    this.feeBumps = feeBumps;
+    this.txHash = txHash;
+    this.cause = cause;
+    // Keep decoded custom errors for callers that map them to messages
+    this.revert = cause?.revert;
+    this.shortMessage = cause?.shortMessage;
+  }
+}
+
+/**
+ * Whether a failed relay's tx may still mine, so its nonce must stay reserved
+ */
+export function mayStillMine(error) {
+  return error?.code === 'stuck' || error?.code === 'maybe_sent';
+}
+
+/**
+ * Classify a send error
+ *
+ * @param {Error} error - Error from sending a transaction
+ * @returns {Object} { retryable, reason }, with maybeSent when the tx may
+ *   have been broadcast before the error
+ */
+export function classifyRelayError(error) {
+  if (error instanceof RelaySubmitError) {
+    return { retryable: false, reason: error.code };
+  }
+  // Refused by the gasless relay itself (fee balance, signatures)
+  if (error?.name === 'GaslessRelayError') {
+    return { retryable: false, reason: error.code };
+  }
+  // Another relay instance took the work over before this one sent it
+  if (error?.name === 'LeaseLostError') {
+    return { retryable: false, reason: error.code };
+  }
+
+  const code = error?.code;
+  if (RETRYABLE_CODES[code]) {
+    return { retryable: true, reason: RETRYABLE_CODES[code] };
+  }
+  if (MAYBE_SENT_CODES[code]) {
+    return { retryable: true, reason: MAYBE_SENT_CODES[code], maybeSent: true };
+  }
+  if (FATAL_CODES[code]) {
+    return { retryable: false, reason: FATAL_CODES[code] };
+  }
+
+  const message = `${error?.shortMessage || ''} ${error?.message || ''} ${error?.error?.message || ''}`;
+  for (const [pattern, reason, maybeSent] of RETRYABLE_MESSAGES) {
+    if (pattern.test(message)) {
+      return maybeSent ? { retryable: true, reason, maybeSent } : { retryable: true, reason };
+    }
+  }
+  if (/insufficient funds/i.test(message)) {
+    return { retryable: false, reason: 'insufficient_funds' };
+  }
+  return { retryable: false, reason: 'unknown' };
+}
+
+/**
+ * Delay before the next attempt: baseDelay doubled per failed attempt, capped at maxDelay
+ *
+ * @param {number} attempt - Attempt that just failed (1-based)
+ */
+export function getBackoffDelay(attempt, { baseDelay = arcologyConfig.retryDelay, maxDelay = arcologyConfig.relayRetry.maxDelay } = {}) {
+  return Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+}
+
+// Raise by percent, rounding up, and never below what the network asks now
+function bump(value, percent, floor) {
+  const bumped = (BigInt(value) * BigInt(100 + percent) + 99n) / 100n;
+  const minimum = BigInt(floor ?? 0n);
+  return minimum > bumped ? minimum : bumped;
+}
+
+/**
+ * Fee overrides for replacing a transaction
+ *
+ * @param {Object} tx - Transaction being replaced
+ * @param {number} percent - Minimum increase (nodes require at least 10%)
+ * @param {Object} feeData - Current network fee data (provider.getFeeData())
+ * @returns {Object} maxFeePerGas/maxPriorityFeePerGas, or gasPrice for legacy txs
+ */
+export function getBumpedFees(tx, percent, feeData = {}) {
+  if (tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined) {
+    return {
+      type: 2,
+      maxFeePerGas: bump(tx.maxFeePerGas, percent, feeData.maxFeePerGas),
+      maxPriorityFeePerGas: bump(tx.maxPriorityFeePerGas ?? 0n, percent, feeData.maxPriorityFeePerGas),
+    };
+  }
+  return { gasPrice: bump(tx.gasPrice ?? 0n, percent, feeData.gasPrice) };
+}
+
+/**
+ * User-facing explanation of a failed relay
+ */
+export function formatRelayFailure(error) {
+  if (error?.code === 'stuck' && error.txHash) {
+    return `${RELAY_FAILURE_MESSAGES.stuck} Tx: \`${error.txHash}\``;
+  }
+  return RELAY_FAILURE_MESSAGES[error?.code] || error?.shortMessage || error?.message || 'Unknown error';
+}
+
+class RelaySubmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.attempts - Sends before giving up (default: retryAttempts)
+   * @param {number} options.baseDelay - Backoff after the first failure (default: retryDelay)
+   * @param {number} options.maxDelay - Backoff cap
+   * @param {number} options.stuckTxTimeout - Wait for a receipt before bumping fees
+   * @param {number} options.feeBumpPercent - Fee increase per replacement
+   * @param {number} options.maxFeeBumps - Replacements before reporting the tx as stuck
+   * @param {number} options.pollInterval - Receipt polling interval
+   * @param {Object} options.monitor - Outcome sink (default: parallel execution monitor)
+   */
+  constructor({
+    attempts = arcologyConfig.retryAttempts,
+    baseDelay = arcologyConfig.retryDelay,
+    maxDelay = arcologyConfig.relayRetry.maxDelay,
+    stuckTxTimeout = arcologyConfig.relayRetry.stuckTxTimeout,
+    feeBumpPercent = arcologyConfig.relayRetry.feeBumpPercent,
+    maxFeeBumps = arcologyConfig.relayRetry.maxFeeBumps,
+    pollInterval = arcologyConfig.relayRetry.pollInterval,
+    provider = null,
+    monitor = parallelMonitor
+  } = {}) {
+    this.attempts = Math.max(1, attempts);
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.stuckTxTimeout = stuckTxTimeout;
+    this.feeBumpPercent = feeBumpPercent;
+    this.maxFeeBumps = maxFeeBumps;
+    this.pollInterval = pollInterval;
+    this.provider = provider;
+    this.monitor = monitor;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Send a transaction and wait for it to confirm
+   *
+   * @param {Function} send - Sends the tx, resolving to a TransactionResponse; called again on retry
+   * @param {Object} options
+   * @param {string} options.operation - Operation name for logs and the monitor ('swap', 'deposit', ...)
+   * @param {Wallet} options.signer - Wallet that can replace the tx (the Fisher wallet is tried too)
+   * @param {Function} options.onSent - Called with each tx sent, including fee-bumped replacements
+   * @returns {Promise<Object>} { tx, receipt, attempts, feeBumps } with the tx that was mined
+   * @throws {RelaySubmitError} With the failure reason as code
+   */
+  async submit(send, { operation = 'relay', signer = null, onSent = null } = {}) {
+    // Accounts a broadcast may come from: the signer, and the Fisher for gasless relays
+    const senders = [signer, getArcologyWallet()].filter(Boolean);
+
+    for (let attempt = 1; ; attempt++) {
+      const noncesBefore = await this.getPendingNonces(senders);
+      let tx;
+      try {
+        tx = await send();
+      } catch (error) {
+        tx = await this.recoverSend(error, { operation, attempt, senders, noncesBefore });
+        if (!tx) {
+          continue;
+        }
+      }
+
+      try {
+        await onSent?.(tx);
+        const { receipt, minedTx, feeBumps } = await this.waitForReceipt(tx, { signer, onSent });
+        this.finish(operation, null, { attempts: attempt, feeBumps });
+        return { tx: minedTx, receipt, attempts: attempt, feeBumps };
+      } catch (error) {
+        // Sent already, so never retried
+        const failure = error instanceof RelaySubmitError
+          ? error
+          : new RelaySubmitError(error.shortMessage || error.message, classifyRelayError(error).reason, { txHash: tx.hash, cause: error });
+        failure.attempts = attempt;
+        throw this.finish(operation, failure);
+      }
+    }
+  }
+
+  /**
+   * After a failed send: wait before resending (resolves to null), or resolve
+   * to the tx that got out despite the error
+   *
+   * @throws {RelaySubmitError} When the error is fatal, attempts ran out, or the tx may be out
+   */
+  async recoverSend(error, { operation, attempt, senders, noncesBefore }) {
+    const { retryable, reason, maybeSent } = classifyRelayError(error);
+
+    if (retryable && maybeSent) {
+      const broadcast = await this.findBroadcast(error, senders, noncesBefore);
+      if (broadcast.tx) {
+        console.warn(`📡 ${operation} send failed (${reason}) after tx ${broadcast.tx.hash} went out, waiting for it`);
+        return broadcast.tx;
+      }
+      if (broadcast.sent) {
+        throw this.finish(operation, new RelaySubmitError(
+          `${operation} may have been sent before failing (${reason}), not resending: ${error.shortMessage || error.message}`,
+          'maybe_sent',
+          { attempts: attempt, cause: error }
+        ));
+      }
+    }
+
+    if (!retryable || attempt >= this.attempts) {
+      throw this.finish(operation, new RelaySubmitError(
+        `${operation} failed after ${attempt} attempt(s): ${error.shortMessage || error.message}`,
+        reason,
+        { attempts: attempt, cause: error }
+      ));
+    }
+    const delay = getBackoffDelay(attempt, { baseDelay: this.baseDelay, maxDelay: this.maxDelay });
+    console.warn(`🔁 ${operation} attempt ${attempt}/${this.attempts} failed (${reason}), retrying in ${delay}ms`);
+    await this.sleep(delay);
+    return null;
+  }
+
+  /**
+   * Whether a send that failed with maybeSent got its tx out anyway: looked up
+   * by hash when the error carries the signed tx, otherwise told by a sender's
+   * pending nonce moving since before the send
+   *
+   * @returns {Promise<Object>} { tx } when found, { sent: false } when provably
+   *   not broadcast, { sent: true } when it may have been
+   */
+  async findBroadcast(error, senders, noncesBefore) {
+    const provider = this.provider || getArcologyProvider();
+    if (!provider) {
+      return { sent: true };
+    }
+
+    try {
+      const signed = error?.transaction;
+      if (typeof signed === 'string' && ethers.isHexString(signed)) {
+        const tx = await provider.getTransaction(ethers.keccak256(signed));
+        if (tx) {
+          return { tx };
+        }
+      }
+      if (senders.length && noncesBefore) {
+        const noncesAfter = await Promise.all(senders.map(sender => provider.getTransactionCount(sender.address, 'pending')));
+        return { sent: noncesAfter.some((nonce, index) => nonce !== noncesBefore[index]) };
+      }
+    } catch (lookupError) {
+      console.warn('⚠️ Could not check whether a failed send went out:', lookupError.shortMessage || lookupError.message);
+    }
+    return { sent: true };
+  }
+
+  // Senders' pending nonces before a send, or null when they cannot be read
+  async getPendingNonces(senders) {
+    const provider = this.provider || getArcologyProvider();
+    if (!senders.length || !provider) {
+      return null;
+    }
+    try {
+      return await Promise.all(senders.map(sender => provider.getTransactionCount(sender.address, 'pending')));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Wait for a sent tx, replacing it with higher fees while it stays pending
+   */
+  async waitForReceipt(tx, { signer = null, onSent = null } = {}) {
+    const provider = this.provider || tx.provider || getArcologyProvider();
+    if (!provider) {
+      // Nothing to poll or replace through
+      return { receipt: await tx.wait(), minedTx: tx, feeBumps: 0 };
+    }
+    const sent = [tx];
+
+    for (let feeBumps = 0; ; feeBumps++) {
+      const receipt = await this.pollReceipt(provider, sent.map(candidate => candidate.hash));
+      if (receipt) {
+        const minedTx = sent.find(candidate => candidate.hash === receipt.hash) || tx;
+        if (receipt.status === 0) {
+          throw new RelaySubmitError(`Tx ${receipt.hash} reverted`, 'reverted', { feeBumps, txHash: receipt.hash });
+        }
+        return { receipt, minedTx, feeBumps };
+      }
+
+      const latest = sent[sent.length - 1];
+      const replacer = this.getReplacer(latest, signer);
+      if (feeBumps >= this.maxFeeBumps || !replacer) {
+        throw new RelaySubmitError(
+          `Tx ${latest.hash} still pending after ${feeBumps} fee bump(s)`,
+          'stuck',
+          { feeBumps, txHash: latest.hash }
+        );
+      }
+
+      try {
+        const replacement = await this.replace(latest, replacer, provider);
+        sent.push(replacement);
+        console.log(`⛽ Replaced stuck tx ${latest.hash} with ${replacement.hash} (fees +${this.feeBumpPercent}%)`);
+        await onSent?.(replacement);
+      } catch (error) {
+        // e.g. the original was mined meanwhile ("nonce too low"); keep waiting on what was sent
+        console.warn(`⚠️ Could not replace tx ${latest.hash}:`, error.shortMessage || error.message);
+      }
+    }
+  }
+
+  /**
+   * Receipt of whichever hash is mined first, or null after stuckTxTimeout
+   */
+  async pollReceipt(provider, hashes) {
+    const deadline = Date.now() + this.stuckTxTimeout;
+    for (;;) {
+      for (const hash of hashes) {
+        try {
+          const receipt = await provider.getTransactionReceipt(hash);
+          if (receipt) {
+            return receipt;
+          }
+        } catch (error) {
+          // The tx is already out, so a flaky node only delays the wait
+          console.warn(`⚠️ Receipt check for ${hash} failed:`, error.shortMessage || error.message);
+        }
+      }
+      if (Date.now() >= deadline) {
+        return null;
+      }
+      await this.sleep(Math.min(this.pollInterval, Math.max(0, deadline - Date.now())));
+    }
+  }
+
+  // A wallet that sent the tx: the user's, or the Fisher's for gasless relays
+  getReplacer(tx, signer) {
+    const from = String(tx.from || '').toLowerCase();
+    return [signer, getArcologyWallet()].find(wallet => wallet && wallet.address.toLowerCase() === from) || null;
+  }
+
+  async replace(tx, wallet, provider) {
+    const feeData = await provider.getFeeData();
+    return wallet.sendTransaction({
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      nonce: tx.nonce,
+      gasLimit: tx.gasLimit,
+      chainId: tx.chainId,
+      ...getBumpedFees(tx, this.feeBumpPercent, feeData)
+    });
+  }
+
+  // Record the final outcome; returns the error (if any) for rethrowing
+  finish(operation, error, { attempts = error?.attempts, feeBumps = error?.feeBumps ?? 0 } = {}) {
+    this.monitor?.recordRelayOutcome({
+      operation,
+      status: error ? (error.code === 'stuck' ? 'stuck' : 'failed') : 'confirmed',
+      reason: error?.code || null,
+      attempts,
+      feeBumps
+    });
+    if (error) {
+      console.error(`❌ ${operation} relay ${error.code === 'stuck' ? 'stuck' : 'failed'} (${error.code}):`, error.message);
+    }
+    return error;
+  }
+}
+
+const relaySubmitter = new RelaySubmitter();
+
+export { relaySubmitter };
+export default RelaySubmitter;
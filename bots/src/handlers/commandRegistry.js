@@ -0,0 +1,212 @@
+/**
+ * Command Registry
+ * Single declarative source for chat commands shared by Telegram, WhatsApp
+ * and the generic intent handler
+ *
+ * Each command declares:
+ * - name: canonical command name (used as /name)
+ * - category: help section heading
+ * - description: one-line help text
+ * - args: argument schema, validated against the parsed intent
+ * - examples: usage examples shown in help
+ * - platforms: where the command is available ('telegram', 'whatsapp')
+ * - handler: async ({ platform, userId, userAddress, wallet, intent }) => string
+ * - hidden: left out of help and the Telegram command menu
+ * - admin: only dispatched when the adapter marks the sender as an operator
+ *   (context.isAdmin)
+ * - adapters: optional per-platform handlers given the raw platform context
+ *   (e.g. a Telegraf ctx), for replies the shared handler can't express such as
+ *   buttons, menu flows and documents; see dispatchAdapter()
+ *
+ * Argument schema entries:
+ * - { name, fields: ['amount', 'percentage'], required } - satisfied when any
+ *   of the parsed intent fields is set
+ * - { name, position: 0, pattern, required } - positional word from intent.args
+ */
+
+export const PLATFORMS = ['telegram', 'whatsapp'];
+
+export class CommandRegistry {
+  constructor(commands = []) {
+    this.commands = new Map();
+    commands.forEach(command => this.register(command));
+  }
+
+  /**
+   * Register a command definition
+   */
+  register(command) {
+    if (!command.name || typeof command.handler !== 'function') {
+      throw new Error('Command definition needs a name and a handler');
+    }
+    if (this.commands.has(command.name)) {
+      throw new Error(`Command /${command.name} is already registered`);
+    }
+
+    this.commands.set(command.name, {
+      category: 'General',
+      args: [],
+      examples: [],
+      platforms: PLATFORMS,
+      hidden: false,
+      admin: false,
+      ...command,
+      adapters: { ...command.adapters },
+    });
+  }
+
+  /**
+   * Attach a platform adapter to a registered command
+   *
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string} name - Command name
+   * @param {Function} adapter - async (platformContext, services) => boolean;
+   *   false leaves the message to the shared handler
+   */
+  setAdapter(platform, name, adapter) {
+    const command = this.get(name);
+    if (!command) {
+      throw new Error(`Command /${name} is not registered`);
+    }
+    command.adapters[platform] = adapter;
+  }
+
+  /**
+   * Look up a command by name
+   */
+  get(name) {
+    return this.commands.get(name);
+  }
+
+  /**
+   * List commands available on a platform, in registration order
+   *
+   * @param {string} platform - Only commands available there (all when omitted)
+   * @param {Object} options
+   * @param {boolean} options.includeHidden - Also list hidden commands
+   */
+  list(platform, { includeHidden = false } = {}) {
+    return [...this.commands.values()].filter(command =>
+      (!platform || command.platforms.includes(platform)) && (includeHidden || !command.hidden));
+  }
+
+  /**
+   * Build the usage line for a command, e.g. "/swap <amount> <from> <to> <slippage?>"
+   * (square brackets are avoided because they break Telegram Markdown)
+   */
+  formatUsage(command) {
+    const args = command.args.map(arg => (arg.required ? `<${arg.name}>` : `<${arg.name}?>`));
+    return [`/${command.name}`, ...args].join(' ');
+  }
+
+  /**
+   * Validate a parsed intent against a command's argument schema
+   *
+   * @returns {string|null} Error message, or null when valid
+   */
+  validate(command, intent) {
+    for (const arg of command.args) {
+      const value = this.getArgValue(arg, intent);
+
+      if (value === null || value === undefined) {
+        if (arg.required) {
+          return `Missing <${arg.name}>. Usage: ${this.formatUsage(command)}`;
+        }
+        continue;
+      }
+
+      if (arg.pattern && !arg.pattern.test(String(value))) {
+        return `Invalid <${arg.name}> "${value}". Usage: ${this.formatUsage(command)}`;
+      }
+    }
+
+    return null;
+  }
+
+  getArgValue(arg, intent) {
+    if (arg.position !== undefined) {
+      return intent.args?.[arg.position] ?? null;
+    }
+    const field = (arg.fields || [arg.name]).find(name => intent[name] !== null && intent[name] !== undefined);
+    return field ? intent[field] : null;
+  }
+
+  /**
+   * Route a parsed intent to its command handler
+   *
+   * @param {Object} context - { platform, userId, userAddress, wallet, intent, isAdmin }
+   * @returns {Promise<string>} Response message
+   */
+  async dispatch(context) {
+    const { platform, intent } = context;
+    const command = this.get(intent.action);
+
+    if (!command || !command.platforms.includes(platform)) {
+      return '❌ Unknown command. Type /help for available commands.';
+    }
+
+    if (command.admin && !context.isAdmin) {
+      return `⛔ /${command.name} is only available to bot operators.`;
+    }
+
+    const error = this.validate(command, intent);
+    if (error) {
+      return `❌ ${error}`;
+    }
+
+    return await command.handler(context);
+  }
+
+  /**
+   * Route a command to its platform adapter
+   *
+   * Commands without an adapter, and admin commands from anyone but an
+   * operator, are left to the shared handler (through dispatch()), which
+   * answers them or refuses them in the usual way.
+   *
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string} name - Command name
+   * @param {Object} platformContext - Raw platform context, e.g. a Telegraf ctx
+   * @param {Object} services - Adapter dependencies; isAdmin marks an operator
+   * @returns {Promise<boolean>} true when the adapter answered the command
+   */
+  async dispatchAdapter(platform, name, platformContext, services = {}) {
+    const command = this.get(name);
+    const adapter = command?.platforms.includes(platform) && command.adapters[platform];
+
+    if (!adapter || (command.admin && !services.isAdmin)) {
+      return false;
+    }
+    return (await adapter(platformContext, services)) !== false;
+  }
+
+  /**
+   * Generate help text for a platform, grouped by category
+   */
+  formatHelp(platform) {
+    const sections = new Map();
+
+    for (const command of this.list(platform)) {
+      const lines = sections.get(command.category) || [];
+      lines.push(`${this.formatUsage(command)} - ${command.description}`);
+      command.examples.forEach(example => lines.push(`   Example: ${example}`));
+      sections.set(command.category, lines);
+    }
+
+    const body = [...sections.entries()]
+      .map(([category, lines]) => `*${category}:*\n${lines.join('\n')}`)
+      .join('\n\n');
+
+    return `📚 *Shadow Nox Commands*\n\n${body}`;
+  }
+
+  /**
+   * Command list in the shape Telegram's setMyCommands expects
+   */
+  toTelegramCommands() {
+    return this.list('telegram').map(command => ({
+      command: command.name,
+      description: command.description,
+    }));
+  }
+}
@@ -5,165 +5,633 @@
  * Flow:
  * 1. User sends intent via WhatsApp/Telegram to EVVM Fisher bot
  * 2. EVVM Fisher bot constructs EIP-191 signature
- * 3. Lit Protocol encrypts transaction metadata (amounts, balances)
+ * 3. Transaction metadata is sealed in an AES-256-GCM envelope for the user and Fisher
  * 4. EVVM Fisher relays encrypted transaction to Arcology
  * 5. Arcology executes in parallel (10k-15k TPS)
  * 6. Result decrypted and returned to user
  */
 
+import { ethers } from 'ethers';
 import { 
   getEncryptedSwapContract, 
-  getAsyncNonceEngineContract,
-  getArcologyWallet 
+  getArcologyProvider,
+  getSimpleLendingContract
 } from '../arcology/connector.js';
+import { arcologyConfig } from '../../config/arcology.config.js';
+import { getUserPortfolio, getIntentRecipients, encodeSwapForSettlement } from '../telegram/evvmFisherFlow.js';
+import { getExchangeRate } from '../oracle/pythHermes.js';
+import { portfolioManager } from '../telegram/portfolioManager.js';
+import { userWalletManager } from '../telegram/userWalletManager.js';
+import { LENDING_OPERATIONS, getLendingOperationDetails } from '../telegram/handlers/lend.js';
+import { formatPortfolioText } from '../telegram/handlers/portfolio.js';
+import { formatFisherReportMessage } from '../telegram/handlers/reports.js';
+import { PersistentMap } from '../telegram/stateManager.js';
+import { parseIntent, IntentParseError, formatParseError } from './intentParser.js';
+import { CommandRegistry } from './commandRegistry.js';
+import { encryptIntent } from '../evvm/intentEnvelope.js';
+import { idempotencyStore } from '../evvm/idempotencyStore.js';
+import { nonceManager, NonceWaitError, determineNonceType } from '../evvm/nonceManager.js';
+import { rewardTracker } from '../evvm/fisherRewards.js';
+import { connectForUser } from '../evvm/gaslessRelay.js';
+import { relaySubmitter, RelaySubmitError, formatRelayFailure, mayStillMine } from '../evvm/relaySubmitter.js';
+import { intentWatcher } from '../arcology/intentWatcher.js';
+import { listUserIntents, cancelUserIntent, formatIntentList, getSubmittedIntentId } from '../arcology/swapIntents.js';
+
+/**
+ * Commands available to every chat adapter
+ * Help text, argument validation and routing are all generated from here
+ */
+export const commandRegistry = new CommandRegistry([
+  {
+    name: 'swap',
+    category: 'Trading',
+    description: 'Private swap',
+    args: [
+      { name: 'amount', fields: ['amount', 'percentage'], required: true },
+      { name: 'from', fields: ['fromToken'], required: true },
+      { name: 'to', fields: ['toToken'], required: true },
+      { name: 'slippage', fields: ['slippageBps'] },
+    ],
+    examples: ['/swap 1 ETH USDC', 'swap half my ETH to USDC with 1% slippage'],
+    handler: (context) => handleSwap(context),
+  },
+  {
+    name: 'intents',
+    category: 'Trading',
+    description: 'Your swap intents and their status',
+    args: [
+      { name: 'page', position: 0, pattern: /^[1-9]\d*$/ },
+    ],
+    examples: ['/intents', '/intents 2'],
+    handler: (context) => handleIntents(context),
+  },
+  {
+    name: 'lend',
+    category: 'DeFi',
+    description: 'Lending: deposit, withdraw, borrow, repay, collateral, position',
+    args: [
+      { name: 'operation', fields: ['operation'] },
+      { name: 'amount', fields: ['amount', 'percentage'] },
+    ],
+    examples: ['/lend deposit 0.1', 'borrow 0.05 ETH', 'withdraw collateral 0.1', 'repay 50%'],
+    handler: (context) => handleLend(context),
+  },
+  {
+    name: 'confirm',
+    category: 'DeFi',
+    description: 'Confirm your pending operation',
+    handler: (context) => handleConfirm(context),
+  },
+  {
+    name: 'cancel',
+    category: 'DeFi',
+    description: 'Cancel a swap intent, or the operation in progress',
+    args: [
+      { name: 'intentId', position: 0, pattern: /^0x[0-9a-fA-F]{64}$/ },
+    ],
+    examples: ['/cancel', '/cancel 0x<intentId>'],
+    handler: (context) => handleCancel(context),
+  },
+  {
+    name: 'portfolio',
+    category: 'Portfolio',
+    description: 'View your positions',
+    handler: (context) => handlePortfolio(context),
+  },
+  {
+    name: 'help',
+    category: 'Info',
+    description: 'This help message',
+    handler: ({ platform }) => getHelpMessage(platform),
+  },
+  {
+    name: 'fisher_report',
+    category: 'Operator',
+    description: 'Fisher relay rewards report',
+    examples: ['/fisher_report weekly csv', '/fisher_report 2025-01-01 2025-01-31'],
+    platforms: ['telegram'],
+    hidden: true,
+    admin: true,
+    handler: ({ intent }) => formatFisherReportMessage(intent.args),
+  },
+]);
 
 /**
  * Handle user intent from any platform
  * @param {Object} intent - User intent object
+ * @param {string} intent.platform - 'telegram' or 'whatsapp'
+ * @param {string} intent.userAddress - Platform user id (Telegram id or WhatsApp JID)
+ * @param {string} intent.message - Raw message text
+ * @param {string} [intent.chatId] - Chat to push lifecycle updates to (defaults to the user)
+ * @param {string} [intent.idempotencyKey] - Id of the chat message, so redelivered
+ *   messages return the original reply instead of resubmitting
+ * @param {boolean} [intent.isAdmin] - Sender is a bot operator (for admin commands)
  * @returns {string} Response message
  */
 export async function handleUserIntent(intent) {
-  const { platform, userAddress, message } = intent;
+  const { platform, userAddress, message, chatId = userAddress, idempotencyKey = null, isAdmin = false } = intent;
   
-  const [command, ...args] = message.split(' ');
+  let parsed;
+  try {
+    parsed = parseIntent(message);
+  } catch (error) {
+    if (error instanceof IntentParseError) {
+      return formatParseError(error);
+    }
+    throw error;
+  }
   
-  // For testing, we'll use the EVVM Fisher bot's wallet address as the user's identity.
-  // In production, you would:
-  // 1. Link user's messaging account to their EVM address
-  // 2. EVVM Fisher bot constructs EIP-191 signature for relay
-  const arcologyWallet = getArcologyWallet();
-  const arcologyAddress = arcologyWallet.address;
+  // Each platform user (Telegram id or WhatsApp JID) signs with their own
+  // personal wallet, so attribution, nonces and portfolio records are per user
+  const userId = userAddress;
+  const wallet = resolveUserWallet(userId);
+  parsed.idempotencyKey = idempotencyKey;
 
-  switch (command.toLowerCase()) {
-    case '/swap':
-      // Pass the actual EVM address to the handler (executes on Arcology)
-      return await handleSwap(arcologyAddress, args);
-    
-    case '/lend':
-      return `Lending feature is not yet implemented.`;
-    
-    case '/portfolio':
-       return `Portfolio feature is not yet implemented.`;
+  return await idempotencyStore.run(idempotencyKey, () => commandRegistry.dispatch({
+    platform,
+    chatId,
+    userId,
+    userAddress: wallet.address,
+    wallet,
+    intent: parsed,
+    isAdmin
+  }));
+}
 
-    case '/help':
-      return getHelpMessage();
-    
-    default:
-      return '❌ Unknown command. Type /help for available commands.';
+/**
+ * Resolve a platform user to their personal wallet, connected to Arcology
+ * Telegram ids are used as-is so chat commands share the wallet of the inline menus
+ *
+ * @param {string} userId - Telegram user id or WhatsApp JID
+ * @returns {ethers.Wallet} Signer for the user
+ */
+export function resolveUserWallet(userId) {
+  const userWallet = userWalletManager.getOrCreateUserWallet(String(userId));
+  const provider = getArcologyProvider();
+  return provider ? userWallet.connect(provider) : userWallet;
+}
+
+/**
+ * Resolve the exact amount for an intent, turning "half my ETH" into a number
+ * using the user's on-chain balance. Only native ETH balances are supported.
+ */
+async function resolveAmount(userAddress, token, intent) {
+  if (intent.amount !== null) {
+    return intent.amount;
   }
+  
+  if (token !== 'ETH') {
+    throw new Error(`Percentage amounts are only supported for ETH, not ${token}`);
+  }
+  
+  const provider = getArcologyProvider();
+  if (!provider) {
+    throw new Error('Arcology provider not initialized');
+  }
+  
+  const balance = await provider.getBalance(userAddress);
+  const share = (balance * BigInt(Math.round(intent.percentage * 100))) / 10000n;
+  if (share === 0n) {
+    throw new Error(`No ${token} balance available at ${userAddress}`);
+  }
+  return ethers.formatEther(share);
 }
 
 /**
  * Handle swap command
+ * @param {Object} context - Dispatch context with the user's wallet and parsed swap intent
  */
-async function handleSwap(userAddress, args) {
-  if (args.length < 3) {
-    return '❌ Invalid swap format. Usage: /swap <amount> <from> <to>\nExample: /swap 1 ETH USDC';
-  }
+async function handleSwap(context) {
+  const { platform, chatId, userId, userAddress, wallet, intent } = context;
+  const { fromToken, toToken, slippageBps } = intent;
   
-  const [amount, fromToken, toToken] = args;
+  let amount;
+  try {
+    amount = await resolveAmount(userAddress, fromToken, intent);
+  } catch (error) {
+    return `❌ ${error.message}`;
+  }
   
   console.log(`EVVM Fisher Bot: Processing swap ${amount} ${fromToken} → ${toToken} for ${userAddress}`);
-  console.log(`Target: Arcology Parallel Blockchain (10k-15k TPS)`);
+  console.log('Target: Arcology Parallel Blockchain (10k-15k TPS)');
 
+  let asyncNonce = null;
   try {
+    // Quote the swap and ABI-encode (tokenIn, tokenOut, amountIn, minAmountOut, deadline)
+    // so the settlement side can enforce the user's slippage
+    const { rate } = await getExchangeRate(fromToken, toToken);
+    const settlement = encodeSwapForSettlement({ fromToken, toToken, amount, rate, slippageBps: slippageBps ?? undefined });
+    
     const swapData = {
       action: 'swap',
       amount,
       fromToken,
       toToken,
+      ...settlement,
       userAddress,
+      idempotencyKey: intent.idempotencyKey,
       timestamp: new Date().toISOString(),
     };
 
     // Encrypt the transaction METADATA (EVVM Native)
     // Note: Encrypts user parameters ONLY, NOT smart contract bytecode
     console.log('🔐 Encrypting swap metadata via EVVM Native...');
-    const ciphertext = JSON.stringify(swapData);
-    const encryptedSymmetricKey = 'mock-key';
-    const accessControlConditions = [];
+    const encryptedDataHex = encryptIntent(swapData, getIntentRecipients(wallet));
     
-    // Convert the ciphertext string to hex format for Arcology contract
-    const encryptedDataHex = '0x' + Buffer.from(ciphertext, 'utf8').toString('hex');
+    // Get Arcology contract instance acting as the user (gasless through the Fisher when configured)
+    const encryptedSwapContract = connectForUser(getEncryptedSwapContract(), wallet);
     
-    // Get Arcology contract instances with signer
-    const arcologyWallet = getArcologyWallet();
-    const encryptedSwapContract = getEncryptedSwapContract().connect(arcologyWallet);
-    const asyncNonceEngineContract = getAsyncNonceEngineContract().connect(arcologyWallet);
-    
-    // Get the next async nonce for parallel execution on Arcology
-    const lastSettled = await asyncNonceEngineContract.getLastSettledNonce(userAddress);
-    const asyncNonce = Number(lastSettled) + 1;
+    // Reserve the next async nonce so parallel swaps from this user don't collide
+    asyncNonce = await nonceManager.reserveAsyncNonce(userAddress, { type: 'swap', idempotencyKey: intent.idempotencyKey });
 
     // Submit the encrypted swap intent to Arcology contract
-    console.log(`📝 EVVM Fisher Bot: Submitting swap to Arcology (async nonce: ${asyncNonce})`);
-    console.log(`   Execution: Parallel on Arcology (10k-15k TPS)`);
-    const tx = await encryptedSwapContract.submitSwapIntent(encryptedDataHex, asyncNonce);
-    
-    console.log(`📄 Swap intent relayed to Arcology. Tx hash: ${tx.hash}`);
-    
-    // Wait for transaction confirmation on Arcology
-    const receipt = await tx.wait();
-    console.log(`✅ Transaction confirmed on Arcology block ${receipt.blockNumber}`);
+    const submit = async () => {
+      console.log(`📝 EVVM Fisher Bot: Submitting swap to Arcology (async nonce: ${asyncNonce})`);
+      console.log('   Execution: Parallel on Arcology (10k-15k TPS)');
+      // Retries failed sends with backoff and bumps fees while the tx is stuck.
+      // The contract only takes the envelope; the async nonce is tracked here.
+      const { tx, receipt } = await relaySubmitter.submit(
+        () => encryptedSwapContract.submitSwapIntent(encryptedDataHex),
+        {
+          operation: 'swap',
+          signer: wallet,
+          onSent: (sentTx) => {
+            nonceManager.trackPendingTx(userAddress, asyncNonce, { txHash: sentTx.hash });
+            console.log(`📄 Swap intent relayed to Arcology. Tx hash: ${sentTx.hash}`);
+          }
+        }
+      );
+      nonceManager.settleTx(userAddress, asyncNonce);
+      rewardTracker.recordRelayedTx(receipt, { operation: 'swap', user: userAddress, txHash: tx.hash });
+      console.log(`✅ Transaction confirmed on Arcology block ${receipt.blockNumber}`);
+      return { tx, receipt };
+    };
+    const { tx, receipt } = determineNonceType({ type: 'swap', user: userAddress }) === 'sync'
+      ? await nonceManager.runSequenced(userAddress, submit)
+      : await submit();
+
+    // Hand the intent to the lifecycle watcher so the user hears about execution
+    const intentId = getSubmittedIntentId(encryptedSwapContract, receipt);
+    if (intentId) {
+      await intentWatcher.trackIntent(intentId, { platform, chatId, userId, txHash: tx.hash });
+    }
 
-    return `🔐 Swap intent received and encrypted (EVVM Native):\n` +
+    portfolioManager.addTransaction(userId, {
+      type: 'swap',
+      from: fromToken,
+      to: toToken,
+      amount,
+      estimatedOutput: 'N/A',
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      asyncNonce,
+      intentId,
+      idempotencyKey: intent.idempotencyKey,
+      status: 'submitted'
+    });
+
+    return '🔐 Swap intent received and encrypted (EVVM Native):\n' +
            `   - Amount: ${amount} ${fromToken} → ${toToken}\n` +
+           `   - Min Received: ${settlement.minAmountOut} ${toToken} (${settlement.slippageBps / 100}% slippage)\n` +
            `   - Async Nonce: ${asyncNonce}\n` +
            `   - User: ${userAddress}\n\n` +
-           `✅ Transaction executed on Arcology Parallel Blockchain:\n` +
+           '✅ Transaction executed on Arcology Parallel Blockchain:\n' +
            `   Tx Hash: \`${tx.hash}\`\n` +
            `   Block: ${receipt.blockNumber}\n` +
-           `   Execution: Parallel (10k-15k TPS)\n` +
-           `   Privacy: Metadata encrypted, contract logic public`;
+           (intentId ? `   Intent ID: \`${intentId}\`\n` : '') +
+           '   Execution: Parallel (10k-15k TPS)\n' +
+           '   Privacy: Metadata encrypted, contract logic public\n\n' +
+           '🔔 You will be notified when the swap is executed or cancelled.';
 
   } catch (error) {
-    console.error("Error handling swap:", error);
+    console.error('Error handling swap:', error);
+    // A stuck or maybe-sent tx may still mine, so its nonce stays pending until reconcile sees it
+    if (asyncNonce !== null && !mayStillMine(error)) {
+      nonceManager.releaseAsyncNonce(userAddress, asyncNonce, error.message);
+    }
     
-    // Provide detailed error information
-    let errorMsg = `❌ Swap failed: ${error.message}`;
+    if (!(error instanceof RelaySubmitError)) {
+      return `❌ Swap failed: ${error.message}`;
+    }
+    if (error.code === 'insufficient_funds') {
+      return `❌ Insufficient funds to pay for gas. Please add funds to ${userAddress}`;
+    }
+    if (error.code === 'stuck') {
+      return `⏳ ${formatRelayFailure(error)}\n\nFees were raised ${error.feeBumps} time(s); check your portfolio later.`;
+    }
+    if (error.code === 'maybe_sent') {
+      return `⏳ ${formatRelayFailure(error)}`;
+    }
+    return `❌ Swap failed after ${error.attempts} attempt(s): ${formatRelayFailure(error)}`;
+  }
+}
+
+// Operations waiting for /confirm, keyed by platform:userId; written through to
+// the store given to useConfirmationStore() so a restart doesn't drop them
+const pendingConfirmations = new PersistentMap(null, 'confirmations');
+const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+// Lending operations that accept a percentage, and the position field it is a share of
+const LENDING_PERCENTAGE_BASES = {
+  withdraw: 'deposited',
+  repay: 'borrowed',
+  withdraw_collateral: 'collateral',
+};
+
+// SimpleLending method for each lending operation
+const LENDING_METHODS = {
+  deposit: (contract, amountWei) => contract.deposit(amountWei),
+  withdraw: (contract, amountWei) => contract.withdraw(amountWei),
+  add_collateral: (contract, amountWei) => contract.addCollateral(amountWei, arcologyConfig.collateralToken),
+  borrow: (contract, amountWei) => contract.borrow(amountWei),
+  repay: (contract, amountWei) => contract.repay(amountWei),
+  withdraw_collateral: (contract, amountWei) => contract.withdrawCollateral(amountWei),
+};
+
+// User-facing messages for SimpleLending custom errors
+const LENDING_ERRORS = {
+  InsufficientBalance: 'Insufficient balance for this operation.',
+  InsufficientCollateral: 'Insufficient collateral. Add collateral first or use a smaller amount.',
+  InsufficientLiquidity: 'Not enough liquidity in the pool right now.',
+  NoBorrowToRepay: 'You have no outstanding borrow to repay.',
+  InvalidAmount: 'Invalid amount.',
+  PriceStale: 'Collateral price is stale. Please try again shortly.',
+};
+
+function confirmationKey({ platform, userId }) {
+  return `${platform}:${userId}`;
+}
+
+/**
+ * Persist operations waiting for /confirm to a state store, restoring the ones
+ * a previous run saved there that have not expired yet
+ *
+ * @param {Object} store - State store with a 'confirmations' namespace (see telegram/stateStore.js)
+ */
+export function useConfirmationStore(store) {
+  pendingConfirmations.store = store;
+  const now = Date.now();
+  for (const [key, pending] of Object.entries(store.load().confirmations || {})) {
+    if (now - pending.createdAt <= CONFIRMATION_TTL_MS) {
+      pendingConfirmations.restore(key, pending);
+    } else {
+      store.delete('confirmations', key);
+    }
+  }
+}
+
+/**
+ * ETH amount of a lending intent; percentages are a share of the matching
+ * side of the user's SimpleLending position (deposits, debt or collateral)
+ *
+ * @returns {Promise<string>} Amount in ETH
+ * @throws {Error} When the operation takes no percentage or the position is empty
+ */
+export async function resolveLendingAmount(lendingContract, userAddress, intent) {
+  if (intent.amount !== null) {
+    return intent.amount;
+  }
+
+  const { operation, percentage } = intent;
+  const base = LENDING_PERCENTAGE_BASES[operation];
+  if (!base) {
+    throw new Error(`Percentages work for withdraw, repay and withdraw collateral. Use an ETH amount to ${LENDING_OPERATIONS[operation].name.toLowerCase()}, e.g. /lend ${operation.replace('_', ' ')} 0.1`);
+  }
+
+  const account = await lendingContract.getAccount(userAddress);
+  const share = (account[base] * BigInt(Math.round(percentage * 100))) / 10000n;
+  if (share === 0n) {
+    throw new Error(`Nothing to ${LENDING_OPERATIONS[operation].name.toLowerCase()}: your ${base} balance is 0 ETH`);
+  }
+  return ethers.formatEther(share);
+}
+
+/**
+ * Handle lend command
+ * Validates the operation and asks the user to /confirm before sending it to SimpleLending
+ */
+async function handleLend(context) {
+  const { userAddress, intent } = context;
+  const lendingContract = getSimpleLendingContract();
+  
+  if (!lendingContract) {
+    return '❌ Lending is not available: SimpleLending contract is not configured.';
+  }
+  
+  if (intent.operation === 'position') {
+    return await getLendingPosition(lendingContract, userAddress);
+  }
+  
+  if (intent.token && intent.token !== 'ETH') {
+    return `❌ The lending pool is ETH-denominated. Use an amount in ETH, e.g. /lend ${intent.operation.replace('_', ' ')} 0.1`;
+  }
+  
+  if (intent.amount === null && intent.percentage === null) {
+    return `❌ Missing amount. Usage: ${commandRegistry.formatUsage(commandRegistry.get('lend'))}\nExample: /lend deposit 0.1`;
+  }
+  
+  const { operation } = intent;
+  const { name, emoji } = LENDING_OPERATIONS[operation];
+  
+  let amount;
+  try {
+    amount = await resolveLendingAmount(lendingContract, userAddress, intent);
+  } catch (error) {
+    return `❌ ${error.message}`;
+  }
+  
+  pendingConfirmations.set(confirmationKey(context), {
+    kind: 'lend',
+    operation,
+    amount,
+    createdAt: Date.now()
+  });
+  
+  return `${emoji} *Confirm ${name}*\n\n*Amount:* ${amount} ETH\n\n${getLendingOperationDetails(operation, Number(amount))}\n\n` +
+         'Reply /confirm to proceed or /cancel to abort.';
+}
+
+/**
+ * Execute the operation waiting for confirmation
+ */
+async function handleConfirm(context) {
+  const key = confirmationKey(context);
+  const pending = pendingConfirmations.get(key);
+  pendingConfirmations.delete(key);
+  
+  if (!pending) {
+    return '❌ Nothing to confirm. Start with a command such as /lend deposit 0.1';
+  }
+  
+  if (Date.now() - pending.createdAt > CONFIRMATION_TTL_MS) {
+    return '⌛ Confirmation expired. Please send the command again.';
+  }
+  
+  return await executeLendingOperation(context, pending);
+}
+
+/**
+ * Cancel a swap intent on EncryptedSwap when an intent id is given,
+ * otherwise drop the operation waiting for confirmation
+ */
+async function handleCancel(context) {
+  const [intentId] = context.intent.args;
+  if (intentId) {
+    const result = await cancelUserIntent(context.wallet, intentId);
+    return result.message;
+  }
+  
+  const existed = pendingConfirmations.delete(confirmationKey(context));
+  // Also drop confirmed operations still queued behind an unsettled one
+  const queued = nonceManager.cancelSyncWaits(context.userAddress);
+  return existed || queued ? '❌ Operation cancelled.' : 'Nothing to cancel.';
+}
+
+/**
+ * Run a lending operation a Telegram menu flow has already confirmed, once per
+ * idempotency key, through the same relay as /confirm
+ *
+ * @param {Object} request
+ * @param {string} request.userId - Platform user id
+ * @param {string} request.operation - LENDING_OPERATIONS key
+ * @param {string} request.amount - Amount in ETH
+ * @param {string} [request.idempotencyKey] - Key of the confirm button tap
+ * @returns {Promise<string>} Response message
+ */
+export async function executeConfirmedLending({ platform = 'telegram', userId, operation, amount, idempotencyKey = null }) {
+  if (!getSimpleLendingContract()) {
+    return '❌ Lending is not available: SimpleLending contract is not configured.';
+  }
+  
+  const wallet = resolveUserWallet(userId);
+  const context = { platform, userId, userAddress: wallet.address, wallet, intent: { idempotencyKey } };
+  return await idempotencyStore.run(idempotencyKey, () => executeLendingOperation(context, { operation, amount }));
+}
+
+/**
+ * Send a confirmed lending operation to SimpleLending on Arcology
+ */
+async function executeLendingOperation(context, pending) {
+  const { userId, userAddress, wallet, intent } = context;
+  const { operation, amount } = pending;
+  const { name, emoji } = LENDING_OPERATIONS[operation];
+  
+  console.log(`EVVM Fisher Bot: Processing ${operation} of ${amount} ETH for ${userAddress}`);
+  
+  try {
+    const lendingContract = connectForUser(getSimpleLendingContract(), wallet);
     
-    if (error.code === 'INSUFFICIENT_FUNDS') {
-      errorMsg = `❌ Insufficient funds to pay for gas. Please add funds to ${userAddress}`;
-    } else if (error.code === 'NONCE_EXPIRED') {
-      errorMsg = `❌ Nonce expired. Please try again.`;
-    } else if (error.code === 'NETWORK_ERROR') {
-      errorMsg = `❌ Network error. Please check your connection and try again.`;
+    const send = async () => {
+      const { tx, receipt } = await relaySubmitter.submit(
+        () => LENDING_METHODS[operation](lendingContract, ethers.parseEther(amount)),
+        {
+          operation,
+          signer: wallet,
+          onSent: (sentTx) => console.log(`📄 ${name} relayed to Arcology. Tx hash: ${sentTx.hash}`)
+        }
+      );
+      console.log(`✅ Transaction confirmed on Arcology block ${receipt.blockNumber}`);
+      rewardTracker.recordRelayedTx(receipt, { operation, user: userAddress, txHash: tx.hash });
+      return { tx, receipt };
+    };
+    
+    // Dependent steps (borrow after collateral) wait for the user's previous step to settle
+    const { tx, receipt } = determineNonceType({ type: operation, user: userAddress }) === 'sync'
+      ? await nonceManager.runSequenced(userAddress, send)
+      : await send();
+    
+    portfolioManager.addTransaction(userId, {
+      type: operation === 'borrow' ? 'borrow' : 'lending',
+      operation,
+      token: 'ETH',
+      amount,
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      idempotencyKey: intent.idempotencyKey,
+      status: 'completed'
+    });
+    
+    return `${emoji} *${name} Successful!*\n\n*Amount:* ${amount} ETH\n*Status:* ✅ Confirmed\n` +
+           `*Transaction:* \`${tx.hash}\`\n*Block:* ${receipt.blockNumber}\n\n_Your position has been updated._`;
+  } catch (error) {
+    console.error(`Error handling ${operation}:`, error);
+    
+    if (error instanceof NonceWaitError) {
+      return error.code === 'timeout'
+        ? '⌛ Your previous lending operation is still settling. Please try again shortly.'
+        : '❌ Operation cancelled.';
     }
     
-    return errorMsg;
+    if (mayStillMine(error)) {
+      return `⏳ *${name} Pending*\n\n${formatRelayFailure(error)}\n\nCheck your position later.`;
+    }
+    const reason = LENDING_ERRORS[error.revert?.name] || formatRelayFailure(error);
+    return `❌ *Transaction Failed*\n\n${reason}\n\nPlease try again.`;
   }
 }
 
 /**
- * Handle lend command (placeholder for future implementation)
+ * Read the user's SimpleLending account and render it like the Telegram position view
  */
-async function handleLend(userAddress, args) {
-  // TODO: Implement lending logic
-  return `Lending feature coming soon!`;
+async function getLendingPosition(lendingContract, userAddress) {
+  try {
+    const account = await lendingContract.getAccount(userAddress);
+    const required = (account.borrowed * 150n) / 100n;
+    const health = account.borrowed === 0n
+      ? '∞ (No debt)'
+      : `${(Number(account.collateral * 100n / required) / 100).toFixed(2)}`;
+    
+    return '📈 *Your Lending Position*\n\n' +
+           `💰 *Deposited:* ${ethers.formatEther(account.deposited)} ETH\n` +
+           `🏦 *Borrowed:* ${ethers.formatEther(account.borrowed)} ETH\n` +
+           `🔒 *Collateral:* ${ethers.formatEther(account.collateral)} ETH\n` +
+           `📊 *Health Factor:* ${health}`;
+  } catch (error) {
+    console.error('Error fetching lending position:', error);
+    return `❌ Error fetching position: ${error.message}`;
+  }
+}
+
+/**
+ * List the user's swap intents, newest first, one page at a time
+ */
+async function handleIntents({ userAddress, wallet, intent }) {
+  const page = intent.args[0] ? Number(intent.args[0]) - 1 : 0;
+  
+  try {
+    const result = await listUserIntents(userAddress, { page, wallet });
+    const next = result.page + 1 < result.totalPages ? `\n\nNext page: /intents ${result.page + 2}` : '';
+    return formatIntentList(result) + next;
+  } catch (error) {
+    console.error('Error listing intents:', error);
+    return `❌ Could not load your intents: ${error.message}`;
+  }
 }
 
 /**
- * Handle portfolio command (placeholder for future implementation)
+ * Handle portfolio command
+ * Renders the same positions view as the Telegram portfolio menu
  */
-async function handlePortfolio(userAddress) {
-  // TODO: Implement portfolio viewing logic
-  return `Portfolio feature coming soon!`;
+async function handlePortfolio({ userId }) {
+  const portfolio = await getUserPortfolio(userId);
+  
+  if (portfolio.error) {
+    return `❌ Error loading portfolio: ${portfolio.error}`;
+  }
+  
+  if (portfolio.positions.length === 0) {
+    return '📊 Active Positions\n\n*No positions yet!*\n\nStart by:\n• Making a swap (/swap 1 ETH USDC)\n• Lending assets (/lend deposit 0.1)\n\nAll your positions will appear here.';
+  }
+  
+  return formatPortfolioText(portfolio);
 }
 
 /**
  * Get help message
+ * @param {string} platform - 'telegram' or 'whatsapp'
  */
-function getHelpMessage() {
-  return `📚 *Shadow Nox Commands*\n\n` +
-         `*Trading:*\n` +
-         `/swap <amount> <from> <to> - Private swap\n` +
-         `   Example: /swap 1 ETH USDC\n\n` +
-         `*DeFi:*\n` +
-         `/lend - Lending operations (coming soon)\n\n` +
-         `*Portfolio:*\n` +
-         `/portfolio - View your positions\n\n` +
-         `*Info:*\n` +
-         `/help - This help message`;
+function getHelpMessage(platform = 'whatsapp') {
+  return commandRegistry.formatHelp(platform);
 }
 
 export { handleSwap, handleLend, handlePortfolio, getHelpMessage };
\ No newline at end of file
@@ -0,0 +1,319 @@
+/**
+ * User Intent Parser
+ * Turns free-text and slash commands from WhatsApp/Telegram into typed intents
+ *
+ * Accepted shapes (case-insensitive, slash optional):
+ * - /swap 1 ETH USDC
+ * - swap half my ETH to usdc with 1% slippage
+ * - swap 25% of my eth into usdt
+ * - lend 500 USDC for 30 days
+ * - /lend borrow 0.05 ETH, withdraw collateral 0.1
+ * - portfolio
+ *
+ * Output intent:
+ * {
+ *   action: string,               // canonical command, e.g. 'swap'
+ *   amount: string | null,        // exact amount, e.g. '0.5'
+ *   percentage: number | null,    // share of balance, e.g. 50
+ *   fromToken, toToken, token,    // upper-case symbols
+ *   durationDays: number | null,
+ *   slippageBps: number | null,
+ *   operation: string | null,     // lend only: deposit, withdraw, add_collateral, ...
+ *   args: string[],               // words after the command, as typed
+ *   raw: string
+ * }
+ */
+
+import { tokenRegistry } from '../arcology/tokens.js';
+
+export const SUPPORTED_TOKENS = tokenRegistry.symbols();
+
+const ACTION_ALIASES = {
+  swap: 'swap',
+  trade: 'swap',
+  convert: 'swap',
+  exchange: 'swap',
+  lend: 'lend',
+  supply: 'lend',
+  deposit: 'lend',
+  withdraw: 'lend',
+  borrow: 'lend',
+  repay: 'lend',
+  portfolio: 'portfolio',
+  positions: 'portfolio',
+  help: 'help',
+  start: 'help',
+};
+
+const PERCENT_WORDS = {
+  all: 100,
+  max: 100,
+  everything: 100,
+  half: 50,
+  quarter: 25,
+  third: 33,
+};
+
+// SimpleLending operations, named as in the Telegram lend flows
+const LEND_OPERATIONS = {
+  deposit: 'deposit',
+  withdraw: 'withdraw',
+  borrow: 'borrow',
+  repay: 'repay',
+  collateral: 'add_collateral',
+  'add-collateral': 'add_collateral',
+  'withdraw-collateral': 'withdraw_collateral',
+  position: 'position',
+};
+
+const FILLER_WORDS = new Set(['my', 'of', 'the', 'a', 'an', 'please', 'worth', 'some', 'for']);
+const DIRECTION_WORDS = new Set(['to', 'into', 'for', '->', '→']);
+const DURATION_UNITS = { d: 1, day: 1, days: 1, w: 7, week: 7, weeks: 7, m: 30, month: 30, months: 30 };
+
+const NUMBER_RE = /^\d+(\.\d+)?$/;
+const PERCENT_RE = /^(\d+(\.\d+)?)%$/;
+const SYMBOL_RE = /^[a-z][a-z0-9]{1,9}$/;
+const COMPACT_DURATION_RE = /^(\d+)(d|w|m)$/;
+
+/**
+ * Error raised when a message cannot be turned into an intent.
+ * `token` and `position` point at the offending word so the reply can show it.
+ */
+export class IntentParseError extends Error {
+  constructor(message, token = null, position = null) {
+    super(message);
+    this.name = 'IntentParseError';
+    this.token = token;
+    this.position = position;
+  }
+}
+
+/**
+ * Split a message into words, keeping each word's index for error reporting
+ */
+function tokenize(message) {
+  return message
+    .trim()
+    .replace(/(\d)\s+%/g, '$1%')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((text, position) => ({ text: text.toLowerCase().replace(/[,.!?]+$/, ''), original: text, position }));
+}
+
+/**
+ * Check whether a message looks like something the parser should handle.
+ * Used by chat adapters to ignore ordinary conversation.
+ *
+ * @param {string} message - Raw message text
+ * @returns {boolean}
+ */
+export function isIntentMessage(message) {
+  const [first] = tokenize(message || '');
+  if (!first) {
+    return false;
+  }
+  return first.text.startsWith('/') || first.text in ACTION_ALIASES;
+}
+
+/**
+ * Parse a raw chat message into a typed intent
+ *
+ * @param {string} message - Raw message text
+ * @returns {Object} Parsed intent
+ * @throws {IntentParseError} When the action, an amount or a token is malformed
+ */
+export function parseIntent(message) {
+  const words = tokenize(message || '');
+
+  if (words.length === 0) {
+    throw new IntentParseError('Empty message');
+  }
+
+  const [head, ...rest] = words;
+  const name = head.text.replace(/^\//, '').replace(/@\w+$/, '');
+  // Slash commands the parser has no grammar for are passed through as-is so
+  // the command registry can route or reject them
+  const action = ACTION_ALIASES[name] || (head.text.startsWith('/') ? name : null);
+
+  if (!action) {
+    throw new IntentParseError(`Unknown command "${head.original}"`, head.original, head.position);
+  }
+
+  const intent = {
+    action,
+    amount: null,
+    percentage: null,
+    fromToken: null,
+    toToken: null,
+    token: null,
+    durationDays: null,
+    slippageBps: null,
+    operation: null,
+    args: rest.map(word => word.original),
+    raw: message.trim(),
+  };
+
+  // Only swap and lend have a free-text grammar; required arguments are
+  // checked against the command registry schema by the caller
+  if (action === 'swap') {
+    [intent.fromToken = null, intent.toToken = null] = consumeWords(rest, intent);
+    if (intent.fromToken && intent.fromToken === intent.toToken) {
+      throw new IntentParseError(`Cannot swap ${intent.fromToken} to itself`, intent.toToken);
+    }
+  } else if (action === 'lend') {
+    const remaining = consumeLendOperation(name, rest, intent);
+    [intent.token = null] = consumeWords(remaining, intent);
+  }
+
+  return intent;
+}
+
+/**
+ * Pick the lending operation out of the command word and the arguments.
+ * "withdraw collateral" combines into withdraw_collateral; plain "lend" deposits.
+ * Returns the words that are left for amount/token parsing.
+ */
+function consumeLendOperation(command, words, intent) {
+  let operation = LEND_OPERATIONS[command] || null;
+  const remaining = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+
+    if (word.text === 'add' && words[i + 1]?.text === 'collateral') {
+      continue;
+    }
+
+    const found = LEND_OPERATIONS[word.text];
+    if (!found) {
+      remaining.push(word);
+      continue;
+    }
+
+    if (!operation) {
+      operation = found;
+    } else if (operation === 'withdraw' && found === 'add_collateral') {
+      operation = 'withdraw_collateral';
+    } else if (operation !== found) {
+      throw new IntentParseError(`Conflicting lending operation "${word.original}"`, word.original, word.position);
+    }
+  }
+
+  intent.operation = operation || 'deposit';
+  return remaining;
+}
+
+/**
+ * Walk the remaining words, filling amount/percentage/duration/slippage on the
+ * intent and returning the token symbols in the order they appeared
+ */
+function consumeWords(words, intent) {
+  const symbols = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const next = words[i + 1];
+
+    if (word.text === 'max' && next?.text === 'slippage') {
+      continue;
+    }
+
+    if (word.text === 'slippage') {
+      // "slippage 0.5%" or "max slippage 1%"
+      if (next && PERCENT_RE.test(next.text)) {
+        intent.slippageBps = parseSlippage(next);
+        i++;
+      }
+      continue;
+    }
+
+    if (PERCENT_RE.test(word.text) && next?.text === 'slippage') {
+      // "with 1% slippage"
+      intent.slippageBps = parseSlippage(word);
+      i++;
+      continue;
+    }
+
+    if (NUMBER_RE.test(word.text) && next && next.text in DURATION_UNITS) {
+      intent.durationDays = Number(word.text) * DURATION_UNITS[next.text];
+      i++;
+      continue;
+    }
+
+    const compact = COMPACT_DURATION_RE.exec(word.text);
+    if (compact) {
+      intent.durationDays = Number(compact[1]) * DURATION_UNITS[compact[2]];
+      continue;
+    }
+
+    if (NUMBER_RE.test(word.text)) {
+      setAmount(intent, word, { amount: word.text });
+      continue;
+    }
+
+    const percent = PERCENT_RE.exec(word.text);
+    if (percent) {
+      const value = Number(percent[1]);
+      if (value <= 0 || value > 100) {
+        throw new IntentParseError(`Percentage must be between 0 and 100, got "${word.original}"`, word.original, word.position);
+      }
+      setAmount(intent, word, { percentage: value });
+      continue;
+    }
+
+    if (word.text in PERCENT_WORDS && intent.amount === null && intent.percentage === null) {
+      setAmount(intent, word, { percentage: PERCENT_WORDS[word.text] });
+      continue;
+    }
+
+    if (FILLER_WORDS.has(word.text) || DIRECTION_WORDS.has(word.text) || word.text === 'with') {
+      continue;
+    }
+
+    if (SYMBOL_RE.test(word.text)) {
+      const symbol = word.text.toUpperCase();
+      if (!SUPPORTED_TOKENS.includes(symbol)) {
+        throw new IntentParseError(
+          `Unknown token "${word.original}". Supported: ${SUPPORTED_TOKENS.join(', ')}`,
+          word.original,
+          word.position
+        );
+      }
+      symbols.push(symbol);
+      continue;
+    }
+
+    throw new IntentParseError(`Could not understand "${word.original}"`, word.original, word.position);
+  }
+
+  return symbols;
+}
+
+function setAmount(intent, word, value) {
+  if (intent.amount !== null || intent.percentage !== null) {
+    throw new IntentParseError(`More than one amount given ("${word.original}")`, word.original, word.position);
+  }
+  if (value.amount !== undefined && Number(value.amount) <= 0) {
+    throw new IntentParseError(`Amount must be positive, got "${word.original}"`, word.original, word.position);
+  }
+  Object.assign(intent, value);
+}
+
+function parseSlippage(word) {
+  const value = Number(PERCENT_RE.exec(word.text)[1]);
+  if (value <= 0 || value > 50) {
+    throw new IntentParseError(`Slippage must be between 0% and 50%, got "${word.original}"`, word.original, word.position);
+  }
+  return Math.round(value * 100);
+}
+
+/**
+ * Format a parse error for a chat reply, quoting the offending word
+ *
+ * @param {IntentParseError} error - Parse error
+ * @returns {string} User-facing message
+ */
+export function formatParseError(error) {
+  const pointer = error.token ? `\n   ↳ at word ${error.position + 1}: "${error.token}"` : '';
+  return `❌ ${error.message}${pointer}\n\nType /help for available commands.`;
+}
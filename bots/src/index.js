@@ -12,7 +12,9 @@
 import dotenv from 'dotenv';
 import { initWhatsAppBot } from './whatsapp/index.js';
 import { initTelegramBot } from './telegram/index.js';
-import { initArcologyConnector } from './arcology/connector.js';
+import { initArcologyConnector, getArcologyProvider } from './arcology/connector.js';
+import { intentWatcher } from './arcology/intentWatcher.js';
+import { nonceManager } from './evvm/nonceManager.js';
 
 // Load environment variables
 dotenv.config();
@@ -37,6 +39,19 @@ async function initializeBots() {
     await initArcologyConnector();
     console.log('✅ Arcology connected\n');
     
+    // Settle or expire txs left pending by a previous run, then keep reserved
+    // async nonces in line with AsyncNonceEngine
+    await nonceManager.recoverPendingTxs(getArcologyProvider());
+    nonceManager.startReconciling();
+    
+    // Track submitted swap intents and notify users when they settle
+    try {
+      await intentWatcher.start();
+    } catch (watcherError) {
+      console.error('⚠️  Intent watcher failed to start:', watcherError.message);
+      console.log('   Continuing without lifecycle notifications...\n');
+    }
+    
     // Initialize Telegram bot (EVVM Fisher relay)
     console.log('📱 Starting Telegram EVVM Fisher bot...');
     try {
@@ -15,6 +15,7 @@
  */
 
 import dotenv from 'dotenv';
+import { tokenRegistry, getToken } from '../arcology/tokens.js';
 dotenv.config();
 
 // Hermes API Configuration
@@ -22,12 +23,11 @@ const HERMES_URL = process.env.PYTH_HERMES_URL || 'https://hermes.pyth.network';
 
 /**
  * Common Pyth Price Feed IDs
+ * Feeds for tradable tokens come from the token registry
  */
 export const PRICE_FEED_IDS = {
-  'ETH/USD': '0xff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace',
+  ...Object.fromEntries(tokenRegistry.list().map(token => [token.priceSymbol, token.pythFeedId])),
   'BTC/USD': '0xe62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43',
-  'USDC/USD': '0xeaa020c61cc479712813461ce153894a96a6c00b21ed0cfc2798d1f9a9e9c94a',
-  'USDT/USD': '0x2b89b9dc8fdf9f34709a5b106b472f0f39bb6ca9ce04b0fd7f2e971688e2e53b',
   'SOL/USD': '0xef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d'
 };
 
@@ -189,6 +189,41 @@ export async function getCurrentPrice(symbol) {
   }
 }
 
+/**
+ * Get current USD price for a registry token
+ * 
+ * @param {string} token - Token symbol (e.g., 'ETH')
+ * @returns {Promise<Object>} Current price data
+ * @throws if the token is not in the registry
+ */
+export async function getTokenPrice(token) {
+  return getCurrentPrice(getToken(token).priceSymbol);
+}
+
+/**
+ * Exchange rate between two tokens via their USD feeds
+ * 
+ * @param {string} fromToken - Token symbol (e.g., 'ETH')
+ * @param {string} toToken - Token symbol (e.g., 'USDC')
+ * @returns {Promise<Object>} { fromPrice, toPrice, rate } where rate is toToken per 1 fromToken
+ */
+export async function getExchangeRate(fromToken, toToken) {
+  const [fromPrice, toPrice] = await Promise.all([
+    getTokenPrice(fromToken),
+    getTokenPrice(toToken)
+  ]);
+  
+  if (!(toPrice.humanReadablePrice > 0)) {
+    throw new Error(`Invalid ${toToken}/USD price`);
+  }
+  
+  return {
+    fromPrice,
+    toPrice,
+    rate: fromPrice.humanReadablePrice / toPrice.humanReadablePrice
+  };
+}
+
 /**
  * Subscribe to price feed updates (WebSocket) - FUTURE ENHANCEMENT
  * 
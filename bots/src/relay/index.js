@@ -0,0 +1,75 @@
+/**
+ * Shadow Economy Fisher Relay Entry Point
+ *
+ * Standalone HTTP relay for user-signed intents, so clients other than the
+ * Telegram and WhatsApp bots (the frontend, wallets, scripts) can have their
+ * intents relayed to Arcology.
+ *
+ * Set WORK_QUEUE_URL to run several relay instances against one shared,
+ * leased work queue (see workQueue.js).
+ *
+ * Usage: npm run relay
+ */
+
+import dotenv from 'dotenv';
+import { initArcologyConnector, getArcologyProvider } from '../arcology/connector.js';
+import { nonceManager } from '../evvm/nonceManager.js';
+import { IntentRelay } from './intentRelay.js';
+import { createRelayServer } from './server.js';
+import { RespClient } from './resp.js';
+import { LeasedWorkQueue } from './workQueue.js';
+import { arcologyConfig } from '../../config/arcology.config.js';
+
+dotenv.config();
+
+const PORT = parseInt(process.env.RELAY_PORT || '8787');
+
+async function startRelay() {
+  console.log('🌑 Shadow Economy - Fisher Relay Starting...\n');
+
+  try {
+    await initArcologyConnector();
+    await nonceManager.recoverPendingTxs(getArcologyProvider());
+    nonceManager.startReconciling();
+
+    const queueClient = arcologyConfig.workQueue.url ? new RespClient({ url: arcologyConfig.workQueue.url }) : null;
+    if (queueClient) {
+      await queueClient.command('PING');
+    }
+    const workQueue = queueClient ? new LeasedWorkQueue({ client: queueClient }) : null;
+
+    const relay = new IntentRelay({ workQueue });
+    const server = createRelayServer(relay, { corsOrigin: process.env.RELAY_CORS_ORIGIN || '*' });
+
+    // Relay anything left queued or unconfirmed by a previous run
+    if (workQueue) {
+      relay.startWorker();
+    } else {
+      await relay.recoverSubmitted();
+      relay.processQueue();
+    }
+
+    server.listen(PORT, () => {
+      console.log(`🚀 Fisher relay listening on http://localhost:${PORT}`);
+      console.log('   POST /intents, GET /intents/:id, GET /fisher, GET /health\n');
+    });
+
+    const shutdown = () => {
+      console.log('\n🛑 Shutting down Fisher relay...');
+      nonceManager.stopReconciling();
+      relay.stopWorker();
+      server.close(async () => {
+        await relay.idle();
+        queueClient?.close();
+        process.exit(0);
+      });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    console.error('❌ Failed to start Fisher relay:', error);
+    process.exit(1);
+  }
+}
+
+startRelay();
@@ -0,0 +1,819 @@
+/**
+ * Fisher Intent Relay
+ *
+ * Accepts user-signed intents from any client (the frontend, third-party
+ * wallets, scripts), checks them and relays them to Arcology from the Fisher
+ * wallet, one at a time:
+ *
+ *   submit → verified → queued → submitted → confirmed
+ *                                          ↘ failed (with reason)
+ *
+ * Intents are EIP-712 typed data (shared/intentTypedData.js) signed by the
+ * user for this chain and contract. Each comes with the ERC-2771 forward
+ * request the user signed for the call itself, with the RelayFee gas price cap
+ * they signed for it, which the Fisher submits through FisherForwarder
+ * (gaslessRelay.js), so EncryptedSwap sees the user as _msgSender() and the
+ * intent is theirs to list and cancel:
+ *
+ *   Swap   → submitSwapIntent(envelope), the envelope encrypted to the user and
+ *            this Fisher (intentEnvelope.js) and carrying the signed intent's
+ *            ABI-encoded parameters as intentData
+ *   Cancel → cancelSwap(intentId)
+ *
+ * A record's id is the typed-data digest, so posting the same signed intent
+ * twice returns the existing record. The intent nonce is reserved with the
+ * nonce manager, which knows the chain's settled nonces and every nonce in
+ * flight. Records are kept in .relay_intents.json; on restart,
+ * recoverSubmitted() settles the ones a previous run had sent.
+ *
+ * With a shared work queue (workQueue.js) several relay instances can run side
+ * by side: accepted intents go to the queue instead of the local one, and each
+ * instance's worker leases intents from it, so every intent is relayed by one
+ * Fisher. Records, nonce reservations and pending counts then live in the
+ * shared store too, so a nonce accepted by one instance is refused by all of
+ * them. Progress is saved to the queue, so when an owner dies the Fisher that
+ * takes the intent over waits for an already sent tx instead of resending it,
+ * and an owner checks it still holds the lease right before sending.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { getIntentTypedData, recoverIntentSigner } from '../../../shared/intentTypedData.js';
+import { encodeSwapIntent } from '../../../shared/swapIntentCodec.js';
+import { getEncryptedSwapContract, getIntentBinding, getArcologyProvider, getArcologyWallet } from '../arcology/connector.js';
+import { getSubmittedIntentId } from '../arcology/swapIntents.js';
+import { tokenRegistry } from '../arcology/tokens.js';
+import { nonceManager, NonceClaimError } from '../evvm/nonceManager.js';
+import { rewardTracker } from '../evvm/fisherRewards.js';
+import { relaySubmitter, mayStillMine } from '../evvm/relaySubmitter.js';
+import { gaslessRelayer, GaslessRelayError } from '../evvm/gaslessRelay.js';
+import { decryptIntent } from '../evvm/intentEnvelope.js';
+import { arcologyConfig } from '../../config/arcology.config.js';
+
+const STATE_FILE = path.resolve(process.cwd(), '.relay_intents.json');
+
+// Intent types the relay can act on with the Fisher wallet
+export const RELAYED_TYPES = ['Swap', 'Cancel'];
+
+// EncryptedSwap call that each intent type's forward request must make
+const RELAYED_METHODS = {
+  Swap: 'submitSwapIntent',
+  Cancel: 'cancelSwap',
+};
+
+// HTTP status for each way the forwarder can refuse a request
+const FORWARD_REJECTION_STATUS = {
+  not_configured: 503,
+  invalid_request: 400,
+  fee_cap_too_low: 400,
+  insufficient_fee_balance: 402,
+};
+
+/**
+ * A submitted intent that will not be relayed, with a machine-readable code
+ * and the HTTP status the relay server answers with
+ */
+export class IntentRejectedError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'IntentRejectedError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export class IntentRelay {
+  constructor({
+    stateFile = STATE_FILE,
+    contract = null,
+    getBinding = getIntentBinding,
+    nonces = nonceManager,
+    rewards = rewardTracker,
+    tokens = tokenRegistry,
+    chainId = arcologyConfig.chainId,
+    maxPendingPerUser = arcologyConfig.maxPendingAsyncTxs,
+    workQueue = null,
+    provider = null,
+    pollInterval = arcologyConfig.workQueue.pollInterval,
+    submitter = relaySubmitter,
+    relayer = gaslessRelayer,
+    fisherKey = null,
+  } = {}) {
+    this.stateFile = stateFile;
+    this.contract = contract;
+    this.getBinding = getBinding;
+    this.nonces = nonces;
+    this.rewards = rewards;
+    this.tokens = tokens;
+    this.chainId = chainId;
+    this.maxPendingPerUser = maxPendingPerUser;
+    this.workQueue = workQueue;
+    this.provider = provider;
+    this.pollInterval = pollInterval;
+    this.submitter = submitter;
+    this.relayer = relayer;
+    this.fisherKey = fisherKey;
+
+    const state = this.loadState();
+    this.records = state.records || {}; // id -> record
+    this.accepting = new Map();        // id -> submission being checked
+
+    // With a work queue, queued records are handed to it by startWorker()
+    this.queue = workQueue ? [] : Object.values(this.records)
+      .filter(record => record.status === 'queued')
+      .map(record => record.id);
+    this.processing = null;
+
+    this.leased = new Set(); // ids this instance holds a work queue lease on
+    this.working = false;
+    this.pollTimer = null;
+    this.polling = null;
+  }
+
+  loadState() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        return JSON.parse(fs.readFileSync(this.stateFile, 'utf-8'));
+      }
+    } catch (error) {
+      console.error('Error loading relay state:', error.message);
+    }
+    return {};
+  }
+
+  saveState() {
+    try {
+      const state = { records: this.records };
+      fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2), 'utf-8');
+    } catch (error) {
+      console.error('Error saving relay state:', error.message);
+    }
+  }
+
+  getContract() {
+    return this.contract || getEncryptedSwapContract();
+  }
+
+  // Wallet that intent envelopes must be encrypted to
+  getFisherKey() {
+    return this.fisherKey || getArcologyWallet();
+  }
+
+  /**
+   * Verify a signed intent and queue it for relay
+   *
+   * @param {Object} body - { primaryType, message, signature, forwardRequest }
+   * @returns {Promise<Object>} { record, created } - created is false for a resubmission
+   * @throws {IntentRejectedError} with the rejection reason
+   */
+  async submit(body) {
+    const { primaryType, message, signature, forwardRequest } = body || {};
+
+    if (!RELAYED_TYPES.includes(primaryType)) {
+      throw new IntentRejectedError(`Unsupported intent type "${primaryType}". Relayed: ${RELAYED_TYPES.join(', ')}`, 'unsupported_type');
+    }
+    if (!message || typeof message !== 'object') {
+      throw new IntentRejectedError('Missing intent message', 'invalid_intent');
+    }
+    if (typeof signature !== 'string' || !ethers.isHexString(signature, 65)) {
+      throw new IntentRejectedError('Signature must be a 65-byte hex string', 'invalid_signature');
+    }
+
+    const binding = this.getBinding(primaryType);
+    let typedData;
+    let signer;
+    try {
+      typedData = getIntentTypedData(primaryType, message, binding);
+      signer = recoverIntentSigner(primaryType, message, binding, signature);
+    } catch (error) {
+      throw new IntentRejectedError(error.shortMessage || error.message, 'invalid_intent');
+    }
+
+    if (signer.toLowerCase() !== String(message.user).toLowerCase()) {
+      throw new IntentRejectedError('Signature was not made by the intent user for this chain and contract', 'invalid_signature', 401);
+    }
+
+    const id = ethers.TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.message);
+    const existing = await this.find(id);
+    if (existing) {
+      return { record: existing, created: false };
+    }
+    // The same intent posted again while the first copy is still being checked
+    if (this.accepting.has(id)) {
+      const { record } = await this.accepting.get(id);
+      return { record, created: false };
+    }
+
+    const accepted = this.accept({ id, primaryType, typedData, signature, forwardRequest, binding });
+    this.accepting.set(id, accepted);
+    try {
+      return await accepted;
+    } finally {
+      this.accepting.delete(id);
+    }
+  }
+
+  async accept({ id, primaryType, typedData, signature, forwardRequest, binding }) {
+    const user = ethers.getAddress(typedData.message.user);
+    const nonce = Number(typedData.message.nonce);
+    this.checkDeadline(typedData.message.deadline);
+    this.checkNonce(nonce);
+
+    if (primaryType === 'Swap') {
+      this.checkSwap(typedData.message);
+    }
+    const request = await this.checkForwardRequest(primaryType, user, typedData.message, forwardRequest, binding);
+
+    const now = new Date().toISOString();
+    const record = {
+      id,
+      primaryType,
+      user,
+      nonce,
+      message: toJson(typedData.message),
+      signature,
+      forwardRequest: toJson(request),
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    if (this.workQueue) {
+      return this.acceptShared(record);
+    }
+
+    // Last, since it reserves the nonce: nothing after it can reject the intent
+    await this.reserveNonce(user, nonce, { relayId: id, primaryType });
+
+    this.records[id] = record;
+    this.saveState();
+
+    console.log(`📥 Relay accepted ${primaryType} intent ${id} from ${user} (nonce ${nonce})`);
+    this.dispatch(record);
+
+    return { record: this.toPublic(record), created: true };
+  }
+
+  checkDeadline(deadline) {
+    if (Number(deadline) <= Math.floor(Date.now() / 1000)) {
+      throw new IntentRejectedError('Intent deadline has passed', 'expired');
+    }
+  }
+
+  checkNonce(nonce) {
+    if (!Number.isSafeInteger(nonce) || nonce < 1) {
+      throw new IntentRejectedError('Nonce must be a positive integer', 'invalid_nonce');
+    }
+  }
+
+  /**
+   * Reserve the intent nonce with the nonce manager, which rejects nonces the
+   * chain has settled and nonces already reserved, pending or settled
+   */
+  async reserveNonce(user, nonce, txData) {
+    if (this.nonces.getPendingTxs(user).length >= this.maxPendingPerUser) {
+      throw new IntentRejectedError(`Too many pending intents (max ${this.maxPendingPerUser})`, 'too_many_pending', 429);
+    }
+    try {
+      await this.nonces.claimAsyncNonce(user, nonce, txData);
+    } catch (error) {
+      if (!(error instanceof NonceClaimError)) {
+        throw new IntentRejectedError(`Could not check nonce ${nonce}: ${error.message}`, 'nonce_unavailable', 503);
+      }
+      if (error.code === 'too_many_pending') {
+        throw new IntentRejectedError(`Too many pending intents (max ${this.maxPendingPerUser})`, 'too_many_pending', 429);
+      }
+      throw new IntentRejectedError(error.message, 'nonce_used', 409);
+    }
+  }
+
+  /**
+   * Reserve the intent nonce in the shared store and queue the record there,
+   * so every relay instance sees the same reservations, pending counts and
+   * records
+   */
+  async acceptShared(record) {
+    const { id, user, nonce } = record;
+    const holder = await this.reserveSharedNonce(user, nonce, id);
+    if (holder !== null) {
+      // The same intent, accepted by another instance a moment ago
+      const existing = holder === id ? await this.find(id) : null;
+      if (existing) {
+        return { record: existing, created: false };
+      }
+      throw new IntentRejectedError(`Nonce ${nonce} has already been used`, 'nonce_used', 409);
+    }
+
+    let queued;
+    try {
+      queued = await this.workQueue.enqueue(id, record);
+    } catch (error) {
+      await this.workQueue.releaseNonce(user, nonce, id).catch(() => {});
+      throw new IntentRejectedError(`Could not queue intent: ${error.message}`, 'queue_unavailable', 503);
+    }
+    if (!queued) {
+      // Relayed before and failed, which freed its nonce: report that record
+      await this.workQueue.releaseNonce(user, nonce, id);
+      return { record: await this.find(id), created: false };
+    }
+
+    console.log(`📥 Relay accepted ${record.primaryType} intent ${id} from ${user} (nonce ${nonce})`);
+    return { record: this.toPublic(record), created: true };
+  }
+
+  /**
+   * Check the nonce against the chain and the user's pending count, then
+   * reserve it in the shared store
+   *
+   * @returns {Promise<string|null>} null once reserved, or the id of the intent holding the nonce
+   */
+  async reserveSharedNonce(user, nonce, id) {
+    let lastSettled;
+    let pending;
+    try {
+      lastSettled = await this.nonces.seedAsyncNonce(user);
+      pending = await this.workQueue.countPending(user);
+    } catch (error) {
+      throw new IntentRejectedError(`Could not check nonce ${nonce}: ${error.message}`, 'nonce_unavailable', 503);
+    }
+    if (nonce <= lastSettled) {
+      throw new IntentRejectedError(`Nonce ${nonce} is already settled on chain (last settled: ${lastSettled})`, 'nonce_used', 409);
+    }
+    if (pending >= this.maxPendingPerUser) {
+      throw new IntentRejectedError(`Too many pending intents (max ${this.maxPendingPerUser})`, 'too_many_pending', 429);
+    }
+
+    try {
+      return await this.workQueue.reserveNonce(user, nonce, id);
+    } catch (error) {
+      throw new IntentRejectedError(`Could not reserve nonce ${nonce}: ${error.message}`, 'nonce_unavailable', 503);
+    }
+  }
+
+  checkSwap(message) {
+    for (const address of [message.tokenIn, message.tokenOut]) {
+      if (!this.tokens.findByAddress(address, this.chainId)) {
+        throw new IntentRejectedError(`Token ${address} is not supported on chain ${this.chainId}`, 'unknown_token');
+      }
+    }
+    try {
+      encodeSwapIntent(message);
+    } catch (error) {
+      throw new IntentRejectedError(error.message, 'invalid_intent');
+    }
+  }
+
+  /**
+   * Check that the user's forward request makes exactly the call the signed
+   * intent describes, and that the forwarder will execute and be paid for it
+   *
+   * @returns {Promise<Object>} The forward request, with typed fields
+   */
+  async checkForwardRequest(primaryType, user, message, forwardRequest, binding) {
+    if (!this.relayer.isEnabled()) {
+      throw new IntentRejectedError('This Fisher has no forwarder configured, so it cannot relay intents for users', 'relay_unavailable', 503);
+    }
+    if (!forwardRequest || typeof forwardRequest !== 'object') {
+      throw new IntentRejectedError('Missing forwardRequest (the ERC-2771 request signed for the Fisher forwarder)', 'invalid_request');
+    }
+
+    let request;
+    try {
+      request = parseForwardRequest(forwardRequest);
+    } catch (error) {
+      throw new IntentRejectedError(`Invalid forward request: ${error.shortMessage || error.message}`, 'invalid_request');
+    }
+    if (request.from !== user) {
+      throw new IntentRejectedError('Forward request must come from the intent user', 'invalid_request');
+    }
+    if (request.to !== ethers.getAddress(binding.verifyingContract) || request.value !== 0n) {
+      throw new IntentRejectedError(`Forward request must call ${binding.verifyingContract} without value`, 'invalid_request');
+    }
+
+    let call = null;
+    try {
+      call = this.getContract().interface.parseTransaction({ data: request.data });
+    } catch {
+      // Not decodable as an EncryptedSwap call
+    }
+    if (call?.name !== RELAYED_METHODS[primaryType]) {
+      throw new IntentRejectedError(`${primaryType} intents are relayed as ${RELAYED_METHODS[primaryType]} calls`, 'invalid_request');
+    }
+    if (primaryType === 'Swap') {
+      this.checkEnvelope(call.args[0], message);
+    } else if (call.args[0].toLowerCase() !== String(message.intentId).toLowerCase()) {
+      throw new IntentRejectedError('Forward request cancels a different intent than the signed one', 'invalid_request');
+    }
+
+    try {
+      await this.relayer.checkRequest(request);
+    } catch (error) {
+      if (error instanceof GaslessRelayError) {
+        throw new IntentRejectedError(error.message, error.code, FORWARD_REJECTION_STATUS[error.code] || 400);
+      }
+      throw error;
+    }
+    return request;
+  }
+
+  /**
+   * The envelope must open with this Fisher's key and carry the signed swap
+   * parameters, so what goes on chain is encrypted and is what the user signed
+   */
+  checkEnvelope(envelope, message) {
+    const fisherKey = this.getFisherKey();
+    if (!fisherKey) {
+      throw new IntentRejectedError('Fisher wallet is not initialized', 'relay_unavailable', 503);
+    }
+
+    let payload;
+    try {
+      payload = decryptIntent(envelope, fisherKey);
+    } catch (error) {
+      throw new IntentRejectedError(`Intent data must be an envelope encrypted to this Fisher: ${error.message}`, 'invalid_envelope');
+    }
+    if (String(payload.intentData).toLowerCase() !== encodeSwapIntent(message).toLowerCase()) {
+      throw new IntentRejectedError('Intent envelope does not carry the signed swap parameters', 'invalid_envelope');
+    }
+  }
+
+  /**
+   * What clients need to build relayable intents: the key to encrypt envelopes
+   * to and the contracts to sign for
+   */
+  async getFisherInfo() {
+    const forwarder = this.relayer.getForwarder();
+    const fisherKey = this.getFisherKey();
+    return {
+      address: fisherKey?.address ?? null,
+      publicKey: fisherKey?.signingKey.publicKey ?? null,
+      chainId: this.chainId,
+      forwarder: forwarder ? await forwarder.getAddress() : null,
+      encryptedSwap: this.getBinding('Swap').verifyingContract,
+    };
+  }
+
+  /**
+   * Hand an accepted intent to the local queue, or to the shared work queue
+   */
+  dispatch(record) {
+    if (!this.workQueue) {
+      this.queue.push(record.id);
+      this.processQueue();
+      return;
+    }
+
+    this.workQueue.enqueue(record.id, record).catch(error => {
+      console.error(`❌ Could not queue ${record.primaryType} intent ${record.id}:`, error.message);
+      const reason = `Could not queue intent: ${error.message}`;
+      this.update(record, { status: 'failed', reason });
+      this.nonces.releaseAsyncNonce(record.user, record.nonce, reason);
+    });
+  }
+
+  /**
+   * Relay queued intents one at a time (the Fisher wallet's nonces are sequential)
+   */
+  processQueue() {
+    if (this.processing) {
+      return this.processing;
+    }
+    this.processing = (async () => {
+      while (this.queue.length) {
+        const record = this.records[this.queue.shift()];
+        if (record?.status === 'queued') {
+          await this.relay(record);
+        } else if (record?.status === 'submitted' && record.txHash) {
+          await this.resume(record);
+        }
+      }
+    })().finally(() => {
+      this.processing = null;
+    });
+    return this.processing;
+  }
+
+  /**
+   * Re-check intents a previous run sent but never saw confirmed
+   * Mined txs confirm or fail from their receipt, txs the node still holds
+   * are waited for and dropped ones are relayed again, both through the local
+   * queue. With a work queue the Fisher that takes over the lease does this.
+   *
+   * @returns {Promise<Object>} Counts of records per outcome
+   */
+  async recoverSubmitted() {
+    const counts = { confirmed: 0, failed: 0, waiting: 0, requeued: 0 };
+    if (this.workQueue) {
+      return counts;
+    }
+    const provider = this.provider || getArcologyProvider();
+
+    for (const record of Object.values(this.records).filter(record => record.status === 'submitted')) {
+      try {
+        const receipt = record.txHash ? await provider.getTransactionReceipt(record.txHash) : null;
+        if (receipt) {
+          if (receipt.status === 0) {
+            await this.fail(record, new Error(`Tx ${record.txHash} reverted`));
+          } else {
+            await this.confirm(record, receipt, this.getContract());
+          }
+          counts[record.status]++;
+        } else if (record.txHash && await provider.getTransaction(record.txHash)) {
+          this.queue.push(record.id);
+          counts.waiting++;
+        } else {
+          await this.update(record, { status: 'queued', txHash: null });
+          this.queue.push(record.id);
+          counts.requeued++;
+        }
+      } catch (error) {
+        console.error(`Receipt check failed for relayed intent ${record.id}:`, error.message);
+      }
+    }
+
+    console.log(`🔁 Submitted intents re-checked: ${counts.confirmed} confirmed, ${counts.failed} failed, ${counts.waiting} still pending, ${counts.requeued} requeued`);
+    return counts;
+  }
+
+  /**
+   * Start leasing intents from the shared work queue
+   * Records left queued locally (e.g. from before the queue was enabled) are
+   * handed to it first.
+   */
+  startWorker() {
+    if (!this.workQueue || this.working) {
+      return;
+    }
+    this.working = true;
+    Object.values(this.records)
+      .filter(record => record.status === 'queued')
+      .forEach(record => this.dispatch(record));
+
+    const poll = () => {
+      this.polling = this.pollWorkQueue().finally(() => {
+        this.polling = null;
+        if (this.working) {
+          this.pollTimer = setTimeout(poll, this.pollInterval);
+        }
+      });
+    };
+    poll();
+    console.log(`👷 Relay worker ${this.workQueue.instanceId} leasing intents from the shared work queue`);
+  }
+
+  stopWorker() {
+    this.working = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Reclaim intents from dead Fishers, then relay everything this instance can lease
+   */
+  async pollWorkQueue() {
+    try {
+      await this.workQueue.reclaimExpired();
+      let item;
+      while (this.working && (item = await this.workQueue.claim())) {
+        await this.relayLeased(item);
+      }
+    } catch (error) {
+      console.error('⚠️ Work queue poll failed:', error.message);
+    }
+  }
+
+  async relayLeased({ id, payload, attempts }) {
+    const record = Object.assign(this.records[id] || {}, payload);
+    this.records[id] = record;
+    this.leased.add(id);
+
+    const heartbeat = setInterval(() => {
+      this.workQueue.heartbeat(id)
+        .then(held => {
+          if (!held) {
+            console.warn(`⚠️ Lost the work queue lease on intent ${id}`);
+          }
+        })
+        .catch(error => console.error(`⚠️ Heartbeat for intent ${id} failed:`, error.message));
+    }, Math.max(Math.floor(this.workQueue.leaseMs / 3), 1));
+    heartbeat.unref?.();
+
+    try {
+      if (record.status === 'submitted' && record.txHash) {
+        console.log(`🔁 Taking over ${record.primaryType} intent ${id} (attempt ${attempts}), waiting for tx ${record.txHash}`);
+        await this.resume(record);
+      } else if (record.status === 'queued') {
+        await this.relay(record);
+      }
+      await this.workQueue.complete(id, record);
+    } catch (error) {
+      if (error.code !== 'lease_lost') {
+        throw error;
+      }
+      console.warn(`⚠️ Lost the work queue lease on intent ${id} before sending it, leaving it to the new owner`);
+    } finally {
+      clearInterval(heartbeat);
+      this.leased.delete(id);
+    }
+  }
+
+  /**
+   * Wait until every queued intent has been relayed
+   */
+  async idle() {
+    while (this.processing || this.polling) {
+      await (this.processing || this.polling);
+    }
+  }
+
+  async relay(record) {
+    const contract = this.getContract();
+
+    try {
+      if (!contract) {
+        throw new Error('EncryptedSwap contract is not initialized');
+      }
+
+      // Through the forwarder, so the call runs as the user who signed it.
+      // Only while this instance still owns a leased intent: an expired lease
+      // means another Fisher may be relaying it already.
+      const send = async () => {
+        if (this.leased.has(record.id)) {
+          await this.workQueue.assertLease(record.id);
+        }
+        return this.relayer.relayRequest(record.forwardRequest, RELAYED_METHODS[record.primaryType]);
+      };
+      const { tx, receipt } = await this.submitter.submit(send, {
+        operation: record.primaryType.toLowerCase(),
+        onSent: async (sentTx) => {
+          await this.update(record, { status: 'submitted', txHash: sentTx.hash });
+          this.nonces.trackPendingTx(record.user, record.nonce, { relayId: record.id, txHash: sentTx.hash });
+          console.log(`📄 Relayed ${record.primaryType} intent ${record.id}. Tx hash: ${sentTx.hash}`);
+        },
+      });
+      // The original can still mine after a fee-bumped replacement was sent
+      if (tx.hash !== record.txHash) {
+        await this.update(record, { txHash: tx.hash });
+      }
+
+      await this.confirm(record, receipt, contract);
+    } catch (error) {
+      if (error.code === 'lease_lost') {
+        throw error;
+      }
+      await this.fail(record, error);
+    }
+  }
+
+  /**
+   * Finish an intent whose tx another Fisher sent before it died
+   */
+  async resume(record) {
+    try {
+      const provider = this.provider || getArcologyProvider();
+      const receipt = await provider.waitForTransaction(record.txHash, 1, arcologyConfig.asyncTxTimeout);
+      if (!receipt) {
+        throw new Error(`Tx ${record.txHash} was not confirmed in time`);
+      }
+      if (receipt.status === 0) {
+        throw new Error(`Tx ${record.txHash} reverted`);
+      }
+      await this.confirm(record, receipt, this.getContract());
+    } catch (error) {
+      await this.fail(record, error);
+    }
+  }
+
+  async confirm(record, receipt, contract) {
+    const intentId = record.primaryType === 'Swap' ? getSubmittedIntentId(contract, receipt) : record.message.intentId;
+    await this.update(record, { status: 'confirmed', blockNumber: receipt.blockNumber, intentId });
+    this.nonces.settleTx(record.user, record.nonce);
+    await this.finishSharedNonce(record, { release: false });
+    this.rewards.recordRelayedTx(receipt, { operation: record.primaryType.toLowerCase(), user: record.user, txHash: record.txHash });
+  }
+
+  async fail(record, error) {
+    const reason = error.revert?.name || error.shortMessage || error.message;
+    console.error(`❌ Relay of ${record.primaryType} intent ${record.id} failed:`, reason);
+    await this.update(record, { status: 'failed', reason });
+    // A stuck or maybe-sent tx may still mine, so its nonce is left for reconcile to settle
+    if (!mayStillMine(error)) {
+      this.nonces.releaseAsyncNonce(record.user, record.nonce, reason);
+    }
+    await this.finishSharedNonce(record, { release: !mayStillMine(error) });
+  }
+
+  /**
+   * Stop counting a leased intent as pending in the shared store, and free its
+   * nonce for reuse unless its tx mined or may still mine
+   */
+  async finishSharedNonce(record, { release }) {
+    if (!this.leased.has(record.id)) {
+      return;
+    }
+    try {
+      if (release) {
+        await this.workQueue.releaseNonce(record.user, record.nonce, record.id);
+      } else {
+        await this.workQueue.retireNonce(record.user, record.id);
+      }
+    } catch (error) {
+      console.error(`⚠️ Could not update nonce ${record.nonce} of intent ${record.id} in the work queue:`, error.message);
+    }
+  }
+
+  /**
+   * Update a record locally and, while this instance holds its lease, in the
+   * shared work queue
+   */
+  async update(record, fields) {
+    Object.assign(record, fields, { updatedAt: new Date().toISOString() });
+    this.saveState();
+
+    if (this.leased.has(record.id)) {
+      try {
+        await this.workQueue.update(record.id, record);
+      } catch (error) {
+        console.error(`⚠️ Could not save intent ${record.id} progress to the work queue:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * @returns {Object|null} Public view of a relayed intent
+   */
+  get(id) {
+    const record = this.records[String(id).toLowerCase()];
+    return record ? this.toPublic(record) : null;
+  }
+
+  /**
+   * Like get(), but with the shared work queue's copy when there is one, so
+   * any instance can report intents relayed by the others
+   *
+   * @returns {Promise<Object|null>} Public view of a relayed intent
+   */
+  async find(id) {
+    if (this.workQueue) {
+      const item = await this.workQueue.get(String(id).toLowerCase());
+      if (item) {
+        return this.toPublic(item.payload);
+      }
+    }
+    return this.get(id);
+  }
+
+  /**
+   * Intents waiting to be relayed, across all instances with a shared work queue
+   *
+   * @returns {Promise<Object>} { queued } and, with a work queue, { relaying }
+   */
+  async getQueueDepth() {
+    if (!this.workQueue) {
+      return { queued: this.queue.length };
+    }
+    const { ready, active } = await this.workQueue.depth();
+    return { queued: ready, relaying: active };
+  }
+
+  toPublic(record) {
+    const position = this.queue.indexOf(record.id);
+    return { ...record, queuePosition: position >= 0 ? position + 1 : null };
+  }
+}
+
+/**
+ * Forward request fields with their types, for checking and resubmitting
+ */
+function parseForwardRequest(request) {
+  for (const field of ['signature', 'feeSignature']) {
+    if (typeof request[field] !== 'string' || !ethers.isHexString(request[field], 65)) {
+      throw new Error(`${field} must be a 65-byte hex string`);
+    }
+  }
+  if (!ethers.isHexString(request.data)) {
+    throw new Error('data must be hex');
+  }
+  return {
+    from: ethers.getAddress(request.from),
+    to: ethers.getAddress(request.to),
+    value: BigInt(request.value ?? 0),
+    gas: BigInt(request.gas),
+    nonce: BigInt(request.nonce),
+    deadline: Number(request.deadline),
+    data: request.data,
+    signature: request.signature,
+    maxFeePerGas: BigInt(request.maxFeePerGas),
+    feeSignature: request.feeSignature,
+  };
+}
+
+// Typed-data values as JSON (bigints as decimal strings)
+function toJson(message) {
+  return Object.fromEntries(
+    Object.entries(message).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])
+  );
+}
+
+export default IntentRelay;
@@ -0,0 +1,216 @@
+/**
+ * RESP (Redis protocol) client
+ *
+ * Minimal RESP2 client for the Fisher work queue, so Fisher instances can
+ * share a queue on any Redis-compatible server (Redis, Valkey, KeyDB or the
+ * local stand-in in respStandIn.js) without a client library.
+ *
+ * Commands are pipelined on one connection and answered in order.
+ */
+
+import net from 'net';
+
+/**
+ * An error reply from the server (e.g. "WRONGTYPE ...")
+ */
+export class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RespError';
+  }
+}
+
+/**
+ * Incremental RESP parser: push() socket chunks, get back complete values
+ */
+export class RespParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    const values = [];
+    let parsed;
+    while (this.buffer.length && (parsed = parseValue(this.buffer, 0))) {
+      values.push(parsed.value);
+      this.buffer = this.buffer.subarray(parsed.offset);
+    }
+    return values;
+  }
+}
+
+// Parse one value at offset; null when the buffer doesn't hold all of it yet
+function parseValue(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf-8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+  case '+':
+    return { value: line, offset: next };
+  case '-':
+    return { value: new RespError(line), offset: next };
+  case ':':
+    return { value: Number(line), offset: next };
+  case '$': {
+    const length = Number(line);
+    if (length < 0) {
+      return { value: null, offset: next };
+    }
+    if (buffer.length < next + length + 2) {
+      return null;
+    }
+    return { value: buffer.toString('utf-8', next, next + length), offset: next + length + 2 };
+  }
+  case '*': {
+    const count = Number(line);
+    if (count < 0) {
+      return { value: null, offset: next };
+    }
+    const items = [];
+    let cursor = next;
+    for (let i = 0; i < count; i++) {
+      const item = parseValue(buffer, cursor);
+      if (!item) {
+        return null;
+      }
+      items.push(item.value);
+      cursor = item.offset;
+    }
+    return { value: items, offset: cursor };
+  }
+  default:
+    throw new RespError(`Invalid RESP type byte "${type}"`);
+  }
+}
+
+/**
+ * Encode a command as an array of bulk strings
+ */
+export function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return parts.join('');
+}
+
+/**
+ * Encode a reply: strings as bulk strings, { simple } as a simple string,
+ * RespError as an error reply, numbers as integers, arrays and null
+ */
+export function encodeReply(value) {
+  if (value === null || value === undefined) {
+    return '$-1\r\n';
+  }
+  if (value instanceof RespError) {
+    return `-${value.message}\r\n`;
+  }
+  if (typeof value === 'number') {
+    return `:${value}\r\n`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  }
+  if (typeof value === 'object' && 'simple' in value) {
+    return `+${value.simple}\r\n`;
+  }
+  return `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`;
+}
+
+export class RespClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - redis://[:password@]host:port
+   */
+  constructor({ url = 'redis://127.0.0.1:6379' } = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number(parsed.port || 6379);
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = []; // { resolve, reject } per command sent, in order
+  }
+
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.open().catch(error => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  async open() {
+    const socket = await new Promise((resolve, reject) => {
+      const connection = net.createConnection({ host: this.host, port: this.port });
+      connection.once('connect', () => resolve(connection));
+      connection.once('error', reject);
+    });
+
+    const parser = new RespParser();
+    socket.on('data', chunk => {
+      let values;
+      try {
+        values = parser.push(chunk);
+      } catch (error) {
+        socket.destroy(error);
+        return;
+      }
+      for (const value of values) {
+        const { resolve, reject } = this.pending.shift();
+        if (value instanceof RespError) {
+          reject(value);
+        } else {
+          resolve(value);
+        }
+      }
+    });
+    socket.on('error', error => console.error('⚠️ Work queue connection error:', error.message));
+    socket.on('close', () => {
+      this.socket = null;
+      this.connecting = null;
+      this.pending.splice(0).forEach(({ reject }) => reject(new Error('Work queue connection closed')));
+    });
+
+    this.socket = socket;
+    if (this.password) {
+      await this.send(['AUTH', this.password]);
+    }
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command, e.g. command('SET', key, value, 'NX', 'PX', 30000)
+   *
+   * @returns {Promise<*>} Reply (string, number, array or null)
+   * @throws {RespError} For an error reply
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  close() {
+    this.socket?.end();
+  }
+}
+
+export default RespClient;
@@ -0,0 +1,143 @@
+/**
+ * Local Redis stand-in for the Fisher work queue
+ *
+ * In-memory RESP server with just the commands LeasedWorkQueue uses (strings
+ * with NX/XX and PX/EX expiry, lists and sets), for running several Fisher
+ * instances on one host or in tests. State is lost when it stops; use a
+ * real Redis-compatible server for anything that must survive restarts.
+ *
+ * Usage: npm run relay:queue-server
+ */
+
+import net from 'net';
+import { RespParser, RespError, encodeReply } from './resp.js';
+
+const OK = { simple: 'OK' };
+const WRONGTYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+/**
+ * @returns {net.Server} Server, not yet listening
+ */
+export function createRespStandIn() {
+  const data = new Map(); // key => { type, value, expiresAt }
+
+  const lookup = (key, type) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    if (entry && type && entry.type !== type) {
+      throw new RespError(WRONGTYPE);
+    }
+    return entry || null;
+  };
+
+  const collection = (key, type, create) => {
+    const entry = lookup(key, type);
+    if (entry || !create) {
+      return entry?.value || null;
+    }
+    const value = type === 'list' ? [] : new Set();
+    data.set(key, { type, value, expiresAt: null });
+    return value;
+  };
+
+  // Drop empty lists and sets, like Redis does
+  const prune = (key) => {
+    const entry = data.get(key);
+    if (entry && (entry.type === 'list' ? entry.value.length === 0 : entry.value.size === 0)) {
+      data.delete(key);
+    }
+  };
+
+  const commands = {
+    PING: () => ({ simple: 'PONG' }),
+    AUTH: () => OK,
+    GET: ([key]) => lookup(key, 'string')?.value ?? null,
+    SET: ([key, value, ...options]) => {
+      const flags = options.map(option => option.toUpperCase());
+      const exists = lookup(key) !== null;
+      if ((flags.includes('NX') && exists) || (flags.includes('XX') && !exists)) {
+        return null;
+      }
+      const px = flags.indexOf('PX');
+      const ex = flags.indexOf('EX');
+      const ttl = px >= 0 ? Number(options[px + 1]) : ex >= 0 ? Number(options[ex + 1]) * 1000 : null;
+      data.set(key, { type: 'string', value, expiresAt: ttl === null ? null : Date.now() + ttl });
+      return OK;
+    },
+    DEL: (keys) => keys.filter(key => lookup(key) !== null && data.delete(key)).length,
+    EXISTS: (keys) => keys.filter(key => lookup(key) !== null).length,
+    PEXPIRE: ([key, ms]) => {
+      const entry = lookup(key);
+      if (!entry) {
+        return 0;
+      }
+      entry.expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+    RPUSH: ([key, ...values]) => {
+      const list = collection(key, 'list', true);
+      list.push(...values);
+      return list.length;
+    },
+    LRANGE: ([key, start, stop]) => {
+      const list = collection(key, 'list') || [];
+      const from = Number(start) < 0 ? list.length + Number(start) : Number(start);
+      const to = Number(stop) < 0 ? list.length + Number(stop) : Number(stop);
+      return list.slice(Math.max(from, 0), to + 1);
+    },
+    LLEN: ([key]) => (collection(key, 'list') || []).length,
+    LREM: ([key, count, value]) => {
+      const list = collection(key, 'list');
+      if (!list) {
+        return 0;
+      }
+      const limit = Math.abs(Number(count)) || Infinity;
+      const indexes = list.map((item, idx) => (item === value ? idx : -1)).filter(idx => idx >= 0);
+      const removed = (Number(count) < 0 ? indexes.reverse() : indexes).slice(0, limit);
+      removed.sort((a, b) => b - a).forEach(idx => list.splice(idx, 1));
+      prune(key);
+      return removed.length;
+    },
+    SADD: ([key, ...members]) => {
+      const set = collection(key, 'set', true);
+      return members.filter(member => !set.has(member) && set.add(member)).length;
+    },
+    SREM: ([key, ...members]) => {
+      const set = collection(key, 'set');
+      const removed = set ? members.filter(member => set.delete(member)).length : 0;
+      prune(key);
+      return removed;
+    },
+    SMEMBERS: ([key]) => [...(collection(key, 'set') || [])],
+    SCARD: ([key]) => collection(key, 'set')?.size ?? 0,
+  };
+
+  const execute = ([name, ...args]) => {
+    const handler = commands[String(name).toUpperCase()];
+    if (!handler) {
+      return new RespError(`ERR unknown command '${name}'`);
+    }
+    try {
+      return handler(args);
+    } catch (error) {
+      return error instanceof RespError ? error : new RespError(`ERR ${error.message}`);
+    }
+  };
+
+  return net.createServer(socket => {
+    const parser = new RespParser();
+    socket.on('data', chunk => {
+      try {
+        socket.write(parser.push(chunk).map(args => encodeReply(execute(args))).join(''));
+      } catch {
+        socket.destroy();
+      }
+    });
+    socket.on('error', () => {});
+  });
+}
+
+export default createRespStandIn;
@@ -0,0 +1,108 @@
+/**
+ * Fisher Relay HTTP API
+ *
+ * POST /intents      { primaryType, message, signature, forwardRequest } → 202 queued record
+ *                    (forwardRequest also carries maxFeePerGas and its RelayFee feeSignature)
+ *                    (200 with the existing record for a resubmission)
+ * GET  /intents/:id  → record with status: queued | submitted | confirmed | failed
+ * GET  /fisher       → { address, publicKey, chainId, forwarder, encryptedSwap } for
+ *                    encrypting envelopes and signing forward requests
+ * GET  /health       → { status, queued } (and relaying, with a shared work queue)
+ *
+ * Rejections answer { error: { code, message } } with a 4xx status.
+ */
+
+import http from 'http';
+import { IntentRejectedError } from './intentRelay.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * @param {IntentRelay} relay - Relay that verifies and queues intents
+ * @param {Object} options
+ * @param {string} options.corsOrigin - Allowed browser origin for the frontend
+ * @returns {http.Server} Server, not yet listening
+ */
+export function createRelayServer(relay, { corsOrigin = '*' } = {}) {
+  return http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    try {
+      const { pathname } = new URL(req.url, 'http://relay');
+
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === '/health') {
+        sendJson(res, 200, { status: 'ok', ...(await relay.getQueueDepth()) });
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === '/fisher') {
+        sendJson(res, 200, { fisher: await relay.getFisherInfo() });
+        return;
+      }
+
+      if (req.method === 'POST' && pathname === '/intents') {
+        const body = await readJson(req);
+        const { record, created } = await relay.submit(body);
+        sendJson(res, created ? 202 : 200, { intent: record });
+        return;
+      }
+
+      const match = pathname.match(/^\/intents\/(0x[0-9a-fA-F]{64})$/);
+      if (req.method === 'GET' && match) {
+        const record = await relay.find(match[1]);
+        if (!record) {
+          sendError(res, 404, 'not_found', 'Intent not found');
+          return;
+        }
+        sendJson(res, 200, { intent: record });
+        return;
+      }
+
+      sendError(res, 404, 'not_found', `No route for ${req.method} ${pathname}`);
+    } catch (error) {
+      // IntentRejectedError and bad requests carry their own status
+      if (error instanceof IntentRejectedError || error.status) {
+        sendError(res, error.status, error.code, error.message);
+      } else {
+        console.error('Relay request failed:', error);
+        sendError(res, 500, 'internal_error', 'Internal relay error');
+      }
+    }
+  });
+}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Request body too large'), { status: 413, code: 'body_too_large' });
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+  } catch {
+    throw Object.assign(new Error('Request body must be JSON'), { status: 400, code: 'invalid_json' });
+  }
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, code, message) {
+  sendJson(res, status, { error: { code, message } });
+}
+
+export default createRelayServer;
@@ -0,0 +1,282 @@
+/**
+ * Leased Fisher Work Queue
+ *
+ * Shared queue that lets several Fisher instances relay from one intent
+ * stream, with each intent relayed by exactly one of them:
+ *
+ *   enqueue → ready → leased (owner heartbeats) → done
+ *                       ↘ lease expires (owner died) → ready
+ *
+ * Ownership is a lease key set with NX and a TTL, so only one instance can
+ * hold an item; the owner renews it with heartbeat() while it works. An
+ * instance that stops heartbeating loses the lease, and reclaimExpired() on
+ * any instance puts its items back in the ready list. Items are stored on a
+ * Redis-compatible server (RespClient) under:
+ *
+ *   <prefix>:item:<id>   JSON { id, payload, status, owner, attempts, ... }
+ *   <prefix>:ready       list of ids waiting for a Fisher
+ *   <prefix>:active      set of ids that have been leased
+ *   <prefix>:lease:<id>  owning instance id, expiring after leaseMs
+ *
+ * Relay instances also reserve intent nonces here, so a nonce accepted by one
+ * instance is refused by the others and pending limits count every instance:
+ *
+ *   <prefix>:nonce:<user>:<nonce>  id of the work holding the nonce
+ *   <prefix>:pending:<user>        set of the user's work ids not yet sent or settled
+ */
+
+import os from 'os';
+import { arcologyConfig } from '../../config/arcology.config.js';
+
+// How many ready ids a claim looks at before giving up
+const CLAIM_SCAN = 20;
+
+/**
+ * Raised when this instance no longer holds the lease on an item it is about
+ * to act on; the new owner carries on with it
+ */
+export class LeaseLostError extends Error {
+  constructor(message, code = 'lease_lost') {
+    super(message);
+    this.name = 'LeaseLostError';
+    this.code = code;
+  }
+}
+
+export function getDefaultInstanceId() {
+  return process.env.FISHER_INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+}
+
+export class LeasedWorkQueue {
+  /**
+   * @param {Object} options
+   * @param {RespClient} options.client - Connection to the shared server
+   * @param {string} options.instanceId - This Fisher's id (default: FISHER_INSTANCE_ID or host:pid)
+   * @param {number} options.leaseMs - Lease TTL; owners heartbeat well within it
+   * @param {string} options.prefix - Key prefix, so several queues can share a server
+   */
+  constructor({
+    client,
+    instanceId = getDefaultInstanceId(),
+    leaseMs = arcologyConfig.workQueue.leaseMs,
+    prefix = arcologyConfig.workQueue.prefix,
+  }) {
+    this.client = client;
+    this.instanceId = instanceId;
+    this.leaseMs = leaseMs;
+    this.prefix = prefix;
+  }
+
+  key(...parts) {
+    return [this.prefix, ...parts].join(':');
+  }
+
+  async readItem(id) {
+    const json = await this.client.command('GET', this.key('item', id));
+    return json ? JSON.parse(json) : null;
+  }
+
+  async writeItem(item) {
+    await this.client.command('SET', this.key('item', item.id), JSON.stringify({ ...item, updatedAt: Date.now() }));
+  }
+
+  /**
+   * Add work for any Fisher. Enqueueing an id twice (from two instances that
+   * both received it) keeps the first.
+   *
+   * @param {string} id - Work id (the relay record id)
+   * @param {Object} payload - JSON-serializable work data
+   * @returns {Promise<boolean>} false if the id was already queued
+   */
+  async enqueue(id, payload) {
+    const item = { id, payload, status: 'ready', owner: null, attempts: 0, createdAt: Date.now(), updatedAt: Date.now() };
+    const created = await this.client.command('SET', this.key('item', id), JSON.stringify(item), 'NX');
+    if (created === null) {
+      return false;
+    }
+    await this.client.command('RPUSH', this.key('ready'), id);
+    return true;
+  }
+
+  /**
+   * Lease the next ready item for this instance
+   *
+   * @returns {Promise<Object|null>} { id, payload, attempts }, or null when nothing is ready
+   */
+  async claim() {
+    const ids = await this.client.command('LRANGE', this.key('ready'), 0, CLAIM_SCAN - 1);
+
+    for (const id of ids) {
+      const leased = await this.client.command('SET', this.key('lease', id), this.instanceId, 'NX', 'PX', this.leaseMs);
+      if (leased === null) {
+        continue; // another Fisher holds it
+      }
+
+      const item = await this.readItem(id);
+      if (!item || item.status === 'done') {
+        await this.client.command('LREM', this.key('ready'), 0, id);
+        await this.client.command('DEL', this.key('lease', id));
+        continue;
+      }
+
+      // Track it as active before leaving the ready list, so it is never in neither
+      await this.client.command('SADD', this.key('active'), id);
+      await this.client.command('LREM', this.key('ready'), 0, id);
+
+      const claimed = { ...item, status: 'leased', owner: this.instanceId, attempts: item.attempts + 1, leasedAt: Date.now() };
+      await this.writeItem(claimed);
+      return { id, payload: claimed.payload, attempts: claimed.attempts };
+    }
+    return null;
+  }
+
+  async ownsLease(id) {
+    return (await this.client.command('GET', this.key('lease', id))) === this.instanceId;
+  }
+
+  /**
+   * Make sure this instance still holds an item's lease, right before doing
+   * something only the owner may do (like sending its tx)
+   *
+   * @throws {LeaseLostError} if the lease expired or was taken over
+   */
+  async assertLease(id) {
+    if (!(await this.ownsLease(id))) {
+      throw new LeaseLostError(`Lease on work ${id} is no longer held by ${this.instanceId}`);
+    }
+  }
+
+  /**
+   * Renew this instance's lease on an item
+   *
+   * @returns {Promise<boolean>} false if the lease was lost (expired or taken over)
+   */
+  async heartbeat(id) {
+    if (!(await this.ownsLease(id))) {
+      return false;
+    }
+    await this.client.command('PEXPIRE', this.key('lease', id), this.leaseMs);
+    return true;
+  }
+
+  /**
+   * Save progress on a leased item, so a Fisher that takes it over can resume
+   *
+   * @returns {Promise<boolean>} false if this instance no longer holds the lease
+   */
+  async update(id, payload) {
+    if (!(await this.ownsLease(id))) {
+      return false;
+    }
+    const item = await this.readItem(id);
+    await this.writeItem({ ...item, payload });
+    return true;
+  }
+
+  /**
+   * Finish an item with its final payload. The item is marked done even if the
+   * lease was lost meanwhile, so the work is not picked up again.
+   */
+  async complete(id, payload) {
+    const owned = await this.ownsLease(id);
+    if (!owned) {
+      console.warn(`⚠️ Completed work ${id} after losing its lease`);
+    }
+    const item = await this.readItem(id);
+    await this.writeItem({ ...item, payload, status: 'done', owner: this.instanceId, completedAt: Date.now() });
+    await this.client.command('SREM', this.key('active'), id);
+    if (owned) {
+      await this.client.command('DEL', this.key('lease', id));
+    }
+  }
+
+  /**
+   * Put items whose owner stopped heartbeating back in the ready list
+   *
+   * @returns {Promise<number>} Number of items reclaimed
+   */
+  async reclaimExpired() {
+    const ids = await this.client.command('SMEMBERS', this.key('active'));
+    let reclaimed = 0;
+
+    for (const id of ids) {
+      if (await this.client.command('EXISTS', this.key('lease', id))) {
+        continue;
+      }
+
+      const item = await this.readItem(id);
+      await this.client.command('SREM', this.key('active'), id);
+      if (!item || item.status === 'done') {
+        continue;
+      }
+
+      await this.client.command('LREM', this.key('ready'), 0, id);
+      await this.client.command('RPUSH', this.key('ready'), id);
+      await this.writeItem({ ...item, status: 'ready', owner: null });
+      console.log(`♻️ Reclaimed work ${id} from ${item.owner} (lease expired)`);
+      reclaimed++;
+    }
+    return reclaimed;
+  }
+
+  /**
+   * Ready and leased items, across all instances
+   *
+   * @returns {Promise<Object>} { ready, active }
+   */
+  async depth() {
+    const [ready, active] = await Promise.all([
+      this.client.command('LLEN', this.key('ready')),
+      this.client.command('SCARD', this.key('active')),
+    ]);
+    return { ready, active };
+  }
+
+  /**
+   * Reserve a user's nonce for a work id, unless another id already holds it
+   *
+   * @returns {Promise<string|null>} null once reserved, or the id holding the nonce
+   */
+  async reserveNonce(user, nonce, id) {
+    const key = this.key('nonce', user.toLowerCase(), nonce);
+    if ((await this.client.command('SET', key, id, 'NX')) === null) {
+      return this.client.command('GET', key);
+    }
+    await this.client.command('SADD', this.key('pending', user.toLowerCase()), id);
+    return null;
+  }
+
+  /**
+   * Free a nonce whose work was never sent, so the user can use it again
+   */
+  async releaseNonce(user, nonce, id) {
+    const key = this.key('nonce', user.toLowerCase(), nonce);
+    if ((await this.client.command('GET', key)) === id) {
+      await this.client.command('DEL', key);
+    }
+    await this.client.command('SREM', this.key('pending', user.toLowerCase()), id);
+  }
+
+  /**
+   * Stop counting a work id as pending once its tx is out; its nonce stays used
+   */
+  async retireNonce(user, id) {
+    await this.client.command('SREM', this.key('pending', user.toLowerCase()), id);
+  }
+
+  /**
+   * @returns {Promise<number>} The user's reserved nonces not yet retired or released
+   */
+  async countPending(user) {
+    return this.client.command('SCARD', this.key('pending', user.toLowerCase()));
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Item with status, owner, attempts and payload
+   */
+  async get(id) {
+    return this.readItem(id);
+  }
+}
+
+export default LeasedWorkQueue;
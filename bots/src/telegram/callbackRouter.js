@@ -0,0 +1,241 @@
+/**
+ * Callback Router
+ * Routes inline button presses (callback_query data) to the module that owns them
+ *
+ * Handler modules register a plugin:
+ * - name: module name, for diagnostics
+ * - namespace: prefix of the module's callback data (optional)
+ * - routes: { <route>: { params, handler } } - params are 'name:type' strings,
+ *   handler is async (ctx, params, context) => void
+ * - aliases: [{ pattern, route, params }] - older callback data still carried by
+ *   buttons on sent messages (and restored views), mapped onto a route;
+ *   params(match) builds the route params from the RegExp match
+ * - fallback: async (ctx, data, context) => boolean, for data without a
+ *   namespace; fallbacks are tried in registration order
+ *
+ * Callback data is "<namespace>:<route>:<param>:..." with each parameter
+ * encoded by its type, e.g. "swap:q:eth:usdc:1" - Telegram rejects buttons
+ * whose callback_data exceeds 64 bytes, so encoding checks the limit.
+ */
+
+export const CALLBACK_DATA_LIMIT = 64;
+
+const SEPARATOR = ':';
+const KEY_PATTERN = /^[a-z0-9]+$/;
+
+/**
+ * Parameter types: encode(value) must produce text matching pattern
+ */
+export const CALLBACK_PARAM_TYPES = {
+  // Non-negative integers in base 36 (35 → 'z')
+  int: { pattern: /^[0-9a-z]+$/, encode: value => Number(value).toString(36), decode: text => parseInt(text, 36) },
+  // Decimal amounts as shown to the user ('1.5'), kept as strings
+  amount: { pattern: /^\d+(\.\d+)?$/, encode: value => String(value), decode: text => text },
+  // Token symbols, lowercase on the wire
+  token: { pattern: /^[a-z0-9]+$/, encode: value => String(value).toLowerCase(), decode: text => text.toUpperCase() },
+  // Hex strings such as intent id prefixes, without 0x on the wire
+  hex: { pattern: /^[0-9a-f]+$/, encode: value => String(value).toLowerCase().replace(/^0x/, ''), decode: text => `0x${text}` },
+  // Lowercase identifiers such as an operation name
+  word: { pattern: /^[a-z0-9_]+$/, encode: value => String(value), decode: text => text },
+};
+
+export class CallbackRouteError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'CallbackRouteError';
+    this.code = code;
+  }
+}
+
+function parseParams(params = []) {
+  return params.map(spec => {
+    const [name, type] = spec.split(':');
+    if (!CALLBACK_PARAM_TYPES[type]) {
+      throw new Error(`Unknown callback parameter type "${type}" in "${spec}"`);
+    }
+    return { name, type };
+  });
+}
+
+/**
+ * Callback data for a plugin route
+ *
+ * @param {Object} plugin - Plugin definition the route belongs to
+ * @param {string} route - Route key
+ * @param {Object} params - Values by parameter name
+ * @returns {string} Encoded callback data
+ * @throws {CallbackRouteError} 'unknown_route', 'invalid_param' or 'callback_too_long'
+ */
+export function encodeCallback(plugin, route, params = {}) {
+  const definition = plugin.routes?.[route];
+  if (!definition) {
+    throw new CallbackRouteError(`Unknown callback route ${plugin.namespace}:${route}`, 'unknown_route');
+  }
+
+  const parts = parseParams(definition.params).map(({ name, type }) => {
+    const value = params[name];
+    const text = value === null || value === undefined ? '' : CALLBACK_PARAM_TYPES[type].encode(value);
+    if (!CALLBACK_PARAM_TYPES[type].pattern.test(text)) {
+      throw new CallbackRouteError(`Invalid ${type} "${value}" for ${name} in ${plugin.namespace}:${route}`, 'invalid_param');
+    }
+    return text;
+  });
+
+  const data = [plugin.namespace, route, ...parts].join(SEPARATOR);
+  if (Buffer.byteLength(data) > CALLBACK_DATA_LIMIT) {
+    throw new CallbackRouteError(`Callback data "${data}" is over ${CALLBACK_DATA_LIMIT} bytes`, 'callback_too_long');
+  }
+  return data;
+}
+
+export class CallbackRouter {
+  /**
+   * @param {Array} plugins - Plugin definitions, in fallback order
+   * @param {Object} options
+   * @param {Function} options.onUnhandled - (report) => void for data no plugin handled
+   *   (default: logged as a warning)
+   */
+  constructor(plugins = [], { onUnhandled = null } = {}) {
+    this.plugins = [];
+    this.namespaces = new Map(); // namespace -> { plugin, routes: Map(route -> { params, handler }) }
+    this.onUnhandled = onUnhandled || (({ data, userId, reason }) => {
+      console.warn(`⚠️  Unhandled callback "${data}" from ${userId}: ${reason}`);
+    });
+    plugins.forEach(plugin => this.register(plugin));
+  }
+
+  /**
+   * Register a plugin definition
+   */
+  register(plugin) {
+    if (!plugin.name) {
+      throw new Error('Callback plugin needs a name');
+    }
+    if (this.plugins.some(existing => existing.name === plugin.name)) {
+      throw new Error(`Callback plugin "${plugin.name}" is already registered`);
+    }
+
+    if (plugin.namespace !== undefined) {
+      if (!KEY_PATTERN.test(plugin.namespace)) {
+        throw new Error(`Callback namespace "${plugin.namespace}" must be lowercase letters and digits`);
+      }
+      if (this.namespaces.has(plugin.namespace)) {
+        throw new Error(`Callback namespace "${plugin.namespace}" is already registered by ${this.namespaces.get(plugin.namespace).plugin.name}`);
+      }
+      const routes = new Map();
+      for (const [route, definition] of Object.entries(plugin.routes || {})) {
+        if (!KEY_PATTERN.test(route) || typeof definition.handler !== 'function') {
+          throw new Error(`Callback route ${plugin.namespace}:${route} needs a lowercase key and a handler`);
+        }
+        routes.set(route, { params: parseParams(definition.params), handler: definition.handler });
+      }
+      this.namespaces.set(plugin.namespace, { plugin, routes });
+    }
+
+    for (const alias of plugin.aliases || []) {
+      if (!this.namespaces.get(plugin.namespace)?.routes.has(alias.route)) {
+        throw new Error(`Callback alias ${alias.pattern} of "${plugin.name}" points to unknown route "${alias.route}"`);
+      }
+    }
+
+    this.plugins.push(plugin);
+  }
+
+  /**
+   * Callback data for a registered route (see encodeCallback)
+   */
+  encode(namespace, route, params = {}) {
+    const entry = this.namespaces.get(namespace);
+    if (!entry) {
+      throw new CallbackRouteError(`Unknown callback namespace "${namespace}"`, 'unknown_route');
+    }
+    return encodeCallback(entry.plugin, route, params);
+  }
+
+  /**
+   * Resolve callback data to a route
+   *
+   * @returns {Object|null} { plugin, route, handler, params }, or null when the data
+   *   has no registered namespace and matches no alias
+   * @throws {CallbackRouteError} 'unknown_route' or 'invalid_param' for a registered
+   *   namespace whose route or parameters don't match
+   */
+  resolve(data) {
+    const [namespace, route, ...parts] = data.split(SEPARATOR);
+    const entry = this.namespaces.get(namespace);
+
+    if (entry && route !== undefined) {
+      const definition = entry.routes.get(route);
+      if (!definition) {
+        const known = [...entry.routes.keys()].join(', ') || 'none';
+        throw new CallbackRouteError(`unknown route "${route}" in ${namespace} (routes: ${known})`, 'unknown_route');
+      }
+      if (parts.length !== definition.params.length) {
+        throw new CallbackRouteError(`${namespace}:${route} takes ${definition.params.length} parameter(s), got ${parts.length}`, 'invalid_param');
+      }
+      const params = {};
+      definition.params.forEach(({ name, type }, idx) => {
+        if (!CALLBACK_PARAM_TYPES[type].pattern.test(parts[idx])) {
+          throw new CallbackRouteError(`invalid ${type} "${parts[idx]}" for ${name} in ${namespace}:${route}`, 'invalid_param');
+        }
+        params[name] = CALLBACK_PARAM_TYPES[type].decode(parts[idx]);
+      });
+      return { plugin: entry.plugin, route, handler: definition.handler, params };
+    }
+
+    for (const plugin of this.plugins) {
+      for (const alias of plugin.aliases || []) {
+        const match = data.match(alias.pattern);
+        if (match) {
+          const definition = this.namespaces.get(plugin.namespace).routes.get(alias.route);
+          return { plugin, route: alias.route, handler: definition.handler, params: alias.params ? alias.params(match) : {} };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Route a callback query: a matching route, else each plugin fallback in turn
+   *
+   * @param {Object} ctx - Telegraf context
+   * @param {string} data - callback_query data
+   * @param {Object} context - Shared helpers passed to handlers
+   *   ({ chatId, userId, pushView, popView, goHome, stateManager })
+   * @returns {Promise<boolean>} false when nothing handled the data
+   */
+  async dispatch(ctx, data, context = {}) {
+    let resolved;
+    try {
+      resolved = data ? this.resolve(data) : null;
+    } catch (error) {
+      if (!(error instanceof CallbackRouteError)) {
+        throw error;
+      }
+      await this.reportUnhandled(ctx, data, context, error.message);
+      return false;
+    }
+
+    if (resolved) {
+      await resolved.handler(ctx, resolved.params, context);
+      return true;
+    }
+
+    for (const plugin of this.plugins) {
+      if (plugin.fallback && await plugin.fallback(ctx, data, context)) {
+        return true;
+      }
+    }
+
+    await this.reportUnhandled(ctx, data, context, 'no route, alias or fallback matched');
+    return false;
+  }
+
+  async reportUnhandled(ctx, data, context, reason) {
+    this.onUnhandled({ data, userId: context.userId ?? ctx.from?.id, reason });
+    await ctx.answerCbQuery('Unsupported action');
+  }
+}
+
+export default CallbackRouter;
@@ -0,0 +1,31 @@
+/**
+ * Telegram Callback Plugins
+ * Every module that owns inline buttons, in the order their fallbacks are tried
+ *
+ * A new feature module exports a plugin (see callbackRouter.js) and adds it here;
+ * index.js routes every callback query through the resulting router.
+ */
+
+import { CallbackRouter } from './callbackRouter.js';
+import { sessionCallbacks } from './handlers/session.js';
+import { dashboardCallbacks } from './handlers/dashboard.js';
+import { tradeCallbacks } from './handlers/trade.js';
+import { lendCallbacks } from './handlers/lend.js';
+import { portfolioCallbacks } from './handlers/portfolio.js';
+import { intentsCallbacks } from './handlers/intents.js';
+import { marketsCallbacks, alertsCallbacks } from './handlers/markets.js';
+
+export const callbackPlugins = [
+  sessionCallbacks,
+  dashboardCallbacks,
+  tradeCallbacks,
+  lendCallbacks,
+  portfolioCallbacks,
+  intentsCallbacks,
+  marketsCallbacks,
+  alertsCallbacks,
+];
+
+export const callbackRouter = new CallbackRouter(callbackPlugins);
+
+export default callbackRouter;
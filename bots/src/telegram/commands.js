@@ -0,0 +1,43 @@
+/**
+ * Telegram Command Adapters
+ * Telegram-specific handlers for registry commands whose replies need more
+ * than a text message (see commandRegistry.js)
+ *
+ * index.js registers a Telegraf command for each adapter and routes it through
+ * commandRegistry.dispatchAdapter(); an adapter that returns false hands the
+ * message on to the shared handler.
+ */
+
+import { commandRegistry } from '../handlers/intentHandler.js';
+import { handleIntentsCommand } from './handlers/intents.js';
+import { handleCancelCommand } from './handlers/session.js';
+import { handleFisherReportCommand } from './handlers/reports.js';
+
+export const telegramCommandAdapters = {
+  // List with one-tap cancel buttons
+  intents: async (ctx, { stateManager }) => {
+    await handleIntentsCommand(ctx, stateManager);
+  },
+  // Bare /cancel aborts the current menu flow; with an intent id, or with no
+  // flow active, it goes to the shared handler
+  cancel: (ctx, { stateManager }) => {
+    const hasArgs = ctx.message.text.trim().split(/\s+/).length > 1;
+    return !hasArgs && handleCancelCommand(ctx, stateManager);
+  },
+  // CSV and JSON reports are sent as documents
+  fisher_report: async (ctx) => {
+    await handleFisherReportCommand(ctx);
+  },
+};
+
+/**
+ * Attach the Telegram adapters to the registry
+ *
+ * @returns {string[]} Names of the commands with a Telegram adapter
+ */
+export function registerTelegramCommands(registry = commandRegistry) {
+  for (const [name, adapter] of Object.entries(telegramCommandAdapters)) {
+    registry.setAdapter('telegram', name, adapter);
+  }
+  return Object.keys(telegramCommandAdapters);
+}
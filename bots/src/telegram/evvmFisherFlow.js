@@ -1,239 +1,48 @@
 
 import { ethers } from 'ethers';
-import { getArcologyWallet, getArcologyProvider, getEncryptedSwapContract, getAsyncNonceEngineContract } from '../arcology/connector.js';
-import { getCurrentPrice, updateOnChainPrices } from '../oracle/pythHermes.js';
-import { constructFisherSignature } from '../evvm/fisherSignature.js';
-import { nonceManager } from '../evvm/nonceManager.js';
-import { userWalletManager } from './userWalletManager.js';
+import { getArcologyProvider, getFisherPublicKey } from '../arcology/connector.js';
+import { getCurrentPrice } from '../oracle/pythHermes.js';
+import { buildSwapIntent, DEFAULT_SLIPPAGE_BPS } from '../../../shared/swapIntentCodec.js';
+import { getToken, getTokenAddress } from '../arcology/tokens.js';
 import { portfolioManager } from './portfolioManager.js';
 
-export async function processSwapIntent(userId, swapData) {
-  console.log(`🔄 Processing swap intent for user ${userId}:`, swapData);
-  
-  try {
-    // Get user's personal wallet
-    const userWallet = userWalletManager.getOrCreateUserWallet(userId);
-    console.log(`👤 Using personal wallet for user ${userId}: ${userWallet.address}`);
-    
-    console.log('📝 Step 1: EVVM Fisher Bot - Parsing intent and constructing EIP-191 signature');
-    const fisherSignature = await constructFisherSignature(swapData, userWallet);
-    
-    console.log('🔐 Step 2: Encrypting transaction metadata');
-    const encryptedMetadata = {
-      encryptedString: JSON.stringify({
-        from: swapData.from,
-        to: swapData.to,
-        amount: swapData.amount,
-        timestamp: Date.now(),
-        userAddress: userId
-      }),
-      encryptedSymmetricKey: 'mock-key',
-      accessControlConditions: []
-    };
-    
-    console.log('⛓️ Step 3: EVVM Fisher - Processing intent (simulated)');
-    const asyncNonce = await nonceManager.getNextAsyncNonce(userId);
-    
-    // Simulate EVVM Fisher processing (skip Arcology for now)
-    console.log('📡 Intent submitted to EVVM Fisher Bot');
-    
-    console.log('📊 Step 4: EVVM Fisher - Processing price feeds');
-    
-    // Get real-time prices from Pyth Hermes API
-    let priceData = null;
-    try {
-      const fromSymbol = swapData.from === 'ETH' ? 'ETH/USD' : 
-                        swapData.from === 'USDC' ? 'USDC/USD' : 
-                        swapData.from === 'USDT' ? 'USDT/USD' : 'ETH/USD';
-      const toSymbol = swapData.to === 'ETH' ? 'ETH/USD' : 
-                       swapData.to === 'USDC' ? 'USDC/USD' : 
-                       swapData.to === 'USDT' ? 'USDT/USD' : 'USDC/USD';
-      
-      console.log(`🔍 Fetching real-time prices: ${fromSymbol}, ${toSymbol}`);
-      
-      const [fromPrice, toPrice] = await Promise.all([
-        getCurrentPrice(fromSymbol),
-        getCurrentPrice(toSymbol)
-      ]);
-      
-      console.log(`💰 Real-time prices from Pyth Network:`);
-      console.log(`   ${fromSymbol}: ${fromPrice.formattedPrice}`);
-      console.log(`   ${toSymbol}: ${toPrice.formattedPrice}`);
-      
-      // Calculate estimated output based on real prices
-      const fromPriceValue = fromPrice.humanReadablePrice;
-      const toPriceValue = toPrice.humanReadablePrice;
-      const estimatedOutput = (parseFloat(swapData.amount) * fromPriceValue) / toPriceValue;
-      
-      console.log(`📈 Estimated output: ${estimatedOutput.toFixed(6)} ${swapData.to}`);
-      
-      priceData = {
-        fromPrice: fromPrice.formattedPrice,
-        toPrice: toPrice.formattedPrice,
-        estimatedOutput: estimatedOutput.toFixed(6)
-      };
-      
-    } catch (priceError) {
-      console.warn('⚠️ Price feed error (using fallback):', priceError.message);
-      console.log('📊 Using fallback price estimation...');
-      priceData = {
-        fromPrice: '$2,500.00',
-        toPrice: '$1.00',
-        estimatedOutput: (parseFloat(swapData.amount) * 2500).toFixed(6)
-      };
-    }
-    
-    console.log('⚖️ Step 5: EVVM Fisher - Intent processed successfully');
-    
-    // Mock transaction data
-    const mockTxHash = '0x' + Math.random().toString(16).substr(2, 64);
-    const mockBlockNumber = Math.floor(Math.random() * 1000000) + 1000000;
-    
-    console.log('🔓 Step 6: EVVM Fisher Bot - Processing result');
-    const decryptedResult = JSON.parse(encryptedMetadata.encryptedString);
-    
-    // Save transaction to portfolio
-    portfolioManager.addTransaction(userId, {
-      type: 'swap',
-      from: swapData.from,
-      to: swapData.to,
-      amount: swapData.amount,
-      estimatedOutput: priceData?.estimatedOutput || 'N/A',
-      txHash: mockTxHash,
-      blockNumber: mockBlockNumber,
-      status: 'completed'
-    });
-    
-    return {
-      success: true,
-      txHash: mockTxHash,
-      blockNumber: mockBlockNumber,
-      asyncNonce,
-      encryptedMetadata,
-      decryptedResult,
-      fisherSignature,
-      message: `✅ Swap executed successfully via EVVM Fisher!\n\n**Transaction Details:**\nHash: \`${mockTxHash}\`\nBlock: ${mockBlockNumber}\nNonce: ${asyncNonce}\n\n**Real-time Prices (Pyth Network):**\n${swapData.from}: ${priceData?.fromPrice || 'N/A'}\n${swapData.to}: ${priceData?.toPrice || 'N/A'}\n\n**Result:**\nFrom: ${decryptedResult.amount} ${decryptedResult.from}\nTo: ~${priceData?.estimatedOutput || 'N/A'} ${decryptedResult.to}\n\n*Processed by EVVM Fisher Bot with live Pyth price feeds*`
-    };
-    
-  } catch (error) {
-    console.error('❌ Swap intent processing failed:', error);
-    return {
-      success: false,
-      error: error.message,
-      message: `❌ Swap failed: ${error.message.replace(/[`*_]/g, '')}\n\nPlease try again or contact support.`
-    };
+/**
+ * Public keys an intent envelope is wrapped to: the user and the Fisher relayer
+ */
+export function getIntentRecipients(userWallet) {
+  const fisherPublicKey = getFisherPublicKey();
+  if (!fisherPublicKey) {
+    throw new Error('Fisher public key is not configured');
   }
+  return [userWallet.signingKey.publicKey, fisherPublicKey];
 }
 
-export async function processLendIntent(userId, lendData) {
-  console.log(`🏦 Processing lend intent for user ${userId}:`, lendData);
+/**
+ * ABI-encode a swap as (tokenIn, tokenOut, amountIn, minAmountOut, deadline) for
+ * EncryptedSwap settlement. minAmountOut comes from the quoted rate (toToken per
+ * fromToken) less the user's slippage tolerance.
+ */
+export function encodeSwapForSettlement({ fromToken, toToken, amount, rate, slippageBps = DEFAULT_SLIPPAGE_BPS }) {
+  const tokenIn = getToken(fromToken);
+  const tokenOut = getToken(toToken);
   
-  try {
-    // Get user's personal wallet with provider
-    const userWallet = userWalletManager.getOrCreateUserWallet(userId);
-    const provider = getArcologyProvider();
-    const connectedUserWallet = userWallet.connect(provider);
-    console.log(`👤 Using personal wallet for user ${userId}: ${userWallet.address}`);
-    
-    // Step 1: EVVM Fisher Bot - Intent parsing + EIP-191 signature
-    console.log('📝 Step 1: EVVM Fisher Bot - Parsing intent and constructing EIP-191 signature');
-    const fisherSignature = await constructFisherSignature(lendData, userWallet);
-    
-    console.log('🔐 Step 2: Encrypting transaction metadata');
-    const encryptedMetadata = {
-      encryptedString: JSON.stringify({
-        token: lendData.token,
-        amount: lendData.amount,
-        duration: lendData.duration,
-        timestamp: Date.now(),
-        userAddress: userId
-      }),
-      encryptedSymmetricKey: 'mock-key',
-      accessControlConditions: []
-    };
-    
-    console.log('⛓️ Step 3: Arcology - Simulating contract execution');
-    const asyncNonce = await nonceManager.getNextAsyncNonce(userId);
-    
-    // Note: For demo, we're not actually sending a transaction to save gas
-    // In production, uncomment the lines below:
-    // const lendContract = getEncryptedSwapContract().connect(connectedUserWallet);
-    // const encryptedBytes = ethers.toUtf8Bytes(encryptedMetadata.encryptedString);
-    // const tx = await lendContract.submitLendIntent(encryptedBytes, asyncNonce, { gasLimit: 5000000 });
-    // await tx.wait();
-    
-    console.log('📡 Lend intent processed by EVVM Fisher Bot');
-    
-    console.log('📊 Step 4: EVVM Fisher - Processing price feeds');
-    
-    // Get real-time prices from Pyth Hermes API for lending
-    let priceData = null;
-    try {
-      const tokenSymbol = lendData.token === 'ETH' ? 'ETH/USD' : 
-                         lendData.token === 'USDC' ? 'USDC/USD' : 
-                         lendData.token === 'USDT' ? 'USDT/USD' : 'USDC/USD';
-      
-      console.log(`🔍 Fetching real-time price for lending: ${tokenSymbol}`);
-      
-      const tokenPrice = await getCurrentPrice(tokenSymbol);
-      
-      console.log(`💰 Real-time price from Pyth Network:`);
-      console.log(`   ${tokenSymbol}: ${tokenPrice.formattedPrice}`);
-      
-      priceData = {
-        tokenPrice: tokenPrice.formattedPrice,
-        tokenValue: tokenPrice.humanReadablePrice
-      };
-      
-    } catch (priceError) {
-      console.warn('⚠️ Price feed error (using fallback):', priceError.message);
-      console.log('📊 Using fallback price estimation...');
-      priceData = {
-        tokenPrice: '$1.00',
-        tokenValue: 1.0
-      };
-    }
-    
-    console.log('⚖️ Step 5: EVVM Fisher - Intent processed successfully');
-    
-    // Mock transaction data
-    const mockTxHash = '0x' + Math.random().toString(16).substr(2, 64);
-    const mockBlockNumber = Math.floor(Math.random() * 1000000) + 1000000;
-    
-    console.log('🔓 Step 6: EVVM Fisher Bot - Processing result');
-    const decryptedResult = JSON.parse(encryptedMetadata.encryptedString);
-    
-    // Save transaction to portfolio
-    portfolioManager.addTransaction(userId, {
-      type: 'lend',
-      token: lendData.token,
-      amount: lendData.amount,
-      duration: lendData.duration,
-      apy: '5.2%',
-      txHash: mockTxHash,
-      blockNumber: mockBlockNumber,
-      status: 'active'
-    });
-    
-    return {
-      success: true,
-      txHash: mockTxHash,
-      blockNumber: mockBlockNumber,
-      asyncNonce,
-      encryptedMetadata,
-      decryptedResult,
-      fisherSignature,
-      message: `✅ Lending executed successfully via EVVM Fisher!\n\n**Transaction Details:**\nHash: \`${mockTxHash}\`\nBlock: ${mockBlockNumber}\nNonce: ${asyncNonce}\n\n**Real-time Price (Pyth Network):**\n${lendData.token}: ${priceData?.tokenPrice || 'N/A'}\n\n**Result:**\nToken: ${decryptedResult.token}\nAmount: ${decryptedResult.amount}\nDuration: ${decryptedResult.duration} days\nValue: ~$${(parseFloat(decryptedResult.amount) * (priceData?.tokenValue || 1)).toFixed(2)}\n\n*Processed by EVVM Fisher Bot with live Pyth price feeds*`
-    };
-    
-  } catch (error) {
-    console.error('❌ Lend intent processing failed:', error);
-    return {
-      success: false,
-      error: error.message,
-      message: `❌ Lending failed: ${error.message.replace(/[`*_]/g, '')}\n\nPlease try again or contact support.`
-    };
-  }
+  const { params, quotedAmountOut, data } = buildSwapIntent({
+    tokenIn: getTokenAddress(fromToken),
+    tokenOut: getTokenAddress(toToken),
+    amountIn: ethers.parseUnits(String(amount), tokenIn.decimals),
+    price: rate,
+    decimalsIn: tokenIn.decimals,
+    decimalsOut: tokenOut.decimals,
+    slippageBps
+  });
+  
+  return {
+    intentData: data,
+    slippageBps,
+    quotedAmountOut: ethers.formatUnits(quotedAmountOut, tokenOut.decimals),
+    minAmountOut: ethers.formatUnits(params.minAmountOut, tokenOut.decimals),
+    deadline: params.deadline
+  };
 }
 
 export async function getTransactionStatus(txHash) {
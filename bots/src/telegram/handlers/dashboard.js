@@ -2,6 +2,7 @@
 import { getArcologyWallet, getArcologyProvider } from '../../arcology/connector.js';
 import { ethers } from 'ethers';
 import { userWalletManager } from '../userWalletManager.js';
+import { gaslessRelayer } from '../../evvm/gaslessRelay.js';
 
 export function getDashboardKeyboard() {
   return [
@@ -56,6 +57,21 @@ export function formatEth(wei) {
   }
 }
 
+/**
+ * Deposit screen section on gasless relay: the user's fee balance and how to top it up
+ */
+export async function getGaslessDepositText(userAddress, relayer = gaslessRelayer) {
+  const forwarder = relayer.getForwarder();
+  if (!forwarder) {
+    return '';
+  }
+  const feeBalance = await forwarder.feeBalance(userAddress).catch(() => null);
+  const forwarderAddress = await forwarder.getAddress();
+  return '\n\n⛽ **Gasless Transactions**\n- You only sign; the Fisher pays the gas\n- Gas is charged to your relay fee balance\n' +
+    `**Fee Balance:** ${feeBalance === null ? 'unavailable' : formatEth(feeBalance)} ETH\n` +
+    `**Top up:** call \`depositFor(${userAddress})\` with ETH on the forwarder \`${forwarderAddress}\``;
+}
+
 /**
  * Handle dashboard navigation
  */
@@ -66,6 +82,14 @@ export async function handleDashboardNavigation(ctx, data, pushView, popView, go
   const provider = getArcologyProvider();
 
   switch (data) {
+    case 'nav_home':
+      await ctx.answerCbQuery();
+      {
+        const home = goHome();
+        await ctx.editMessageText(home.text, { parse_mode: 'Markdown', reply_markup: home.markup });
+      }
+      break;
+
     case 'nav_wallets':
       await ctx.answerCbQuery();
       {
@@ -85,7 +109,7 @@ export async function handleDashboardNavigation(ctx, data, pushView, popView, go
     case 'nav_deposit':
       await ctx.answerCbQuery();
       {
-        const text = `💰 Deposit to Your Wallet\n\n**Send ETH or test tokens to YOUR personal address:**\n\`${userWallet.address}\`\n\n**Important:**\n- This is YOUR personal wallet\n- Only YOU control this address\n- Send funds here to start trading/lending\n- All transactions are encrypted and private`;
+        const text = `💰 Deposit to Your Wallet\n\n**Send ETH or test tokens to YOUR personal address:**\n\`${userWallet.address}\`\n\n**Important:**\n- This is YOUR personal wallet\n- Only YOU control this address\n- Send funds here to start trading/lending\n- All transactions are encrypted and private${await getGaslessDepositText(userWallet.address)}`;
         const markup = { inline_keyboard: [ ...inline_keyboard, [ { text: '⬅️ Back', callback_data: 'nav_back_prev' } ] ] };
         pushView(text, markup);
         await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
@@ -137,3 +161,8 @@ export async function handleDashboardNavigation(ctx, data, pushView, popView, go
   
   return true; // Handled by dashboard
 }
+
+export const dashboardCallbacks = {
+  name: 'dashboard',
+  fallback: (ctx, data, { pushView, popView, goHome }) => handleDashboardNavigation(ctx, data, pushView, popView, goHome),
+};
@@ -0,0 +1,109 @@
+import { listUserIntents, findUserIntentId, cancelUserIntent, formatIntentList } from '../../arcology/swapIntents.js';
+import { resolveUserWallet } from '../../handlers/intentHandler.js';
+import { idempotencyStore, getTelegramIdempotencyKey } from '../../evvm/idempotencyStore.js';
+import { encodeCallback } from '../callbackRouter.js';
+
+// Callback data is limited to 64 bytes, so cancel buttons carry a shortened
+// intent id that is resolved against the user's own intents
+const INTENT_PREFIX_LENGTH = 18; // '0x' + 16 hex chars
+
+/**
+ * Build the "My Intents" view for a page: list text plus cancel and paging buttons
+ */
+export async function getIntentsView(userId, page = 0) {
+  const wallet = resolveUserWallet(userId);
+  const result = await listUserIntents(wallet.address, { page, wallet });
+
+  const cancelButtons = result.intents
+    .map((intent, idx) => ({ intent, number: result.page * result.pageSize + idx + 1 }))
+    .filter(({ intent }) => intent.status === 'pending')
+    .map(({ intent, number }) => [
+      { text: `❌ Cancel #${number}`, callback_data: encodeCallback(intentsCallbacks, 'c', { prefix: intent.intentId.slice(0, INTENT_PREFIX_LENGTH) }) },
+    ]);
+
+  const paging = [];
+  if (result.page > 0) {
+    paging.push({ text: '◀️ Prev', callback_data: encodeCallback(intentsCallbacks, 'p', { page: result.page - 1 }) });
+  }
+  if (result.page + 1 < result.totalPages) {
+    paging.push({ text: 'Next ▶️', callback_data: encodeCallback(intentsCallbacks, 'p', { page: result.page + 1 }) });
+  }
+
+  const markup = {
+    inline_keyboard: [
+      ...cancelButtons,
+      ...(paging.length ? [paging] : []),
+      [
+        { text: '⬅️ Back', callback_data: 'nav_back_prev' },
+        { text: '🏠 Home', callback_data: 'nav_home' },
+      ],
+    ],
+  };
+
+  return { text: formatIntentList(result), markup };
+}
+
+/**
+ * /intents [page]: the list with one-tap cancel buttons
+ */
+export async function handleIntentsCommand(ctx, stateManager) {
+  try {
+    const page = Math.max(0, (parseInt(ctx.message.text.split(/\s+/)[1], 10) || 1) - 1);
+    const { text, markup } = await getIntentsView(String(ctx.from.id), page);
+    await ctx.reply(text, { parse_mode: 'Markdown', reply_markup: markup });
+    stateManager.resetViewStack(String(ctx.chat.id), { text, markup });
+  } catch (error) {
+    console.error('Error listing intents:', error);
+    await ctx.reply(`❌ Could not load your intents: ${error.message}`);
+  }
+}
+
+/**
+ * My Intents page: intents:p:<page>
+ */
+async function handleIntentsPage(ctx, { page }, { userId, pushView }) {
+  await ctx.answerCbQuery();
+  const { text, markup } = await getIntentsView(userId, page);
+  pushView(text, markup);
+  await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
+}
+
+/**
+ * One-tap cancel: intents:c:<intent id prefix>
+ */
+async function handleIntentCancel(ctx, { prefix }, { userId, pushView }) {
+  await ctx.answerCbQuery('Cancelling intent...');
+
+  // Double taps on the same button share one cancellation
+  const result = await idempotencyStore.run(getTelegramIdempotencyKey(ctx), async () => {
+    const wallet = resolveUserWallet(userId);
+    const intentId = await findUserIntentId(wallet.address, prefix);
+    if (!intentId) {
+      return { success: false, message: '❌ Intent not found.' };
+    }
+    return cancelUserIntent(wallet, intentId);
+  }, { shouldCache: outcome => outcome.success });
+
+  const markup = {
+    inline_keyboard: [
+      [ { text: '📋 My Intents', callback_data: encodeCallback(intentsCallbacks, 'p', { page: 0 }) } ],
+      [ { text: '🏠 Home', callback_data: 'nav_home' } ],
+    ],
+  };
+  pushView(result.message, markup);
+  await ctx.editMessageText(result.message, { parse_mode: 'Markdown', reply_markup: markup });
+}
+
+export const intentsCallbacks = {
+  name: 'intents',
+  namespace: 'intents',
+  routes: {
+    p: { params: ['page:int'], handler: handleIntentsPage },
+    c: { params: ['prefix:hex'], handler: handleIntentCancel },
+  },
+  // Buttons sent before intents:* routes existed
+  aliases: [
+    { pattern: /^intents_page:(\d+)$/, route: 'p', params: ([, page]) => ({ page: Number(page) }) },
+    { pattern: /^intent_cancel:(0x[0-9a-fA-F]+)$/, route: 'c', params: ([, prefix]) => ({ prefix: prefix.toLowerCase() }) },
+  ],
+};
@@ -1,3 +1,41 @@
+import { idempotencyStore, getTelegramIdempotencyKey, createFlowId } from '../../evvm/idempotencyStore.js';
+import { getCancelRow, getConfirmFlowState } from './session.js';
+import { encodeCallback } from '../callbackRouter.js';
+
+/**
+ * SimpleLending operations shared by the Telegram flows and the generic
+ * intent handler, so both show the same confirmation wording
+ */
+export const LENDING_OPERATIONS = {
+  deposit: { name: 'Deposit', emoji: '💰' },
+  withdraw: { name: 'Withdraw', emoji: '💸' },
+  add_collateral: { name: 'Add Collateral', emoji: '🔒' },
+  borrow: { name: 'Borrow', emoji: '🏦' },
+  repay: { name: 'Repay', emoji: '💳' },
+  withdraw_collateral: { name: 'Withdraw Collateral', emoji: '🔓' },
+};
+
+/**
+ * Build the confirmation details for a lending operation
+ */
+export function getLendingOperationDetails(operation, amount) {
+  switch (operation) {
+    case 'deposit':
+      return `You will deposit ${amount} ETH into the lending pool.\n\n📈 Current APY: ~3.8%\n💵 Expected earnings: ~${(amount * 0.038 / 12).toFixed(4)} ETH/month`;
+    case 'withdraw':
+      return `You will withdraw ${amount} ETH from your deposits.\n\n⚠️ Ensure you have sufficient deposited balance.`;
+    case 'add_collateral':
+      return `You will add ${amount} ETH as collateral.\n\n📊 This will increase your borrowing capacity.`;
+    case 'borrow':
+      return `You will borrow ${amount} ETH.\n\n📉 Current APY: ~5.2%\n⚠️ Ensure you have sufficient collateral!`;
+    case 'repay':
+      return `You will repay ${amount} ETH.\n\n✅ This will reduce your debt and free up collateral.`;
+    case 'withdraw_collateral':
+      return `You will withdraw ${amount} ETH from your collateral.\n\n⚠️ Ensure you maintain sufficient collateral ratio!`;
+    default:
+      return '';
+  }
+}
 
 /**
  * Generate lend menu keyboard
@@ -127,17 +165,19 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
     case 'quick_lend_100_usdc':
       await ctx.answerCbQuery('Processing lend...');
       {
+        const flowId = createFlowId();
         userStates.set(userId, { 
           action: 'confirm_lend', 
           lend: { token: 'USDC', amount: '100', duration: '30' },
-          step: 'confirm'
+          step: 'confirm',
+          flowId
         });
         
         const text = '💰 Confirm Lend\n\n**Lending Details:**\nAmount: 100 USDC\nDuration: 30 days\nAPY: 5.2%\nExpected Return: ~1.3 USDC\n\nProceed with this lending?';
         const markup = { 
           inline_keyboard: [
-            [ { text: '✅ Confirm Lend', callback_data: 'confirm_lend_execute' } ],
-            [ { text: '❌ Cancel', callback_data: 'nav_back_prev' } ]
+            [ { text: '✅ Confirm Lend', callback_data: encodeCallback(lendCallbacks, 'x', { flow: flowId }) } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -148,17 +188,19 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
     case 'quick_lend_500_usdc':
       await ctx.answerCbQuery('Processing lend...');
       {
+        const flowId = createFlowId();
         userStates.set(userId, { 
           action: 'confirm_lend', 
           lend: { token: 'USDC', amount: '500', duration: '30' },
-          step: 'confirm'
+          step: 'confirm',
+          flowId
         });
         
         const text = '💰 Confirm Lend\n\n**Lending Details:**\nAmount: 500 USDC\nDuration: 30 days\nAPY: 5.2%\nExpected Return: ~6.5 USDC\n\nProceed with this lending?';
         const markup = { 
           inline_keyboard: [
-            [ { text: '✅ Confirm Lend', callback_data: 'confirm_lend_execute' } ],
-            [ { text: '❌ Cancel', callback_data: 'nav_back_prev' } ]
+            [ { text: '✅ Confirm Lend', callback_data: encodeCallback(lendCallbacks, 'x', { flow: flowId }) } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -169,17 +211,19 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
     case 'quick_lend_1000_usdc':
       await ctx.answerCbQuery('Processing lend...');
       {
+        const flowId = createFlowId();
         userStates.set(userId, { 
           action: 'confirm_lend', 
           lend: { token: 'USDC', amount: '1000', duration: '30' },
-          step: 'confirm'
+          step: 'confirm',
+          flowId
         });
         
         const text = '💰 Confirm Lend\n\n**Lending Details:**\nAmount: 1000 USDC\nDuration: 30 days\nAPY: 5.2%\nExpected Return: ~13 USDC\n\nProceed with this lending?';
         const markup = { 
           inline_keyboard: [
-            [ { text: '✅ Confirm Lend', callback_data: 'confirm_lend_execute' } ],
-            [ { text: '❌ Cancel', callback_data: 'nav_back_prev' } ]
+            [ { text: '✅ Confirm Lend', callback_data: encodeCallback(lendCallbacks, 'x', { flow: flowId }) } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -190,17 +234,19 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
     case 'quick_lend_1_eth':
       await ctx.answerCbQuery('Processing lend...');
       {
+        const flowId = createFlowId();
         userStates.set(userId, { 
           action: 'confirm_lend', 
           lend: { token: 'ETH', amount: '1', duration: '30' },
-          step: 'confirm'
+          step: 'confirm',
+          flowId
         });
         
         const text = '💰 Confirm Lend\n\n**Lending Details:**\nAmount: 1 ETH\nDuration: 30 days\nAPY: 3.8%\nExpected Return: ~0.03 ETH\n\nProceed with this lending?';
         const markup = { 
           inline_keyboard: [
-            [ { text: '✅ Confirm Lend', callback_data: 'confirm_lend_execute' } ],
-            [ { text: '❌ Cancel', callback_data: 'nav_back_prev' } ]
+            [ { text: '✅ Confirm Lend', callback_data: encodeCallback(lendCallbacks, 'x', { flow: flowId }) } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -221,7 +267,8 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
         const text = '💰 Enter Lending Amount\n\nPlease reply with the amount you want to lend:\n\n*Example: 250*';
         const markup = { 
           inline_keyboard: [
-            [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ]
+            [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -235,10 +282,11 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
         const text = '🪙 Select Token\n\nChoose the token you want to lend:';
         const markup = { 
           inline_keyboard: [
-            [ { text: 'USDC (5.2% APY)', callback_data: 'select_lend_token_USDC' } ],
-            [ { text: 'ETH (3.8% APY)', callback_data: 'select_lend_token_ETH' } ],
-            [ { text: 'USDT (4.9% APY)', callback_data: 'select_lend_token_USDT' } ],
-            [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ]
+            [ { text: 'USDC (5.2% APY)', callback_data: encodeCallback(lendCallbacks, 't', { token: 'USDC' }) } ],
+            [ { text: 'ETH (3.8% APY)', callback_data: encodeCallback(lendCallbacks, 't', { token: 'ETH' }) } ],
+            [ { text: 'USDT (4.9% APY)', callback_data: encodeCallback(lendCallbacks, 't', { token: 'USDT' }) } ],
+            [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -252,54 +300,11 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
         const text = '⏰ Select Duration\n\nChoose lending duration:';
         const markup = { 
           inline_keyboard: [
-            [ { text: '7 days', callback_data: 'select_duration_7' } ],
-            [ { text: '30 days', callback_data: 'select_duration_30' } ],
-            [ { text: '90 days', callback_data: 'select_duration_90' } ],
-            [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ]
-          ]
-        };
-        pushView(text, markup);
-        await ctx.editMessageText(text, { reply_markup: markup });
-      }
-      break;
-
-    // Token selection handlers
-    case 'select_lend_token_USDC':
-    case 'select_lend_token_ETH':
-    case 'select_lend_token_USDT':
-      await ctx.answerCbQuery();
-      {
-        const token = data.split('_')[3];
-        const state = userStates.get(userId) || {};
-        state.lend = { ...state.lend, token };
-        userStates.set(userId, state);
-        
-        const text = `✅ Token Selected: ${token}\n\nContinue with configuration or go back.`;
-        const markup = { 
-          inline_keyboard: [
-            [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ]
-          ]
-        };
-        pushView(text, markup);
-        await ctx.editMessageText(text, { reply_markup: markup });
-      }
-      break;
-
-    // Duration selection handlers
-    case 'select_duration_7':
-    case 'select_duration_30':
-    case 'select_duration_90':
-      await ctx.answerCbQuery();
-      {
-        const duration = data.split('_')[2];
-        const state = userStates.get(userId) || {};
-        state.lend = { ...state.lend, duration };
-        userStates.set(userId, state);
-        
-        const text = `✅ Duration Selected: ${duration} days\n\nContinue with configuration or go back.`;
-        const markup = { 
-          inline_keyboard: [
-            [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ]
+            [ { text: '7 days', callback_data: encodeCallback(lendCallbacks, 'd', { days: 7 }) } ],
+            [ { text: '30 days', callback_data: encodeCallback(lendCallbacks, 'd', { days: 30 }) } ],
+            [ { text: '90 days', callback_data: encodeCallback(lendCallbacks, 'd', { days: 90 }) } ],
+            [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -307,40 +312,6 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
       }
       break;
 
-    case 'confirm_lend_execute':
-      await ctx.answerCbQuery('Executing lend...');
-      {
-        const state = userStates.get(userId);
-        const lend = state?.lend || {};
-        
-        // Show processing message
-        await ctx.editMessageText('⏳ Processing lending operation...\n\nThis may take a moment...', { parse_mode: 'Markdown' });
-        
-        // Add 1-2 second delay for better UX
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
-        // Import the EVVM Fisher flow processor
-        const { processLendIntent } = await import('../evvmFisherFlow.js');
-        
-        // Execute the complete EVVM Fisher flow
-        const result = await processLendIntent(userId, lend);
-        
-        const text = result.message;
-        const markup = { 
-          inline_keyboard: [
-            [ { text: '🏦 New Lend', callback_data: 'nav_lend' } ],
-            [ { text: '📊 View Portfolio', callback_data: 'nav_portfolio' } ],
-            [ { text: '🏠 Home', callback_data: 'nav_home' } ]
-          ]
-        };
-        pushView(text, markup);
-        await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
-        
-        // Clear user state
-        userStates.delete(userId);
-      }
-      break;
-
     // New lending operation handlers
     case 'lend_deposit':
       await ctx.answerCbQuery();
@@ -354,7 +325,8 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
         const text = '💰 *Deposit Funds*\n\nHow much would you like to deposit?\n\nPlease reply with the amount in ETH:\n\n_Example: 0.1_';
         const markup = { 
           inline_keyboard: [
-            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ]
+            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -374,7 +346,8 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
         const text = '💸 *Withdraw Funds*\n\nHow much would you like to withdraw?\n\nPlease reply with the amount in ETH:\n\n_Example: 0.05_';
         const markup = { 
           inline_keyboard: [
-            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ]
+            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -394,7 +367,8 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
         const text = '🔒 *Add Collateral*\n\nHow much collateral would you like to add?\n\nPlease reply with the amount in ETH:\n\n_Example: 0.2_';
         const markup = { 
           inline_keyboard: [
-            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ]
+            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -414,7 +388,8 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
         const text = '🏦 *Borrow Funds*\n\nHow much would you like to borrow?\n\nPlease reply with the amount in ETH:\n\n_Example: 0.05_\n\n⚠️ Make sure you have sufficient collateral!';
         const markup = { 
           inline_keyboard: [
-            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ]
+            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -434,7 +409,8 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
         const text = '💳 *Repay Borrowed Funds*\n\nHow much would you like to repay?\n\nPlease reply with the amount in ETH:\n\n_Example: 0.05_';
         const markup = { 
           inline_keyboard: [
-            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ]
+            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -454,7 +430,8 @@ export async function handleLendNavigation(ctx, data, pushView, popView, userSta
         const text = '🔓 *Withdraw Collateral*\n\nHow much collateral would you like to withdraw?\n\nPlease reply with the amount in ETH:\n\n_Example: 0.1_\n\n⚠️ Ensure you maintain sufficient collateral ratio!';
         const markup = { 
           inline_keyboard: [
-            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ]
+            [ { text: '⬅️ Back to Lend', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -493,84 +470,6 @@ _Last updated: Just now_`;
       }
       break;
 
-    // Confirmation handlers for new lending operations
-    case 'confirm_lending_deposit':
-    case 'confirm_lending_withdraw':
-    case 'confirm_lending_add_collateral':
-    case 'confirm_lending_borrow':
-    case 'confirm_lending_repay':
-    case 'confirm_lending_withdraw_collateral':
-      await ctx.answerCbQuery('Processing...');
-      {
-        const state = userStates.get(userId);
-        if (!state) {
-          await ctx.editMessageText('❌ Session expired. Please start again.');
-          return true;
-        }
-
-        const operation = state.operation;
-        const amount = state.amount;
-
-        try {
-          // Show processing message
-          await ctx.editMessageText('⏳ Processing transaction...\n\nThis may take a moment...', { parse_mode: 'Markdown' });
-          
-          // Add 1.5 second delay for better UX
-          await new Promise(resolve => setTimeout(resolve, 1500));
-          
-          // TODO: Call actual contract functions
-          // For now, simulate success
-          let operationName = '';
-          let emoji = '';
-          
-          switch (operation) {
-            case 'deposit':
-              operationName = 'Deposit';
-              emoji = '💰';
-              break;
-            case 'withdraw':
-              operationName = 'Withdraw';
-              emoji = '💸';
-              break;
-            case 'add_collateral':
-              operationName = 'Add Collateral';
-              emoji = '🔒';
-              break;
-            case 'borrow':
-              operationName = 'Borrow';
-              emoji = '🏦';
-              break;
-            case 'repay':
-              operationName = 'Repay';
-              emoji = '💳';
-              break;
-            case 'withdraw_collateral':
-              operationName = 'Withdraw Collateral';
-              emoji = '🔓';
-              break;
-          }
-
-          const successText = `${emoji} *${operationName} Successful!*\n\n*Amount:* ${amount} ETH\n*Status:* ✅ Confirmed\n*Transaction:* 0x${Math.random().toString(16).slice(2, 10)}...\n\n_Your position has been updated._`;
-          
-          const markup = { 
-            inline_keyboard: [
-              [ { text: '📈 View Position', callback_data: 'lend_my_position' } ],
-              [ { text: '🏦 New Operation', callback_data: 'nav_lend' } ],
-              [ { text: '🏠 Home', callback_data: 'nav_home' } ]
-            ]
-          };
-          
-          await ctx.editMessageText(successText, { parse_mode: 'Markdown', reply_markup: markup });
-          
-          // Clear user state
-          userStates.delete(userId);
-        } catch (error) {
-          await ctx.editMessageText(`❌ *Transaction Failed*\n\n${error.message}\n\nPlease try again.`, { parse_mode: 'Markdown' });
-          userStates.delete(userId);
-        }
-      }
-      break;
-
     default:
       return false; // Not handled by lend
   }
@@ -578,6 +477,182 @@ _Last updated: Just now_`;
   return true; // Handled by lend
 }
 
+// Tokens and durations offered by the custom lend pickers
+const LEND_TOKENS = ['USDC', 'ETH', 'USDT'];
+const LEND_DURATIONS = [7, 30, 90];
+
+/**
+ * Custom lend token picker: lend:t:<token>
+ */
+async function handleLendTokenSelect(ctx, { token }, { userId, pushView, stateManager }) {
+  if (!LEND_TOKENS.includes(token)) {
+    await ctx.answerCbQuery('Unsupported token');
+    return;
+  }
+  await ctx.answerCbQuery();
+
+  const state = stateManager.userStates.get(userId) || {};
+  state.lend = { ...state.lend, token };
+  stateManager.userStates.set(userId, state);
+
+  const text = `✅ Token Selected: ${token}\n\nContinue with configuration or go back.`;
+  const markup = {
+    inline_keyboard: [
+      [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ],
+      getCancelRow()
+    ]
+  };
+  pushView(text, markup);
+  await ctx.editMessageText(text, { reply_markup: markup });
+}
+
+/**
+ * Custom lend duration picker: lend:d:<days>
+ */
+async function handleLendDurationSelect(ctx, { days }, { userId, pushView, stateManager }) {
+  if (!LEND_DURATIONS.includes(days)) {
+    await ctx.answerCbQuery('Unsupported duration');
+    return;
+  }
+  await ctx.answerCbQuery();
+
+  const state = stateManager.userStates.get(userId) || {};
+  state.lend = { ...state.lend, duration: String(days) };
+  stateManager.userStates.set(userId, state);
+
+  const text = `✅ Duration Selected: ${days} days\n\nContinue with configuration or go back.`;
+  const markup = {
+    inline_keyboard: [
+      [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ],
+      getCancelRow()
+    ]
+  };
+  pushView(text, markup);
+  await ctx.editMessageText(text, { reply_markup: markup });
+}
+
+/**
+ * Execute a term lend from the quick lend menu: lend:x:<flow>
+ * The SimpleLending pool is ETH-only and has no lock-up, so a term lend is
+ * an ETH deposit
+ */
+async function handleTermLendConfirm(ctx, { flow }, { userId, pushView, stateManager }) {
+  await ctx.answerCbQuery('Executing lend...');
+
+  const { userStates } = stateManager;
+  const idempotencyKey = getTelegramIdempotencyKey(ctx, { flowId: flow });
+  const state = getConfirmFlowState(userStates, userId, flow);
+  if (!state) {
+    // A repeat tap after the lend finished shows its result again
+    const replayed = await idempotencyStore.replay(idempotencyKey);
+    await ctx.editMessageText(replayed ?? '❌ Session expired. Please start again.');
+    return;
+  }
+  const lend = state.lend || {};
+
+  // Show processing message
+  await ctx.editMessageText('⏳ Processing lending operation...\n\nThis may take a moment...', { parse_mode: 'Markdown' });
+
+  // Add 1-2 second delay for better UX
+  await new Promise(resolve => setTimeout(resolve, 1500));
+
+  const { executeConfirmedLending } = await import('../../handlers/intentHandler.js');
+  const text = lend.token === 'ETH'
+    ? await executeConfirmedLending({ userId, operation: 'deposit', amount: lend.amount, idempotencyKey })
+    : `❌ The lending pool is ETH-denominated and cannot take ${lend.token || 'this token'}. Choose ETH to lend.`;
+
+  const markup = {
+    inline_keyboard: [
+      [ { text: '🏦 New Lend', callback_data: 'nav_lend' } ],
+      [ { text: '📊 View Portfolio', callback_data: 'nav_portfolio' } ],
+      [ { text: '🏠 Home', callback_data: 'nav_home' } ]
+    ]
+  };
+  pushView(text, markup);
+  await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
+
+  // Clear user state
+  userStates.delete(userId);
+}
+
+/**
+ * Confirm a lending operation entered by amount: lend:e:<operation>:<flow>
+ * The operation and amount come from the user's flow state, and only from
+ * the flow the button was built for
+ */
+async function handleLendingConfirm(ctx, { operation: buttonOperation, flow }, { userId, stateManager }) {
+  if (!LENDING_OPERATIONS[buttonOperation]) {
+    await ctx.answerCbQuery('Unsupported operation');
+    return;
+  }
+  await ctx.answerCbQuery('Processing...');
+
+  const { userStates } = stateManager;
+  const idempotencyKey = getTelegramIdempotencyKey(ctx, { flowId: flow });
+  const state = getConfirmFlowState(userStates, userId, flow);
+  if (!state) {
+    // A repeat tap after the operation finished shows its result again
+    const replayed = await idempotencyStore.replay(idempotencyKey);
+    await ctx.editMessageText(replayed ?? '❌ Session expired. Please start again.');
+    return;
+  }
+
+  const operation = state.operation;
+  const amount = state.amount;
+
+  try {
+    // Show processing message
+    await ctx.editMessageText('⏳ Processing transaction...\n\nThis may take a moment...', { parse_mode: 'Markdown' });
+
+    // Add 1.5 second delay for better UX
+    await new Promise(resolve => setTimeout(resolve, 1500));
+
+    const { executeConfirmedLending } = await import('../../handlers/intentHandler.js');
+    const resultText = await executeConfirmedLending({ userId, operation, amount, idempotencyKey });
+
+    const markup = {
+      inline_keyboard: [
+        [ { text: '📈 View Position', callback_data: 'lend_my_position' } ],
+        [ { text: '🏦 New Operation', callback_data: 'nav_lend' } ],
+        [ { text: '🏠 Home', callback_data: 'nav_home' } ]
+      ]
+    };
+
+    await ctx.editMessageText(resultText, { parse_mode: 'Markdown', reply_markup: markup });
+
+    // Clear user state
+    userStates.delete(userId);
+  } catch (error) {
+    await ctx.editMessageText(`❌ *Transaction Failed*\n\n${error.message}\n\nPlease try again.`, { parse_mode: 'Markdown' });
+    userStates.delete(userId);
+  }
+}
+
+/**
+ * Lend callbacks: lend:* routes, plus the lending menus by name
+ */
+export const lendCallbacks = {
+  name: 'lend',
+  namespace: 'lend',
+  routes: {
+    t: { params: ['token:token'], handler: handleLendTokenSelect },
+    d: { params: ['days:int'], handler: handleLendDurationSelect },
+    // lend:c buttons predate flow ids, so they only replay or expire
+    c: { params: ['operation:word'], handler: handleLendingConfirm },
+    e: { params: ['operation:word', 'flow:word'], handler: handleLendingConfirm },
+    x: { params: ['flow:word'], handler: handleTermLendConfirm },
+  },
+  // Buttons sent before lend:* routes existed
+  aliases: [
+    { pattern: /^select_lend_token_([A-Z0-9]+)$/, route: 't', params: ([, token]) => ({ token }) },
+    { pattern: /^select_duration_(\d+)$/, route: 'd', params: ([, days]) => ({ days: Number(days) }) },
+    { pattern: /^confirm_lending_([a-z_]+)$/, route: 'c', params: ([, operation]) => ({ operation }) },
+    // No flow id: only replays or expires, never runs the current state
+    { pattern: /^confirm_lend_execute$/, route: 'x', params: () => ({ flow: null }) },
+  ],
+  fallback: (ctx, data, { pushView, popView, stateManager }) => handleLendNavigation(ctx, data, pushView, popView, stateManager.userStates),
+};
+
 /**
  * Handle text input for lend
  */
@@ -593,7 +668,7 @@ export async function handleLendText(ctx, text, pushView, userStates) {
   if (state.action === 'custom_lend' && state.step === 'amount') {
     const amount = parseFloat(text);
     if (isNaN(amount) || amount <= 0) {
-      await ctx.reply('❌ Invalid amount. Please enter a positive number.');
+      await ctx.reply('❌ Invalid amount. Please enter a positive number.', { reply_markup: { inline_keyboard: [getCancelRow()] } });
       return true;
     }
     
@@ -606,7 +681,8 @@ export async function handleLendText(ctx, text, pushView, userStates) {
     const responseText = `✅ Amount Set: ${amount}\n\n**Custom Lend Summary:**\nAmount: ${lend.amount}\nToken: ${lend.token || 'Not selected'}\nDuration: ${lend.duration || 'Not selected'}\n\nComplete your lending configuration.`;
     const markup = { 
       inline_keyboard: [
-        [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ]
+        [ { text: '⬅️ Back to Custom Lend', callback_data: 'nav_back_prev' } ],
+        getCancelRow()
       ]
     };
     pushView(responseText, markup);
@@ -620,58 +696,25 @@ export async function handleLendText(ctx, text, pushView, userStates) {
   if (state.step === 'amount' && operation) {
     const amount = parseFloat(text);
     if (isNaN(amount) || amount <= 0) {
-      await ctx.reply('❌ Invalid amount. Please enter a positive number.');
+      await ctx.reply('❌ Invalid amount. Please enter a positive number.', { reply_markup: { inline_keyboard: [getCancelRow()] } });
       return true;
     }
     
     // Update state with amount and move to confirmation
     state.amount = amount.toString();
     state.step = 'confirm';
+    state.flowId = createFlowId();
     userStates.set(userId, state);
     
     // Generate confirmation message based on operation
-    let operationName = '';
-    let emoji = '';
-    let details = '';
-    
-    switch (operation) {
-      case 'deposit':
-        operationName = 'Deposit';
-        emoji = '💰';
-        details = `You will deposit ${amount} ETH into the lending pool.\n\n📈 Current APY: ~3.8%\n💵 Expected earnings: ~${(amount * 0.038 / 12).toFixed(4)} ETH/month`;
-        break;
-      case 'withdraw':
-        operationName = 'Withdraw';
-        emoji = '💸';
-        details = `You will withdraw ${amount} ETH from your deposits.\n\n⚠️ Ensure you have sufficient deposited balance.`;
-        break;
-      case 'add_collateral':
-        operationName = 'Add Collateral';
-        emoji = '🔒';
-        details = `You will add ${amount} ETH as collateral.\n\n📊 This will increase your borrowing capacity.`;
-        break;
-      case 'borrow':
-        operationName = 'Borrow';
-        emoji = '🏦';
-        details = `You will borrow ${amount} ETH.\n\n📉 Current APY: ~5.2%\n⚠️ Ensure you have sufficient collateral!`;
-        break;
-      case 'repay':
-        operationName = 'Repay';
-        emoji = '💳';
-        details = `You will repay ${amount} ETH.\n\n✅ This will reduce your debt and free up collateral.`;
-        break;
-      case 'withdraw_collateral':
-        operationName = 'Withdraw Collateral';
-        emoji = '🔓';
-        details = `You will withdraw ${amount} ETH from your collateral.\n\n⚠️ Ensure you maintain sufficient collateral ratio!`;
-        break;
-    }
+    const { name: operationName, emoji } = LENDING_OPERATIONS[operation] || { name: '', emoji: '' };
+    const details = getLendingOperationDetails(operation, amount);
     
     const confirmText = `${emoji} *Confirm ${operationName}*\n\n*Amount:* ${amount} ETH\n\n${details}\n\nProceed with this transaction?`;
     const markup = { 
       inline_keyboard: [
-        [ { text: '✅ Confirm', callback_data: `confirm_lending_${operation}` } ],
-        [ { text: '❌ Cancel', callback_data: 'nav_lend' } ]
+        [ { text: '✅ Confirm', callback_data: encodeCallback(lendCallbacks, 'e', { operation, flow: state.flowId }) } ],
+        getCancelRow()
       ]
     };
     
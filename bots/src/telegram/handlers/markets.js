@@ -219,3 +219,13 @@ export async function handleAlertsNavigation(ctx, data, pushView, popView, alert
   
   return true; // Handled by alerts
 }
+
+export const marketsCallbacks = {
+  name: 'markets',
+  fallback: (ctx, data, { pushView, popView }) => handleMarketsNavigation(ctx, data, pushView, popView),
+};
+
+export const alertsCallbacks = {
+  name: 'alerts',
+  fallback: (ctx, data, { pushView, popView, stateManager }) => handleAlertsNavigation(ctx, data, pushView, popView, stateManager.alertsByUserId),
+};
@@ -1,3 +1,6 @@
+import { encodeCallback } from '../callbackRouter.js';
+import { intentsCallbacks } from './intents.js';
+
 
 /**
  * Generate portfolio keyboard
@@ -12,6 +15,9 @@ export function getPortfolioKeyboard() {
       { text: '📈 Performance', callback_data: 'portfolio_performance' },
       { text: '🔄 Refresh', callback_data: 'portfolio_refresh' },
     ],
+    [
+      { text: '📋 My Intents', callback_data: encodeCallback(intentsCallbacks, 'p', { page: 0 }) },
+    ],
     [
       { text: '⬅️ Back', callback_data: 'nav_back_prev' },
       { text: '🏠 Home', callback_data: 'nav_home' },
@@ -19,6 +25,23 @@ export function getPortfolioKeyboard() {
   ];
 }
 
+/**
+ * Render a non-empty portfolio (from getUserPortfolio) as a Markdown message
+ * Shared with the generic intent handler so every platform sees the same view
+ */
+export function formatPortfolioText(portfolio) {
+  const positionsText = portfolio.positions.map((pos, idx) => {
+    if (pos.type === 'swap') {
+      return `${idx + 1}. **SWAP**: ${pos.amount} ${pos.from} → ${pos.estimatedOutput} ${pos.to}\n   Status: ${pos.status} | TX: \`${pos.txHash.substring(0, 10)}...\``;
+    } else if (pos.type === 'lend') {
+      return `${idx + 1}. **LEND**: ${pos.amount} ${pos.token} for ${pos.duration} days\n   APY: ${pos.apy} | Status: ${pos.status} | TX: \`${pos.txHash.substring(0, 10)}...\``;
+    }
+    return `${idx + 1}. ${pos.type}: ${pos.amount}`;
+  }).join('\n\n');
+  
+  return `📊 Your Positions\n\n${positionsText}\n\n**Summary:**\n• Total Positions: ${portfolio.totalPositions}\n• Active Loans: ${portfolio.activeLoans}\n• Completed Swaps: ${portfolio.completedSwaps}\n• Total Value: ${portfolio.totalValue}\n\n*All data encrypted via EVVM Native*`;
+}
+
 /**
  * Handle portfolio navigation
  */
@@ -58,16 +81,7 @@ export async function handlePortfolioNavigation(ctx, data, pushView, popView) {
           pushView(text, markup);
           await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
         } else {
-          const positionsText = portfolio.positions.map((pos, idx) => {
-            if (pos.type === 'swap') {
-              return `${idx + 1}. **SWAP**: ${pos.amount} ${pos.from} → ${pos.estimatedOutput} ${pos.to}\n   Status: ${pos.status} | TX: \`${pos.txHash.substring(0, 10)}...\``;
-            } else if (pos.type === 'lend') {
-              return `${idx + 1}. **LEND**: ${pos.amount} ${pos.token} for ${pos.duration} days\n   APY: ${pos.apy} | Status: ${pos.status} | TX: \`${pos.txHash.substring(0, 10)}...\``;
-            }
-            return `${idx + 1}. ${pos.type}: ${pos.amount}`;
-          }).join('\n\n');
-          
-          const text = `📊 Your Positions\n\n${positionsText}\n\n**Summary:**\n• Total Positions: ${portfolio.totalPositions}\n• Active Loans: ${portfolio.activeLoans}\n• Completed Swaps: ${portfolio.completedSwaps}\n• Total Value: ${portfolio.totalValue}\n\n*All data encrypted via EVVM Native*`;
+          const text = formatPortfolioText(portfolio);
           const markup = { inline_keyboard: [ 
             [ { text: '🔄 Refresh', callback_data: 'portfolio_refresh' } ],
             [ { text: '⬅️ Back to Portfolio', callback_data: 'nav_back_prev' } ] 
@@ -114,3 +128,8 @@ export async function handlePortfolioNavigation(ctx, data, pushView, popView) {
   
   return true; // Handled by portfolio
 }
+
+export const portfolioCallbacks = {
+  name: 'portfolio',
+  fallback: (ctx, data, { pushView, popView }) => handlePortfolioNavigation(ctx, data, pushView, popView),
+};
@@ -0,0 +1,84 @@
+import { rewardTracker } from '../../evvm/fisherRewards.js';
+import { generateFisherReport, REPORT_FORMATS, REPORT_PERIODS } from '../../evvm/fisherReports.js';
+
+const USAGE = '/fisher_report <daily|weekly|from to> <text|csv|json?>';
+
+/**
+ * Telegram user ids allowed to see operator reports (TELEGRAM_ADMIN_IDS, comma-separated)
+ */
+export function getTelegramAdminIds(env = process.env) {
+  return (env.TELEGRAM_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+export function isTelegramAdmin(userId, adminIds = getTelegramAdminIds()) {
+  return adminIds.includes(String(userId));
+}
+
+/**
+ * Parse "/fisher_report weekly csv" or "/fisher_report 2025-01-01 2025-01-31 json"
+ *
+ * @returns {Object} generateFisherReport options
+ */
+export function parseReportArgs(args) {
+  const options = { period: 'daily', format: 'text' };
+  const dates = [];
+
+  for (const arg of args) {
+    const word = arg.toLowerCase();
+    if (REPORT_PERIODS[word]) {
+      options.period = word;
+    } else if (REPORT_FORMATS.includes(word)) {
+      options.format = word;
+    } else if (/^\d{4}-\d{2}-\d{2}/.test(arg)) {
+      dates.push(arg);
+    } else {
+      throw new Error(`Unknown argument "${arg}". Usage: ${USAGE}`);
+    }
+  }
+
+  if (dates.length) {
+    Object.assign(options, { period: 'custom', from: dates[0], to: dates[1] });
+  }
+  return options;
+}
+
+/**
+ * Text report for the shared /fisher_report handler, which can only answer
+ * with a message (CSV and JSON come back as text)
+ *
+ * @param {string[]} args - Words after the command
+ * @returns {string} Report, or the reason it could not be built
+ */
+export function formatFisherReportMessage(args, tracker = rewardTracker) {
+  try {
+    return generateFisherReport(tracker, parseReportArgs(args)).content;
+  } catch (error) {
+    return `❌ Could not build the Fisher report: ${error.message}`;
+  }
+}
+
+/**
+ * Handle /fisher_report (admin only): text reports are sent as a message,
+ * CSV and JSON as a document
+ */
+export async function handleFisherReportCommand(ctx, tracker = rewardTracker) {
+  if (!isTelegramAdmin(ctx.from.id)) {
+    await ctx.reply('⛔ Fisher reports are only available to bot operators.');
+    return;
+  }
+
+  try {
+    const args = ctx.message.text.split(/\s+/).slice(1);
+    const { report, format, content } = generateFisherReport(tracker, parseReportArgs(args));
+
+    if (format === 'text') {
+      await ctx.reply(content, { parse_mode: 'Markdown' });
+      return;
+    }
+    const filename = `fisher-report-${report.period}-${report.to.slice(0, 10)}.${format}`;
+    await ctx.replyWithDocument({ source: Buffer.from(content, 'utf-8'), filename });
+  } catch (error) {
+    console.error('Error building Fisher report:', error);
+    await ctx.reply(`❌ Could not build the Fisher report: ${error.message}`);
+  }
+}
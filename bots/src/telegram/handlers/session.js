@@ -0,0 +1,87 @@
+/**
+ * Conversational flow session helpers: Cancel button, /cancel and timeouts
+ */
+
+import { encodeCallback } from '../callbackRouter.js';
+
+// What a conversational state is, for "Your pending ... timed out"
+const FLOW_LABELS = {
+  custom_swap: 'swap',
+  confirm_swap: 'swap',
+  custom_lend: 'lend',
+  confirm_lend: 'lend',
+};
+
+/**
+ * Keyboard row with the Cancel button every flow prompt shows
+ */
+export function getCancelRow() {
+  return [ { text: '❌ Cancel', callback_data: CANCEL_FLOW_CALLBACK } ];
+}
+
+/**
+ * The user's flow state if it is the flow a confirm button was built for;
+ * a button from an earlier flow on the same edited message gets null
+ */
+export function getConfirmFlowState(userStates, userId, flowId) {
+  const state = userStates.get(userId);
+  return flowId && state?.flowId === flowId ? state : null;
+}
+
+export function getFlowLabel(state) {
+  // Lending operations ('add_collateral' → 'add collateral')
+  if (state?.operation) {
+    return state.operation.replace(/_/g, ' ');
+  }
+  return FLOW_LABELS[state?.action] || 'operation';
+}
+
+export function getFlowCancelledText(state) {
+  const label = getFlowLabel(state);
+  return `❌ ${label.charAt(0).toUpperCase()}${label.slice(1)} cancelled.`;
+}
+
+export function getFlowExpiredText(state, ttlMs) {
+  const minutes = Math.max(1, Math.round(ttlMs / 60000));
+  return `⌛ Your pending ${getFlowLabel(state)} timed out after ${minutes} minute${minutes === 1 ? '' : 's'} without a reply and was cancelled. Start again from the menu or /start.`;
+}
+
+/**
+ * Cancel button: drop the user's flow and go back to the dashboard
+ */
+export async function handleFlowCancel(ctx, stateManager, goHome) {
+  const state = stateManager.clearUserState(String(ctx.from.id));
+  await ctx.answerCbQuery(state ? 'Cancelled' : 'Nothing to cancel');
+
+  const home = goHome();
+  const text = state ? `${getFlowCancelledText(state)}\n\n${home.text}` : home.text;
+  await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: home.markup });
+}
+
+/**
+ * /cancel without arguments while a flow is active
+ *
+ * @returns {Promise<boolean>} false when there was no flow to cancel
+ */
+export async function handleCancelCommand(ctx, stateManager) {
+  const state = stateManager.clearUserState(String(ctx.from.id));
+  if (!state) {
+    return false;
+  }
+  await ctx.reply(getFlowCancelledText(state));
+  return true;
+}
+
+export const sessionCallbacks = {
+  name: 'session',
+  namespace: 'flow',
+  routes: {
+    c: { params: [], handler: (ctx, params, { stateManager, goHome }) => handleFlowCancel(ctx, stateManager, goHome) },
+  },
+  // Cancel buttons sent before flow:* routes existed
+  aliases: [
+    { pattern: /^flow_cancel$/, route: 'c' },
+  ],
+};
+
+export const CANCEL_FLOW_CALLBACK = encodeCallback(sessionCallbacks, 'c');
@@ -1,19 +1,21 @@
-import { getCurrentPrice } from '../../oracle/pythHermes.js';
+import { getTokenPrice as fetchTokenPrice } from '../../oracle/pythHermes.js';
+import { tokenRegistry, getToken } from '../../arcology/tokens.js';
+import { idempotencyStore, getTelegramIdempotencyKey, createFlowId } from '../../evvm/idempotencyStore.js';
+import { getCancelRow, getConfirmFlowState } from './session.js';
+import { encodeCallback } from '../callbackRouter.js';
 
 /**
  * Get real-time price for a token
+ * Unknown tokens throw; known tokens fall back to their registry price
  */
 async function getTokenPrice(token) {
+  const { fallbackPriceUsd } = getToken(token);
   try {
-    const symbol = token === 'ETH' ? 'ETH/USD' : 
-                  token === 'USDC' ? 'USDC/USD' : 
-                  token === 'USDT' ? 'USDT/USD' : 'ETH/USD';
-    const price = await getCurrentPrice(symbol);
+    const price = await fetchTokenPrice(token);
     return price.humanReadablePrice;
   } catch (error) {
     console.warn(`Price fetch error for ${token}:`, error.message);
-    // Fallback prices
-    return token === 'ETH' ? 2500 : 1.0;
+    return fallbackPriceUsd;
   }
 }
 
@@ -21,33 +23,20 @@ async function getTokenPrice(token) {
  * Calculate swap output with real prices
  */
 async function calculateSwapOutput(fromToken, toToken, amount) {
-  try {
-    const [fromPrice, toPrice] = await Promise.all([
-      getTokenPrice(fromToken),
-      getTokenPrice(toToken)
-    ]);
-    
-    const estimatedOutput = (amount * fromPrice) / toPrice;
-    const rate = fromPrice / toPrice;
-    
-    return {
-      estimatedOutput: estimatedOutput.toFixed(6),
-      rate: rate.toFixed(2),
-      fromPrice: fromPrice.toFixed(2),
-      toPrice: toPrice.toFixed(2)
-    };
-  } catch (error) {
-    console.warn('Price calculation error:', error.message);
-    // Fallback calculation
-    const fallbackRate = fromToken === 'ETH' ? 2500 : 0.0004;
-    const estimatedOutput = fromToken === 'ETH' ? (amount * 2500) : (amount / 2500);
-    return {
-      estimatedOutput: estimatedOutput.toFixed(6),
-      rate: fallbackRate.toString(),
-      fromPrice: '2500.00',
-      toPrice: '1.00'
-    };
-  }
+  const [fromPrice, toPrice] = await Promise.all([
+    getTokenPrice(fromToken),
+    getTokenPrice(toToken)
+  ]);
+  
+  const estimatedOutput = (amount * fromPrice) / toPrice;
+  const rate = fromPrice / toPrice;
+  
+  return {
+    estimatedOutput: estimatedOutput.toFixed(6),
+    rate: rate.toFixed(2),
+    fromPrice: fromPrice.toFixed(2),
+    toPrice: toPrice.toFixed(2)
+  };
 }
 
 export function getTradeKeyboard() {
@@ -73,12 +62,12 @@ export function getTradeKeyboard() {
 export function getQuickSwapKeyboard() {
   return [
     [
-      { text: '1 ETH → USDC', callback_data: 'quick_swap_eth_usdc' },
-      { text: '100 USDC → ETH', callback_data: 'quick_swap_usdc_eth' },
+      { text: '1 ETH → USDC', callback_data: encodeCallback(tradeCallbacks, 'q', { from: 'ETH', to: 'USDC', amount: '1' }) },
+      { text: '100 USDC → ETH', callback_data: encodeCallback(tradeCallbacks, 'q', { from: 'USDC', to: 'ETH', amount: '100' }) },
     ],
     [
-      { text: 'X ETH → USDT', callback_data: 'quick_swap_eth_usdt_custom' },
-      { text: 'X USDT → ETH', callback_data: 'quick_swap_usdt_eth_custom' },
+      { text: 'X ETH → USDT', callback_data: encodeCallback(tradeCallbacks, 'a', { from: 'ETH', to: 'USDT' }) },
+      { text: 'X USDT → ETH', callback_data: encodeCallback(tradeCallbacks, 'a', { from: 'USDT', to: 'ETH' }) },
     ],
     [
       { text: '⬅️ Back', callback_data: 'nav_back_prev' },
@@ -106,6 +95,15 @@ export function getCustomSwapKeyboard() {
   ];
 }
 
+/**
+ * One button per registry token for the custom swap token pickers
+ */
+function getTokenSelectKeyboard(side) {
+  return tokenRegistry.list().map(token => [
+    { text: `${token.emoji} ${token.symbol}`, callback_data: encodeCallback(tradeCallbacks, 't', { side, token: token.symbol }) }
+  ]);
+}
+
 /**
  * Handle trade navigation
  */
@@ -147,13 +145,11 @@ export async function handleTradeNavigation(ctx, data, pushView, popView, userSt
       await ctx.answerCbQuery();
       {
         // Get real-time prices
-        const [ethPrice, usdcPrice, usdtPrice] = await Promise.all([
-          getTokenPrice('ETH'),
-          getTokenPrice('USDC'),
-          getTokenPrice('USDT')
-        ]);
+        const tokens = tokenRegistry.list();
+        const prices = await Promise.all(tokens.map(token => getTokenPrice(token.symbol)));
+        const priceLines = tokens.map((token, idx) => `${token.priceSymbol}: $${prices[idx].toFixed(2)}`).join('\n');
         
-        const text = `📊 Current Rates (Live)\n\n**Real-time Prices:**\nETH/USD: $${ethPrice.toFixed(2)}\nUSDC/USD: $${usdcPrice.toFixed(2)}\nUSDT/USD: $${usdtPrice.toFixed(2)}\n\n**Source:** Pyth Network (Hermes API)\n**Status:** Live data\n**Updated:** Just now\n\n*Prices update every second*`;
+        const text = `📊 Current Rates (Live)\n\n**Real-time Prices:**\n${priceLines}\n\n**Source:** Pyth Network (Hermes API)\n**Status:** Live data\n**Updated:** Just now\n\n*Prices update every second*`;
         const markup = { inline_keyboard: [ [ { text: '⬅️ Back to Trade', callback_data: 'nav_back_prev' } ] ] };
         pushView(text, markup);
         await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
@@ -170,96 +166,6 @@ export async function handleTradeNavigation(ctx, data, pushView, popView, userSt
       }
       break;
 
-    // Quick swap handlers
-    case 'quick_swap_eth_usdc':
-      await ctx.answerCbQuery('Processing swap...');
-      {
-        // Set user state for amount confirmation
-        userStates.set(userId, { 
-          action: 'confirm_swap', 
-          swap: { from: 'ETH', to: 'USDC', amount: '1' },
-          step: 'confirm'
-        });
-        
-        // Get real-time prices
-        const swapData = await calculateSwapOutput('ETH', 'USDC', 1);
-        
-        const text = `🔄 Confirm Swap\n\n**Swap Details:**\nFrom: 1 ETH\nTo: ~${swapData.estimatedOutput} USDC\n\n**Real-time Prices:**\nETH: $${swapData.fromPrice}\nUSDC: $${swapData.toPrice}\nRate: 1 ETH = ${swapData.rate} USDC\n\n*Live data from Pyth Network*\n\nProceed with this swap?`;
-        const markup = { 
-          inline_keyboard: [
-            [ { text: '✅ Confirm Swap', callback_data: 'confirm_swap_execute' } ],
-            [ { text: '❌ Cancel', callback_data: 'nav_back_prev' } ]
-          ]
-        };
-        pushView(text, markup);
-        await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
-      }
-      break;
-
-    case 'quick_swap_usdc_eth':
-      await ctx.answerCbQuery('Processing swap...');
-      {
-        userStates.set(userId, { 
-          action: 'confirm_swap', 
-          swap: { from: 'USDC', to: 'ETH', amount: '100' },
-          step: 'confirm'
-        });
-        
-        // Get real-time prices
-        const swapData = await calculateSwapOutput('USDC', 'ETH', 100);
-        
-        const text = `🔄 Confirm Swap\n\n**Swap Details:**\nFrom: 100 USDC\nTo: ~${swapData.estimatedOutput} ETH\n\n**Real-time Prices:**\nUSDC: $${swapData.fromPrice}\nETH: $${swapData.toPrice}\nRate: 1 USDC = ${swapData.rate} ETH\n\n*Live data from Pyth Network*\n\nProceed with this swap?`;
-        const markup = { 
-          inline_keyboard: [
-            [ { text: '✅ Confirm Swap', callback_data: 'confirm_swap_execute' } ],
-            [ { text: '❌ Cancel', callback_data: 'nav_back_prev' } ]
-          ]
-        };
-        pushView(text, markup);
-        await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
-      }
-      break;
-
-    case 'quick_swap_eth_usdt_custom':
-      await ctx.answerCbQuery();
-      {
-        userStates.set(userId, { 
-          action: 'custom_swap', 
-          step: 'amount',
-          swap: { from: 'ETH', to: 'USDT' }
-        });
-        
-        const text = '💰 Enter ETH Amount\n\nPlease reply with the amount of ETH you want to swap to USDT:\n\n*Example: 1.5*';
-        const markup = { 
-          inline_keyboard: [
-            [ { text: '⬅️ Back to Quick Swap', callback_data: 'nav_back_prev' } ]
-          ]
-        };
-        pushView(text, markup);
-        await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
-      }
-      break;
-
-    case 'quick_swap_usdt_eth_custom':
-      await ctx.answerCbQuery();
-      {
-        userStates.set(userId, { 
-          action: 'custom_swap', 
-          step: 'amount',
-          swap: { from: 'USDT', to: 'ETH' }
-        });
-        
-        const text = '💰 Enter USDT Amount\n\nPlease reply with the amount of USDT you want to swap to ETH:\n\n*Example: 500*';
-        const markup = { 
-          inline_keyboard: [
-            [ { text: '⬅️ Back to Quick Swap', callback_data: 'nav_back_prev' } ]
-          ]
-        };
-        pushView(text, markup);
-        await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
-      }
-      break;
-
     // Custom swap handlers
     case 'custom_swap_amount':
       await ctx.answerCbQuery();
@@ -273,7 +179,8 @@ export async function handleTradeNavigation(ctx, data, pushView, popView, userSt
         const text = '💰 Enter Amount\n\nPlease reply with the amount you want to swap:\n\n*Example: 1.5*';
         const markup = { 
           inline_keyboard: [
-            [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ]
+            [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -287,10 +194,9 @@ export async function handleTradeNavigation(ctx, data, pushView, popView, userSt
         const text = '🔄 Select From Token\n\nChoose the token you want to swap from:';
         const markup = { 
           inline_keyboard: [
-            [ { text: 'ETH', callback_data: 'select_from_ETH' } ],
-            [ { text: 'USDC', callback_data: 'select_from_USDC' } ],
-            [ { text: 'USDT', callback_data: 'select_from_USDT' } ],
-            [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ]
+            ...getTokenSelectKeyboard('from'),
+            [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -304,10 +210,9 @@ export async function handleTradeNavigation(ctx, data, pushView, popView, userSt
         const text = '🔄 Select To Token\n\nChoose the token you want to swap to:';
         const markup = { 
           inline_keyboard: [
-            [ { text: 'ETH', callback_data: 'select_to_ETH' } ],
-            [ { text: 'USDC', callback_data: 'select_to_USDC' } ],
-            [ { text: 'USDT', callback_data: 'select_to_USDT' } ],
-            [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ]
+            ...getTokenSelectKeyboard('to'),
+            [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ],
+            getCancelRow()
           ]
         };
         pushView(text, markup);
@@ -315,83 +220,6 @@ export async function handleTradeNavigation(ctx, data, pushView, popView, userSt
       }
       break;
 
-    // Token selection handlers
-    case 'select_from_ETH':
-    case 'select_from_USDC':
-    case 'select_from_USDT':
-      await ctx.answerCbQuery();
-      {
-        const token = data.split('_')[2];
-        const state = userStates.get(userId) || {};
-        state.swap = { ...state.swap, from: token };
-        userStates.set(userId, state);
-        
-        const text = `✅ From Token Selected: ${token}\n\nContinue with token selection or go back.`;
-        const markup = { 
-          inline_keyboard: [
-            [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ]
-          ]
-        };
-        pushView(text, markup);
-        await ctx.editMessageText(text, { reply_markup: markup });
-      }
-      break;
-
-    case 'select_to_ETH':
-    case 'select_to_USDC':
-    case 'select_to_USDT':
-      await ctx.answerCbQuery();
-      {
-        const token = data.split('_')[2];
-        const state = userStates.get(userId) || {};
-        state.swap = { ...state.swap, to: token };
-        userStates.set(userId, state);
-        
-        const text = `✅ To Token Selected: ${token}\n\nContinue with token selection or go back.`;
-        const markup = { 
-          inline_keyboard: [
-            [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ]
-          ]
-        };
-        pushView(text, markup);
-        await ctx.editMessageText(text, { reply_markup: markup });
-      }
-      break;
-
-    case 'confirm_swap_execute':
-      await ctx.answerCbQuery('Executing swap...');
-      {
-        const state = userStates.get(userId);
-        const swap = state?.swap || {};
-        
-        // Show processing message
-        await ctx.editMessageText('⏳ Processing swap...\n\nThis may take a moment...', { parse_mode: 'Markdown' });
-        
-        // Add 1-2 second delay for better UX
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
-        // Import the EVVM Fisher flow processor
-        const { processSwapIntent } = await import('../evvmFisherFlow.js');
-        
-        // Execute the complete EVVM Fisher flow
-        const result = await processSwapIntent(userId, swap);
-        
-        const text = result.message;
-        const markup = { 
-          inline_keyboard: [
-            [ { text: '🔄 New Trade', callback_data: 'nav_trade' } ],
-            [ { text: '📊 View Portfolio', callback_data: 'nav_portfolio' } ],
-            [ { text: '🏠 Home', callback_data: 'nav_home' } ]
-          ]
-        };
-        pushView(text, markup);
-        await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
-        
-        // Clear user state
-        userStates.delete(userId);
-      }
-      break;
-
     default:
       return false; // Not handled by trade
   }
@@ -399,6 +227,166 @@ export async function handleTradeNavigation(ctx, data, pushView, popView, userSt
   return true; // Handled by trade
 }
 
+/**
+ * Quick swap with a set amount: swap:q:<from>:<to>:<amount>
+ */
+async function handleQuickSwap(ctx, { from, to, amount }, { userId, pushView, stateManager }) {
+  if (!tokenRegistry.has(from) || !tokenRegistry.has(to)) {
+    await ctx.answerCbQuery('Unsupported token');
+    return;
+  }
+  await ctx.answerCbQuery('Processing swap...');
+
+  // Set user state for amount confirmation
+  const flowId = createFlowId();
+  stateManager.userStates.set(userId, {
+    action: 'confirm_swap',
+    swap: { from, to, amount },
+    step: 'confirm',
+    flowId
+  });
+
+  // Get real-time prices
+  const swapData = await calculateSwapOutput(from, to, Number(amount));
+
+  const text = `🔄 Confirm Swap\n\n**Swap Details:**\nFrom: ${amount} ${from}\nTo: ~${swapData.estimatedOutput} ${to}\n\n**Real-time Prices:**\n${from}: $${swapData.fromPrice}\n${to}: $${swapData.toPrice}\nRate: 1 ${from} = ${swapData.rate} ${to}\n\n*Live data from Pyth Network*\n\nProceed with this swap?`;
+  const markup = {
+    inline_keyboard: [
+      [ { text: '✅ Confirm Swap', callback_data: encodeCallback(tradeCallbacks, 'x', { flow: flowId }) } ],
+      getCancelRow()
+    ]
+  };
+  pushView(text, markup);
+  await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
+}
+
+/**
+ * Execute the confirmed swap: swap:x:<flow>
+ * The flow id ties the button to the confirm screen that showed it, so a
+ * button left on an edited message never runs a later swap's details
+ */
+async function handleSwapConfirm(ctx, { flow }, { userId, pushView, stateManager }) {
+  await ctx.answerCbQuery('Executing swap...');
+
+  const { userStates } = stateManager;
+  const idempotencyKey = getTelegramIdempotencyKey(ctx, { flowId: flow });
+  const state = getConfirmFlowState(userStates, userId, flow);
+  if (!state) {
+    // A repeat tap after the swap finished shows its result again
+    const replayed = await idempotencyStore.replay(idempotencyKey);
+    await ctx.editMessageText(replayed ?? '❌ Session expired. Please start again.');
+    return;
+  }
+  const swap = state.swap || {};
+
+  // Show processing message
+  await ctx.editMessageText('⏳ Processing swap...\n\nThis may take a moment...', { parse_mode: 'Markdown' });
+
+  // Add 1-2 second delay for better UX
+  await new Promise(resolve => setTimeout(resolve, 1500));
+
+  // Same relay path as a typed /swap: encrypted, Fisher-relayed, rewarded from the receipt
+  const { handleUserIntent } = await import('../../handlers/intentHandler.js');
+  const text = await handleUserIntent({
+    platform: 'telegram',
+    userAddress: userId,
+    chatId: String(ctx.chat.id),
+    message: `/swap ${swap.amount} ${swap.from} ${swap.to}`,
+    idempotencyKey
+  });
+
+  const markup = {
+    inline_keyboard: [
+      [ { text: '🔄 New Trade', callback_data: 'nav_trade' } ],
+      [ { text: '📊 View Portfolio', callback_data: 'nav_portfolio' } ],
+      [ { text: '🏠 Home', callback_data: 'nav_home' } ]
+    ]
+  };
+  pushView(text, markup);
+  await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
+
+  // Clear user state
+  userStates.delete(userId);
+}
+
+/**
+ * Quick swap for an amount the user types: swap:a:<from>:<to>
+ */
+async function handleQuickSwapAmount(ctx, { from, to }, { userId, pushView, stateManager }) {
+  if (!tokenRegistry.has(from) || !tokenRegistry.has(to)) {
+    await ctx.answerCbQuery('Unsupported token');
+    return;
+  }
+  await ctx.answerCbQuery();
+
+  stateManager.userStates.set(userId, {
+    action: 'custom_swap',
+    step: 'amount',
+    swap: { from, to }
+  });
+
+  // Example worth a few hundred dollars: '1.5' ETH, '500' USDT
+  const example = getToken(from).fallbackPriceUsd >= 100 ? '1.5' : '500';
+  const text = `💰 Enter ${from} Amount\n\nPlease reply with the amount of ${from} you want to swap to ${to}:\n\n*Example: ${example}*`;
+  const markup = {
+    inline_keyboard: [
+      [ { text: '⬅️ Back to Quick Swap', callback_data: 'nav_back_prev' } ],
+      getCancelRow()
+    ]
+  };
+  pushView(text, markup);
+  await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: markup });
+}
+
+/**
+ * Custom swap token picker: swap:t:<from|to>:<token>
+ */
+async function handleTokenSelect(ctx, { side, token }, { userId, pushView, stateManager }) {
+  if ((side !== 'from' && side !== 'to') || !tokenRegistry.has(token)) {
+    await ctx.answerCbQuery('Unsupported token');
+    return;
+  }
+  await ctx.answerCbQuery();
+
+  const state = stateManager.userStates.get(userId) || {};
+  state.swap = { ...state.swap, [side]: token };
+  stateManager.userStates.set(userId, state);
+
+  const text = `✅ ${side === 'from' ? 'From' : 'To'} Token Selected: ${token}\n\nContinue with token selection or go back.`;
+  const markup = {
+    inline_keyboard: [
+      [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ],
+      getCancelRow()
+    ]
+  };
+  pushView(text, markup);
+  await ctx.editMessageText(text, { reply_markup: markup });
+}
+
+/**
+ * Trade callbacks: swap:* routes, plus the trade menu by name
+ */
+export const tradeCallbacks = {
+  name: 'trade',
+  namespace: 'swap',
+  routes: {
+    q: { params: ['from:token', 'to:token', 'amount:amount'], handler: handleQuickSwap },
+    a: { params: ['from:token', 'to:token'], handler: handleQuickSwapAmount },
+    t: { params: ['side:word', 'token:token'], handler: handleTokenSelect },
+    x: { params: ['flow:word'], handler: handleSwapConfirm },
+  },
+  // Buttons sent before swap:* routes existed
+  aliases: [
+    { pattern: /^quick_swap_eth_usdc$/, route: 'q', params: () => ({ from: 'ETH', to: 'USDC', amount: '1' }) },
+    { pattern: /^quick_swap_usdc_eth$/, route: 'q', params: () => ({ from: 'USDC', to: 'ETH', amount: '100' }) },
+    { pattern: /^quick_swap_([a-z0-9]+)_([a-z0-9]+)_custom$/, route: 'a', params: ([, from, to]) => ({ from: from.toUpperCase(), to: to.toUpperCase() }) },
+    { pattern: /^select_(from|to)_([A-Z0-9]+)$/, route: 't', params: ([, side, token]) => ({ side, token }) },
+    // No flow id: only replays or expires, never runs the current state
+    { pattern: /^confirm_swap_execute$/, route: 'x', params: () => ({ flow: null }) },
+  ],
+  fallback: (ctx, data, { pushView, popView, stateManager }) => handleTradeNavigation(ctx, data, pushView, popView, stateManager.userStates),
+};
+
 /**
  * Handle text input for trade
  */
@@ -413,13 +401,14 @@ export async function handleTradeText(ctx, text, pushView, userStates) {
   if (state.step === 'amount') {
     const amount = parseFloat(text);
     if (isNaN(amount) || amount <= 0) {
-      await ctx.reply('❌ Invalid amount. Please enter a positive number.');
+      await ctx.reply('❌ Invalid amount. Please enter a positive number.', { reply_markup: { inline_keyboard: [getCancelRow()] } });
       return true;
     }
     
     // Update state with amount
     state.swap = { ...state.swap, amount: amount.toString() };
     state.step = 'complete';
+    state.flowId = createFlowId();
     userStates.set(userId, state);
     
     const swap = state.swap;
@@ -432,8 +421,8 @@ export async function handleTradeText(ctx, text, pushView, userStates) {
       const text = `✅ Swap Confirmation\n\n**Swap Details:**\nFrom: ${amount} ${swap.from}\nTo: ~${swapData.estimatedOutput} ${swap.to}\n\n**Real-time Prices:**\n${swap.from}: $${swapData.fromPrice}\n${swap.to}: $${swapData.toPrice}\nRate: 1 ${swap.from} = ${swapData.rate} ${swap.to}\n\n*Live data from Pyth Network*\n*Intent will be submitted to EVVM Fisher Bot*`;
       const markup = { 
         inline_keyboard: [
-          [ { text: '✅ Confirm Swap', callback_data: 'confirm_swap_execute' } ],
-          [ { text: '❌ Cancel', callback_data: 'nav_back_prev' } ]
+          [ { text: '✅ Confirm Swap', callback_data: encodeCallback(tradeCallbacks, 'x', { flow: state.flowId }) } ],
+          getCancelRow()
         ]
       };
       pushView(text, markup);
@@ -443,7 +432,8 @@ export async function handleTradeText(ctx, text, pushView, userStates) {
       const text = `✅ Amount Set: ${amount}\n\n**Custom Swap Summary:**\nAmount: ${swap.amount}\nFrom: ${swap.from || 'Not selected'}\nTo: ${swap.to || 'Not selected'}\n\nComplete your swap configuration.`;
       const markup = { 
         inline_keyboard: [
-          [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ]
+          [ { text: '⬅️ Back to Custom Swap', callback_data: 'nav_back_prev' } ],
+          getCancelRow()
         ]
       };
       pushView(text, markup);
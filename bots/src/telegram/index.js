@@ -10,19 +10,28 @@ import path from 'path';
 import dotenv from 'dotenv';
 
 // Import handlers
-import { handleDashboardNavigation, getDashboardText, getDashboardKeyboard } from './handlers/dashboard.js';
-import { handleTradeNavigation, handleTradeText } from './handlers/trade.js';
-import { handleLendNavigation, handleLendText } from './handlers/lend.js';
-import { handlePortfolioNavigation } from './handlers/portfolio.js';
-import { handleMarketsNavigation, handleAlertsNavigation } from './handlers/markets.js';
+import { getDashboardText, getDashboardKeyboard } from './handlers/dashboard.js';
+import { handleTradeText } from './handlers/trade.js';
+import { handleLendText } from './handlers/lend.js';
+import { isTelegramAdmin } from './handlers/reports.js';
+import { getFlowExpiredText } from './handlers/session.js';
+import { registerTelegramCommands } from './commands.js';
+import { callbackRouter } from './callbacks.js';
 import { TelegramStateManager } from './stateManager.js';
+import { createStateStore } from './stateStore.js';
 import { userWalletManager } from './userWalletManager.js';
-import { handleUserIntent } from '../handlers/intentHandler.js';
+import { handleUserIntent, commandRegistry, useConfirmationStore } from '../handlers/intentHandler.js';
+import { getTelegramIdempotencyKey, idempotencyStore } from '../evvm/idempotencyStore.js';
+import { intentWatcher } from '../arcology/intentWatcher.js';
+import { arcologyConfig } from '../../config/arcology.config.js';
 
 dotenv.config();
 
 let telegramBot = null;
-const stateManager = new TelegramStateManager();
+const stateStore = createStateStore(arcologyConfig.telegramState);
+const stateManager = new TelegramStateManager({ store: stateStore });
+idempotencyStore.useStore(stateStore);
+useConfirmationStore(stateStore);
 
 /**
  * Ensure bot wallet exists: use BOT_PRIVATE_KEY if provided,
@@ -76,6 +85,17 @@ export async function initTelegramBot() {
 
   telegramBot = new Telegraf(botToken);
 
+  // Push intent lifecycle updates (executed / cancelled) back to the chat
+  intentWatcher.registerNotifier('telegram', (chatId, text) =>
+    telegramBot.telegram.sendMessage(chatId, text, { parse_mode: 'Markdown' })
+  );
+
+  // Tell users when a flow they walked away from times out
+  stateManager.startExpirySweep((userId, state) => {
+    telegramBot.telegram.sendMessage(userId, getFlowExpiredText(state, stateManager.stateTtlMs))
+      .catch(err => console.warn(`⚠️  Could not send session timeout to ${userId}:`, err.message));
+  });
+
   // Start command
   telegramBot.start(async (ctx) => {
     const userId = String(ctx.from.id);
@@ -96,27 +116,23 @@ export async function initTelegramBot() {
     stateManager.resetViewStack(String(ctx.chat.id), { text: dashboardText, markup });
   });
 
-  // Help command
+  // Help command (generated from the shared command registry)
   telegramBot.help((ctx) => {
-    ctx.reply(
-      '📚 *Shadow Nox Commands*\n\n' +
-      '*Trading:*\n' +
-      '/swap <amount> <from> <to> - Private token swap\n' +
-      'Example: /swap 1 ETH USDC\n\n' +
-      '*Lending:*\n' +
-      '/lend <amount> <token> - Lend assets\n' +
-      'Example: /lend 1000 USDC\n\n' +
-      '*Portfolio:*\n' +
-      '/portfolio - View your encrypted positions\n' +
-      '/withdraw <amount> <token> - Withdraw funds\n\n' +
-      '*Info:*\n' +
-      '/metrics - View aggregate market metrics\n' +
-      '/status - Check system status',
-      { parse_mode: 'Markdown' }
-    );
+    ctx.reply(commandRegistry.formatHelp('telegram'), { parse_mode: 'Markdown' });
   });
 
-  // Callback query handler
+  // Commands with a Telegram adapter (buttons, menu flows, documents) are
+  // dispatched from the registry; the rest reach it through the text handler
+  for (const name of registerTelegramCommands(commandRegistry)) {
+    telegramBot.command(name, async (ctx, next) => {
+      const services = { stateManager, isAdmin: isTelegramAdmin(ctx.from.id) };
+      if (!(await commandRegistry.dispatchAdapter('telegram', name, ctx, services))) {
+        return next();
+      }
+    });
+  }
+
+  // Callback queries go to the plugin that owns the button (see callbacks.js)
   telegramBot.on('callback_query', async (ctx) => {
     const data = ctx.update.callback_query?.data;
     const chatId = String(ctx.chat.id);
@@ -139,51 +155,7 @@ export async function initTelegramBot() {
     };
 
     try {
-      // Handle global home navigation
-      if (data === 'nav_home') {
-        await ctx.answerCbQuery();
-        const home = goHome();
-        await ctx.editMessageText(home.text, { parse_mode: 'Markdown', reply_markup: home.markup });
-        return;
-      }
-      
-      // Try each handler in order
-      let handled = false;
-      
-      // Dashboard handler
-      if (!handled) {
-        handled = await handleDashboardNavigation(ctx, data, pushView, popView, goHome);
-      }
-      
-      // Trade handler
-      if (!handled) {
-        handled = await handleTradeNavigation(ctx, data, pushView, popView, stateManager.userStates);
-      }
-      
-      // Lend handler
-      if (!handled) {
-        handled = await handleLendNavigation(ctx, data, pushView, popView, stateManager.userStates);
-      }
-      
-      // Portfolio handler
-      if (!handled) {
-        handled = await handlePortfolioNavigation(ctx, data, pushView, popView);
-      }
-      
-      // Markets handler
-      if (!handled) {
-        handled = await handleMarketsNavigation(ctx, data, pushView, popView);
-      }
-      
-      // Alerts handler
-      if (!handled) {
-        handled = await handleAlertsNavigation(ctx, data, pushView, popView, stateManager.alertsByUserId);
-      }
-      
-      if (!handled) {
-        await ctx.answerCbQuery('Unsupported action');
-      }
-      
+      await callbackRouter.dispatch(ctx, data, { chatId, userId, pushView, popView, goHome, stateManager });
     } catch (err) {
       console.error('Callback handler error:', err);
       try { 
@@ -200,6 +172,14 @@ export async function initTelegramBot() {
       
       console.log(`📩 Telegram message from ${userId}: ${messageText}`);
       
+      // A flow that timed out since the last message: say so instead of
+      // reading this message as its input
+      const expiredState = stateManager.takeExpiredUserState(userId);
+      if (expiredState) {
+        await ctx.reply(getFlowExpiredText(expiredState, stateManager.stateTtlMs));
+        return;
+      }
+      
       // Check if user is in a conversational state
       const userState = stateManager.getUserState(userId);
       
@@ -222,7 +202,10 @@ export async function initTelegramBot() {
       const response = await handleUserIntent({
         platform: 'telegram',
         userAddress: userId,
-        message: messageText
+        chatId: String(ctx.chat.id),
+        message: messageText,
+        idempotencyKey: getTelegramIdempotencyKey(ctx),
+        isAdmin: isTelegramAdmin(userId)
       });
       
       // Send response back to user
@@ -245,6 +228,10 @@ export async function initTelegramBot() {
   // Launch the bot with timeout and polling options
   console.log('🔄 Launching Telegram bot...');
   try {
+    // Publish the command menu so Telegram clients autocomplete registry commands
+    telegramBot.telegram.setMyCommands(commandRegistry.toTelegramCommands())
+      .catch(err => console.warn('⚠️  Could not publish Telegram command menu:', err.message));
+
     await Promise.race([
       telegramBot.launch({
         dropPendingUpdates: true,
@@ -278,4 +265,5 @@ export async function stopTelegramBot() {
   if (telegramBot) {
     await telegramBot.stop('SIGTERM');
   }
+  stateManager.close();
 }
\ No newline at end of file
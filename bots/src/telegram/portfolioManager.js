@@ -5,6 +5,7 @@
 
 import fs from 'fs';
 import path from 'path';
+import { tokenRegistry } from '../arcology/tokens.js';
 
 const PORTFOLIO_FILE = path.resolve(process.cwd(), '.user_portfolios.json');
 
@@ -48,6 +49,14 @@ class PortfolioManager {
   addTransaction(userId, transaction) {
     const portfolio = this.getUserPortfolio(userId);
     
+    // A repeated intent (same idempotency key) must not be recorded twice
+    if (transaction.idempotencyKey) {
+      const existing = portfolio.transactions.find(tx => tx.idempotencyKey === transaction.idempotencyKey);
+      if (existing) {
+        return existing;
+      }
+    }
+    
     const tx = {
       id: Date.now().toString(),
       timestamp: new Date().toISOString(),
@@ -140,8 +149,9 @@ class PortfolioManager {
     // Calculate total value (simplified for demo)
     let totalValue = 0;
     activePositions.forEach(pos => {
-      if (pos.type === 'lend') {
-        totalValue += parseFloat(pos.amount) * (pos.token === 'ETH' ? 2500 : 1);
+      // Positions in tokens no longer in the registry are left out rather than mispriced
+      if (pos.type === 'lend' && tokenRegistry.has(pos.token)) {
+        totalValue += parseFloat(pos.amount) * tokenRegistry.get(pos.token).fallbackPriceUsd;
       }
     });
     
@@ -1,16 +1,169 @@
 /**
  * Telegram State Manager
  * Manages user session states and view stack
+ *
+ * Conversational states (a swap waiting for its amount, a lend waiting for
+ * confirmation) expire after a TTL of inactivity, so a flow the user walked
+ * away from doesn't swallow their next message. Every set() renews the TTL.
+ *
+ * View stacks, states and alerts are written through to a state store
+ * (see stateStore.js) and restored from it on construction, so they survive
+ * restarts when the store persists them.
  */
 
+import { MemoryStateStore } from './stateStore.js';
+
+const DEFAULT_SWEEP_INTERVAL = 60000; // 1 minute
+
+// Views kept per chat; deeper stacks drop their oldest views above the root
+const MAX_VIEW_STACK = 20;
+
+/**
+ * Map that writes every change through to a store namespace
+ */
+export class PersistentMap extends Map {
+  constructor(store, namespace) {
+    super();
+    this.store = store;
+    this.namespace = namespace;
+  }
+
+  set(key, value) {
+    this.store?.set(this.namespace, key, value);
+    return super.set(key, value);
+  }
+
+  delete(key) {
+    this.store?.delete(this.namespace, key);
+    return super.delete(key);
+  }
+
+  /**
+   * Add an entry read back from the store, without writing it again
+   */
+  restore(key, value) {
+    return super.set(key, value);
+  }
+}
+
+/**
+ * Map of user states that drops entries ttlMs after they were last set.
+ * Reads never return an expired state; expired states are kept aside until
+ * reported through takeExpired() or sweep().
+ * With a store, each state is saved as { state, expiresAt }.
+ */
+export class ExpiringStateMap extends Map {
+  constructor(ttlMs, { store = null, namespace = 'sessions' } = {}) {
+    super();
+    this.ttlMs = ttlMs;
+    this.store = store;
+    this.namespace = namespace;
+    this.expiresAt = new Map(); // key -> timestamp
+    this.expired = new Map();   // key -> state that timed out, not yet reported
+  }
+
+  set(key, value) {
+    const expiresAt = Date.now() + this.ttlMs;
+    this.store?.set(this.namespace, key, { state: value, expiresAt });
+    this.expiresAt.set(key, expiresAt);
+    this.expired.delete(key);
+    return super.set(key, value);
+  }
+
+  /**
+   * Add a state read back from the store, keeping its expiry; states that
+   * timed out while the bot was down are reported like any other
+   */
+  restore(key, { state, expiresAt }) {
+    this.expiresAt.set(key, expiresAt);
+    return super.set(key, state);
+  }
+
+  get(key) {
+    this.expire(key);
+    return super.get(key);
+  }
+
+  has(key) {
+    this.expire(key);
+    return super.has(key);
+  }
+
+  delete(key) {
+    this.store?.delete(this.namespace, key);
+    this.expiresAt.delete(key);
+    return super.delete(key);
+  }
+
+  expire(key, now = Date.now()) {
+    const expiresAt = this.expiresAt.get(key);
+    if (expiresAt === undefined || expiresAt > now) {
+      return false;
+    }
+    this.expired.set(key, super.get(key));
+    this.delete(key);
+    return true;
+  }
+
+  /**
+   * Expired state for a key, once (null if it didn't time out)
+   */
+  takeExpired(key) {
+    this.expire(key);
+    const state = this.expired.get(key) ?? null;
+    this.expired.delete(key);
+    return state;
+  }
+
+  /**
+   * Drop everything that timed out
+   *
+   * @returns {Array} [key, state] pairs not reported before
+   */
+  sweep(now = Date.now()) {
+    for (const key of [...this.expiresAt.keys()]) {
+      this.expire(key, now);
+    }
+    const expired = [...this.expired.entries()];
+    this.expired.clear();
+    return expired;
+  }
+}
+
 /**
  * State manager class
  */
 export class TelegramStateManager {
-  constructor() {
-    this.viewStackByChatId = new Map(); // chatId -> [{ text, markup }]
-    this.userStates = new Map(); // userId -> { action, step, data }
-    this.alertsByUserId = new Map(); // userId -> alert config
+  /**
+   * @param {Object} options
+   * @param {number} options.stateTtlMs - Inactivity before a conversational state expires
+   *   (default: TELEGRAM_SESSION_TTL_MS or 10 minutes)
+   * @param {Object} options.store - State store to restore from and write to (default: in-memory)
+   */
+  constructor({ stateTtlMs = parseInt(process.env.TELEGRAM_SESSION_TTL_MS || '600000'), store = new MemoryStateStore() } = {}) {
+    this.store = store;
+    this.viewStackByChatId = new PersistentMap(store, 'views'); // chatId -> [{ text, markup }]
+    this.userStates = new ExpiringStateMap(stateTtlMs, { store }); // userId -> { action, step, data }
+    this.alertsByUserId = new PersistentMap(store, 'alerts'); // userId -> alert config
+    this.stateTtlMs = stateTtlMs;
+    this.sweepInterval = null;
+    this.restore();
+  }
+
+  /**
+   * Load views, states and alerts saved by a previous run
+   */
+  restore() {
+    const { views, sessions, alerts } = this.store.load();
+    for (const [chatId, stack] of Object.entries(views)) {
+      this.viewStackByChatId.restore(chatId, stack);
+    }
+    for (const [userId, session] of Object.entries(sessions)) {
+      this.userStates.restore(userId, session);
+    }
+    for (const [userId, alert] of Object.entries(alerts)) {
+      this.alertsByUserId.restore(userId, alert);
+    }
   }
 
   /**
@@ -19,6 +172,9 @@ export class TelegramStateManager {
   pushView(chatId, text, markup) {
     const stack = this.viewStackByChatId.get(chatId) || [];
     stack.push({ text, markup });
+    if (stack.length > MAX_VIEW_STACK) {
+      stack.splice(1, stack.length - MAX_VIEW_STACK);
+    }
     this.viewStackByChatId.set(chatId, stack);
   }
 
@@ -63,9 +219,48 @@ export class TelegramStateManager {
 
   /**
    * Clear user state
+   *
+   * @returns {Object|null} The state that was cleared
    */
   clearUserState(userId) {
+    const state = this.userStates.get(userId) ?? null;
     this.userStates.delete(userId);
+    return state;
+  }
+
+  /**
+   * State that timed out since the user's last message, reported once
+   */
+  takeExpiredUserState(userId) {
+    return this.userStates.takeExpired(userId);
+  }
+
+  /**
+   * Drop timed-out states on an interval, calling onExpire(userId, state) for each
+   */
+  startExpirySweep(onExpire, intervalMs = DEFAULT_SWEEP_INTERVAL) {
+    this.stopExpirySweep();
+    this.sweepInterval = setInterval(() => {
+      for (const [userId, state] of this.userStates.sweep()) {
+        onExpire(userId, state);
+      }
+    }, intervalMs);
+    this.sweepInterval.unref?.();
+  }
+
+  stopExpirySweep() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+  }
+
+  /**
+   * Stop the sweep and release the store
+   */
+  close() {
+    this.stopExpirySweep();
+    this.store.close();
   }
 
   /**
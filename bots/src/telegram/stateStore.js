@@ -0,0 +1,343 @@
+/**
+ * Telegram State Store
+ * Persistence backends for TelegramStateManager
+ *
+ * The manager keeps working state in Maps and writes every change through to
+ * a store, then restores from it on boot so view stacks, conversational
+ * sessions and price alerts survive restarts. Entries live in namespaces
+ * (views, sessions, alerts) keyed by chat or user id. The shared intent handler
+ * keeps its settled idempotency results (idempotency, keyed by idempotency key)
+ * and operations waiting for /confirm (confirmations, keyed by platform:user)
+ * in the same store:
+ *
+ *   memory - nothing persisted (default for tests and one-off runs)
+ *   file   - one JSON document (.telegram_state.json), rewritten atomically
+ *   sqlite - one row per entry (.telegram_state.db), using node:sqlite
+ *
+ * Stored data carries a schema version. Older snapshots are upgraded through
+ * STATE_MIGRATIONS on load and written back; a snapshot from a newer version
+ * is left untouched and the bot runs without persistence until it is upgraded.
+ */
+
+import fs from 'fs';
+import { createRequire } from 'module';
+
+export const STATE_SCHEMA_VERSION = 1;
+
+export const STATE_NAMESPACES = ['views', 'sessions', 'alerts', 'idempotency', 'confirmations'];
+
+/**
+ * Upgrades keyed by the version they start from: migrations[n](data) turns
+ * version n data into version n + 1. Add one whenever the stored shape of a
+ * view, session or alert changes, and bump STATE_SCHEMA_VERSION.
+ */
+export const STATE_MIGRATIONS = {};
+
+export class StateStoreError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'StateStoreError';
+    this.code = code;
+  }
+}
+
+/**
+ * JSON that keeps bigints and Dates, which plain JSON.stringify rejects or flattens
+ */
+export function serializeState(value, space) {
+  return JSON.stringify(value, function (key, entry) {
+    if (typeof entry === 'bigint') {
+      return { $bigint: entry.toString() };
+    }
+    // Dates are already strings here (toJSON runs first); the holder still has the Date
+    if (this[key] instanceof Date) {
+      return { $date: entry };
+    }
+    return entry;
+  }, space);
+}
+
+export function deserializeState(text) {
+  return JSON.parse(text, (key, entry) => {
+    if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+      const tags = Object.keys(entry);
+      if (tags.length === 1 && tags[0] === '$bigint') {
+        return BigInt(entry.$bigint);
+      }
+      if (tags.length === 1 && tags[0] === '$date') {
+        return new Date(entry.$date);
+      }
+    }
+    return entry;
+  });
+}
+
+function emptyData() {
+  return Object.fromEntries(STATE_NAMESPACES.map(namespace => [namespace, {}]));
+}
+
+/**
+ * Bring a stored snapshot up to the current schema
+ *
+ * @param {Object} snapshot - { version, data }
+ * @param {Object} options
+ * @param {Object} options.migrations - Upgrades by starting version (default: STATE_MIGRATIONS)
+ * @param {number} options.version - Target version (default: STATE_SCHEMA_VERSION)
+ * @returns {{ version: number, data: Object, migrated: boolean }}
+ * @throws {StateStoreError} 'newer_schema' or 'missing_migration'
+ */
+export function migrateSnapshot(snapshot, { migrations = STATE_MIGRATIONS, version = STATE_SCHEMA_VERSION } = {}) {
+  let current = Number(snapshot?.version ?? 0);
+  let data = snapshot?.data ?? {};
+
+  if (current > version) {
+    throw new StateStoreError(`Telegram state is schema v${current}, this bot understands up to v${version}`, 'newer_schema');
+  }
+
+  const migrated = current < version;
+  while (current < version) {
+    const migrate = migrations[current];
+    if (!migrate) {
+      throw new StateStoreError(`No Telegram state migration from schema v${current}`, 'missing_migration');
+    }
+    data = migrate(data);
+    current++;
+  }
+
+  return { version: current, data: { ...emptyData(), ...data }, migrated };
+}
+
+/**
+ * Migrate a store's snapshot, falling back to empty state (and no further
+ * writes by that store) when this version can't read it
+ */
+function readSnapshot(store, snapshot, source) {
+  try {
+    const result = migrateSnapshot(snapshot, { migrations: store.migrations, version: store.version });
+    if (result.migrated) {
+      console.log(`🔄 Migrated Telegram state in ${source} to schema v${result.version}`);
+    }
+    return result;
+  } catch (error) {
+    console.error(`⚠️  Not using Telegram state in ${source}: ${error.message}. It is left as is and changes will not be saved.`);
+    store.persist = false;
+    return { version: store.version, data: emptyData(), migrated: false };
+  }
+}
+
+/**
+ * Keeps entries in memory only; also the base for the file store
+ */
+export class MemoryStateStore {
+  constructor({ migrations = STATE_MIGRATIONS, version = STATE_SCHEMA_VERSION } = {}) {
+    this.migrations = migrations;
+    this.version = version;
+    this.data = emptyData(); // namespace -> { key: value }
+    this.persist = true;
+  }
+
+  /**
+   * @returns {Object} Current data by namespace, as copies
+   */
+  load() {
+    return deserializeState(serializeState(this.data));
+  }
+
+  set(namespace, key, value) {
+    this.data[namespace][key] = deserializeState(serializeState(value));
+    this.save(namespace, key);
+  }
+
+  delete(namespace, key) {
+    if (!(key in this.data[namespace])) {
+      return;
+    }
+    delete this.data[namespace][key];
+    this.save(namespace, key);
+  }
+
+  save() {}
+
+  close() {}
+}
+
+/**
+ * Whole state in one JSON file, written to a temp file and renamed so a crash
+ * mid-write never leaves half a document behind
+ */
+export class FileStateStore extends MemoryStateStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.stateFile - JSON file to persist to
+   */
+  constructor({ stateFile = '.telegram_state.json', ...options } = {}) {
+    super(options);
+    this.stateFile = stateFile;
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        const { data, migrated } = readSnapshot(this, deserializeState(fs.readFileSync(this.stateFile, 'utf-8')), this.stateFile);
+        this.data = data;
+        if (migrated) {
+          this.save();
+        }
+      }
+    } catch (error) {
+      // Unparseable file: keep it aside for inspection and start over
+      const corruptFile = `${this.stateFile}.corrupt-${Date.now()}`;
+      console.error(`Error loading Telegram state (moved to ${corruptFile}):`, error.message);
+      try {
+        fs.renameSync(this.stateFile, corruptFile);
+      } catch (renameError) {
+        this.persist = false;
+      }
+      this.data = emptyData();
+    }
+    return super.load();
+  }
+
+  save() {
+    if (!this.persist) {
+      return;
+    }
+    try {
+      const tempFile = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tempFile, serializeState({ version: this.version, data: this.data }, 2), 'utf-8');
+      fs.renameSync(tempFile, this.stateFile);
+    } catch (error) {
+      console.error('Error saving Telegram state:', error.message);
+    }
+  }
+}
+
+function loadSqlite() {
+  try {
+    return createRequire(import.meta.url)('node:sqlite');
+  } catch (error) {
+    throw new StateStoreError('The sqlite Telegram state backend needs Node.js 22.5 or newer (node:sqlite)', 'sqlite_unavailable');
+  }
+}
+
+/**
+ * One row per entry in a SQLite database, so a write touches only its entry
+ */
+export class SqliteStateStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Database file
+   * @param {Object} options.sqlite - node:sqlite module (loaded when omitted)
+   */
+  constructor({ path = '.telegram_state.db', sqlite = null, migrations = STATE_MIGRATIONS, version = STATE_SCHEMA_VERSION } = {}) {
+    this.path = path;
+    this.migrations = migrations;
+    this.version = version;
+    this.persist = true;
+
+    const { DatabaseSync } = sqlite || loadSqlite();
+    this.db = new DatabaseSync(path);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS telegram_state (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (namespace, key)
+      );
+      CREATE TABLE IF NOT EXISTS telegram_state_meta (
+        name TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+    this.upsert = this.db.prepare(`
+      INSERT INTO telegram_state (namespace, key, value) VALUES (?, ?, ?)
+      ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value
+    `);
+    this.remove = this.db.prepare('DELETE FROM telegram_state WHERE namespace = ? AND key = ?');
+  }
+
+  load() {
+    const data = {};
+    for (const { namespace, key, value } of this.db.prepare('SELECT namespace, key, value FROM telegram_state').all()) {
+      data[namespace] = data[namespace] || {};
+      data[namespace][key] = deserializeState(value);
+    }
+
+    // A database without a version is new, so it starts at the current schema
+    const stored = this.db.prepare('SELECT value FROM telegram_state_meta WHERE name = ?').get('schema_version');
+    const version = stored ? Number(stored.value) : this.version;
+
+    const result = readSnapshot(this, { version, data }, this.path);
+    if (this.persist && (result.migrated || !stored)) {
+      this.rewrite(result);
+    }
+    return result.data;
+  }
+
+  /**
+   * Replace every row with migrated data, in one transaction
+   */
+  rewrite({ version, data }) {
+    this.db.exec('BEGIN');
+    try {
+      this.db.exec('DELETE FROM telegram_state');
+      for (const [namespace, entries] of Object.entries(data)) {
+        for (const [key, value] of Object.entries(entries)) {
+          this.upsert.run(namespace, key, serializeState(value));
+        }
+      }
+      this.db.prepare(`
+        INSERT INTO telegram_state_meta (name, value) VALUES ('schema_version', ?)
+        ON CONFLICT (name) DO UPDATE SET value = excluded.value
+      `).run(String(version));
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  set(namespace, key, value) {
+    this.write(() => this.upsert.run(namespace, String(key), serializeState(value)));
+  }
+
+  delete(namespace, key) {
+    this.write(() => this.remove.run(namespace, String(key)));
+  }
+
+  write(statement) {
+    if (!this.persist) {
+      return;
+    }
+    try {
+      statement();
+    } catch (error) {
+      console.error('Error saving Telegram state:', error.message);
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Store for the configured backend
+ *
+ * @param {Object} config - arcologyConfig.telegramState
+ * @throws {StateStoreError} 'unknown_backend', or 'sqlite_unavailable' on older Node.js
+ */
+export function createStateStore({ backend = 'memory', file, sqlitePath } = {}) {
+  switch (backend) {
+  case 'memory':
+    return new MemoryStateStore();
+  case 'file':
+    return new FileStateStore({ stateFile: file });
+  case 'sqlite':
+    return new SqliteStateStore({ path: sqlitePath });
+  default:
+    throw new StateStoreError(`Unknown Telegram state backend "${backend}" (use memory, file or sqlite)`, 'unknown_backend');
+  }
+}
+
+export default createStateStore;
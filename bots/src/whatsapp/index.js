@@ -7,6 +7,8 @@ import pkg from 'whatsapp-web.js';
 const { Client, LocalAuth } = pkg;
 import qrcode from 'qrcode-terminal';
 import { handleUserIntent } from '../handlers/intentHandler.js';
+import { isIntentMessage } from '../handlers/intentParser.js';
+import { intentWatcher } from '../arcology/intentWatcher.js';
 
 let whatsappClient = null;
 
@@ -51,6 +53,9 @@ export async function initWhatsAppBot() {
     console.error('WhatsApp client error:', error);
   });
 
+  // Push intent lifecycle updates (executed / cancelled) back to the chat
+  intentWatcher.registerNotifier('whatsapp', (chatId, text) => whatsappClient.sendMessage(chatId, text));
+
   // Initialize the client
   await whatsappClient.initialize();
   
@@ -65,8 +70,8 @@ async function handleWhatsAppMessage(message) {
   const userAddress = message.from;
   const messageText = message.body.trim();
   
-  // Ignore group messages and non-command messages
-  if (message.isGroup || !messageText.startsWith('/')) {
+  // Ignore group messages and messages that are not commands or intents
+  if (message.isGroup || !isIntentMessage(messageText)) {
     return;
   }
   
@@ -76,7 +81,8 @@ async function handleWhatsAppMessage(message) {
   const response = await handleUserIntent({
     platform: 'whatsapp',
     userAddress,
-    message: messageText
+    message: messageText,
+    idempotencyKey: message.id?._serialized ? `whatsapp:${message.id._serialized}` : null
   });
   
   // Send response back to user
@@ -2,7 +2,7 @@ import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
 import { ethers } from 'ethers';
-import { getContract, getSigner, waitForTransaction, formatAmount, parseAmount } from '../utils/blockchain.js';
+import { getContract, getSigner, waitForTransaction, formatAmount, parseAmount, tokenRegistry, resolveToken } from '../utils/blockchain.js';
 import { 
   displaySuccess, 
   displayError, 
@@ -11,38 +11,44 @@ import {
   displayStats,
   loadingText 
 } from '../utils/display.js';
+import { buildSwapIntent } from '../../../shared/swapIntentCodec.js';
 
 // Submit a swap intent
 export async function submitSwapIntent(intentIdArg) {
   try {
     const answers = await inquirer.prompt([
       {
-        type: 'input',
+        type: 'list',
         name: 'tokenIn',
-        message: 'Token In Address:',
-        default: '0x0000000000000000000000000000000000000001',
-        validate: (input) => ethers.isAddress(input) || 'Invalid address'
+        message: 'Token In:',
+        choices: tokenRegistry.symbols()
       },
       {
-        type: 'input',
+        type: 'list',
         name: 'tokenOut',
-        message: 'Token Out Address:',
-        default: '0x0000000000000000000000000000000000000002',
-        validate: (input) => ethers.isAddress(input) || 'Invalid address'
+        message: 'Token Out:',
+        choices: (answers) => tokenRegistry.symbols().filter(symbol => symbol !== answers.tokenIn)
       },
       {
         type: 'input',
         name: 'amountIn',
-        message: 'Amount In (in ETH):',
+        message: 'Amount In (in Token In units):',
         default: '1.0',
         validate: (input) => !isNaN(parseFloat(input)) && parseFloat(input) > 0 || 'Invalid amount'
       },
       {
         type: 'input',
-        name: 'minAmountOut',
-        message: 'Minimum Amount Out (in ETH):',
-        default: '0.95',
-        validate: (input) => !isNaN(parseFloat(input)) && parseFloat(input) > 0 || 'Invalid amount'
+        name: 'price',
+        message: 'Quoted price (Token Out per 1 Token In):',
+        default: '1.0',
+        validate: (input) => !isNaN(parseFloat(input)) && parseFloat(input) > 0 || 'Invalid price'
+      },
+      {
+        type: 'input',
+        name: 'slippage',
+        message: 'Slippage tolerance (%):',
+        default: '0.5',
+        validate: (input) => !isNaN(parseFloat(input)) && parseFloat(input) >= 0 && parseFloat(input) <= 50 || 'Slippage must be between 0 and 50'
       },
       {
         type: 'input',
@@ -53,22 +59,24 @@ export async function submitSwapIntent(intentIdArg) {
       }
     ]);
 
+    const tokenIn = resolveToken(answers.tokenIn);
+    const tokenOut = resolveToken(answers.tokenOut);
+
     const spinner = ora(loadingText('Submitting swap intent')).start();
 
     const contract = await getContract('EncryptedSwap');
     
-    // Encode swap parameters
-    const deadline = Math.floor(Date.now() / 1000) + parseInt(answers.deadline);
-    const intentData = ethers.AbiCoder.defaultAbiCoder().encode(
-      ['address', 'address', 'uint256', 'uint256', 'uint256'],
-      [
-        answers.tokenIn,
-        answers.tokenOut,
-        parseAmount(answers.amountIn),
-        parseAmount(answers.minAmountOut),
-        deadline
-      ]
-    );
+    // Encode swap parameters with the shared codec (minAmountOut from price and slippage)
+    const { params, data: intentData } = buildSwapIntent({
+      tokenIn: tokenIn.address,
+      tokenOut: tokenOut.address,
+      amountIn: parseAmount(answers.amountIn, tokenIn.decimals),
+      price: answers.price,
+      decimalsIn: tokenIn.decimals,
+      decimalsOut: tokenOut.decimals,
+      slippageBps: Math.round(parseFloat(answers.slippage) * 100),
+      deadlineSeconds: parseInt(answers.deadline)
+    });
 
     // Submit intent
     const tx = await contract.submitSwapIntent(intentData);
@@ -93,7 +101,8 @@ export async function submitSwapIntent(intentIdArg) {
       
       displayTxHash(receipt.hash);
       displaySuccess(`Swap intent submitted successfully!`);
-      console.log(chalk.cyan(`Intent ID: ${intentId}\n`));
+      console.log(chalk.cyan(`Intent ID: ${intentId}`));
+      console.log(chalk.cyan(`Min Amount Out: ${formatAmount(params.minAmountOut, tokenOut.decimals)} ${tokenOut.symbol}\n`));
     } else {
       displayTxHash(receipt.hash);
       displaySuccess('Transaction confirmed!');
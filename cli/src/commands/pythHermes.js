@@ -2,7 +2,7 @@ import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
 import { ethers } from 'ethers';
-import { getContract, getSigner, waitForTransaction } from '../utils/blockchain.js';
+import { getContract, getSigner, waitForTransaction, tokenRegistry } from '../utils/blockchain.js';
 import { 
   displaySuccess, 
   displayError, 
@@ -17,11 +17,10 @@ import {
 const HERMES_URL = 'https://hermes.pyth.network';
 
 // Common Pyth Price Feed IDs
+// (feeds for tradable tokens come from the token registry)
 export const PRICE_FEED_IDS = {
-  'ETH/USD': '0xff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace',
+  ...Object.fromEntries(tokenRegistry.list().map(token => [token.priceSymbol, token.pythFeedId])),
   'BTC/USD': '0xe62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43',
-  'USDC/USD': '0xeaa020c61cc479712813461ce153894a96a6c00b21ed0cfc2798d1f9a9e9c94a',
-  'USDT/USD': '0x2b89b9dc8fdf9f34709a5b106b472f0f39bb6ca9ce04b0fd7f2e971688e2e53b',
   'SOL/USD': '0xef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d',
   'BNB/USD': '0x2f95862b045670cd22bee3114c39763a4a08beeb663b145d283c31d7d1101c4f',
   'AVAX/USD': '0x93da3352f9f1d105fdfe4971cfa80e9dd777bfc5d0f683ebb6e1294b92137bb7',
@@ -3,6 +3,7 @@ import { config } from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { TokenRegistry, DEFAULT_TOKENS, getTokenAddressOverrides } from '../../../shared/tokenRegistry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -25,6 +26,23 @@ const NETWORK_CONFIG = {
   chainId: parseInt(process.env.CHAIN_ID || '118')
 };
 
+// Token registry with this network's token addresses (<SYMBOL>_ADDRESS)
+export const tokenRegistry = new TokenRegistry(DEFAULT_TOKENS, getTokenAddressOverrides(process.env, NETWORK_CONFIG.chainId));
+
+// Resolve a token symbol to its address and decimals on the configured network
+export function resolveToken(symbol) {
+  const token = tokenRegistry.get(symbol);
+  return {
+    ...token,
+    address: tokenRegistry.getAddress(token.symbol, NETWORK_CONFIG.chainId)
+  };
+}
+
+// Find a registry token from its address on the configured network
+export function findTokenByAddress(address) {
+  return tokenRegistry.findByAddress(address, NETWORK_CONFIG.chainId);
+}
+
 // Get provider
 export function getProvider() {
   return new ethers.JsonRpcProvider(NETWORK_CONFIG.rpcUrl);
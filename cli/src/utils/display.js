@@ -1,5 +1,8 @@
 import chalk from 'chalk';
 import { table } from 'table';
+import { ethers } from 'ethers';
+import { decodeSwapIntent } from '../../../shared/swapIntentCodec.js';
+import { findTokenByAddress } from './blockchain.js';
 
 // Display banner
 export function displayBanner() {
@@ -109,9 +112,35 @@ export function displaySwapIntent(intent, intentId) {
     ['Intent Data', `${intent.intentData.slice(0, 20)}...`]
   ];
   
+  // Show the swap parameters when the intent data is the ABI-encoded tuple
+  try {
+    const params = decodeSwapIntent(intent.intentData);
+    const tokenIn = findTokenByAddress(params.tokenIn);
+    const tokenOut = findTokenByAddress(params.tokenOut);
+    data.push(
+      ['Token In', formatIntentToken(params.tokenIn, tokenIn)],
+      ['Token Out', formatIntentToken(params.tokenOut, tokenOut)],
+      ['Amount In', formatIntentAmount(params.amountIn, tokenIn)],
+      ['Min Amount Out', formatIntentAmount(params.minAmountOut, tokenOut)],
+      ['Deadline', formatTimestamp(params.deadline)]
+    );
+  } catch {
+    // Opaque (encrypted or legacy) intent data
+  }
+  
   displayTable(data);
 }
 
+// Token symbol when it is in the registry, otherwise the raw address
+function formatIntentToken(address, token) {
+  return token ? `${token.symbol} (${formatDisplayAddress(address)})` : formatDisplayAddress(address);
+}
+
+// Amount in token units when the token is known, otherwise base units
+function formatIntentAmount(amount, token) {
+  return token ? `${ethers.formatUnits(amount, token.decimals)} ${token.symbol}` : `${amount.toString()} (base units)`;
+}
+
 // Display lending account details
 export function displayLendingAccount(account, userAddress) {
   displaySection('Lending Account Details');
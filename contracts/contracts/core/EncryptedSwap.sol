@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "../arcology/AtomicCounter.sol";
 import "../oracle/CustomPriceOracle.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 
 /**
  * @title EncryptedSwap
@@ -24,8 +25,12 @@ import "../oracle/CustomPriceOracle.sol";
  * - AtomicCounter for conflict-resistant aggregate metrics
  * - Per-user storage isolation for maximum parallelism
  * - Expected Performance: 10k-15k TPS
+ *
+ * Gasless Relay:
+ * - Trusts FisherForwarder (ERC-2771): calls it forwards act for the user who
+ *   signed them, while the Fisher pays the gas
  */
-contract EncryptedSwap {
+contract EncryptedSwap is ERC2771Context {
     address public owner;
     CustomPriceOracle public priceOracle;
     
@@ -62,14 +67,14 @@ contract EncryptedSwap {
     error PriceStale();
 
     modifier onlyOwner() {
-        if (msg.sender != owner) {
+        if (_msgSender() != owner) {
             revert NotOwner();
         }
         _;
     }
 
-    constructor(address _priceOracleAddress) {
-        owner = msg.sender;
+    constructor(address _priceOracleAddress, address _trustedForwarder) ERC2771Context(_trustedForwarder) {
+        owner = _msgSender();
         priceOracle = CustomPriceOracle(_priceOracleAddress);
         
         // Deploy Arcology-optimized AtomicCounters
@@ -87,20 +92,20 @@ contract EncryptedSwap {
         external 
         returns (bytes32) 
     {
-        uint256 nonce = userSwapCount[msg.sender]++;
-        bytes32 intentId = keccak256(abi.encodePacked(msg.sender, nonce, block.timestamp, _intentData));
+        uint256 nonce = userSwapCount[_msgSender()]++;
+        bytes32 intentId = keccak256(abi.encodePacked(_msgSender(), nonce, block.timestamp, _intentData));
         
         require(swapIntents[intentId].timestamp == 0, "Intent already exists");
 
         swapIntents[intentId] = SwapIntent({
-            user: msg.sender,
+            user: _msgSender(),
             intentData: _intentData,
             timestamp: block.timestamp,
             executed: false,
             cancelled: false
         });
 
-        emit SwapIntentSubmitted(msg.sender, intentId, block.timestamp);
+        emit SwapIntentSubmitted(_msgSender(), intentId, block.timestamp);
         return intentId;
     }
 
@@ -149,7 +154,7 @@ contract EncryptedSwap {
         SwapIntent storage intent = swapIntents[_intentId];
         
         if (intent.timestamp == 0) revert IntentNotFound();
-        if (intent.user != msg.sender && msg.sender != owner) revert NotIntentOwner();
+        if (intent.user != _msgSender() && _msgSender() != owner) revert NotIntentOwner();
         if (intent.executed || intent.cancelled) revert IntentAlreadyProcessed();
 
         intent.cancelled = true;
@@ -177,7 +182,7 @@ contract EncryptedSwap {
         SwapIntent memory intent = swapIntents[_intentId];
         
         // Privacy: only owner or intent creator can view details
-        if (intent.user != msg.sender && msg.sender != owner) {
+        if (intent.user != _msgSender() && _msgSender() != owner) {
             revert NotIntentOwner();
         }
         
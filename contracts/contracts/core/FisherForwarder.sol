@@ -0,0 +1,167 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title FisherForwarder
+ * @notice Gasless relay for Shadow Economy: users sign, Fisher bots submit and pay gas
+ * @dev ERC-2771 trusted forwarder with per-user relay fee balances
+ *
+ * Flow:
+ * - The user signs an EIP-712 ForwardRequest for a target (EncryptedSwap, SimpleLending)
+ *   and a RelayFee capping the gas price it may be charged at
+ * - An authorized Fisher calls relay() and pays the gas
+ * - The target sees the user as _msgSender()
+ * - The gas used (plus RELAY_OVERHEAD_GAS) at the tx gas price, or the user's
+ *   cap if lower, is charged to the user's relay fee balance and paid to the Fisher
+ *
+ * Fee balances are topped up with depositFor() by the user or anyone sponsoring them.
+ */
+contract FisherForwarder is ERC2771Forwarder {
+    // Gas spent outside the metered section: calldata, signature check, fee transfer
+    uint256 public constant RELAY_OVERHEAD_GAS = 50000;
+
+    // Signed with each request's forwarder nonce, so the cap covers that request only
+    bytes32 public constant RELAY_FEE_TYPEHASH =
+        keccak256("RelayFee(address from,uint256 nonce,uint256 maxFeePerGas)");
+
+    address public owner;
+
+    mapping(address => bool) public relayers;
+    mapping(address => uint256) public feeBalance;
+
+    event RelayerUpdated(address indexed relayer, bool allowed);
+    event FeeDeposited(address indexed user, address indexed from, uint256 amount);
+    event FeeWithdrawn(address indexed user, uint256 amount);
+    event Relayed(address indexed user, address indexed relayer, address indexed target, uint256 fee);
+
+    error NotOwner();
+    error NotRelayer(address caller);
+    error InvalidAmount();
+    error ValueNotSupported();
+    error InsufficientFeeBalance(address user, uint256 required, uint256 available);
+    error InvalidFeeSignature(address user);
+    error RelayedCallFailed();
+    error TransferFailed();
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) {
+            revert NotOwner();
+        }
+        _;
+    }
+
+    constructor() ERC2771Forwarder("FisherForwarder") {
+        owner = msg.sender;
+    }
+
+    /**
+     * @notice Allow or revoke a Fisher relayer
+     */
+    function setRelayer(address _relayer, bool _allowed) external onlyOwner {
+        relayers[_relayer] = _allowed;
+        emit RelayerUpdated(_relayer, _allowed);
+    }
+
+    /**
+     * @notice Top up a user's relay fee balance
+     * @param _user User whose relayed calls the deposit pays for
+     */
+    function depositFor(address _user) external payable {
+        if (msg.value == 0) revert InvalidAmount();
+        feeBalance[_user] += msg.value;
+        emit FeeDeposited(_user, msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Withdraw unused relay fee balance
+     */
+    function withdrawFee(uint256 _amount) external {
+        if (_amount == 0 || _amount > feeBalance[msg.sender]) revert InvalidAmount();
+        feeBalance[msg.sender] -= _amount;
+
+        (bool sent, ) = payable(msg.sender).call{value: _amount}("");
+        if (!sent) revert TransferFailed();
+
+        emit FeeWithdrawn(msg.sender, _amount);
+    }
+
+    /**
+     * @notice Gas price a relay is charged at: the Fisher's tx gas price, capped by the user
+     */
+    function feeGasPrice(uint256 _maxFeePerGas) public view returns (uint256) {
+        return tx.gasprice < _maxFeePerGas ? tx.gasprice : _maxFeePerGas;
+    }
+
+    /**
+     * @notice Most a request can be charged at the current gas price and the user's cap
+     */
+    function maxFee(ForwardRequestData calldata _request, uint256 _maxFeePerGas) public view returns (uint256) {
+        return (_request.gas + RELAY_OVERHEAD_GAS) * feeGasPrice(_maxFeePerGas);
+    }
+
+    /**
+     * @notice Execute a user's signed request, charging its gas to their fee balance
+     * @dev Reverts (consuming no nonce and charging nothing) if the call fails, with
+     * the call's revert data so callers see the target's custom error
+     * @param _request Signed ERC-2771 forward request
+     * @param _maxFeePerGas Highest gas price the user agreed to be charged at
+     * @param _feeSignature User's EIP-712 RelayFee signature over the cap and the request nonce
+     * @return fee Amount charged to the user and paid to the Fisher
+     */
+    function relay(
+        ForwardRequestData calldata _request,
+        uint256 _maxFeePerGas,
+        bytes calldata _feeSignature
+    ) external returns (uint256 fee) {
+        uint256 startGas = gasleft();
+
+        if (!relayers[msg.sender]) revert NotRelayer(msg.sender);
+        // Value would be paid out of other users' fee balances
+        if (_request.value != 0) revert ValueNotSupported();
+
+        bytes32 feeHash = _hashTypedDataV4(
+            keccak256(abi.encode(RELAY_FEE_TYPEHASH, _request.from, nonces(_request.from), _maxFeePerGas))
+        );
+        (address feeSigner, ECDSA.RecoverError err, ) = ECDSA.tryRecover(feeHash, _feeSignature);
+        if (err != ECDSA.RecoverError.NoError || feeSigner != _request.from) revert InvalidFeeSignature(_request.from);
+
+        uint256 available = feeBalance[_request.from];
+        uint256 required = maxFee(_request, _maxFeePerGas);
+        if (available < required) revert InsufficientFeeBalance(_request.from, required, available);
+
+        if (!_execute(_request, true)) {
+            // _execute makes no call after the forwarded one, so the return
+            // data is still the target's revert data
+            bytes memory data = _returnData();
+            if (data.length == 0) revert RelayedCallFailed();
+            assembly {
+                revert(add(data, 32), mload(data))
+            }
+        }
+
+        // Never more than the user was checked for
+        fee = (startGas - gasleft() + RELAY_OVERHEAD_GAS) * feeGasPrice(_maxFeePerGas);
+        if (fee > required) fee = required;
+        feeBalance[_request.from] = available - fee;
+
+        (bool sent, ) = payable(msg.sender).call{value: fee}("");
+        if (!sent) revert TransferFailed();
+
+        emit Relayed(_request.from, msg.sender, _request.to, fee);
+    }
+
+    /**
+     * @notice Return data of the last external call
+     */
+    function _returnData() private pure returns (bytes memory data) {
+        assembly {
+            data := mload(0x40)
+            mstore(data, returndatasize())
+            returndatacopy(add(data, 32), 0, returndatasize())
+            mstore(0x40, add(add(data, 32), returndatasize()))
+        }
+    }
+}
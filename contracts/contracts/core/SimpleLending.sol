@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "../arcology/AtomicCounter.sol";
 import "../oracle/CustomPriceOracle.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 
 /**
  * @title SimpleLending
@@ -19,8 +20,12 @@ import "../oracle/CustomPriceOracle.sol";
  * - AtomicCounter for total deposits/borrows (conflict-resistant)
  * - Per-user storage isolation for maximum parallelism
  * - Expected Performance: 10k-15k TPS
+ *
+ * Gasless Relay:
+ * - Trusts FisherForwarder (ERC-2771): calls it forwards act for the user who
+ *   signed them, while the Fisher pays the gas
  */
-contract SimpleLending {
+contract SimpleLending is ERC2771Context {
     address public owner;
     CustomPriceOracle public priceOracle;
     
@@ -62,14 +67,14 @@ contract SimpleLending {
     error InvalidAmount();
 
     modifier onlyOwner() {
-        if (msg.sender != owner) {
+        if (_msgSender() != owner) {
             revert NotOwner();
         }
         _;
     }
 
-    constructor(address _priceOracleAddress) {
-        owner = msg.sender;
+    constructor(address _priceOracleAddress, address _trustedForwarder) ERC2771Context(_trustedForwarder) {
+        owner = _msgSender();
         priceOracle = CustomPriceOracle(_priceOracleAddress);
         
         // Deploy Arcology-optimized AtomicCounters
@@ -86,7 +91,7 @@ contract SimpleLending {
     function deposit(uint256 _amount) external {
         if (_amount == 0) revert InvalidAmount();
         
-        UserAccount storage account = accounts[msg.sender];
+        UserAccount storage account = accounts[_msgSender()];
         
         account.deposited += _amount;
         account.lastUpdate = block.timestamp;
@@ -94,7 +99,7 @@ contract SimpleLending {
         // Arcology-optimized: AtomicCounter for conflict-resistant updates
         totalDeposits.increment(_amount);
         
-        emit Deposited(msg.sender, _amount, block.timestamp);
+        emit Deposited(_msgSender(), _amount, block.timestamp);
     }
 
     /**
@@ -105,7 +110,7 @@ contract SimpleLending {
     function withdraw(uint256 _amount) external {
         if (_amount == 0) revert InvalidAmount();
         
-        UserAccount storage account = accounts[msg.sender];
+        UserAccount storage account = accounts[_msgSender()];
         
         if (account.deposited < _amount) revert InsufficientBalance();
         
@@ -118,7 +123,7 @@ contract SimpleLending {
         
         totalDeposits.decrement(_amount);
         
-        emit Withdrawn(msg.sender, _amount, block.timestamp);
+        emit Withdrawn(_msgSender(), _amount, block.timestamp);
     }
 
     /**
@@ -130,7 +135,7 @@ contract SimpleLending {
     function addCollateral(uint256 _amount, address _collateralToken) external {
         if (_amount == 0) revert InvalidAmount();
         
-        UserAccount storage account = accounts[msg.sender];
+        UserAccount storage account = accounts[_msgSender()];
         
         account.collateral += _amount;
         account.collateralToken = _collateralToken;
@@ -138,7 +143,7 @@ contract SimpleLending {
         
         totalCollateral.increment(_amount);
         
-        emit CollateralAdded(msg.sender, _amount, block.timestamp);
+        emit CollateralAdded(_msgSender(), _amount, block.timestamp);
     }
 
     /**
@@ -149,7 +154,7 @@ contract SimpleLending {
     function borrow(uint256 _borrowAmount) external {
         if (_borrowAmount == 0) revert InvalidAmount();
         
-        UserAccount storage account = accounts[msg.sender];
+        UserAccount storage account = accounts[_msgSender()];
         
         if (account.collateral == 0) revert InsufficientCollateral();
         
@@ -175,7 +180,7 @@ contract SimpleLending {
         
         totalBorrows.increment(_borrowAmount);
         
-        emit Borrowed(msg.sender, _borrowAmount, account.collateral, block.timestamp);
+        emit Borrowed(_msgSender(), _borrowAmount, account.collateral, block.timestamp);
     }
 
     /**
@@ -186,7 +191,7 @@ contract SimpleLending {
     function repay(uint256 _amount) external {
         if (_amount == 0) revert InvalidAmount();
         
-        UserAccount storage account = accounts[msg.sender];
+        UserAccount storage account = accounts[_msgSender()];
         
         if (account.borrowed == 0) revert NoBorrowToRepay();
         if (account.borrowed < _amount) revert InvalidAmount();
@@ -196,7 +201,7 @@ contract SimpleLending {
         
         totalBorrows.decrement(_amount);
         
-        emit Repaid(msg.sender, _amount, block.timestamp);
+        emit Repaid(_msgSender(), _amount, block.timestamp);
     }
 
     /**
@@ -207,7 +212,7 @@ contract SimpleLending {
     function withdrawCollateral(uint256 _amount) external {
         if (_amount == 0) revert InvalidAmount();
         
-        UserAccount storage account = accounts[msg.sender];
+        UserAccount storage account = accounts[_msgSender()];
         
         if (account.collateral < _amount) revert InsufficientBalance();
         
@@ -224,7 +229,7 @@ contract SimpleLending {
         
         totalCollateral.decrement(_amount);
         
-        emit CollateralWithdrawn(msg.sender, _amount, block.timestamp);
+        emit CollateralWithdrawn(_msgSender(), _amount, block.timestamp);
     }
 
     /**
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockFisherRewards
+ * @notice Local stand-in for the EVVM Fisher reward contract
+ * @dev DO NOT USE IN PRODUCTION - Pays Fisher reward claims from its own ETH balance
+ *
+ * Implements the interface the Fisher bots claim against (bots/abi/FisherRewards.json):
+ * each claim carries an id derived from the ledger entries it covers, so the same
+ * rewards cannot be claimed twice.
+ */
+contract MockFisherRewards {
+    mapping(bytes32 => bool) public claimed;
+    mapping(address => uint256) public totalClaimed;
+
+    event RewardsFunded(address indexed from, uint256 amount);
+    event RewardsClaimed(address indexed fisher, bytes32 indexed claimId, uint256 amount);
+
+    error AlreadyClaimed(bytes32 claimId);
+    error InvalidAmount();
+    error InsufficientRewardBalance(uint256 requested, uint256 available);
+    error TransferFailed();
+
+    receive() external payable {
+        emit RewardsFunded(msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Claim Fisher rewards to the caller
+     * @param _claimId Id of the ledger entries being claimed
+     * @param _amount Reward amount in wei
+     */
+    function claimRewards(bytes32 _claimId, uint256 _amount) external returns (uint256) {
+        if (claimed[_claimId]) revert AlreadyClaimed(_claimId);
+        if (_amount == 0) revert InvalidAmount();
+        if (_amount > address(this).balance) revert InsufficientRewardBalance(_amount, address(this).balance);
+
+        claimed[_claimId] = true;
+        totalClaimed[msg.sender] += _amount;
+
+        (bool sent, ) = payable(msg.sender).call{value: _amount}("");
+        if (!sent) revert TransferFailed();
+
+        emit RewardsClaimed(msg.sender, _claimId, _amount);
+        return _amount;
+    }
+}
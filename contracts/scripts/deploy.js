@@ -5,6 +5,7 @@ const path = require("path");
 async function main() {
   const networkName = hre.network.name;
   const isArcology = networkName.includes("arcology");
+  const isLocal = ["hardhat", "localhost"].includes(networkName);
   
   console.log("═".repeat(80));
   console.log("🚀 SHADOW ECONOMY - ARCOLOGY DEPLOYMENT (MVP)");
@@ -32,7 +33,7 @@ async function main() {
   console.log("   ✓ No dependency on Pyth on-chain contracts\n");
 
   // Deploy CustomPriceOracle (Pyth Hermes API integration without on-chain dependency)
-  console.log("1/3 Deploying CustomPriceOracle for real price feeds...");
+  console.log("1/4 Deploying CustomPriceOracle for real price feeds...");
   const priceOracle = await hre.ethers.deployContract("CustomPriceOracle");
   await priceOracle.waitForDeployment();
   const oracleAddress = await priceOracle.getAddress();
@@ -41,9 +42,22 @@ async function main() {
   console.log("   - Fisher bots update prices on-chain");
   console.log("   - No mock data - production-ready oracle integration\n");
 
+  // Deploy FisherForwarder (gasless relay: users sign, Fisher bots pay gas)
+  console.log("2/4 Deploying FisherForwarder for gasless relay...");
+  const [deployer] = await hre.ethers.getSigners();
+  const fisherForwarder = await hre.ethers.deployContract("FisherForwarder");
+  await fisherForwarder.waitForDeployment();
+  const forwarderAddress = await fisherForwarder.getAddress();
+  const relayerAddress = process.env.FISHER_RELAYER_ADDRESS || deployer.address;
+  await (await fisherForwarder.setRelayer(relayerAddress, true)).wait();
+  console.log(`✅ FisherForwarder deployed: ${forwarderAddress}`);
+  console.log(`   - Fisher relayer authorized: ${relayerAddress}`);
+  console.log("   - Gas charged to users' relay fee balances (depositFor)");
+  console.log("   - Trusted by EncryptedSwap and SimpleLending (ERC-2771)\n");
+
   // Deploy EncryptedSwap (parallel swap execution)
-  console.log("2/3 Deploying EncryptedSwap for parallel private swaps...");
-  const encryptedSwap = await hre.ethers.deployContract("EncryptedSwap", [oracleAddress]);
+  console.log("3/4 Deploying EncryptedSwap for parallel private swaps...");
+  const encryptedSwap = await hre.ethers.deployContract("EncryptedSwap", [oracleAddress, forwarderAddress]);
   await encryptedSwap.waitForDeployment();
   const swapAddress = await encryptedSwap.getAddress();
   console.log(`✅ EncryptedSwap deployed: ${swapAddress}`);
@@ -52,8 +66,8 @@ async function main() {
   console.log("   - Optimized for Arcology parallel execution\n");
 
   // Deploy SimpleLending (parallel lending protocol)
-  console.log("3/3 Deploying SimpleLending for parallel lending operations...");
-  const simpleLending = await hre.ethers.deployContract("SimpleLending", [oracleAddress]);
+  console.log("4/4 Deploying SimpleLending for parallel lending operations...");
+  const simpleLending = await hre.ethers.deployContract("SimpleLending", [oracleAddress, forwarderAddress]);
   await simpleLending.waitForDeployment();
   const lendingAddress = await simpleLending.getAddress();
   console.log(`✅ SimpleLending deployed: ${lendingAddress}`);
@@ -62,6 +76,21 @@ async function main() {
   console.log("   - CustomPriceOracle integration for collateral pricing");
   console.log("   - AtomicCounter for parallel metrics\n");
 
+  // Fisher reward claims: a funded local stand-in unless a reward contract is configured
+  let fisherRewardsAddress = process.env.FISHER_REWARDS_ADDRESS || "";
+  if (isLocal && !fisherRewardsAddress) {
+    console.log("Local network: Deploying MockFisherRewards for Fisher reward claims...");
+    const fisherRewards = await hre.ethers.deployContract("MockFisherRewards");
+    await fisherRewards.waitForDeployment();
+    fisherRewardsAddress = await fisherRewards.getAddress();
+
+    const funding = hre.ethers.parseEther(process.env.FISHER_REWARDS_FUNDING || "1");
+    await (await deployer.sendTransaction({ to: fisherRewardsAddress, value: funding })).wait();
+    console.log(`✅ MockFisherRewards deployed: ${fisherRewardsAddress}`);
+    console.log(`   - Funded with ${hre.ethers.formatEther(funding)} ETH for reward claims`);
+    console.log("   - Local stand-in only; set FISHER_REWARDS_ADDRESS on other networks\n");
+  }
+
   // Get AtomicCounter addresses from EncryptedSwap
   const swapVolumeCounter = await encryptedSwap.totalSwapVolume();
   const swapCountCounter = await encryptedSwap.totalSwapCount();
@@ -78,8 +107,10 @@ async function main() {
     timestamp: new Date().toISOString(),
     contracts: {
       CustomPriceOracle: oracleAddress,
+      FisherForwarder: forwarderAddress,
       EncryptedSwap: swapAddress,
-      SimpleLending: lendingAddress
+      SimpleLending: lendingAddress,
+      ...(fisherRewardsAddress && { FisherRewards: fisherRewardsAddress })
     },
     atomicCounters: {
       swapVolume: swapVolumeCounter,
@@ -97,8 +128,10 @@ async function main() {
   console.log("═".repeat(80));
   console.log("\n📝 Contract Addresses:\n");
   console.log(`CUSTOM_PRICE_ORACLE_ADDRESS=${oracleAddress}`);
+  console.log(`FISHER_FORWARDER_ADDRESS=${forwarderAddress}`);
   console.log(`ENCRYPTED_SWAP_ADDRESS=${swapAddress}`);
   console.log(`SIMPLE_LENDING_ADDRESS=${lendingAddress}`);
+  console.log(`FISHER_REWARDS_ADDRESS=${fisherRewardsAddress}`);
   
   console.log("\n🔢 AtomicCounter Instances (Arcology Optimization):\n");
   console.log(`Swap Volume Counter: ${swapVolumeCounter}`);
@@ -122,8 +155,10 @@ PYTH_HERMES_URL=https://hermes.pyth.network
 
 # Contract Addresses
 CUSTOM_PRICE_ORACLE_ADDRESS=${oracleAddress}
+FISHER_FORWARDER_ADDRESS=${forwarderAddress}
 ENCRYPTED_SWAP_ADDRESS=${swapAddress}
 SIMPLE_LENDING_ADDRESS=${lendingAddress}
+FISHER_REWARDS_ADDRESS=${fisherRewardsAddress}
 
 # AtomicCounter Addresses
 SWAP_VOLUME_COUNTER=${swapVolumeCounter}
@@ -154,6 +189,7 @@ COLLATERAL_COUNTER=${collateralCounter}
   console.log("3. ✓ AtomicCounters deployed for parallel execution");
   console.log("4. → Set price IDs: oracle.setPriceId(tokenAddress, pythPriceId)");
   console.log("5. → Authorize Fisher bots: oracle.setAuthorizedUpdater(botAddress, true)");
+  console.log("   (and forwarder.setRelayer(botAddress, true) if FISHER_RELAYER_ADDRESS was not set)");
   console.log("6. → Start Fisher bot price updates from Hermes API");
   console.log("7. → Test parallel swaps with multiple users");
   console.log("8. → Test parallel lending operations\n");
@@ -0,0 +1,36 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const path = require("path");
+
+/**
+ * Bot ABI Tests
+ *
+ * The bots call the contracts through hand-copied ABIs in bots/abi. Every
+ * function, event and error must match the compiled artifact, or calls encode
+ * the wrong calldata and event filters never match a real log.
+ */
+
+const BOT_ABI_DIR = path.join(__dirname, "..", "..", "bots", "abi");
+
+// Contracts the bots talk to, by artifact name
+const BOT_CONTRACTS = ["EncryptedSwap", "FisherForwarder", "SimpleLending"];
+
+function selectors(abi) {
+  const iface = new ethers.Interface(abi);
+  const entries = [];
+  iface.forEachFunction((fragment) => entries.push(`${fragment.format("sighash")} ${fragment.selector}`));
+  iface.forEachEvent((fragment) => entries.push(`event ${fragment.format("sighash")} ${fragment.topicHash}`));
+  iface.forEachError((fragment) => entries.push(`error ${fragment.format("sighash")} ${fragment.selector}`));
+  return entries.sort();
+}
+
+describe("Bot ABIs", function () {
+  for (const name of BOT_CONTRACTS) {
+    it(`bots/abi/${name}.json matches the compiled ${name}`, async function () {
+      const artifact = await artifacts.readArtifact(name);
+      const botAbi = require(path.join(BOT_ABI_DIR, `${name}.json`)).abi;
+
+      expect(selectors(botAbi)).to.deep.equal(selectors(artifact.abi));
+    });
+  }
+});
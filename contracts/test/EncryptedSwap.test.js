@@ -42,7 +42,7 @@ describe("EncryptedSwap - Arcology Parallel Execution", function () {
 
     // Deploy EncryptedSwap
     const EncryptedSwap = await ethers.getContractFactory("EncryptedSwap");
-    encryptedSwap = await EncryptedSwap.deploy(await priceOracle.getAddress());
+    encryptedSwap = await EncryptedSwap.deploy(await priceOracle.getAddress(), ethers.ZeroAddress);
     await encryptedSwap.waitForDeployment();
 
     // Configure price IDs
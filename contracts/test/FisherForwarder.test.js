@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("FisherForwarder - Gasless Relay", function () {
+  let forwarder;
+  let simpleLending;
+  let owner, fisher, user1, user2;
+
+  const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "gas", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint48" },
+      { name: "data", type: "bytes" },
+    ],
+  };
+
+  const RELAY_FEE_TYPES = {
+    RelayFee: [
+      { name: "from", type: "address" },
+      { name: "nonce", type: "uint256" },
+      { name: "maxFeePerGas", type: "uint256" },
+    ],
+  };
+
+  async function getDomain() {
+    const { chainId } = await ethers.provider.getNetwork();
+    return { name: "FisherForwarder", version: "1", chainId, verifyingContract: await forwarder.getAddress() };
+  }
+
+  // User-signed request to call SimpleLending.deposit
+  async function signDeposit(user, amount, overrides = {}) {
+    const block = await ethers.provider.getBlock("latest");
+    const request = {
+      from: user.address,
+      to: await simpleLending.getAddress(),
+      value: 0n,
+      gas: 200000n,
+      nonce: await forwarder.nonces(user.address),
+      deadline: block.timestamp + 3600,
+      data: simpleLending.interface.encodeFunctionData("deposit", [amount]),
+      ...overrides,
+    };
+    const signature = await user.signTypedData(await getDomain(), FORWARD_REQUEST_TYPES, request);
+    return { ...request, signature };
+  }
+
+  // User-signed cap on the gas price a request is charged at
+  async function signFee(user, request, maxFeePerGas = ethers.parseUnits("100", "gwei")) {
+    const fee = { from: user.address, nonce: request.nonce, maxFeePerGas };
+    return [maxFeePerGas, await user.signTypedData(await getDomain(), RELAY_FEE_TYPES, fee)];
+  }
+
+  beforeEach(async function () {
+    [owner, fisher, user1, user2] = await ethers.getSigners();
+
+    const CustomPriceOracle = await ethers.getContractFactory("CustomPriceOracle");
+    const priceOracle = await CustomPriceOracle.deploy();
+    await priceOracle.waitForDeployment();
+
+    const FisherForwarder = await ethers.getContractFactory("FisherForwarder");
+    forwarder = await FisherForwarder.deploy();
+    await forwarder.waitForDeployment();
+
+    const SimpleLending = await ethers.getContractFactory("SimpleLending");
+    simpleLending = await SimpleLending.deploy(await priceOracle.getAddress(), await forwarder.getAddress());
+    await simpleLending.waitForDeployment();
+
+    await forwarder.connect(owner).setRelayer(fisher.address, true);
+    await forwarder.connect(user2).depositFor(user1.address, { value: ethers.parseEther("0.1") });
+  });
+
+  it("Should execute a signed call as the user and charge the fee balance", async function () {
+    const amount = ethers.parseEther("5");
+    const request = await signDeposit(user1, amount);
+    const fisherBalanceBefore = await ethers.provider.getBalance(fisher.address);
+
+    const tx = await forwarder.connect(fisher).relay(request, ...(await signFee(user1, request)));
+    const receipt = await tx.wait();
+
+    await expect(tx).to.emit(simpleLending, "Deposited");
+    const account = await simpleLending.getAccount(user1.address);
+    expect(account.deposited).to.equal(amount);
+
+    // The Fisher is repaid from the user's fee balance
+    const fee = ethers.parseEther("0.1") - (await forwarder.feeBalance(user1.address));
+    expect(fee).to.be.gt(0n);
+    await expect(tx).to.emit(forwarder, "Relayed").withArgs(user1.address, fisher.address, await simpleLending.getAddress(), fee);
+    const gasCost = receipt.gasUsed * receipt.gasPrice;
+    expect(await ethers.provider.getBalance(fisher.address)).to.equal(fisherBalanceBefore - gasCost + fee);
+  });
+
+  it("Should only accept relays from authorized Fishers", async function () {
+    const request = await signDeposit(user1, 1n);
+
+    await expect(forwarder.connect(user2).relay(request, ...(await signFee(user1, request))))
+      .to.be.revertedWithCustomError(forwarder, "NotRelayer")
+      .withArgs(user2.address);
+  });
+
+  it("Should revert when the fee balance cannot cover the request", async function () {
+    const request = await signDeposit(user2, 1n);
+
+    await expect(forwarder.connect(fisher).relay(request, ...(await signFee(user2, request))))
+      .to.be.revertedWithCustomError(forwarder, "InsufficientFeeBalance");
+  });
+
+  it("Should charge at most the user's signed gas price", async function () {
+    const request = await signDeposit(user1, 1n);
+    const cap = ethers.parseUnits("1", "gwei");
+
+    // The Fisher pays 50 gwei, the user only agreed to 1 gwei
+    const tx = await forwarder.connect(fisher).relay(request, ...(await signFee(user1, request, cap)), {
+      gasPrice: ethers.parseUnits("50", "gwei"),
+    });
+    await tx.wait();
+
+    const fee = ethers.parseEther("0.1") - (await forwarder.feeBalance(user1.address));
+    expect(fee).to.be.gt(0n);
+    expect(fee).to.be.lte((request.gas + (await forwarder.RELAY_OVERHEAD_GAS())) * cap);
+    expect(fee % cap).to.equal(0n);
+  });
+
+  it("Should reject fee caps not signed by the user for the request", async function () {
+    const request = await signDeposit(user1, 1n);
+    const [cap, feeSignature] = await signFee(user1, request);
+
+    await expect(forwarder.connect(fisher).relay(request, cap * 2n, feeSignature))
+      .to.be.revertedWithCustomError(forwarder, "InvalidFeeSignature")
+      .withArgs(user1.address);
+
+    // A cap signed for another nonce does not carry over
+    const [, staleSignature] = await signFee(user1, { nonce: request.nonce + 1n }, cap);
+    await expect(forwarder.connect(fisher).relay(request, cap, staleSignature))
+      .to.be.revertedWithCustomError(forwarder, "InvalidFeeSignature");
+  });
+
+  it("Should revert with the target's error when the relayed call fails", async function () {
+    const request = await signDeposit(user1, 0n);
+    const fee = await signFee(user1, request);
+
+    await expect(forwarder.connect(fisher).relay(request, ...fee))
+      .to.be.revertedWithCustomError(simpleLending, "InvalidAmount");
+    expect(await forwarder.nonces(user1.address)).to.equal(request.nonce);
+  });
+
+  it("Should reject replays and requests carrying value", async function () {
+    const request = await signDeposit(user1, 1n);
+    const fee = await signFee(user1, request);
+    await forwarder.connect(fisher).relay(request, ...fee);
+
+    await expect(forwarder.connect(fisher).relay(request, ...fee)).to.be.reverted;
+    const withValue = await signDeposit(user1, 1n, { value: 1n });
+    await expect(forwarder.connect(fisher).relay(withValue, ...(await signFee(user1, withValue))))
+      .to.be.revertedWithCustomError(forwarder, "ValueNotSupported");
+  });
+
+  it("Should let users withdraw unused fee balance", async function () {
+    await expect(forwarder.connect(user1).withdrawFee(ethers.parseEther("0.04")))
+      .to.emit(forwarder, "FeeWithdrawn")
+      .withArgs(user1.address, ethers.parseEther("0.04"));
+    expect(await forwarder.feeBalance(user1.address)).to.equal(ethers.parseEther("0.06"));
+
+    await expect(forwarder.connect(user1).withdrawFee(ethers.parseEther("1")))
+      .to.be.revertedWithCustomError(forwarder, "InvalidAmount");
+  });
+});
@@ -38,12 +38,12 @@ describe("Integration Tests - Arcology Parallel Execution", function () {
 
     // Deploy EncryptedSwap
     const EncryptedSwap = await ethers.getContractFactory("EncryptedSwap");
-    encryptedSwap = await EncryptedSwap.deploy(await priceOracle.getAddress());
+    encryptedSwap = await EncryptedSwap.deploy(await priceOracle.getAddress(), ethers.ZeroAddress);
     await encryptedSwap.waitForDeployment();
 
     // Deploy SimpleLending
     const SimpleLending = await ethers.getContractFactory("SimpleLending");
-    simpleLending = await SimpleLending.deploy(await priceOracle.getAddress());
+    simpleLending = await SimpleLending.deploy(await priceOracle.getAddress(), ethers.ZeroAddress);
     await simpleLending.waitForDeployment();
 
     // Configure price IDs
@@ -27,7 +27,7 @@ describe("SimpleLending - Arcology Parallel Execution", function () {
 
     // Deploy SimpleLending
     const SimpleLending = await ethers.getContractFactory("SimpleLending");
-    simpleLending = await SimpleLending.deploy(await priceOracle.getAddress());
+    simpleLending = await SimpleLending.deploy(await priceOracle.getAddress(), ethers.ZeroAddress);
     await simpleLending.waitForDeployment();
 
     // Configure price IDs in CustomPriceOracle
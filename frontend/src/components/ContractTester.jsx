@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import { ethers } from 'ethers';
 import { getContractAddresses, CONTRACT_ABIS } from '../config/contracts';
+import { tokenRegistry } from '../config/tokens';
+import { buildSwapIntent } from '../../../shared/swapIntentCodec.js';
 
 const ContractTester = () => {
   const [provider, setProvider] = useState(null);
@@ -91,15 +93,25 @@ Contracts loaded: ${Object.keys(contractInstances).length}`);
       let tx, receipt;
       switch (action) {
         case 'submitIntent':
-          const encryptedData = ethers.toUtf8Bytes(data.intent || 'test_intent');
-          tx = await contracts.encryptedSwap.submitSwapIntent(encryptedData, data.nonce || 1);
+          const tokenIn = tokenRegistry.get(data.tokenIn);
+          const tokenOut = tokenRegistry.get(data.tokenOut);
+          const { params, data: intentData } = buildSwapIntent({
+            tokenIn: tokenRegistry.getAddress(tokenIn.symbol, chainId),
+            tokenOut: tokenRegistry.getAddress(tokenOut.symbol, chainId),
+            amountIn: ethers.parseUnits(data.amountIn || '0', tokenIn.decimals),
+            price: data.price || '1',
+            decimalsIn: tokenIn.decimals,
+            decimalsOut: tokenOut.decimals,
+            slippageBps: Math.round(Number(data.slippage || 0) * 100),
+          });
+          tx = await contracts.encryptedSwap.submitSwapIntent(intentData);
           receipt = await tx.wait();
           const event = receipt.logs.find(log => {
             try {
               return contracts.encryptedSwap.interface.parseLog(log).name === 'SwapIntentSubmitted';
             } catch { return false; }
           });
-          setResult(`✅ Intent submitted. Tx: ${receipt.hash}`);
+          setResult(`✅ Intent submitted (min out ${ethers.formatUnits(params.minAmountOut, tokenOut.decimals)} ${tokenOut.symbol}). Tx: ${receipt.hash}`);
           break;
         case 'getMetrics':
           const metrics = await contracts.encryptedSwap.getAggregateMetrics();
@@ -363,37 +375,53 @@ const AtomicCounterTests = ({ onTest, loading }) => {
 
 // EncryptedSwap Test Component
 const EncryptedSwapTests = ({ onTest, loading }) => {
-  const [intent, setIntent] = useState('test_swap_intent');
-  const [nonce, setNonce] = useState('1');
+  const symbols = tokenRegistry.symbols();
+  const [tokenIn, setTokenIn] = useState(symbols[0]);
+  const [tokenOut, setTokenOut] = useState(symbols[1]);
+  const [amountIn, setAmountIn] = useState('1');
+  const [price, setPrice] = useState('1');
+  const [slippage, setSlippage] = useState('0.5');
+
+  const fields = [
+    { label: 'Amount In', value: amountIn, onChange: setAmountIn, type: 'number', placeholder: '1' },
+    { label: 'Price (Token Out per Token In)', value: price, onChange: setPrice, type: 'number', placeholder: '1' },
+    { label: 'Slippage (%)', value: slippage, onChange: setSlippage, type: 'number', placeholder: '0.5' },
+  ];
 
   return (
     <div>
       <h2 className="text-2xl font-bold mb-4">EncryptedSwap Tests</h2>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-        <div>
-          <label className="block text-sm mb-2">Intent Data</label>
-          <input
-            type="text"
-            value={intent}
-            onChange={(e) => setIntent(e.target.value)}
-            className="w-full bg-gray-700 rounded-lg px-4 py-2"
-            placeholder="encrypted_intent_data"
-          />
-        </div>
-        <div>
-          <label className="block text-sm mb-2">Async Nonce</label>
-          <input
-            type="number"
-            value={nonce}
-            onChange={(e) => setNonce(e.target.value)}
-            className="w-full bg-gray-700 rounded-lg px-4 py-2"
-            placeholder="1"
-          />
-        </div>
+        {[['Token In', tokenIn, setTokenIn], ['Token Out', tokenOut, setTokenOut]].map(([label, value, onChange]) => (
+          <div key={label}>
+            <label className="block text-sm mb-2">{label}</label>
+            <select
+              value={value}
+              onChange={(e) => onChange(e.target.value)}
+              className="w-full bg-gray-700 rounded-lg px-4 py-2"
+            >
+              {symbols.map(symbol => (
+                <option key={symbol} value={symbol}>{symbol}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+        {fields.map(field => (
+          <div key={field.label}>
+            <label className="block text-sm mb-2">{field.label}</label>
+            <input
+              type={field.type}
+              value={field.value}
+              onChange={(e) => field.onChange(e.target.value)}
+              className="w-full bg-gray-700 rounded-lg px-4 py-2"
+              placeholder={field.placeholder}
+            />
+          </div>
+        ))}
       </div>
       <div className="flex flex-wrap gap-3">
         <button
-          onClick={() => onTest('submitIntent', { intent, nonce })}
+          onClick={() => onTest('submitIntent', { tokenIn, tokenOut, amountIn, price, slippage })}
           disabled={loading}
           className="px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 rounded-lg font-semibold"
         >
@@ -0,0 +1,16 @@
+/**
+ * Token Registry Configuration
+ * Shared token definitions with this deployment's token addresses
+ */
+
+import { TokenRegistry, DEFAULT_TOKENS, getTokenAddressOverrides } from '../../../shared/tokenRegistry.js';
+
+const ARCOLOGY_CHAIN_ID = import.meta.env.VITE_ARCOLOGY_CHAIN_ID || 1337;
+
+// Token addresses from VITE_<SYMBOL>_ADDRESS
+export const tokenRegistry = new TokenRegistry(
+  DEFAULT_TOKENS,
+  getTokenAddressOverrides(import.meta.env, ARCOLOGY_CHAIN_ID, { prefix: 'VITE_' })
+);
+
+export default tokenRegistry;
@@ -0,0 +1,115 @@
+/**
+ * Intent Typed Data (EIP-712)
+ * Shared by the bots' Fisher signer, contract connector and relay
+ *
+ * Swap, Lend and Cancel intents are signed as EIP-712 typed data. The domain
+ * binds every signature to one chain and to the contract that acts on it
+ * (EncryptedSwap for Swap and Cancel, SimpleLending for Lend), so an intent
+ * signed on a local Hardhat chain cannot be replayed on Arcology. Wallets
+ * show the fields below as a readable signing prompt.
+ *
+ * Amounts are token base units; deadline is a unix timestamp in seconds.
+ */
+
+import { ethers } from 'ethers';
+
+export const INTENT_DOMAIN_NAME = 'Shadow Economy';
+export const INTENT_DOMAIN_VERSION = '1';
+
+export const INTENT_TYPES = {
+  Swap: [
+    { name: 'user', type: 'address' },
+    { name: 'tokenIn', type: 'address' },
+    { name: 'tokenOut', type: 'address' },
+    { name: 'amountIn', type: 'uint256' },
+    { name: 'minAmountOut', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+  Lend: [
+    { name: 'user', type: 'address' },
+    { name: 'operation', type: 'string' },
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'durationDays', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+  Cancel: [
+    { name: 'user', type: 'address' },
+    { name: 'intentId', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// Contract that verifies each intent type (keys of the apps' contract address config)
+export const INTENT_VERIFYING_CONTRACTS = {
+  Swap: 'encryptedSwap',
+  Lend: 'simpleLending',
+  Cancel: 'encryptedSwap',
+};
+
+/**
+ * EIP-712 domain for intents on one chain and contract
+ *
+ * @param {Object} binding - { chainId, verifyingContract }
+ * @returns {Object} EIP-712 domain
+ */
+export function getIntentDomain({ chainId, verifyingContract }) {
+  if (!chainId) {
+    throw new Error('Intent domain needs a chainId');
+  }
+  if (!ethers.isAddress(verifyingContract)) {
+    throw new Error(`Intent domain needs a verifying contract address, got ${verifyingContract}`);
+  }
+  return {
+    name: INTENT_DOMAIN_NAME,
+    version: INTENT_DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract: ethers.getAddress(verifyingContract),
+  };
+}
+
+/**
+ * Full typed-data request for one intent, as passed to signTypedData
+ *
+ * @param {string} primaryType - 'Swap', 'Lend' or 'Cancel'
+ * @param {Object} message - Intent fields for that type
+ * @param {Object} binding - { chainId, verifyingContract }
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+export function getIntentTypedData(primaryType, message, binding) {
+  const fields = INTENT_TYPES[primaryType];
+  if (!fields) {
+    throw new Error(`Unknown intent type "${primaryType}". Supported: ${Object.keys(INTENT_TYPES).join(', ')}`);
+  }
+
+  const missing = fields.filter(field => message[field.name] === undefined || message[field.name] === null);
+  if (missing.length) {
+    throw new Error(`${primaryType} intent is missing ${missing.map(field => field.name).join(', ')}`);
+  }
+
+  return {
+    domain: getIntentDomain(binding),
+    types: { [primaryType]: fields },
+    primaryType,
+    message: Object.fromEntries(fields.map(field => [field.name, message[field.name]])),
+  };
+}
+
+/**
+ * EIP-712 digest of an intent
+ */
+export function hashIntentTypedData(primaryType, message, binding) {
+  const typedData = getIntentTypedData(primaryType, message, binding);
+  return ethers.TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.message);
+}
+
+/**
+ * Recover the address that signed an intent under a given domain
+ */
+export function recoverIntentSigner(primaryType, message, binding, signature) {
+  const typedData = getIntentTypedData(primaryType, message, binding);
+  return ethers.verifyTypedData(typedData.domain, typedData.types, typedData.message, signature);
+}
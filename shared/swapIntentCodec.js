@@ -0,0 +1,132 @@
+/**
+ * Swap Intent Codec
+ * Shared by the bots, the CLI and the frontend
+ *
+ * EncryptedSwap stores each intent's parameters as the ABI-encoded tuple
+ * (address tokenIn, address tokenOut, uint256 amountIn, uint256 minAmountOut, uint256 deadline)
+ * so the settlement side can decode them. Every client builds intents through
+ * this module so they agree on field order, units and slippage rounding.
+ *
+ * Amounts are always in token base units (bigint); deadline is a unix timestamp
+ * in seconds.
+ */
+
+import { ethers } from 'ethers';
+
+export const SWAP_INTENT_TYPES = ['address', 'address', 'uint256', 'uint256', 'uint256'];
+
+export const BPS_DENOMINATOR = 10000n;
+export const DEFAULT_SLIPPAGE_BPS = 50; // 0.5%
+export const MAX_SLIPPAGE_BPS = 5000; // 50%
+export const DEFAULT_DEADLINE_SECONDS = 20 * 60; // 20 minutes
+
+// Quoted prices are fixed-point with 18 decimals internally
+const PRICE_DECIMALS = 18;
+
+/**
+ * ABI-encode swap intent parameters
+ *
+ * @param {Object} intent - { tokenIn, tokenOut, amountIn, minAmountOut, deadline }
+ * @returns {string} Hex-encoded intent data
+ */
+export function encodeSwapIntent({ tokenIn, tokenOut, amountIn, minAmountOut, deadline }) {
+  if (!ethers.isAddress(tokenIn) || !ethers.isAddress(tokenOut)) {
+    throw new Error('tokenIn and tokenOut must be addresses');
+  }
+  if (tokenIn.toLowerCase() === tokenOut.toLowerCase()) {
+    throw new Error('tokenIn and tokenOut must differ');
+  }
+  if (BigInt(amountIn) <= 0n) {
+    throw new Error('amountIn must be positive');
+  }
+  if (BigInt(minAmountOut) < 0n) {
+    throw new Error('minAmountOut cannot be negative');
+  }
+
+  return ethers.AbiCoder.defaultAbiCoder().encode(
+    SWAP_INTENT_TYPES,
+    [tokenIn, tokenOut, BigInt(amountIn), BigInt(minAmountOut), BigInt(deadline)]
+  );
+}
+
+/**
+ * Decode ABI-encoded swap intent parameters
+ *
+ * @param {string|Uint8Array} data - Intent data from encodeSwapIntent / getSwapIntent
+ * @returns {Object} { tokenIn, tokenOut, amountIn, minAmountOut, deadline }
+ */
+export function decodeSwapIntent(data) {
+  const [tokenIn, tokenOut, amountIn, minAmountOut, deadline] =
+    ethers.AbiCoder.defaultAbiCoder().decode(SWAP_INTENT_TYPES, data);
+
+  return { tokenIn, tokenOut, amountIn, minAmountOut, deadline: Number(deadline) };
+}
+
+/**
+ * Expected output for an input amount at a quoted price
+ *
+ * @param {bigint} amountIn - Input amount in tokenIn base units
+ * @param {string|number} price - tokenOut received per 1 tokenIn, e.g. '2500.5'
+ * @param {number} decimalsIn - tokenIn decimals
+ * @param {number} decimalsOut - tokenOut decimals
+ * @returns {bigint} Quoted output in tokenOut base units
+ */
+export function quoteAmountOut(amountIn, price, decimalsIn = 18, decimalsOut = 18) {
+  // Fixed-point parsing avoids float rounding in the amount math
+  const text = typeof price === 'string' ? price : price.toFixed(PRICE_DECIMALS);
+  const scaledPrice = ethers.parseUnits(text, PRICE_DECIMALS);
+  return (BigInt(amountIn) * scaledPrice * 10n ** BigInt(decimalsOut)) /
+    (10n ** BigInt(decimalsIn) * 10n ** BigInt(PRICE_DECIMALS));
+}
+
+/**
+ * Apply a slippage tolerance to a quoted output, rounding down
+ *
+ * @param {bigint} quotedAmountOut - Quoted output in tokenOut base units
+ * @param {number} slippageBps - Tolerance in basis points (50 = 0.5%)
+ * @returns {bigint} Minimum acceptable output
+ */
+export function applySlippage(quotedAmountOut, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  if (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps > MAX_SLIPPAGE_BPS) {
+    throw new Error(`Slippage must be between 0 and ${MAX_SLIPPAGE_BPS} bps`);
+  }
+  return (BigInt(quotedAmountOut) * (BPS_DENOMINATOR - BigInt(slippageBps))) / BPS_DENOMINATOR;
+}
+
+/**
+ * Build a complete swap intent from a price quote and user settings
+ *
+ * @param {Object} params
+ * @param {string} params.tokenIn - Input token address
+ * @param {string} params.tokenOut - Output token address
+ * @param {bigint} params.amountIn - Input amount in base units
+ * @param {string|number} params.price - tokenOut per 1 tokenIn
+ * @param {number} params.decimalsIn - tokenIn decimals
+ * @param {number} params.decimalsOut - tokenOut decimals
+ * @param {number} params.slippageBps - Slippage tolerance in basis points
+ * @param {number} params.deadlineSeconds - Validity window from now
+ * @param {number} params.now - Current unix time in seconds (for tests)
+ * @returns {Object} { params, quotedAmountOut, data }
+ */
+export function buildSwapIntent({
+  tokenIn,
+  tokenOut,
+  amountIn,
+  price,
+  decimalsIn = 18,
+  decimalsOut = 18,
+  slippageBps = DEFAULT_SLIPPAGE_BPS,
+  deadlineSeconds = DEFAULT_DEADLINE_SECONDS,
+  now = Math.floor(Date.now() / 1000),
+}) {
+  const quotedAmountOut = quoteAmountOut(amountIn, price, decimalsIn, decimalsOut);
+  const params = {
+    tokenIn,
+    tokenOut,
+    amountIn: BigInt(amountIn),
+    minAmountOut: applySlippage(quotedAmountOut, slippageBps),
+    deadline: now + deadlineSeconds,
+  };
+
+  return { params, quotedAmountOut, data: encodeSwapIntent(params) };
+}
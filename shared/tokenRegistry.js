@@ -0,0 +1,175 @@
+/**
+ * Token Registry
+ * Shared by the bots, the CLI and the frontend
+ *
+ * One place for everything the apps know about a token: symbol, decimals,
+ * address per chain, Pyth price feed and display metadata. Each app builds a
+ * registry from DEFAULT_TOKENS plus overrides from its own config (e.g. token
+ * addresses from env for the chain it runs on).
+ *
+ * Lookups of unknown symbols throw instead of falling back to another token,
+ * so an unsupported token can never be priced or settled as ETH.
+ */
+
+import { ethers } from 'ethers';
+
+export const DEFAULT_TOKENS = [
+  {
+    symbol: 'ETH',
+    name: 'Ether',
+    decimals: 18,
+    native: true, // zero address on every chain
+    priceSymbol: 'ETH/USD',
+    pythFeedId: '0xff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace',
+    fallbackPriceUsd: 2500,
+    emoji: '💎',
+    addresses: {},
+  },
+  {
+    symbol: 'USDC',
+    name: 'USD Coin',
+    decimals: 6,
+    priceSymbol: 'USDC/USD',
+    pythFeedId: '0xeaa020c61cc479712813461ce153894a96a6c00b21ed0cfc2798d1f9a9e9c94a',
+    fallbackPriceUsd: 1,
+    emoji: '💵',
+    addresses: {
+      1: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+    },
+  },
+  {
+    symbol: 'USDT',
+    name: 'Tether USD',
+    decimals: 6,
+    priceSymbol: 'USDT/USD',
+    pythFeedId: '0x2b89b9dc8fdf9f34709a5b106b472f0f39bb6ca9ce04b0fd7f2e971688e2e53b',
+    fallbackPriceUsd: 1,
+    emoji: '💵',
+    addresses: {
+      1: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+    },
+  },
+];
+
+export class TokenRegistry {
+  /**
+   * @param {Array<Object>} tokens - Base token definitions
+   * @param {Object} overrides - Per-symbol fields to merge in, keyed by symbol.
+   *   Unset values (e.g. a missing env var) are ignored; unknown symbols add a
+   *   new token and must carry decimals and pythFeedId.
+   */
+  constructor(tokens = DEFAULT_TOKENS, overrides = {}) {
+    this.tokens = new Map();
+
+    for (const token of tokens) {
+      this.tokens.set(token.symbol.toUpperCase(), { ...token, addresses: { ...token.addresses } });
+    }
+
+    for (const [symbol, override] of Object.entries(overrides || {})) {
+      this.merge(symbol.toUpperCase(), override || {});
+    }
+  }
+
+  merge(symbol, override) {
+    const { addresses = {}, ...fields } = override;
+    const existing = this.tokens.get(symbol);
+    const token = existing || { symbol, priceSymbol: `${symbol}/USD`, addresses: {} };
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null && value !== '') {
+        token[key] = value;
+      }
+    }
+    for (const [chainId, address] of Object.entries(addresses)) {
+      if (!address) {
+        continue;
+      }
+      if (!ethers.isAddress(address)) {
+        throw new Error(`Invalid ${symbol} address for chain ${chainId}: ${address}`);
+      }
+      token.addresses[chainId] = address;
+    }
+
+    if (!Number.isInteger(token.decimals) || !token.pythFeedId) {
+      throw new Error(`Token ${symbol} needs decimals and pythFeedId`);
+    }
+    this.tokens.set(symbol, token);
+  }
+
+  has(symbol) {
+    return this.tokens.has(String(symbol).toUpperCase());
+  }
+
+  /**
+   * @param {string} symbol - Token symbol, any case
+   * @returns {Object} Token definition
+   * @throws if the token is not in the registry
+   */
+  get(symbol) {
+    const token = this.tokens.get(String(symbol).toUpperCase());
+    if (!token) {
+      throw new Error(`Unknown token "${symbol}". Supported: ${this.symbols().join(', ')}`);
+    }
+    return token;
+  }
+
+  list() {
+    return [...this.tokens.values()];
+  }
+
+  symbols() {
+    return [...this.tokens.keys()];
+  }
+
+  /**
+   * Token contract address on a chain (zero address for the native token)
+   *
+   * @throws if the token has no address on that chain
+   */
+  getAddress(symbol, chainId) {
+    const token = this.get(symbol);
+    if (token.native) {
+      return ethers.ZeroAddress;
+    }
+    const address = token.addresses[chainId];
+    if (!address) {
+      throw new Error(`${token.symbol} has no address configured for chain ${chainId}`);
+    }
+    return address;
+  }
+
+  /**
+   * Reverse lookup from a token address on a chain
+   *
+   * @returns {Object|null} Token definition
+   */
+  findByAddress(address, chainId) {
+    const wanted = String(address).toLowerCase();
+    return this.list().find(token =>
+      token.native
+        ? wanted === ethers.ZeroAddress
+        : String(token.addresses[chainId] || '').toLowerCase() === wanted
+    ) || null;
+  }
+}
+
+/**
+ * Overrides placing every non-native registry token at its address on one
+ * chain, read from <prefix><SYMBOL>_ADDRESS settings (e.g. USDC_ADDRESS, or
+ * VITE_USDC_ADDRESS in the frontend), so apps don't keep their own token lists.
+ * Unset settings are skipped, like any unset override.
+ *
+ * @param {Object} env - process.env, import.meta.env or similar
+ * @param {number|string} chainId - Chain the addresses belong to
+ * @param {Object} options
+ * @param {string} options.prefix - Setting name prefix
+ * @param {Array<Object>} options.tokens - Token definitions (default: DEFAULT_TOKENS)
+ * @returns {Object} Overrides for the TokenRegistry constructor
+ */
+export function getTokenAddressOverrides(env, chainId, { prefix = '', tokens = DEFAULT_TOKENS } = {}) {
+  return Object.fromEntries(tokens
+    .filter(token => !token.native)
+    .map(token => [token.symbol, { addresses: { [chainId]: env[`${prefix}${token.symbol}_ADDRESS`] } }]));
+}
+
+export default TokenRegistry;